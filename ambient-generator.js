@@ -0,0 +1,519 @@
+/**
+ * Ambient Generator
+ * Procedural ambient pieces rendered offline with OfflineAudioContext, so the
+ * app has music to play without a network or any files.
+ *
+ * A piece layers any of AMBIENT_SOUNDS:
+ * {
+ *   id, title, genre, duration,          // duration in seconds
+ *   key: 'D', scale: 'major' | 'minor',  // chords and pads follow the key
+ *   tempo,                               // beats per minute; also paces ocean waves
+ *   layers: [{ sound, gain }],
+ * }
+ *
+ * Rendering is deterministic (random numbers are seeded from the piece ID),
+ * so a rendered piece can be cached and only redone when its settings change.
+ * AmbientCache keeps the rendered WAV files in IndexedDB.
+ */
+
+const AMBIENT_SOUNDS = ['chords', 'pads', 'rain', 'ocean', 'white-noise', 'pink-noise', 'brown-noise'];
+
+const AMBIENT_PIECES = [
+  {
+    id: 'demo-1',
+    title: 'Golden Hour',
+    genre: 'Ambient',
+    duration: 60,
+    key: 'D',
+    scale: 'major',
+    tempo: 84,
+    layers: [
+      { sound: 'chords', gain: 0.5 },
+      { sound: 'pads', gain: 0.35 },
+    ],
+  },
+  {
+    id: 'demo-2',
+    title: 'Slow Evening',
+    genre: 'Ambient',
+    duration: 60,
+    key: 'A',
+    scale: 'minor',
+    tempo: 66,
+    layers: [
+      { sound: 'chords', gain: 0.45 },
+      { sound: 'pads', gain: 0.4 },
+    ],
+  },
+  {
+    id: 'demo-3',
+    title: 'Drifting Pads',
+    genre: 'Ambient',
+    duration: 60,
+    key: 'F',
+    scale: 'major',
+    tempo: 54,
+    layers: [
+      { sound: 'pads', gain: 0.6 },
+      { sound: 'brown-noise', gain: 0.05 },
+    ],
+  },
+  {
+    id: 'demo-4',
+    title: 'Night Rain',
+    genre: 'Nature',
+    duration: 60,
+    key: 'C',
+    scale: 'major',
+    tempo: 60,
+    layers: [{ sound: 'rain', gain: 0.8 }],
+  },
+  {
+    id: 'demo-5',
+    title: 'Ocean Waves',
+    genre: 'Nature',
+    duration: 60,
+    key: 'C',
+    scale: 'major',
+    tempo: 48,
+    layers: [{ sound: 'ocean', gain: 0.9 }],
+  },
+  {
+    id: 'demo-6',
+    title: 'White Noise',
+    genre: 'Noise',
+    duration: 60,
+    key: 'C',
+    scale: 'major',
+    tempo: 60,
+    layers: [{ sound: 'white-noise', gain: 0.25 }],
+  },
+  {
+    id: 'demo-7',
+    title: 'Pink Noise',
+    genre: 'Noise',
+    duration: 60,
+    key: 'C',
+    scale: 'major',
+    tempo: 60,
+    layers: [{ sound: 'pink-noise', gain: 0.5 }],
+  },
+  {
+    id: 'demo-8',
+    title: 'Brown Noise',
+    genre: 'Noise',
+    duration: 60,
+    key: 'C',
+    scale: 'major',
+    tempo: 60,
+    layers: [{ sound: 'brown-noise', gain: 0.7 }],
+  },
+];
+
+// Bump when rendering changes, so cached renders are redone
+const ENGINE_VERSION = 1;
+const SAMPLE_RATE = 22050;
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const SCALES = {
+  major: [0, 2, 4, 5, 7, 9, 11],
+  minor: [0, 2, 3, 5, 7, 8, 10],
+};
+// Scale degrees of each chord: I–V–vi–IV in major, i–VI–III–VII in minor
+const PROGRESSIONS = {
+  major: [0, 4, 5, 3],
+  minor: [0, 5, 2, 6],
+};
+const BEATS_PER_CHORD = 8;
+const BEATS_PER_WAVE = 8;
+const FADE_IN = 2;
+const FADE_OUT = 3;
+const PEAK_LEVEL = 0.89; // -1 dBFS
+
+const MUSICAL_SOUNDS = ['chords', 'pads'];
+
+/**
+ * Small seeded random number generator (mulberry32)
+ * @private
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * FNV-1a hash of a string
+ * @private
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+const midiToFrequency = (note) => 440 * 2 ** ((note - 69) / 12);
+
+/**
+ * MIDI notes of the triad on a scale degree
+ * @private
+ * @param {Object} piece - Piece with key and scale
+ * @param {number} degree - Scale degree, 0 = tonic
+ * @param {number} octave - Octave of the tonic (4 = middle C's octave)
+ */
+function triad(piece, degree, octave) {
+  const root = NOTE_NAMES.indexOf(piece.key);
+  const scale = SCALES[piece.scale];
+  return [0, 2, 4].map((step) => {
+    const index = degree + step;
+    return 12 * (octave + 1) + root + scale[index % 7] + 12 * Math.floor(index / 7);
+  });
+}
+
+/**
+ * Fill a buffer with noise
+ * @private
+ * @param {string} color - 'white', 'pink', or 'brown'
+ */
+function noiseBuffer(context, color, random) {
+  const buffer = context.createBuffer(1, context.length, context.sampleRate);
+  const data = buffer.getChannelData(0);
+  let b0 = 0;
+  let b1 = 0;
+  let b2 = 0;
+  let last = 0;
+
+  for (let i = 0; i < data.length; i++) {
+    const white = random() * 2 - 1;
+    if (color === 'pink') {
+      // Paul Kellet's economy filter: -3 dB per octave
+      b0 = 0.99765 * b0 + white * 0.099046;
+      b1 = 0.963 * b1 + white * 0.2965164;
+      b2 = 0.57 * b2 + white * 1.0526913;
+      data[i] = (b0 + b1 + b2 + white * 0.1848) * 0.11;
+    } else if (color === 'brown') {
+      // Leaky integrator: -6 dB per octave
+      last = (last + 0.02 * white) / 1.02;
+      data[i] = last * 3.5;
+    } else {
+      data[i] = white;
+    }
+  }
+  return buffer;
+}
+
+/**
+ * Play a buffer from the start into a node
+ * @private
+ */
+function playBuffer(context, buffer, destination) {
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  source.connect(destination);
+  source.start(0);
+  return source;
+}
+
+/**
+ * Sample a function of time into an automation curve
+ * @private
+ */
+const curve = (duration, fn, rate = 20) =>
+  Float32Array.from({ length: Math.max(2, Math.ceil(duration * rate)) }, (_, i) => fn(i / rate));
+
+/**
+ * Each layer renders one sound into `output` for the whole piece
+ * @private
+ */
+const LAYERS = {
+  chords(context, output, { piece, random }) {
+    const beat = 60 / piece.tempo;
+    const chordLength = beat * BEATS_PER_CHORD;
+    const progression = PROGRESSIONS[piece.scale];
+
+    for (let i = 0; i * chordLength < piece.duration; i++) {
+      const start = i * chordLength;
+      const notes = triad(piece, progression[i % progression.length], 4);
+
+      // A soft, sustained chord...
+      notes.forEach((note) => {
+        const oscillator = context.createOscillator();
+        const envelope = context.createGain();
+        oscillator.type = 'triangle';
+        oscillator.frequency.value = midiToFrequency(note);
+        envelope.gain.setValueAtTime(0, start);
+        envelope.gain.linearRampToValueAtTime(0.12, start + 0.05);
+        envelope.gain.exponentialRampToValueAtTime(0.05, start + 1.5);
+        envelope.gain.setTargetAtTime(0, start + chordLength - 0.2, 0.15);
+        oscillator.connect(envelope).connect(output);
+        oscillator.start(start);
+        oscillator.stop(start + chordLength + 1);
+      });
+
+      // ...with a plucked arpeggio over it, one note a beat
+      for (let b = 0; b < BEATS_PER_CHORD; b++) {
+        const at = start + b * beat;
+        if (at >= piece.duration || random() < 0.25) continue; // Rests keep it from ticking like a clock
+        const note = notes[Math.floor(random() * notes.length)] + 12;
+        const oscillator = context.createOscillator();
+        const envelope = context.createGain();
+        oscillator.frequency.value = midiToFrequency(note);
+        envelope.gain.setValueAtTime(0, at);
+        envelope.gain.linearRampToValueAtTime(0.08 + random() * 0.06, at + 0.01);
+        envelope.gain.exponentialRampToValueAtTime(0.001, at + beat * 1.8);
+        oscillator.connect(envelope).connect(output);
+        oscillator.start(at);
+        oscillator.stop(at + beat * 2);
+      }
+    }
+  },
+
+  pads(context, output, { piece }) {
+    const chordLength = (60 / piece.tempo) * BEATS_PER_CHORD;
+    const progression = PROGRESSIONS[piece.scale];
+    const overlap = Math.min(2, chordLength / 3);
+
+    // Slowly opening and closing filter over everything
+    const filter = context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.Q.value = 0.7;
+    filter.frequency.setValueCurveAtTime(
+      curve(piece.duration, (t) => 700 + 400 * Math.sin((2 * Math.PI * t) / (chordLength * 2))),
+      0,
+      piece.duration
+    );
+    filter.connect(output);
+
+    for (let i = 0; i * chordLength < piece.duration; i++) {
+      const start = i * chordLength;
+      const envelope = context.createGain();
+      envelope.gain.setValueAtTime(0, start);
+      envelope.gain.linearRampToValueAtTime(0.07, start + overlap);
+      envelope.gain.setValueAtTime(0.07, start + chordLength);
+      envelope.gain.linearRampToValueAtTime(0, start + chordLength + overlap);
+      envelope.connect(filter);
+
+      triad(piece, progression[i % progression.length], 3).forEach((note) => {
+        // Two detuned saws, one each side, for width
+        [-1, 1].forEach((side) => {
+          const oscillator = context.createOscillator();
+          const panner = context.createStereoPanner();
+          oscillator.type = 'sawtooth';
+          oscillator.frequency.value = midiToFrequency(note);
+          oscillator.detune.value = side * 7;
+          panner.pan.value = side * 0.6;
+          oscillator.connect(panner).connect(envelope);
+          oscillator.start(start);
+          oscillator.stop(start + chordLength + overlap);
+        });
+      });
+    }
+  },
+
+  rain(context, output, { piece, random }) {
+    // Steady hiss of distant rain
+    const hiss = context.createBiquadFilter();
+    hiss.type = 'bandpass';
+    hiss.frequency.value = 2500;
+    hiss.Q.value = 0.5;
+    hiss.connect(output);
+    playBuffer(context, noiseBuffer(context, 'pink', random), hiss);
+
+    // Nearby drops: short decaying clicks at random times
+    const drops = context.createBuffer(1, context.length, context.sampleRate);
+    const data = drops.getChannelData(0);
+    const decay = Math.round(context.sampleRate * 0.004);
+    const count = Math.round(piece.duration * 35);
+    for (let n = 0; n < count; n++) {
+      const at = Math.floor(random() * (data.length - decay * 6));
+      const level = (0.2 + random() * 0.6) * (random() < 0.5 ? -1 : 1);
+      for (let i = 0; i < decay * 6; i++) {
+        data[at + i] += level * Math.exp(-i / decay) * (random() * 2 - 1);
+      }
+    }
+    const tone = context.createBiquadFilter();
+    tone.type = 'highpass';
+    tone.frequency.value = 1200;
+    tone.connect(output);
+    playBuffer(context, drops, tone);
+  },
+
+  ocean(context, output, { piece, random }) {
+    const wave = (60 / piece.tempo) * BEATS_PER_WAVE;
+    // Each wave gets its own height
+    const heights = Array.from({ length: Math.ceil(piece.duration / wave) + 1 }, () => 0.6 + random() * 0.4);
+    const swell = (t) => {
+      const phase = (t % wave) / wave;
+      return heights[Math.floor(t / wave)] * (0.5 - 0.5 * Math.cos(2 * Math.PI * phase)) ** 2;
+    };
+
+    const filter = context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.setValueCurveAtTime(curve(piece.duration, (t) => 300 + 1500 * swell(t)), 0, piece.duration);
+    const level = context.createGain();
+    level.gain.setValueCurveAtTime(curve(piece.duration, (t) => 0.15 + 0.85 * swell(t)), 0, piece.duration);
+    filter.connect(level).connect(output);
+    playBuffer(context, noiseBuffer(context, 'brown', random), filter);
+    // Foam: a little brighter noise on the crest
+    const foam = context.createGain();
+    foam.gain.setValueCurveAtTime(curve(piece.duration, (t) => 0.15 * swell(t) ** 2), 0, piece.duration);
+    foam.connect(output);
+    playBuffer(context, noiseBuffer(context, 'pink', random), foam);
+  },
+
+  'white-noise'(context, output, { random }) {
+    playBuffer(context, noiseBuffer(context, 'white', random), output);
+  },
+
+  'pink-noise'(context, output, { random }) {
+    playBuffer(context, noiseBuffer(context, 'pink', random), output);
+  },
+
+  'brown-noise'(context, output, { random }) {
+    playBuffer(context, noiseBuffer(context, 'brown', random), output);
+  },
+};
+
+/**
+ * Check a piece's settings
+ * @private
+ */
+function validatePiece(piece) {
+  if (!NOTE_NAMES.includes(piece.key)) throw new Error(`Unknown key: ${piece.key}`);
+  if (!SCALES[piece.scale]) throw new Error(`Unknown scale: ${piece.scale}`);
+  if (!(piece.tempo >= 20 && piece.tempo <= 240)) throw new Error('Tempo must be between 20 and 240 BPM');
+  if (!(piece.duration > FADE_IN + FADE_OUT)) throw new Error(`Pieces must be longer than ${FADE_IN + FADE_OUT} seconds`);
+  piece.layers.forEach(({ sound }) => {
+    if (!LAYERS[sound]) throw new Error(`Unknown ambient sound: ${sound}`);
+  });
+}
+
+/**
+ * Render a piece
+ * @param {Object} piece - Piece settings (see top of file)
+ * @param {Object} options
+ * @param {number} options.sampleRate - Output sample rate
+ * @returns {Promise<AudioBuffer>} Rendered audio; stereo when it has chords or pads, otherwise mono
+ */
+async function renderAmbient(piece, { sampleRate = SAMPLE_RATE } = {}) {
+  validatePiece(piece);
+  const channels = piece.layers.some(({ sound }) => MUSICAL_SOUNDS.includes(sound)) ? 2 : 1;
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  const context = new OfflineContext(channels, Math.ceil(piece.duration * sampleRate), sampleRate);
+  const random = seededRandom(hashString(piece.id));
+
+  // Fade the whole piece in and out so it starts and ends cleanly
+  const master = context.createGain();
+  master.gain.setValueAtTime(0, 0);
+  master.gain.linearRampToValueAtTime(1, FADE_IN);
+  master.gain.setValueAtTime(1, piece.duration - FADE_OUT);
+  master.gain.linearRampToValueAtTime(0, piece.duration);
+  master.connect(context.destination);
+
+  piece.layers.forEach(({ sound, gain = 1 }) => {
+    const output = context.createGain();
+    output.gain.value = gain;
+    output.connect(master);
+    LAYERS[sound](context, output, { piece, random });
+  });
+
+  const buffer = await context.startRendering();
+
+  // Bring the loudest sample to PEAK_LEVEL, however the layers added up
+  let peak = 0;
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    buffer.getChannelData(c).forEach((sample) => {
+      peak = Math.max(peak, Math.abs(sample));
+    });
+  }
+  if (peak > 0) {
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+      const data = buffer.getChannelData(c);
+      for (let i = 0; i < data.length; i++) data[i] *= PEAK_LEVEL / peak;
+    }
+  }
+  return buffer;
+}
+
+// ========================================
+// CACHE
+// ========================================
+
+const DB_NAME = 'homeharmony-ambient';
+const DB_VERSION = 1;
+const STORE = 'renders';
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @private
+ */
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Rendered pieces kept as WAV files in IndexedDB:
+ * { id, signature, blob, renderedAt }
+ * The signature covers the piece's settings and ENGINE_VERSION.
+ */
+class AmbientCache {
+  constructor() {
+    this.db = null;
+  }
+
+  /**
+   * Get a piece's cached render
+   * @param {Object} piece - Piece settings
+   * @returns {Promise<Blob|null>} WAV file, or null if not cached or out of date
+   */
+  async get(piece) {
+    const db = await this.open();
+    if (!db) return null;
+    const record = await promisify(db.transaction(STORE).objectStore(STORE).get(piece.id));
+    return record?.signature === this.signature(piece) ? record.blob : null;
+  }
+
+  /**
+   * Cache a piece's render
+   * @param {Object} piece - Piece settings
+   * @param {Blob} blob - WAV file
+   */
+  async put(piece, blob) {
+    const db = await this.open();
+    if (!db) return;
+    const record = { id: piece.id, signature: this.signature(piece), blob, renderedAt: Date.now() };
+    await promisify(db.transaction(STORE, 'readwrite').objectStore(STORE).put(record));
+  }
+
+  /**
+   * @private
+   */
+  async open() {
+    if (this.db || !window.indexedDB) return this.db;
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: 'id' });
+    };
+    this.db = await promisify(request);
+    return this.db;
+  }
+
+  /**
+   * @private
+   */
+  signature(piece) {
+    return `${ENGINE_VERSION}:${hashString(JSON.stringify(piece)).toString(36)}`;
+  }
+}
+
+// ES6 Export
+export { AMBIENT_PIECES, AMBIENT_SOUNDS, AmbientCache, renderAmbient };
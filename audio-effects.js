@@ -0,0 +1,243 @@
+/**
+ * Audio Effects
+ * The processing chain between the player's decks and the speakers:
+ *
+ *   input -> EQ bands -> night-mode compressor -> limiter -> output
+ *
+ * plus per-track loudness normalization, which the player applies on each
+ * deck using getTrackGain() (see loudness.js).
+ *
+ * Settings are kept in AppStorage under `audio`:
+ * { preset, eq: [dB per band], normalize, limiter, nightMode }
+ * preset is a key of EQ_PRESETS, or 'custom' once a band is moved by hand.
+ */
+
+const EQ_BANDS = [
+  { frequency: 60, type: 'lowshelf', label: '60 Hz' },
+  { frequency: 170, type: 'peaking', label: '170 Hz' },
+  { frequency: 350, type: 'peaking', label: '350 Hz' },
+  { frequency: 1000, type: 'peaking', label: '1 kHz' },
+  { frequency: 3500, type: 'peaking', label: '3.5 kHz' },
+  { frequency: 10000, type: 'highshelf', label: '10 kHz' },
+];
+
+const EQ_RANGE = 12; // dB either way
+
+const EQ_PRESETS = {
+  flat: { name: 'Flat', gains: [0, 0, 0, 0, 0, 0] },
+  'bass-boost': { name: 'Bass boost', gains: [6, 4, 1, 0, 0, 0] },
+  'treble-boost': { name: 'Treble boost', gains: [0, 0, 0, 1, 4, 6] },
+  vocal: { name: 'Vocal', gains: [-2, -1, 2, 4, 2, 0] },
+  acoustic: { name: 'Acoustic', gains: [3, 2, 1, 1, 2, 2] },
+  loudness: { name: 'Loudness', gains: [5, 3, 0, -1, 2, 4] },
+};
+
+const DEFAULT_AUDIO_SETTINGS = {
+  preset: 'flat',
+  eq: EQ_PRESETS.flat.gains,
+  normalize: true,
+  limiter: true,
+  nightMode: false,
+};
+
+// Compressor settings; "off" is a 1:1 ratio, which leaves the signal untouched
+const NIGHT_MODE = { threshold: -40, knee: 12, ratio: 6, attack: 0.005, release: 0.3 };
+const LIMITER = { threshold: -1, knee: 0, ratio: 20, attack: 0.001, release: 0.1 };
+const BYPASS = { threshold: 0, knee: 0, ratio: 1, attack: 0.003, release: 0.25 };
+
+const dbToGain = (db) => 10 ** (db / 20);
+
+class AudioEffects {
+  /**
+   * @param {Object} options
+   * @param {AppStorage} options.storage - Where settings are saved
+   * @param {LoudnessAnalyzer} options.loudness - Track loudness measurements
+   */
+  constructor({ storage, loudness = null }) {
+    this.storage = storage;
+    this.loudness = loudness;
+    this.nodes = null;
+    this.listeners = {
+      onSettingsChange: [],
+      onTrackGainChange: [],
+    };
+
+    if (this.loudness) {
+      this.loudness.on('onMeasured', ({ trackId }) => {
+        if (this.getSettings().normalize) this.emit('onTrackGainChange', { trackId });
+      });
+    }
+  }
+
+  /**
+   * Get the current settings
+   * @returns {Object} { preset, eq, normalize, limiter, nightMode }
+   */
+  getSettings() {
+    return { ...DEFAULT_AUDIO_SETTINGS, ...this.storage.get('audio', {}) };
+  }
+
+  /**
+   * Build the chain in a Web Audio context
+   * @param {AudioContext} context - Context the player plays through
+   * @returns {{input: AudioNode, output: AudioNode}} Ends of the chain
+   */
+  attach(context) {
+    const bands = EQ_BANDS.map(({ frequency, type }) => {
+      const filter = context.createBiquadFilter();
+      filter.type = type;
+      filter.frequency.value = frequency;
+      filter.Q.value = 1.1;
+      return filter;
+    });
+    const night = context.createDynamicsCompressor();
+    const limiter = context.createDynamicsCompressor();
+
+    [...bands, night, limiter].reduce((from, to) => {
+      from.connect(to);
+      return to;
+    });
+
+    this.nodes = { context, bands, night, limiter };
+    this.apply();
+    return { input: bands[0], output: limiter };
+  }
+
+  /**
+   * Choose an EQ preset
+   * @param {string} preset - Key of EQ_PRESETS
+   */
+  setPreset(preset) {
+    if (!EQ_PRESETS[preset]) throw new Error(`Unknown EQ preset: ${preset}`);
+    this.update({ preset, eq: [...EQ_PRESETS[preset].gains] });
+  }
+
+  /**
+   * Set one EQ band by hand
+   * @param {number} index - Band index into EQ_BANDS
+   * @param {number} gain - Gain in dB, within ±EQ_RANGE
+   */
+  setBand(index, gain) {
+    if (!EQ_BANDS[index]) throw new Error(`Unknown EQ band: ${index}`);
+    if (!Number.isFinite(gain) || Math.abs(gain) > EQ_RANGE) {
+      throw new Error(`EQ gain must be between -${EQ_RANGE} and ${EQ_RANGE} dB`);
+    }
+    const eq = [...this.getSettings().eq];
+    eq[index] = gain;
+    this.update({ preset: 'custom', eq });
+  }
+
+  /**
+   * Turn loudness normalization on or off
+   * @param {boolean} enabled
+   */
+  setNormalize(enabled) {
+    this.update({ normalize: !!enabled });
+    this.emit('onTrackGainChange', { trackId: null });
+  }
+
+  /**
+   * Turn the output limiter on or off
+   * @param {boolean} enabled
+   */
+  setLimiter(enabled) {
+    this.update({ limiter: !!enabled });
+  }
+
+  /**
+   * Turn night mode (heavy compression, so quiet parts stay audible at low volume) on or off
+   * @param {boolean} enabled
+   */
+  setNightMode(enabled) {
+    this.update({ nightMode: !!enabled });
+  }
+
+  /**
+   * Flip night mode
+   * @returns {boolean} Whether night mode is now on
+   */
+  toggleNightMode() {
+    const nightMode = !this.getSettings().nightMode;
+    this.setNightMode(nightMode);
+    return nightMode;
+  }
+
+  /**
+   * Get the normalization gain for a track, measuring it if needed
+   * @param {Object} track - Player track
+   * @returns {number} Linear gain (1 when normalization is off or the track isn't measured yet)
+   */
+  getTrackGain(track) {
+    if (!track || !this.loudness || !this.getSettings().normalize) return 1;
+    const gain = this.loudness.getGain(track.id);
+    if (gain === null) {
+      this.loudness.analyze(track);
+      return 1;
+    }
+    return dbToGain(gain);
+  }
+
+  /**
+   * @private
+   */
+  update(changes) {
+    const settings = { ...this.getSettings(), ...changes };
+    this.storage.set('audio', settings);
+    this.apply();
+    this.emit('onSettingsChange', settings);
+  }
+
+  /**
+   * Push the settings into the nodes
+   * @private
+   */
+  apply() {
+    if (!this.nodes) return;
+    const { context, bands, night, limiter } = this.nodes;
+    const settings = this.getSettings();
+    const now = context.currentTime;
+
+    bands.forEach((band, i) => band.gain.setTargetAtTime(settings.eq[i] || 0, now, 0.05));
+
+    const setCompressor = (node, values) => {
+      Object.entries(values).forEach(([param, value]) => node[param].setValueAtTime(value, now));
+    };
+    setCompressor(night, settings.nightMode ? NIGHT_MODE : BYPASS);
+    setCompressor(limiter, settings.limiter ? LIMITER : BYPASS);
+  }
+
+  /**
+   * Register event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  on(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].push(callback);
+    }
+  }
+
+  /**
+   * Remove event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  off(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter((cb) => cb !== callback);
+    }
+  }
+
+  /**
+   * Emit event
+   * @private
+   */
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach((callback) => callback(data));
+    }
+  }
+}
+
+// ES6 Export
+export { AudioEffects, EQ_BANDS, EQ_PRESETS, EQ_RANGE, DEFAULT_AUDIO_SETTINGS };
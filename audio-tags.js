@@ -0,0 +1,386 @@
+/**
+ * Audio Tags
+ * Reads title, artist, album, genre, duration, and cover art from audio files.
+ *
+ * Supported:
+ * - ID3v2.2/2.3/2.4 and ID3v1 (MP3 and others)
+ * - FLAC metadata blocks (STREAMINFO, VORBIS_COMMENT, PICTURE)
+ * - Ogg Vorbis and Opus comment headers
+ *
+ * readTags(blob) -> { title, artist, album, genre, duration, picture: { mimeType, data } | null }
+ * Fields that can't be found are left empty; duration is 0 when unknown.
+ */
+
+// Standard ID3v1 genres, used when ID3 stores a genre as a number like "(17)"
+const ID3_GENRES = [
+  'Blues', 'Classic Rock', 'Country', 'Dance', 'Disco', 'Funk', 'Grunge', 'Hip-Hop', 'Jazz', 'Metal',
+  'New Age', 'Oldies', 'Other', 'Pop', 'R&B', 'Rap', 'Reggae', 'Rock', 'Techno', 'Industrial',
+  'Alternative', 'Ska', 'Death Metal', 'Pranks', 'Soundtrack', 'Euro-Techno', 'Ambient', 'Trip-Hop', 'Vocal', 'Jazz+Funk',
+  'Fusion', 'Trance', 'Classical', 'Instrumental', 'Acid', 'House', 'Game', 'Sound Clip', 'Gospel', 'Noise',
+  'AlternRock', 'Bass', 'Soul', 'Punk', 'Space', 'Meditative', 'Instrumental Pop', 'Instrumental Rock', 'Ethnic', 'Gothic',
+  'Darkwave', 'Techno-Industrial', 'Electronic', 'Pop-Folk', 'Eurodance', 'Dream', 'Southern Rock', 'Comedy', 'Cult', 'Gangsta',
+  'Top 40', 'Christian Rap', 'Pop/Funk', 'Jungle', 'Native American', 'Cabaret', 'New Wave', 'Psychedelic', 'Rave', 'Showtunes',
+  'Trailer', 'Lo-Fi', 'Tribal', 'Acid Punk', 'Acid Jazz', 'Polka', 'Retro', 'Musical', 'Rock & Roll', 'Hard Rock',
+];
+
+// Upper bound on how much of an Ogg file to scan for comment headers
+const OGG_HEADER_LIMIT = 4 * 1024 * 1024;
+
+const latin1 = new TextDecoder('latin1');
+const utf8 = new TextDecoder('utf-8');
+
+const readBytes = async (blob, start, end) => new Uint8Array(await blob.slice(start, end).arrayBuffer());
+const ascii = (bytes, start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+const uint32BE = (b, i) => ((b[i] << 24) >>> 0) + (b[i + 1] << 16) + (b[i + 2] << 8) + b[i + 3];
+const uint32LE = (b, i) => ((b[i + 3] << 24) >>> 0) + (b[i + 2] << 16) + (b[i + 1] << 8) + b[i];
+const syncsafe = (b, i) => (b[i] << 21) | (b[i + 1] << 14) | (b[i + 2] << 7) | b[i + 3];
+
+const emptyTags = () => ({ title: '', artist: '', album: '', genre: '', duration: 0, picture: null });
+
+/**
+ * Turn a numeric ID3 genre like "(17)" or "17" into its name
+ * @private
+ */
+const resolveGenre = (genre) => {
+  const match = /^\(?(\d+)\)?/.exec(genre);
+  return match && ID3_GENRES[Number(match[1])] ? ID3_GENRES[Number(match[1])] : genre;
+};
+
+// ========================================
+// ID3
+// ========================================
+
+/**
+ * Decode an ID3 string in the given text encoding
+ * @private
+ */
+function decodeId3Text(bytes, encoding) {
+  if (encoding === 1 || encoding === 2) {
+    let offset = 0;
+    let littleEndian = encoding === 1;
+    if (encoding === 1 && bytes.length >= 2) {
+      littleEndian = !(bytes[0] === 0xfe && bytes[1] === 0xff);
+      if ((bytes[0] === 0xff && bytes[1] === 0xfe) || (bytes[0] === 0xfe && bytes[1] === 0xff)) offset = 2;
+    }
+    return new TextDecoder(littleEndian ? 'utf-16le' : 'utf-16be').decode(bytes.subarray(offset));
+  }
+  return (encoding === 3 ? utf8 : latin1).decode(bytes);
+}
+
+/**
+ * Find the end of a null-terminated string (two zero bytes for UTF-16)
+ * @private
+ */
+function findTerminator(bytes, start, encoding) {
+  const wide = encoding === 1 || encoding === 2;
+  for (let i = start; i < bytes.length; i += wide ? 2 : 1) {
+    if (bytes[i] === 0 && (!wide || bytes[i + 1] === 0)) return i;
+  }
+  return bytes.length;
+}
+
+/**
+ * Undo ID3 unsynchronisation (0xFF 0x00 -> 0xFF)
+ * @private
+ */
+function removeUnsync(bytes) {
+  const out = [];
+  for (let i = 0; i < bytes.length; i++) {
+    out.push(bytes[i]);
+    if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i++;
+  }
+  return Uint8Array.from(out);
+}
+
+/**
+ * Parse an ID3v2 tag
+ * @param {Uint8Array} bytes - The tag, starting with "ID3"
+ * @returns {Object} Tags
+ */
+function parseId3v2(bytes) {
+  const tags = emptyTags();
+  const version = bytes[3];
+  const flags = bytes[5];
+  const size = syncsafe(bytes, 6);
+  let body = bytes.subarray(10, 10 + size);
+  if (version < 4 && flags & 0x80) body = removeUnsync(body);
+
+  let offset = 0;
+  if (flags & 0x40) {
+    offset = version === 4 ? syncsafe(body, 0) : uint32BE(body, 0) + 4;
+  }
+
+  const idLength = version === 2 ? 3 : 4;
+  const headerLength = version === 2 ? 6 : 10;
+
+  while (offset + headerLength <= body.length) {
+    const id = ascii(body, offset, idLength);
+    if (!/^[A-Z0-9]+$/.test(id)) break; // Padding
+
+    let frameSize;
+    if (version === 2) frameSize = (body[offset + 3] << 16) | (body[offset + 4] << 8) | body[offset + 5];
+    else if (version === 4) frameSize = syncsafe(body, offset + 4);
+    else frameSize = uint32BE(body, offset + 4);
+
+    const frameFlags = version === 2 ? 0 : body[offset + 9];
+    let frame = body.subarray(offset + headerLength, offset + headerLength + frameSize);
+    offset += headerLength + frameSize;
+    if (version === 4 && frameFlags & 0x02) frame = removeUnsync(frame);
+    if (frame.length === 0) continue;
+
+    const encoding = frame[0];
+    const text = () => decodeId3Text(frame.subarray(1), encoding).split('\0')[0].trim();
+
+    switch (id) {
+      case 'TIT2':
+      case 'TT2':
+        tags.title = text();
+        break;
+      case 'TPE1':
+      case 'TP1':
+        tags.artist = text();
+        break;
+      case 'TALB':
+      case 'TAL':
+        tags.album = text();
+        break;
+      case 'TCON':
+      case 'TCO':
+        tags.genre = resolveGenre(text());
+        break;
+      case 'TLEN':
+      case 'TLE':
+        tags.duration = (Number(text()) || 0) / 1000;
+        break;
+      case 'APIC':
+      case 'PIC': {
+        if (tags.picture) break;
+        let mimeType;
+        let cursor;
+        if (id === 'PIC') {
+          const format = ascii(frame, 1, 3).toUpperCase();
+          mimeType = format === 'PNG' ? 'image/png' : 'image/jpeg';
+          cursor = 4;
+        } else {
+          const mimeEnd = findTerminator(frame, 1, 0);
+          mimeType = latin1.decode(frame.subarray(1, mimeEnd)) || 'image/jpeg';
+          if (!mimeType.includes('/')) mimeType = `image/${mimeType.toLowerCase()}`;
+          cursor = mimeEnd + 1;
+        }
+        cursor += 1; // Picture type
+        const descriptionEnd = findTerminator(frame, cursor, encoding);
+        cursor = descriptionEnd + (encoding === 1 || encoding === 2 ? 2 : 1);
+        tags.picture = { mimeType, data: frame.slice(cursor) };
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  return tags;
+}
+
+/**
+ * Parse an ID3v1 tag
+ * @param {Uint8Array} bytes - The last 128 bytes of a file
+ * @returns {Object|null} Tags, or null when there is no tag
+ */
+function parseId3v1(bytes) {
+  if (bytes.length < 128 || ascii(bytes, 0, 3) !== 'TAG') return null;
+  const field = (start, length) => latin1.decode(bytes.subarray(start, start + length)).split('\0')[0].trim();
+  return {
+    ...emptyTags(),
+    title: field(3, 30),
+    artist: field(33, 30),
+    album: field(63, 30),
+    genre: ID3_GENRES[bytes[127]] || '',
+  };
+}
+
+// ========================================
+// VORBIS COMMENTS (FLAC, OGG)
+// ========================================
+
+/**
+ * Parse a FLAC PICTURE block (also used base64-encoded in Vorbis comments)
+ * @private
+ */
+function parseFlacPicture(bytes) {
+  let cursor = 4; // Picture type
+  const mimeLength = uint32BE(bytes, cursor);
+  const mimeType = ascii(bytes, cursor + 4, mimeLength);
+  cursor += 4 + mimeLength;
+  cursor += 4 + uint32BE(bytes, cursor); // Description
+  cursor += 16; // Width, height, depth, colors
+  const dataLength = uint32BE(bytes, cursor);
+  return { mimeType, data: bytes.slice(cursor + 4, cursor + 4 + dataLength) };
+}
+
+/**
+ * Parse a Vorbis comment block into tags
+ * @param {Uint8Array} bytes - Comment block, starting at the vendor length
+ * @param {Object} tags - Tags to fill in
+ * @returns {Object} Tags
+ */
+function parseVorbisComment(bytes, tags = emptyTags()) {
+  let cursor = 4 + uint32LE(bytes, 0);
+  const count = uint32LE(bytes, cursor);
+  cursor += 4;
+
+  for (let i = 0; i < count && cursor + 4 <= bytes.length; i++) {
+    const length = uint32LE(bytes, cursor);
+    const comment = utf8.decode(bytes.subarray(cursor + 4, cursor + 4 + length));
+    cursor += 4 + length;
+
+    const separator = comment.indexOf('=');
+    if (separator === -1) continue;
+    const key = comment.slice(0, separator).toUpperCase();
+    const value = comment.slice(separator + 1).trim();
+
+    if (key === 'TITLE' && !tags.title) tags.title = value;
+    else if (key === 'ARTIST' && !tags.artist) tags.artist = value;
+    else if (key === 'ALBUM' && !tags.album) tags.album = value;
+    else if (key === 'GENRE' && !tags.genre) tags.genre = value;
+    else if (key === 'METADATA_BLOCK_PICTURE' && !tags.picture) {
+      try {
+        tags.picture = parseFlacPicture(Uint8Array.from(atob(value), (c) => c.charCodeAt(0)));
+      } catch (error) {
+        console.warn('[AudioTags] Unreadable embedded picture:', error);
+      }
+    }
+  }
+  return tags;
+}
+
+/**
+ * Read FLAC metadata blocks
+ * @private
+ */
+async function readFlac(blob, start) {
+  const tags = emptyTags();
+  let offset = start + 4;
+  let last = false;
+
+  while (!last && offset + 4 <= blob.size) {
+    const header = await readBytes(blob, offset, offset + 4);
+    last = (header[0] & 0x80) !== 0;
+    const type = header[0] & 0x7f;
+    const length = (header[1] << 16) | (header[2] << 8) | header[3];
+    offset += 4;
+
+    if (type === 0 || type === 4 || type === 6) {
+      const block = await readBytes(blob, offset, offset + length);
+      if (type === 0) {
+        const sampleRate = (block[10] << 12) | (block[11] << 4) | (block[12] >> 4);
+        const totalSamples = (block[13] & 0x0f) * 2 ** 32 + uint32BE(block, 14);
+        if (sampleRate > 0) tags.duration = totalSamples / sampleRate;
+      } else if (type === 4) {
+        parseVorbisComment(block, tags);
+      } else if (!tags.picture) {
+        tags.picture = parseFlacPicture(block);
+      }
+    }
+    offset += length;
+  }
+  return tags;
+}
+
+/**
+ * Split the start of an Ogg stream into packets
+ * @private
+ */
+function readOggPackets(bytes, wanted) {
+  const packets = [];
+  let current = [];
+  let offset = 0;
+
+  while (packets.length < wanted && offset + 27 <= bytes.length && ascii(bytes, offset, 4) === 'OggS') {
+    const segments = bytes[offset + 26];
+    let dataOffset = offset + 27 + segments;
+    for (let i = 0; i < segments; i++) {
+      const length = bytes[offset + 27 + i];
+      current.push(bytes.subarray(dataOffset, dataOffset + length));
+      dataOffset += length;
+      if (length < 255) {
+        const packet = new Uint8Array(current.reduce((sum, part) => sum + part.length, 0));
+        current.reduce((position, part) => (packet.set(part, position), position + part.length), 0);
+        packets.push(packet);
+        current = [];
+      }
+    }
+    offset = dataOffset;
+  }
+  return packets;
+}
+
+/**
+ * Read Ogg Vorbis/Opus headers and the final granule position for the duration
+ * @private
+ */
+async function readOgg(blob) {
+  const tags = emptyTags();
+  const head = await readBytes(blob, 0, Math.min(blob.size, OGG_HEADER_LIMIT));
+  const [ident, comments] = readOggPackets(head, 2);
+  if (!ident || !comments) return tags;
+
+  let sampleRate = 0;
+  let preSkip = 0;
+  if (ascii(ident, 1, 6) === 'vorbis') {
+    sampleRate = uint32LE(ident, 12);
+    if (ascii(comments, 1, 6) === 'vorbis') parseVorbisComment(comments.subarray(7), tags);
+  } else if (ascii(ident, 0, 8) === 'OpusHead') {
+    sampleRate = 48000; // Opus granule positions always count 48 kHz samples
+    preSkip = ident[10] | (ident[11] << 8);
+    if (ascii(comments, 0, 8) === 'OpusTags') parseVorbisComment(comments.subarray(8), tags);
+  }
+
+  // The last page's granule position is the total sample count
+  const tail = await readBytes(blob, Math.max(0, blob.size - 65536), blob.size);
+  for (let i = tail.length - 27; i >= 0; i--) {
+    if (tail[i] === 0x4f && ascii(tail, i, 4) === 'OggS') {
+      const granule = uint32LE(tail, i + 6) + uint32LE(tail, i + 10) * 2 ** 32;
+      if (sampleRate > 0) tags.duration = Math.max(0, granule - preSkip) / sampleRate;
+      break;
+    }
+  }
+  return tags;
+}
+
+// ========================================
+// ENTRY POINT
+// ========================================
+
+/**
+ * Read tags from an audio file
+ * @param {Blob} blob - Audio file
+ * @returns {Promise<Object>} { title, artist, album, genre, duration, picture }
+ */
+async function readTags(blob) {
+  try {
+    const head = await readBytes(blob, 0, 10);
+    const magic = ascii(head, 0, 4);
+
+    if (ascii(head, 0, 3) === 'ID3') {
+      const tagEnd = 10 + syncsafe(head, 6);
+      // FLAC files occasionally carry an ID3 tag in front of their own metadata
+      const next = await readBytes(blob, tagEnd, tagEnd + 4);
+      if (ascii(next, 0, 4) === 'fLaC') {
+        const flacTags = await readFlac(blob, tagEnd);
+        const id3Tags = parseId3v2(await readBytes(blob, 0, tagEnd));
+        return { ...id3Tags, ...Object.fromEntries(Object.entries(flacTags).filter(([, value]) => value)) };
+      }
+      return parseId3v2(await readBytes(blob, 0, tagEnd));
+    }
+    if (magic === 'fLaC') return await readFlac(blob, 0);
+    if (magic === 'OggS') return await readOgg(blob);
+
+    return parseId3v1(await readBytes(blob, Math.max(0, blob.size - 128), blob.size)) || emptyTags();
+  } catch (error) {
+    console.warn('[AudioTags] Could not read tags:', error);
+    return emptyTags();
+  }
+}
+
+// ES6 Export
+export { readTags, parseId3v2, parseId3v1, parseVorbisComment, ID3_GENRES };
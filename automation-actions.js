@@ -0,0 +1,155 @@
+/**
+ * Automation Actions
+ * Declarative actions shared by schedules and rules.
+ *
+ * Action formats:
+ * - { type: 'lights', room?, deviceId?, set: { on?, brightness? } }  (all lights when no room/device)
+ * - { type: 'climate', deviceId?, set: { mode?, targetTemperature?, targetLow?, targetHigh? } }
+ * - { type: 'device', deviceId, set: { ... } }
+ * - { type: 'playback', command: 'play' | 'pause' | 'stop' | 'next' }
+ * - { type: 'scene', sceneId }
+ * - { type: 'fade', room?, deviceId?, brightness, duration, easing? }  (duration in seconds)
+ * - { type: 'sunrise', room?, deviceId?, duration?, music?, playlistId? }  (0 → 100% over 30 min, then play
+ *   the playlist, or the current queue when none is set)
+ *
+ * Fades and sunrises run in the background: the action resolves once the
+ * fade has started so a long ramp doesn't hold up other schedules.
+ */
+
+const ACTION_TYPES = ['lights', 'climate', 'device', 'playback', 'scene', 'fade', 'sunrise'];
+const SUNRISE_DURATION = 30 * 60;
+
+const formatDuration = (seconds) =>
+  seconds >= 60 ? `${Math.round(seconds / 60)} min` : `${seconds} s`;
+const PLAYBACK_COMMANDS = ['play', 'pause', 'stop', 'next'];
+
+/**
+ * Describe an action in a few words for lists and logs
+ * @param {Object} action - Action
+ * @param {Object} context - { registry, scenes, playlists } used to look up names
+ * @returns {string} Description
+ */
+function describeAction(action, { registry = null, scenes = null, playlists = null } = {}) {
+  const set = action.set || {};
+  const deviceName = (id) => registry?.getDevice(id)?.name || id;
+  const lightsName = () => (action.deviceId ? deviceName(action.deviceId) : action.room ? `${action.room} lights` : 'All lights');
+
+  switch (action.type) {
+    case 'lights': {
+      const target = lightsName();
+      if (set.on === false) return `${target} off`;
+      if (Number.isFinite(set.brightness)) return `${target} to ${set.brightness}%`;
+      return `${target} on`;
+    }
+    case 'climate': {
+      const target = action.deviceId ? deviceName(action.deviceId) : 'Thermostats';
+      if (set.mode === 'off') return `${target} off`;
+      if (Number.isFinite(set.targetTemperature)) return `${target} to ${set.targetTemperature}°F`;
+      if (Number.isFinite(set.targetLow)) return `${target} to ${set.targetLow}–${set.targetHigh}°F`;
+      return `${target} to ${set.mode}`;
+    }
+    case 'device':
+      return `${deviceName(action.deviceId)}: ${Object.entries(set).map(([k, v]) => `${k} ${v}`).join(', ')}`;
+    case 'playback':
+      return { play: 'Start music', pause: 'Pause music', stop: 'Stop music', next: 'Next track' }[action.command] || action.command;
+    case 'scene':
+      return `Scene: ${scenes?.getScene(action.sceneId)?.name || action.sceneId}`;
+    case 'fade':
+      return `${lightsName()} fade to ${action.brightness}% over ${formatDuration(action.duration)}`;
+    case 'sunrise': {
+      const music = action.playlistId ? playlists?.getPlaylist(action.playlistId)?.name || action.playlistId : 'music';
+      return `Sunrise: ${lightsName()} over ${formatDuration(action.duration || SUNRISE_DURATION)}${action.music === false ? '' : `, then ${music}`}`;
+    }
+    default:
+      return action.type;
+  }
+}
+
+/**
+ * Create a function that carries out actions against the home
+ * @param {Object} context
+ * @param {DeviceRegistry} context.registry - Devices
+ * @param {IndependentMusicPlayer} context.player - Music player
+ * @param {SceneManager} context.scenes - Scenes (optional)
+ * @param {LightFader} context.fader - Light fades (optional)
+ * @param {PlaylistManager} context.playlists - Saved playlists (optional)
+ * @returns {Function} async runAction(action) -> boolean (whether it fully succeeded)
+ */
+function createActionRunner({ registry, player, scenes = null, fader = null, playlists = null }) {
+  const setDevices = async (devices, patch) => {
+    const results = await Promise.all(devices.map((device) => registry.setDeviceState(device.id, patch)));
+    return results.every(Boolean);
+  };
+
+  const getLights = (action) => {
+    if (action.deviceId) return [registry.getDevice(action.deviceId)].filter(Boolean);
+    if (action.room) return registry.getRoomLights(action.room);
+    return registry.getDevices('light');
+  };
+
+  // A sunrise's playlist replaces the queue; without one the queue plays from the top
+  const playSunriseMusic = async (action) => {
+    if (action.playlistId) {
+      if (!playlists) throw new Error('Playlists are not available');
+      const { tracks } = playlists.resolve(action.playlistId);
+      if (tracks.length === 0) throw new Error(`None of the tracks in playlist ${action.playlistId} are in the library`);
+      player.setPlaylist(tracks);
+    }
+    if (player.playlist.length > 0) await player.play(player.playlist[0]);
+  };
+
+  return async function runAction(action) {
+    const set = action.set || {};
+
+    switch (action.type) {
+      case 'lights': {
+        if (action.deviceId) return registry.setDeviceState(action.deviceId, set);
+        if (action.room) return registry.setRoomLights(action.room, set);
+        return registry.setAllLights(set);
+      }
+      case 'climate': {
+        if (action.deviceId) return registry.setDeviceState(action.deviceId, set);
+        return setDevices(registry.getDevices('thermostat'), set);
+      }
+      case 'device':
+        return registry.setDeviceState(action.deviceId, set);
+      case 'playback': {
+        if (action.command === 'play') return player.isPlaying || player.play();
+        if (action.command === 'pause') player.pause();
+        else if (action.command === 'stop') player.stop();
+        else if (action.command === 'next') await player.nextTrack();
+        else throw new Error(`Unknown playback command: ${action.command}`);
+        return true;
+      }
+      case 'scene': {
+        if (!scenes) throw new Error('Scenes are not available');
+        const { failures } = await scenes.activateScene(action.sceneId);
+        return failures.length === 0;
+      }
+      case 'fade': {
+        if (!fader) throw new Error('Fades are not available');
+        fader.fade(getLights(action), action.brightness, {
+          duration: action.duration * 1000,
+          easing: action.easing || 'ease-in-out',
+        });
+        return true;
+      }
+      case 'sunrise': {
+        if (!fader) throw new Error('Fades are not available');
+        const lights = getLights(action);
+        fader.fade(lights, 100, { duration: (action.duration || SUNRISE_DURATION) * 1000, easing: 'ease-in', from: 0 })
+          .then((completed) => {
+            // Skip the music if someone turned the lights off or changed them mid-ramp
+            if (completed && action.music !== false) return playSunriseMusic(action);
+          })
+          .catch((error) => console.error('[Actions] Sunrise music failed:', error));
+        return lights.length > 0;
+      }
+      default:
+        throw new Error(`Unknown action type: ${action.type}`);
+    }
+  };
+}
+
+// ES6 Export
+export { ACTION_TYPES, PLAYBACK_COMMANDS, createActionRunner, describeAction };
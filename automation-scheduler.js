@@ -0,0 +1,523 @@
+/**
+ * Automation Scheduler
+ * Runs actions on a schedule: cron expressions, weekdays at a time, or
+ * sunrise/sunset with an offset. Sun times are computed offline from the
+ * configured latitude and longitude.
+ *
+ * Schedule format:
+ * {
+ *   id, name, enabled,
+ *   trigger: { type: 'cron', expression: '0 7 * * 1-5' }
+ *          | { type: 'weekly', days: [0-6], time: 'HH:MM' }
+ *          | { type: 'sun', event: 'sunrise' | 'sunset', offsetMinutes, days: [0-6] },
+ *   actions: [action],  // see automation-actions.js
+ *   lastRun,            // ISO timestamp
+ * }
+ * Days are numbered like Date#getDay(): 0 = Sunday.
+ */
+
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Check at least this often so sleep, clock changes, and edits are picked up
+const MAX_TIMER_DELAY = 60 * 1000;
+
+// Runs missed by less than this (e.g. while the tab was throttled) still fire
+const LATE_RUN_GRACE = 5 * 60 * 1000;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 },
+];
+
+/**
+ * Parse one cron field ("*", "5", "1-5", "*\/15", "1,3,5", "9-17/2")
+ * @private
+ */
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+
+  text.split(',').forEach((part) => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step in cron ${name}: "${part}"`);
+
+    let start = min;
+    let end = max;
+    if (range !== '*') {
+      const [from, to] = range.split('-').map(Number);
+      start = from;
+      end = to === undefined ? (stepText === undefined ? from : max) : to;
+    }
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+      throw new Error(`Invalid cron ${name}: "${part}"`);
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  });
+
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression: minute hour day-of-month month day-of-week
+ * @param {string} expression - Cron expression
+ * @returns {Object} Parsed fields as Sets, plus which day fields were restricted
+ */
+function parseCron(expression) {
+  const parts = (expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error('Cron expressions need 5 fields: minute hour day month weekday');
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+
+  // 7 is an alias for Sunday
+  if (dayOfWeek.has(7)) {
+    dayOfWeek.delete(7);
+    dayOfWeek.add(0);
+  }
+
+  // A day field that allows every day (*, */1, 0-6, 1-31, ...) doesn't restrict anything
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    restrictsDayOfMonth: dayOfMonth.size < 31,
+    restrictsDayOfWeek: dayOfWeek.size < 7,
+  };
+}
+
+/**
+ * Find the next time after `from` that matches a cron expression (local time)
+ * @param {string} expression - Cron expression
+ * @param {Date} from - Start time (exclusive)
+ * @returns {Date|null} Next run, or null if none within the next leap-year cycle
+ */
+function nextCronRun(expression, from = new Date()) {
+  const cron = parseCron(expression);
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  // Long enough for a February 29th schedule to come around
+  const limit = from.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+
+  // Like classic cron, a restricted day-of-month OR day-of-week matches
+  const dayMatches = () => {
+    const domMatch = cron.dayOfMonth.has(date.getDate());
+    const dowMatch = cron.dayOfWeek.has(date.getDay());
+    if (cron.restrictsDayOfMonth && cron.restrictsDayOfWeek) return domMatch || dowMatch;
+    return domMatch && dowMatch;
+  };
+
+  while (date.getTime() <= limit) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!dayMatches()) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+/**
+ * Compute sunrise and sunset for a local calendar day
+ * (sunrise equation, accurate to a minute or two)
+ * @param {Date} date - Any time on the day
+ * @param {number} latitude - Degrees, north positive
+ * @param {number} longitude - Degrees, east positive
+ * @returns {{sunrise: Date|null, sunset: Date|null}} Null during polar day or night
+ */
+function getSunTimes(date, latitude, longitude) {
+  const rad = Math.PI / 180;
+  const J2000 = 2451545;
+
+  // Days since J2000 for this calendar day, then shift to the local solar noon
+  const dayNumber = Math.round(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / 86400000 + 2440587.5 - J2000 + 0.5);
+  const meanSolarNoon = dayNumber - longitude / 360;
+
+  const meanAnomaly = (357.5291 + 0.98560028 * meanSolarNoon) % 360;
+  const center = 1.9148 * Math.sin(meanAnomaly * rad)
+    + 0.02 * Math.sin(2 * meanAnomaly * rad)
+    + 0.0003 * Math.sin(3 * meanAnomaly * rad);
+  const eclipticLongitude = (meanAnomaly + center + 180 + 102.9372) % 360;
+  const transit = J2000 + meanSolarNoon
+    + 0.0053 * Math.sin(meanAnomaly * rad)
+    - 0.0069 * Math.sin(2 * eclipticLongitude * rad);
+
+  const declination = Math.asin(Math.sin(eclipticLongitude * rad) * Math.sin(23.4397 * rad));
+  const cosHourAngle = (Math.sin(-0.833 * rad) - Math.sin(latitude * rad) * Math.sin(declination))
+    / (Math.cos(latitude * rad) * Math.cos(declination));
+
+  if (cosHourAngle < -1 || cosHourAngle > 1) {
+    return { sunrise: null, sunset: null };
+  }
+
+  const hourAngle = Math.acos(cosHourAngle) / rad;
+  const toDate = (julian) => new Date((julian - 2440587.5) * 86400000);
+  return {
+    sunrise: toDate(transit - hourAngle / 360),
+    sunset: toDate(transit + hourAngle / 360),
+  };
+}
+
+/**
+ * Find the next run of a schedule's trigger
+ * @param {Object} trigger - Schedule trigger
+ * @param {Date} from - Start time (exclusive)
+ * @param {Object} location - { latitude, longitude }, needed for sun triggers
+ * @returns {Date|null} Next run, or null if it never runs
+ */
+function getNextRun(trigger, from = new Date(), location = null) {
+  if (trigger.type === 'cron') {
+    return nextCronRun(trigger.expression, from);
+  }
+
+  const days = trigger.days?.length ? trigger.days : ALL_DAYS;
+
+  if (trigger.type === 'weekly') {
+    const [hours, minutes] = trigger.time.split(':').map(Number);
+    for (let offset = 0; offset <= 7; offset++) {
+      const candidate = new Date(from.getFullYear(), from.getMonth(), from.getDate() + offset, hours, minutes);
+      if (days.includes(candidate.getDay()) && candidate > from) return candidate;
+    }
+    return null;
+  }
+
+  if (trigger.type === 'sun') {
+    if (!location || !Number.isFinite(location.latitude) || !Number.isFinite(location.longitude)) return null;
+
+    // Look a little past a year ahead to get through polar nights
+    for (let offset = -1; offset <= 370; offset++) {
+      const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() + offset, 12);
+      if (!days.includes(day.getDay())) continue;
+
+      const event = getSunTimes(day, location.latitude, location.longitude)[trigger.event];
+      if (!event) continue;
+
+      const candidate = new Date(event.getTime() + (trigger.offsetMinutes || 0) * 60 * 1000);
+      if (candidate > from) return candidate;
+    }
+    return null;
+  }
+
+  throw new Error(`Unknown trigger type: ${trigger.type}`);
+}
+
+/**
+ * Describe a trigger in a few words, e.g. "Weekdays at 07:00" or "30 min before sunset"
+ * @param {Object} trigger - Schedule trigger
+ * @returns {string} Description
+ */
+function describeTrigger(trigger) {
+  const describeDays = (days) => {
+    if (!days?.length || days.length === 7) return 'Every day';
+    const key = [...days].sort().join(',');
+    if (key === '1,2,3,4,5') return 'Weekdays';
+    if (key === '0,6') return 'Weekends';
+    return [...days].sort().map((day) => DAY_NAMES[day]).join(', ');
+  };
+
+  if (trigger.type === 'cron') return `Cron: ${trigger.expression}`;
+  if (trigger.type === 'weekly') return `${describeDays(trigger.days)} at ${trigger.time}`;
+  if (trigger.type === 'sun') {
+    const offset = trigger.offsetMinutes || 0;
+    const when = offset === 0
+      ? `At ${trigger.event}`
+      : `${Math.abs(offset)} min ${offset < 0 ? 'before' : 'after'} ${trigger.event}`;
+    return `${when}, ${describeDays(trigger.days).toLowerCase()}`;
+  }
+  return trigger.type;
+}
+
+/**
+ * Check a schedule definition
+ * @param {Object} schedule - Schedule
+ * @throws {Error} If the schedule is invalid
+ */
+function validateSchedule(schedule) {
+  if (!(schedule.name || '').trim()) throw new Error('Schedule name is required');
+  if (!Array.isArray(schedule.actions) || schedule.actions.length === 0) {
+    throw new Error('Schedule needs at least one action');
+  }
+
+  const { trigger } = schedule;
+  if (!trigger) throw new Error('Schedule needs a trigger');
+  if (trigger.type === 'cron') {
+    parseCron(trigger.expression);
+  } else if (trigger.type === 'weekly') {
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(trigger.time || '')) throw new Error('Time must be HH:MM');
+  } else if (trigger.type === 'sun') {
+    if (!['sunrise', 'sunset'].includes(trigger.event)) throw new Error('Sun event must be sunrise or sunset');
+    if (!Number.isFinite(trigger.offsetMinutes ?? 0)) throw new Error('Offset must be a number of minutes');
+  } else {
+    throw new Error(`Unknown trigger type: ${trigger.type}`);
+  }
+}
+
+class AutomationScheduler {
+  /**
+   * @param {Object} options
+   * @param {AppStorage} options.storage - Where schedules and the location are saved
+   * @param {Function} options.runAction - async (action) => boolean, see automation-actions.js
+   */
+  constructor({ storage, runAction }) {
+    this.storage = storage;
+    this.runAction = runAction;
+    this.timer = null;
+    this.nextRuns = new Map();
+    this.listeners = {
+      onSchedulesChange: [],
+      onScheduleRun: [],
+    };
+  }
+
+  /**
+   * Get all schedules
+   * @returns {Array} Schedules
+   */
+  getSchedules() {
+    return this.storage.get('schedules', []);
+  }
+
+  /**
+   * Get the location used for sunrise/sunset
+   * @returns {Object|null} { latitude, longitude }
+   */
+  getLocation() {
+    return this.storage.get('settings', {}).location || null;
+  }
+
+  /**
+   * Set the location used for sunrise/sunset
+   * @param {number} latitude - Degrees, north positive
+   * @param {number} longitude - Degrees, east positive
+   */
+  setLocation(latitude, longitude) {
+    if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+      throw new Error('Latitude must be between -90 and 90');
+    }
+    if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+      throw new Error('Longitude must be between -180 and 180');
+    }
+    this.storage.update('settings', { location: { latitude, longitude } });
+    this.reschedule();
+  }
+
+  /**
+   * Get the next run time of a schedule
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Date|null} Next run, or null if disabled or never runs
+   */
+  getNextRun(scheduleId) {
+    return this.nextRuns.get(scheduleId) || null;
+  }
+
+  /**
+   * Add a schedule
+   * @param {Object} schedule - Schedule without an ID
+   * @returns {Object} Saved schedule
+   */
+  addSchedule(schedule) {
+    validateSchedule(schedule);
+    const saved = {
+      enabled: true,
+      ...schedule,
+      id: `schedule-${Date.now().toString(36)}`,
+      name: schedule.name.trim(),
+      lastRun: null,
+    };
+    this.save([...this.getSchedules(), saved]);
+    return saved;
+  }
+
+  /**
+   * Change a schedule
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} changes - Properties to change
+   * @returns {Object} Updated schedule
+   */
+  updateSchedule(scheduleId, changes) {
+    const existing = this.getSchedules().find((schedule) => schedule.id === scheduleId);
+    if (!existing) throw new Error(`Unknown schedule: ${scheduleId}`);
+
+    const updated = { ...existing, ...changes, id: scheduleId };
+    validateSchedule(updated);
+    this.save(this.getSchedules().map((schedule) => (schedule.id === scheduleId ? updated : schedule)));
+    return updated;
+  }
+
+  /**
+   * Enable or disable a schedule
+   * @param {string} scheduleId - Schedule ID
+   * @param {boolean} enabled - Whether it should run
+   */
+  setEnabled(scheduleId, enabled) {
+    return this.updateSchedule(scheduleId, { enabled });
+  }
+
+  /**
+   * Remove a schedule
+   * @param {string} scheduleId - Schedule ID
+   */
+  removeSchedule(scheduleId) {
+    this.save(this.getSchedules().filter((schedule) => schedule.id !== scheduleId));
+  }
+
+  /**
+   * Start running schedules
+   */
+  start() {
+    this.reschedule();
+  }
+
+  /**
+   * Stop running schedules
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Recompute next runs and arm the timer
+   * @private
+   */
+  reschedule(now = new Date()) {
+    this.nextRuns.clear();
+    this.getSchedules().forEach((schedule) => {
+      if (!schedule.enabled) return;
+      try {
+        const next = getNextRun(schedule.trigger, now, this.getLocation());
+        if (next) this.nextRuns.set(schedule.id, next);
+      } catch (error) {
+        console.error(`[Scheduler] Could not schedule "${schedule.name}":`, error);
+      }
+    });
+    this.armTimer();
+  }
+
+  /**
+   * @private
+   */
+  armTimer() {
+    clearTimeout(this.timer);
+    const soonest = Math.min(...[...this.nextRuns.values()].map((date) => date.getTime()));
+    const delay = Math.max(0, Math.min(soonest - Date.now(), MAX_TIMER_DELAY));
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  /**
+   * Run every schedule that is due, then schedule the next check
+   * @private
+   */
+  async tick() {
+    const now = new Date();
+    const due = this.getSchedules().filter((schedule) => {
+      const next = this.nextRuns.get(schedule.id);
+      return schedule.enabled && next && next <= now;
+    });
+
+    for (const schedule of due) {
+      const scheduledFor = this.nextRuns.get(schedule.id);
+      if (now - scheduledFor > LATE_RUN_GRACE) {
+        console.warn(`[Scheduler] Skipping missed run of "${schedule.name}" from ${scheduledFor.toLocaleString()}`);
+        continue;
+      }
+      await this.runSchedule(schedule);
+    }
+
+    // Pick up schedules edited in another tab and clock changes
+    this.reschedule(now);
+  }
+
+  /**
+   * Run a schedule's actions now
+   * @param {Object} schedule - Schedule
+   * @returns {Promise<boolean>} Whether every action succeeded
+   */
+  async runSchedule(schedule) {
+    let success = true;
+    for (const action of schedule.actions) {
+      try {
+        success = (await this.runAction(action)) !== false && success;
+      } catch (error) {
+        console.error(`[Scheduler] Action failed in "${schedule.name}":`, error);
+        success = false;
+      }
+    }
+
+    const lastRun = new Date().toISOString();
+    this.storage.set(
+      'schedules',
+      this.getSchedules().map((s) => (s.id === schedule.id ? { ...s, lastRun } : s))
+    );
+    console.log(`[Scheduler] Ran "${schedule.name}"${success ? '' : ' with errors'}`);
+    this.emit('onScheduleRun', { schedule, success, lastRun });
+    return success;
+  }
+
+  /**
+   * @private
+   */
+  save(schedules) {
+    this.storage.set('schedules', schedules);
+    this.reschedule();
+    this.emit('onSchedulesChange', { schedules });
+  }
+
+  /**
+   * Register event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  on(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].push(callback);
+    }
+  }
+
+  /**
+   * Remove event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  off(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter((cb) => cb !== callback);
+    }
+  }
+
+  /**
+   * Emit event
+   * @private
+   */
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach((callback) => callback(data));
+    }
+  }
+}
+
+// ES6 Export
+export {
+  AutomationScheduler,
+  DAY_NAMES,
+  describeTrigger,
+  getNextRun,
+  getSunTimes,
+  nextCronRun,
+  parseCron,
+  validateSchedule,
+};
@@ -0,0 +1,104 @@
+/**
+ * Command Queue
+ * Device commands that couldn't reach the hub, kept in IndexedDB until it
+ * is back. Each command is stored as
+ * { id, hubUrl, deviceId, patch, issuedAt }
+ * with id increasing, so commands replay in the order they were given.
+ *
+ * Commands are replayed by the page (see DeviceRegistry.replayQueue) and, in
+ * browsers with Background Sync, by the service worker (sw.js) even after
+ * the app is closed. Both send issuedAt with each command, so the hub can
+ * refuse one the device has been changed since, and both hold the same Web
+ * Lock while replaying, so a command is never sent twice.
+ */
+
+const DB_NAME = 'homeharmony-commands'; // Shared with sw.js
+const DB_VERSION = 1;
+const STORE = 'commands';
+const SYNC_TAG = 'homeharmony-commands'; // Background Sync tag and lock name, shared with sw.js
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @private
+ */
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+class CommandQueue {
+  /**
+   * @param {Object} options
+   * @param {string} options.hubUrl - Hub the commands are for; commands for other hubs are left alone
+   */
+  constructor({ hubUrl }) {
+    this.hubUrl = hubUrl.replace(/\/+$/, '');
+    this.db = null;
+  }
+
+  /**
+   * Open the database
+   * @returns {Promise<Array>} Commands waiting from earlier visits
+   */
+  async open() {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+    };
+    this.db = await promisify(request);
+    return this.getAll();
+  }
+
+  /**
+   * Queue a command
+   * @param {string} deviceId - Device ID
+   * @param {Object} patch - Partial state
+   * @returns {Promise<Object>} The stored command
+   */
+  async add(deviceId, patch) {
+    const command = { hubUrl: this.hubUrl, deviceId, patch, issuedAt: new Date().toISOString() };
+    command.id = await promisify(this.db.transaction(STORE, 'readwrite').objectStore(STORE).add(command));
+    this.requestSync();
+    return command;
+  }
+
+  /**
+   * Get the waiting commands, oldest first
+   * @returns {Promise<Array>}
+   */
+  async getAll() {
+    const commands = await promisify(this.db.transaction(STORE).objectStore(STORE).getAll());
+    return commands.filter((command) => command.hubUrl === this.hubUrl);
+  }
+
+  /**
+   * Forget a command once it has been delivered or refused
+   * @param {number} id - Command ID
+   */
+  async remove(id) {
+    await promisify(this.db.transaction(STORE, 'readwrite').objectStore(STORE).delete(id));
+  }
+
+  /**
+   * Run a function while no one else is replaying commands
+   * @param {Function} callback - Async function to run
+   */
+  async withLock(callback) {
+    if (navigator.locks) return navigator.locks.request(SYNC_TAG, callback);
+    return callback();
+  }
+
+  /**
+   * Ask the service worker to replay the queue when the browser is back online
+   * @private
+   */
+  requestSync() {
+    navigator.serviceWorker?.getRegistration()
+      .then((registration) => registration?.sync?.register(SYNC_TAG))
+      .catch((error) => console.warn('[CommandQueue] Background sync unavailable:', error.message));
+  }
+}
+
+// ES6 Export
+export { CommandQueue, SYNC_TAG };
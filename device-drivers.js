@@ -0,0 +1,887 @@
+/**
+ * Device Drivers
+ * Adapter layer between the HomeHarmony cards and real (or simulated) devices.
+ *
+ * Every driver implements the same interface:
+ * - connect()                 -> Promise<Array<{ id, type, name, room, capabilities?, power?, state }>>
+ * - getState(deviceId)        -> Promise<Object>
+ * - setState(deviceId, patch, { issuedAt }?) -> Promise<Object> (the device's new state)
+ * - subscribe(listener)       -> unsubscribe function, listener(deviceId, state)
+ *
+ * Drivers:
+ * - SimulatedDriver: in-memory devices, no network needed
+ * - RestDriver: JSON over HTTP, e.g. the mock hub in mock/hub-server.js
+ * - HomeAssistantDriver: lights and climate entities of a Home Assistant server
+ * - HueDriver: lights on a Philips Hue bridge
+ */
+
+import { normalizeThermostatState, validateThermostatPatch } from './thermostat.js';
+import { validateLightColorPatch } from './light-color.js';
+import { RealtimeClient } from './realtime-client.js';
+import {
+  AREAS_TEMPLATE,
+  entityToDevice,
+  entityToState,
+  getTemperatureUnit,
+  isSupportedEntity,
+  patchToServiceCalls,
+} from './home-assistant.js';
+import {
+  applyLightUpdate,
+  applyV1State,
+  getRoomNames,
+  getV1RoomNames,
+  lightToDevice,
+  lightToState,
+  mergeResource,
+  patchToLightUpdate,
+  patchToV1State,
+  v1LightToDevice,
+  v1LightToState,
+} from './hue.js';
+
+/**
+ * Devices used when no other configuration is provided
+ */
+const DEFAULT_DEVICES = [
+  {
+    id: 'living-room-ceiling',
+    type: 'light',
+    name: 'Ceiling Light',
+    room: 'Living Room',
+    capabilities: ['brightness', 'colorTemperature'],
+    power: { on: 18 },
+    state: { on: false, brightness: 100, colorMode: 'ct', colorTemperature: 3000 },
+  },
+  {
+    id: 'living-room-lamp',
+    type: 'light',
+    name: 'Floor Lamp',
+    room: 'Living Room',
+    capabilities: ['brightness', 'colorTemperature', 'color'],
+    power: { on: 10 },
+    state: {
+      on: false,
+      brightness: 60,
+      colorMode: 'ct',
+      colorTemperature: 2700,
+      color: { hue: 30, saturation: 70 },
+    },
+  },
+  {
+    id: 'living-room-thermostat',
+    type: 'thermostat',
+    name: 'Downstairs Thermostat',
+    room: 'Living Room',
+    state: {
+      currentTemperature: 77,
+      targetTemperature: 78,
+      targetLow: 68,
+      targetHigh: 78,
+      mode: 'cool',
+      minTemperature: 50,
+      maxTemperature: 90,
+    },
+  },
+  {
+    id: 'living-room-fan',
+    type: 'fan',
+    name: 'Ceiling Fan',
+    room: 'Living Room',
+    power: { on: 45 },
+    state: { on: false },
+  },
+  {
+    id: 'kitchen-pendants',
+    type: 'light',
+    name: 'Pendants',
+    room: 'Kitchen',
+    capabilities: ['brightness', 'colorTemperature'],
+    power: { on: 24 },
+    state: {
+      on: false,
+      brightness: 100,
+      colorMode: 'ct',
+      colorTemperature: 4000,
+      minColorTemperature: 2700,
+      maxColorTemperature: 5000,
+    },
+  },
+  {
+    id: 'kitchen-under-cabinet',
+    type: 'light',
+    name: 'Under Cabinet',
+    room: 'Kitchen',
+    capabilities: ['brightness'],
+    power: { on: 12 },
+    state: { on: false, brightness: 80 },
+  },
+  {
+    id: 'bedroom-lamp',
+    type: 'light',
+    name: 'Bedside Lamp',
+    room: 'Bedroom',
+    capabilities: ['brightness', 'colorTemperature', 'color'],
+    power: { on: 8 },
+    state: {
+      on: false,
+      brightness: 40,
+      colorMode: 'hs',
+      colorTemperature: 2700,
+      color: { hue: 280, saturation: 50 },
+    },
+  },
+  {
+    id: 'bedroom-thermostat',
+    type: 'thermostat',
+    name: 'Upstairs Thermostat',
+    room: 'Bedroom',
+    power: { heating: 2500, cooling: 2000, idle: 3 },
+    state: {
+      currentTemperature: 70,
+      targetTemperature: 72,
+      targetLow: 66,
+      targetHigh: 74,
+      mode: 'heat',
+      minTemperature: 50,
+      maxTemperature: 90,
+    },
+  },
+];
+
+/**
+ * Error raised when a device rejects or cannot receive a command.
+ * code is 'offline' when the hub couldn't be reached (the command may be
+ * retried), 'unauthorized' when the hub refused the credentials, or
+ * 'conflict' when the device changed after the command was issued; state
+ * then holds the device's reported state.
+ */
+class DeviceCommandError extends Error {
+  constructor(message, { deviceId = null, cause = null, code = null, state = null } = {}) {
+    super(message);
+    this.name = 'DeviceCommandError';
+    this.deviceId = deviceId;
+    this.cause = cause;
+    this.code = code;
+    this.state = state;
+  }
+}
+
+/**
+ * Check a state patch against the device type
+ * @param {Object} device - Device descriptor
+ * @param {Object} patch - Partial state
+ * @throws {DeviceCommandError} If the patch is invalid for the device
+ */
+function validatePatch(device, patch) {
+  const fail = (message) => {
+    throw new DeviceCommandError(message, { deviceId: device.id });
+  };
+
+  if (!patch || typeof patch !== 'object') fail('State patch must be an object');
+
+  if (device.type === 'light') {
+    if ('on' in patch && typeof patch.on !== 'boolean') fail('Light "on" must be a boolean');
+    if ('brightness' in patch) {
+      const { brightness } = patch;
+      if (!Number.isFinite(brightness) || brightness < 0 || brightness > 100) {
+        fail('Light brightness must be between 0 and 100');
+      }
+    }
+    const error = validateLightColorPatch(device, patch);
+    if (error) fail(error);
+  } else if (device.type === 'fan') {
+    if ('on' in patch && typeof patch.on !== 'boolean') fail('Fan "on" must be a boolean');
+  } else if (device.type === 'thermostat') {
+    if ('hvacAction' in patch) fail('Thermostat hvacAction is reported by the device');
+    const error = validateThermostatPatch(device.state, patch);
+    if (error) fail(error);
+  }
+}
+
+/**
+ * Base class for device drivers
+ */
+class DeviceDriver {
+  constructor() {
+    this.subscribers = new Set();
+  }
+
+  /**
+   * Connect to the devices and discover them
+   * @returns {Promise<Array>} Device descriptors with their current state
+   */
+  async connect() {
+    throw new Error(`${this.constructor.name} does not implement connect()`);
+  }
+
+  /**
+   * Read the current state of a device
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<Object>} Device state
+   */
+  async getState(deviceId) {
+    throw new Error(`${this.constructor.name} does not implement getState()`);
+  }
+
+  /**
+   * Change the state of a device
+   * @param {string} deviceId - Device ID
+   * @param {Object} patch - Partial state to apply
+   * @param {Object} options
+   * @param {string} options.issuedAt - When the command was given (ISO time), for commands sent late
+   * @returns {Promise<Object>} The device's new state
+   */
+  async setState(deviceId, patch, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement setState()`);
+  }
+
+  /**
+   * Listen for device state changes
+   * @param {Function} listener - Called with (deviceId, state)
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.subscribers.add(listener);
+    return () => this.subscribers.delete(listener);
+  }
+
+  /**
+   * Notify subscribers of a state change
+   * @private
+   */
+  notify(deviceId, state) {
+    this.subscribers.forEach((listener) => {
+      try {
+        listener(deviceId, { ...state });
+      } catch (error) {
+        console.error('[DeviceDriver] Subscriber error:', error);
+      }
+    });
+  }
+}
+
+/**
+ * In-memory driver, used for demos and when no hub is configured
+ */
+class SimulatedDriver extends DeviceDriver {
+  /**
+   * @param {Object} options
+   * @param {Array} options.devices - Initial devices (defaults to DEFAULT_DEVICES)
+   * @param {number} options.latency - Simulated command latency in ms
+   * @param {number} options.climateInterval - How often thermostats move toward their setpoint in ms (0 disables)
+   * @param {number} options.ambientTemperature - Temperature idle rooms drift toward, in °F
+   */
+  constructor({ devices = DEFAULT_DEVICES, latency = 0, climateInterval = 0, ambientTemperature = 75 } = {}) {
+    super();
+    this.latency = latency;
+    this.ambientTemperature = ambientTemperature;
+    this.devices = new Map(
+      devices.map((device) => [device.id, { ...device, state: this.normalizeState(device, device.state) }])
+    );
+
+    if (climateInterval > 0) {
+      this.climateTimer = setInterval(() => this.simulateClimate(), climateInterval);
+      this.climateTimer.unref?.();
+    }
+  }
+
+  /**
+   * Move each room's temperature one step according to its HVAC action
+   * @private
+   */
+  simulateClimate() {
+    this.devices.forEach((device) => {
+      if (device.type !== 'thermostat') return;
+
+      const { currentTemperature: current, hvacAction } = device.state;
+      let next = current;
+      if (hvacAction === 'heating') next = current + 0.5;
+      else if (hvacAction === 'cooling') next = current - 0.5;
+      else if (Math.abs(current - this.ambientTemperature) >= 0.25) {
+        next = current + Math.sign(this.ambientTemperature - current) * 0.25;
+      }
+
+      if (next !== current) {
+        device.state = this.normalizeState(device, { ...device.state, currentTemperature: next });
+        this.notify(device.id, device.state);
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  normalizeState(device, state) {
+    return device.type === 'thermostat' ? normalizeThermostatState(state) : { ...state };
+  }
+
+  async connect() {
+    await this.delay();
+    return [...this.devices.values()].map((device) => ({ ...device, state: { ...device.state } }));
+  }
+
+  async getState(deviceId) {
+    await this.delay();
+    return { ...this.getDevice(deviceId).state };
+  }
+
+  async setState(deviceId, patch) {
+    const device = this.getDevice(deviceId);
+    validatePatch(device, patch);
+    await this.delay();
+
+    device.state = this.normalizeState(device, { ...device.state, ...patch });
+    this.notify(deviceId, device.state);
+    return { ...device.state };
+  }
+
+  /**
+   * @private
+   */
+  getDevice(deviceId) {
+    const device = this.devices.get(deviceId);
+    if (!device) throw new DeviceCommandError(`Unknown device: ${deviceId}`, { deviceId });
+    return device;
+  }
+
+  /**
+   * @private
+   */
+  delay() {
+    return this.latency > 0 ? new Promise((resolve) => setTimeout(resolve, this.latency)) : Promise.resolve();
+  }
+}
+
+/**
+ * REST/JSON driver for a hub exposing:
+ * - GET   /devices             -> [{ id, type, name, room, state, updatedAt? }]
+ * - GET   /devices/:id         -> { id, type, name, room, state, updatedAt? }
+ * - PATCH /devices/:id/state   -> new state, or 409 { error, state } if the device
+ *                                 was changed after the X-Command-Issued-At header
+ * Subscribers are fed by a RealtimeClient (realtime-client.js) when one is
+ * given, and by polling while it isn't connected. After every (re)connect the
+ * hub is polled once, for changes made while nothing was listening.
+ */
+class RestDriver extends DeviceDriver {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - Hub URL, e.g. http://localhost:8787
+   * @param {number} options.pollInterval - Polling interval in ms
+   * @param {number} options.timeout - Request timeout in ms
+   * @param {RealtimeClient} options.realtime - Pushed state updates, if the hub offers them
+   */
+  constructor({ baseUrl, pollInterval = 5000, timeout = 5000, realtime = null } = {}) {
+    super();
+    if (!baseUrl) throw new Error('RestDriver requires a baseUrl');
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.pollInterval = pollInterval;
+    this.timeout = timeout;
+    this.realtime = realtime;
+    this.label = 'Hub'; // What error messages and the app call the server
+    this.pollTimer = null;
+    this.lastStates = new Map();
+    this.handlePush = ({ deviceId, state }) => this.update(deviceId, state);
+    this.handleRealtimeStatus = ({ status }) => {
+      if (status === 'connected') this.poll();
+    };
+  }
+
+  async connect() {
+    const devices = await this.request('GET', '/devices');
+    devices.forEach((device) => this.lastStates.set(device.id, JSON.stringify(device.state)));
+    return devices;
+  }
+
+  async getState(deviceId) {
+    const device = await this.request('GET', `/devices/${encodeURIComponent(deviceId)}`, null, deviceId);
+    return device.state;
+  }
+
+  async setState(deviceId, patch, { issuedAt = new Date().toISOString() } = {}) {
+    // The hub refuses the command with a 409 if the device changed after issuedAt
+    const state = await this.request(
+      'PATCH',
+      `/devices/${encodeURIComponent(deviceId)}/state`,
+      patch,
+      deviceId,
+      { 'X-Command-Issued-At': issuedAt }
+    );
+    this.lastStates.set(deviceId, JSON.stringify(state));
+    this.notify(deviceId, state);
+    return state;
+  }
+
+  subscribe(listener) {
+    const unsubscribe = super.subscribe(listener);
+    if (!this.pollTimer) {
+      this.pollTimer = setInterval(() => {
+        if (!this.realtime?.isConnected()) this.poll();
+      }, this.pollInterval);
+      if (this.realtime) {
+        this.realtime.on('onDeviceState', this.handlePush);
+        this.realtime.on('onStatusChange', this.handleRealtimeStatus);
+        this.realtime.connect();
+      }
+    }
+
+    return () => {
+      unsubscribe();
+      if (this.subscribers.size === 0 && this.pollTimer) {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+        if (this.realtime) {
+          this.realtime.off('onDeviceState', this.handlePush);
+          this.realtime.off('onStatusChange', this.handleRealtimeStatus);
+          this.realtime.close();
+        }
+      }
+    };
+  }
+
+  /**
+   * Fetch all devices and notify subscribers about the ones that changed
+   * @private
+   */
+  async poll() {
+    try {
+      const devices = await this.request('GET', '/devices');
+      devices.forEach((device) => this.update(device.id, device.state));
+    } catch (error) {
+      console.warn('[RestDriver] Poll failed:', error.message);
+    }
+  }
+
+  /**
+   * Notify subscribers if a device's state differs from what they last saw
+   * @private
+   */
+  update(deviceId, state) {
+    const serialized = JSON.stringify(state);
+    if (this.lastStates.get(deviceId) !== serialized) {
+      this.lastStates.set(deviceId, serialized);
+      this.notify(deviceId, state);
+    }
+  }
+
+  /**
+   * Send a JSON request to the hub
+   * @private
+   */
+  async request(method, path, body = null, deviceId = null, headers = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json', ...headers } : headers,
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal,
+      });
+    } catch (error) {
+      const reason = error.name === 'AbortError' ? `${this.label} did not respond` : `${this.label} unreachable`;
+      throw new DeviceCommandError(reason, { deviceId, cause: error, code: 'offline' });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const data = await response.json().catch(() => null);
+    if (response.status === 401 || response.status === 403) {
+      throw new DeviceCommandError(data?.error || `${this.label} refused the credentials`, { deviceId, code: 'unauthorized' });
+    }
+    if (response.status === 409) {
+      const message = data?.error || 'Device changed since the command was given';
+      throw new DeviceCommandError(message, { deviceId, code: 'conflict', state: data?.state || null });
+    }
+    if (!response.ok) {
+      // Hubs put the reason in "error"; Home Assistant in "message"; Hue bridges in "errors"
+      const message = data?.error || data?.message || data?.errors?.[0]?.description || `${this.label} error (${response.status})`;
+      throw new DeviceCommandError(message, { deviceId });
+    }
+    return data;
+  }
+}
+
+/**
+ * Driver for Home Assistant's REST API, with its WebSocket API for updates:
+ * - GET  /api/config, /api/states, /api/states/:entityId
+ * - POST /api/services/:domain/:service -> the states that changed
+ * - POST /api/template                  -> area names, for rooms
+ * light.* and climate.* entities are imported; see home-assistant.js for how
+ * they map to devices. Requests carry a long-lived access token, created
+ * under the user's profile in Home Assistant.
+ */
+class HomeAssistantDriver extends RestDriver {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - Home Assistant URL, e.g. http://homeassistant.local:8123
+   * @param {string} options.accessToken - Long-lived access token
+   * @param {number} options.pollInterval - Polling interval in ms while the WebSocket is down
+   * @param {number} options.timeout - Request timeout in ms
+   */
+  constructor({ baseUrl, accessToken, pollInterval = 10000, timeout = 5000 } = {}) {
+    if (!accessToken) throw new Error('HomeAssistantDriver requires an access token');
+    super({
+      baseUrl,
+      pollInterval,
+      timeout,
+      realtime: new RealtimeClient({
+        url: `${baseUrl.replace(/^http/, 'ws').replace(/\/+$/, '')}/api/websocket`,
+        protocol: 'homeassistant',
+        accessToken,
+      }),
+    });
+    this.accessToken = accessToken;
+    this.label = 'Home Assistant';
+    this.unit = 'C'; // Home Assistant's temperature unit
+    this.devices = new Map();
+    this.entities = new Map(); // Entity ID -> latest Home Assistant state object
+    this.handlePush = ({ deviceId, state: entity }) => {
+      if (this.devices.has(deviceId)) this.update(deviceId, this.translate(entity));
+    };
+  }
+
+  async connect() {
+    this.unit = getTemperatureUnit(await this.request('GET', '/api/config'));
+    const [entities, areas] = await Promise.all([
+      this.request('GET', '/api/states'),
+      this.request('POST', '/api/template', { template: AREAS_TEMPLATE }).catch((error) => {
+        console.warn('[HomeAssistantDriver] Could not read areas:', error.message);
+        return null;
+      }),
+    ]);
+
+    this.devices.clear();
+    this.entities.clear();
+    return entities.filter(isSupportedEntity).map((entity) => {
+      const device = entityToDevice(entity, { unit: this.unit, areas: areas || {} });
+      this.devices.set(device.id, device);
+      this.entities.set(entity.entity_id, entity);
+      this.lastStates.set(device.id, JSON.stringify(device.state));
+      return { ...device, state: { ...device.state } };
+    });
+  }
+
+  async getState(deviceId) {
+    this.getDevice(deviceId);
+    const entity = await this.request('GET', `/api/states/${encodeURIComponent(deviceId)}`, null, deviceId);
+    return this.translate(entity);
+  }
+
+  async setState(deviceId, patch) {
+    const device = this.getDevice(deviceId);
+    validatePatch(device, patch);
+
+    let entity = null;
+    for (const { domain, service, data } of patchToServiceCalls(this.entities.get(deviceId), patch, this.unit)) {
+      const changed = await this.request('POST', `/api/services/${domain}/${service}`, data, deviceId);
+      entity = (changed || []).find((e) => e.entity_id === deviceId) || entity;
+    }
+
+    // Devices that report back slowly aren't in the response; their state_changed event follows
+    if (!entity) return { ...device.state, ...patch };
+    // What the entity doesn't report (an on/off light's brightness) stays as asked
+    const state = this.translate(entity, { ...device.state, ...patch });
+    this.update(deviceId, state);
+    return state;
+  }
+
+  /**
+   * @private
+   */
+  async poll() {
+    try {
+      const entities = await this.request('GET', '/api/states');
+      entities
+        .filter((entity) => this.devices.has(entity.entity_id))
+        .forEach((entity) => this.update(entity.entity_id, this.translate(entity)));
+    } catch (error) {
+      console.warn('[HomeAssistantDriver] Poll failed:', error.message);
+    }
+  }
+
+  /**
+   * Remember an entity's latest state and convert it to device state
+   * @private
+   */
+  translate(entity, previous = this.devices.get(entity.entity_id)?.state) {
+    const device = this.devices.get(entity.entity_id);
+    const state = entityToState(entity, { unit: this.unit, previous });
+    this.entities.set(entity.entity_id, entity);
+    if (device) device.state = state;
+    return state;
+  }
+
+  /**
+   * @private
+   */
+  getDevice(deviceId) {
+    const device = this.devices.get(deviceId);
+    if (!device) throw new DeviceCommandError(`Unknown device: ${deviceId}`, { deviceId });
+    return device;
+  }
+
+  /**
+   * Send a request with the access token
+   * @private
+   */
+  async request(method, path, body = null, deviceId = null, headers = {}) {
+    try {
+      return await super.request(method, path, body, deviceId, { Authorization: `Bearer ${this.accessToken}`, ...headers });
+    } catch (error) {
+      if (error.code === 'unauthorized') {
+        throw new DeviceCommandError('Home Assistant rejected the access token', { deviceId, code: 'unauthorized' });
+      }
+      throw error;
+    }
+  }
+}
+
+// Pause between commands to a Hue bridge, in ms
+const HUE_COMMAND_SPACING = 100;
+
+// v1 error type for an application key the bridge doesn't know
+const HUE_UNAUTHORIZED_USER = 1;
+
+/**
+ * Driver for a Philips Hue bridge's local API. CLIP v2, over https:
+ * - GET /clip/v2/resource/light, /clip/v2/resource/room, /clip/v2/resource/zone
+ * - PUT /clip/v2/resource/light/:id
+ * - GET /eventstream/clip/v2 -> changes, as server-sent events
+ * or v1, for older bridges and plain http, which has no events and is polled:
+ * - GET /api/:appKey/lights, /api/:appKey/groups
+ * - PUT /api/:appKey/lights/:id/state
+ * Only lights are imported; see hue.js for how they map to devices. The
+ * application key comes from pressing the bridge's link button (pairHueBridge
+ * in hue.js). Bridges drop commands sent faster than about ten a second, so
+ * they are sent one at a time.
+ */
+class HueDriver extends RestDriver {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - Bridge URL, e.g. https://192.168.1.20
+   * @param {string} options.appKey - Application key from pairing
+   * @param {string} options.api - 'v2' or 'v1'
+   * @param {number} options.pollInterval - Polling interval in ms (v1, or while the eventstream is down)
+   * @param {number} options.timeout - Request timeout in ms
+   */
+  constructor({ baseUrl, appKey, api = 'v2', pollInterval = api === 'v1' ? 5000 : 10000, timeout = 5000 } = {}) {
+    if (!appKey) throw new Error('HueDriver requires an application key');
+    if (!['v2', 'v1'].includes(api)) throw new Error(`Unknown Hue API: ${api}`);
+    super({
+      baseUrl,
+      pollInterval,
+      timeout,
+      realtime:
+        api === 'v2'
+          ? new RealtimeClient({
+              url: `${baseUrl.replace(/\/+$/, '')}/eventstream/clip/v2`,
+              protocol: 'hue',
+              headers: { 'hue-application-key': appKey },
+            })
+          : null,
+    });
+    this.appKey = appKey;
+    this.api = api;
+    this.label = 'Hue bridge';
+    this.devices = new Map();
+    this.lights = new Map(); // Light ID -> latest light as the bridge describes it
+    this.commands = Promise.resolve(); // Commands waiting their turn
+    this.handlePush = ({ deviceId, state: update }) => {
+      const light = this.lights.get(deviceId);
+      if (light) this.update(deviceId, this.translate(deviceId, mergeResource(light, update)));
+    };
+  }
+
+  async connect() {
+    this.devices.clear();
+    this.lights.clear();
+
+    let devices;
+    if (this.api === 'v2') {
+      const [lights, rooms, zones] = await Promise.all([
+        this.request('GET', '/clip/v2/resource/light'),
+        this.request('GET', '/clip/v2/resource/room'),
+        this.request('GET', '/clip/v2/resource/zone').catch(() => []),
+      ]);
+      const roomNames = getRoomNames(rooms, zones);
+      devices = lights.map((light) => {
+        this.lights.set(light.id, light);
+        return lightToDevice(light, roomNames);
+      });
+    } else {
+      const [lights, groups] = await Promise.all([
+        this.request('GET', `/api/${this.appKey}/lights`),
+        this.request('GET', `/api/${this.appKey}/groups`),
+      ]);
+      const roomNames = getV1RoomNames(groups);
+      devices = Object.entries(lights).map(([id, light]) => {
+        this.lights.set(id, light);
+        return v1LightToDevice(id, light, roomNames);
+      });
+    }
+
+    return devices.map((device) => {
+      this.devices.set(device.id, device);
+      this.lastStates.set(device.id, JSON.stringify(device.state));
+      return { ...device, state: { ...device.state } };
+    });
+  }
+
+  async getState(deviceId) {
+    this.getDevice(deviceId);
+    const id = encodeURIComponent(deviceId);
+    const light =
+      this.api === 'v2'
+        ? (await this.request('GET', `/clip/v2/resource/light/${id}`, null, deviceId))[0]
+        : await this.request('GET', `/api/${this.appKey}/lights/${id}`, null, deviceId);
+    return this.translate(deviceId, light);
+  }
+
+  async setState(deviceId, patch) {
+    const device = this.getDevice(deviceId);
+    validatePatch(device, patch);
+
+    const id = encodeURIComponent(deviceId);
+    const light = this.lights.get(deviceId);
+    let sent;
+    if (this.api === 'v2') {
+      const update = patchToLightUpdate(patch, device.state, light.dimming?.min_dim_level);
+      if (Object.keys(update).length === 0) return { ...device.state };
+      await this.inTurn(() => this.request('PUT', `/clip/v2/resource/light/${id}`, update, deviceId));
+      sent = applyLightUpdate(light, update);
+    } else {
+      const update = patchToV1State(patch, device.state);
+      if (Object.keys(update).length === 0) return { ...device.state };
+      await this.inTurn(() => this.request('PUT', `/api/${this.appKey}/lights/${id}/state`, update, deviceId));
+      sent = applyV1State(light, update);
+    }
+
+    // The bridge only acknowledges the command; the eventstream confirms it
+    const state = this.translate(deviceId, sent, { ...device.state, ...patch });
+    this.update(deviceId, state);
+    return state;
+  }
+
+  /**
+   * @private
+   */
+  async poll() {
+    try {
+      if (this.api === 'v2') {
+        const lights = await this.request('GET', '/clip/v2/resource/light');
+        lights
+          .filter((light) => this.devices.has(light.id))
+          .forEach((light) => this.update(light.id, this.translate(light.id, light)));
+      } else {
+        const lights = await this.request('GET', `/api/${this.appKey}/lights`);
+        Object.entries(lights)
+          .filter(([id]) => this.devices.has(id))
+          .forEach(([id, light]) => this.update(id, this.translate(id, light)));
+      }
+    } catch (error) {
+      console.warn('[HueDriver] Poll failed:', error.message);
+    }
+  }
+
+  /**
+   * Remember a light as the bridge describes it and convert it to device state
+   * @private
+   */
+  translate(deviceId, light, previous = this.devices.get(deviceId)?.state) {
+    const device = this.devices.get(deviceId);
+    const state = this.api === 'v2' ? lightToState(light, previous) : v1LightToState(light, previous);
+    this.lights.set(deviceId, light);
+    if (device) device.state = state;
+    return state;
+  }
+
+  /**
+   * Run a command after the previous one, leaving the bridge a breather between them
+   * @private
+   */
+  inTurn(send) {
+    const result = this.commands.then(send);
+    this.commands = result
+      .catch(() => {})
+      .then(() => new Promise((resolve) => setTimeout(resolve, HUE_COMMAND_SPACING)));
+    return result;
+  }
+
+  /**
+   * @private
+   */
+  getDevice(deviceId) {
+    const device = this.devices.get(deviceId);
+    if (!device) throw new DeviceCommandError(`Unknown device: ${deviceId}`, { deviceId });
+    return device;
+  }
+
+  /**
+   * Send a request with the application key; returns v2's data, or v1's response
+   * @private
+   */
+  async request(method, path, body = null, deviceId = null, headers = {}) {
+    const rejected = () => new DeviceCommandError('Hue bridge rejected the application key', { deviceId, code: 'unauthorized' });
+    let data;
+    try {
+      // v1 takes the key in the path; its CORS answers don't allow the header
+      const auth = this.api === 'v2' ? { 'hue-application-key': this.appKey } : {};
+      data = await super.request(method, path, body, deviceId, { ...auth, ...headers });
+    } catch (error) {
+      if (error.code === 'unauthorized') throw rejected();
+      throw error;
+    }
+
+    if (this.api === 'v2') return data.data;
+    // v1 answers 200 with a list of errors
+    const error = Array.isArray(data) ? data.find((result) => result.error)?.error : null;
+    if (error?.type === HUE_UNAUTHORIZED_USER) throw rejected();
+    if (error) throw new DeviceCommandError(error.description, { deviceId });
+    return data;
+  }
+}
+
+/**
+ * Create the driver for the given configuration
+ * @param {Object} config
+ * @param {Object} config.homeAssistant - { url, token } of a Home Assistant server; used over hue and hubUrl
+ * @param {Object} config.hue - { url, appKey, api } of a Philips Hue bridge; used over hubUrl
+ * @param {string} config.hubUrl - Hub URL; a simulated driver is used when empty
+ * @param {Object} config.realtime - { url, protocol } of the hub's push channel, if any
+ * @param {Object} config.savedStates - Saved device states by ID, restored into simulated devices
+ * @returns {DeviceDriver}
+ */
+function createDeviceDriver({ homeAssistant = null, hue = null, hubUrl = null, realtime = null, savedStates = {} } = {}) {
+  if (homeAssistant?.url && homeAssistant.token) {
+    return new HomeAssistantDriver({ baseUrl: homeAssistant.url, accessToken: homeAssistant.token });
+  }
+  if (hue?.url && hue.appKey) {
+    return new HueDriver({ baseUrl: hue.url, appKey: hue.appKey, api: hue.api });
+  }
+  if (hubUrl) {
+    return new RestDriver({ baseUrl: hubUrl, realtime: realtime ? new RealtimeClient(realtime) : null });
+  }
+
+  // Real hubs own their state; only simulated devices need restoring
+  const devices = DEFAULT_DEVICES.map((device) => ({
+    ...device,
+    state: { ...device.state, ...savedStates[device.id] },
+  }));
+  return new SimulatedDriver({ devices, climateInterval: 30000 });
+}
+
+// ES6 Export
+export {
+  DEFAULT_DEVICES,
+  DeviceCommandError,
+  DeviceDriver,
+  SimulatedDriver,
+  RestDriver,
+  HomeAssistantDriver,
+  HueDriver,
+  createDeviceDriver,
+  validatePatch,
+};
@@ -0,0 +1,368 @@
+/**
+ * Device Registry
+ * Keeps every known device organized by room and routes commands to the
+ * active device driver. The lighting and temperature cards render from here.
+ *
+ * With a CommandQueue (see command-queue.js), commands that can't reach the
+ * hub are queued instead of failing. The device shows the commanded state
+ * meanwhile and counts as pending until the queue has been replayed; a
+ * command the hub refuses because the device changed since gives way to the
+ * device's reported state. If the hub is already unreachable when the app
+ * opens, the registry starts from the devices saved last time so commands
+ * can still be queued.
+ */
+
+const UNASSIGNED_ROOM = 'Other';
+
+class DeviceRegistry {
+  /**
+   * @param {DeviceDriver} driver - Driver used to reach the devices
+   * @param {Object} options
+   * @param {CommandQueue} options.queue - Where to keep commands while the hub is unreachable
+   * @param {Array} options.savedDevices - Devices as last seen, used with a queue when the hub can't be reached
+   */
+  constructor(driver, { queue = null, savedDevices = [] } = {}) {
+    this.driver = driver;
+    this.queue = queue;
+    this.savedDevices = savedDevices;
+    this.devices = new Map();
+    this.pending = new Map(); // Device ID -> queued patches merged, oldest first
+    this.replaying = null; // Promise of the replay in progress
+    this.unsubscribe = null;
+    this.listeners = {
+      onDeviceChange: [],
+      onCommandError: [],
+      onCommandConflict: [],
+      onQueueChange: [],
+    };
+  }
+
+  /**
+   * Discover devices through the driver and start listening for changes
+   * @returns {Promise<Array>} Loaded devices
+   */
+  async load() {
+    let devices;
+    try {
+      devices = await this.driver.connect();
+    } catch (error) {
+      if (!this.queue || error.code !== 'offline' || this.savedDevices.length === 0) throw error;
+      // The driver's polling reports the real states once the hub is back
+      console.warn('[DeviceRegistry] Hub unreachable; using the devices saved last time:', error.message);
+      devices = this.savedDevices;
+    }
+    this.devices.clear();
+    devices.forEach((device) => {
+      this.devices.set(device.id, {
+        ...device,
+        room: device.room || UNASSIGNED_ROOM,
+        state: { ...device.state },
+      });
+    });
+
+    if (!this.unsubscribe) {
+      this.unsubscribe = this.driver.subscribe((deviceId, state) => {
+        const device = this.devices.get(deviceId);
+        if (!device) return;
+        device.state = this.withPending(deviceId, state);
+        this.emit('onDeviceChange', { device });
+      });
+    }
+
+    // Show what was commanded during an earlier outage until it is delivered
+    await this.refreshPending();
+    this.pending.forEach((patch, deviceId) => {
+      const device = this.devices.get(deviceId);
+      if (device) device.state = this.withPending(deviceId, device.state);
+    });
+
+    return this.getDevices();
+  }
+
+  /**
+   * Get a device by ID
+   * @param {string} deviceId - Device ID
+   * @returns {Object|null} Device
+   */
+  getDevice(deviceId) {
+    return this.devices.get(deviceId) || null;
+  }
+
+  /**
+   * Get all devices, optionally filtered by type
+   * @param {string} type - Device type ('light', 'thermostat')
+   * @returns {Array} Devices
+   */
+  getDevices(type = null) {
+    const devices = [...this.devices.values()];
+    return type ? devices.filter((d) => d.type === type) : devices;
+  }
+
+  /**
+   * Get rooms in discovery order, each with its devices
+   * @param {string} type - Only include rooms with devices of this type
+   * @returns {Array<{name: string, devices: Array}>} Rooms
+   */
+  getRooms(type = null) {
+    const rooms = new Map();
+    this.getDevices(type).forEach((device) => {
+      if (!rooms.has(device.room)) rooms.set(device.room, []);
+      rooms.get(device.room).push(device);
+    });
+    return [...rooms].map(([name, devices]) => ({ name, devices }));
+  }
+
+  /**
+   * Get the lights in a room
+   * @param {string} room - Room name
+   * @returns {Array} Lights
+   */
+  getRoomLights(room) {
+    return this.getDevices('light').filter((d) => d.room === room);
+  }
+
+  /**
+   * Summarize a group of lights as a single on/brightness state
+   * @param {Array} lights - Lights in the group
+   * @returns {Object} { on, brightness } where brightness averages the lights that are on
+   */
+  getGroupState(lights) {
+    const lit = lights.filter((light) => light.state.on);
+    const source = lit.length > 0 ? lit : lights;
+    const brightness = source.length > 0
+      ? Math.round(source.reduce((sum, light) => sum + (light.state.brightness || 0), 0) / source.length)
+      : 0;
+    return { on: lit.length > 0, brightness };
+  }
+
+  /**
+   * Send a command to one device.
+   * Listeners see the change immediately; it is rolled back if the device rejects it.
+   * If the hub can't be reached and there is a queue, the command waits there instead.
+   * @param {string} deviceId - Device ID
+   * @param {Object} patch - Partial state
+   * @returns {Promise<boolean>} Whether the device accepted (or will be sent) the command
+   */
+  async setDeviceState(deviceId, patch) {
+    const device = this.devices.get(deviceId);
+    if (!device) {
+      console.error(`[DeviceRegistry] Unknown device: ${deviceId}`);
+      return false;
+    }
+
+    const previousState = device.state;
+    device.state = { ...previousState, ...patch };
+    this.emit('onDeviceChange', { device });
+
+    try {
+      // Later commands wait behind queued ones, so they all arrive in order
+      if (this.queue && this.pending.size > 0) {
+        await this.enqueue(deviceId, patch);
+        return true;
+      }
+      device.state = this.withPending(deviceId, await this.driver.setState(deviceId, patch));
+      return true;
+    } catch (error) {
+      if (this.queue && error.code === 'offline') {
+        console.warn(`[DeviceRegistry] Hub unreachable; queued command to ${deviceId}`);
+        await this.enqueue(deviceId, patch);
+        return true;
+      }
+      console.error(`[DeviceRegistry] Command to ${deviceId} failed:`, error);
+      device.state = previousState;
+      this.emit('onCommandError', { device, error });
+      return false;
+    } finally {
+      this.emit('onDeviceChange', { device });
+    }
+  }
+
+  /**
+   * Whether a device has commands waiting to be sent
+   * @param {string} deviceId - Device ID
+   * @returns {boolean}
+   */
+  isPending(deviceId) {
+    return this.pending.has(deviceId);
+  }
+
+  /**
+   * Count the devices with commands waiting to be sent
+   * @param {string} type - Only count devices of this type
+   * @returns {number}
+   */
+  getPendingCount(type = null) {
+    return [...this.pending.keys()].filter((id) => !type || this.devices.get(id)?.type === type).length;
+  }
+
+  /**
+   * Send the queued commands in order. Stops at the first one the hub still
+   * can't be reached for; the rest wait for the next try.
+   * @returns {Promise<void>}
+   */
+  async replayQueue() {
+    if (!this.queue) return;
+    if (!this.replaying) {
+      this.replaying = this.queue
+        .withLock(async () => {
+          for (const command of await this.queue.getAll()) {
+            if (!(await this.replayCommand(command))) break;
+          }
+        })
+        .finally(() => {
+          this.replaying = null;
+          return this.refreshPending();
+        });
+    }
+    return this.replaying;
+  }
+
+  /**
+   * Re-read the queue, e.g. after the service worker replayed it, and fetch
+   * the reported state of devices that are no longer pending
+   * @returns {Promise<void>}
+   */
+  async syncQueue() {
+    const previous = [...this.pending.keys()];
+    await this.refreshPending();
+    const settled = previous.filter((deviceId) => !this.pending.has(deviceId));
+    await Promise.all(settled.map(async (deviceId) => {
+      const device = this.devices.get(deviceId);
+      if (!device) return;
+      try {
+        device.state = this.withPending(deviceId, await this.driver.getState(deviceId));
+        this.emit('onDeviceChange', { device });
+      } catch (error) {
+        console.warn(`[DeviceRegistry] Could not refresh ${deviceId}:`, error.message);
+      }
+    }));
+  }
+
+  /**
+   * Send one queued command
+   * @private
+   * @returns {Promise<boolean>} False if the hub is still unreachable
+   */
+  async replayCommand(command) {
+    const device = this.devices.get(command.deviceId);
+    try {
+      const state = await this.driver.setState(command.deviceId, command.patch, { issuedAt: command.issuedAt });
+      await this.queue.remove(command.id);
+      if (device) device.state = state;
+      return true;
+    } catch (error) {
+      if (error.code === 'offline') return false;
+      await this.queue.remove(command.id);
+      if (!device) return true;
+
+      if (error.code === 'conflict') {
+        // The device was changed after this command was given; what it reports wins
+        console.warn(`[DeviceRegistry] Dropped queued command to ${device.id}: ${error.message}`);
+        if (error.state) device.state = error.state;
+        this.emit('onCommandConflict', { device, command, error });
+      } else {
+        console.error(`[DeviceRegistry] Queued command to ${device.id} failed:`, error);
+        device.state = await this.driver.getState(device.id).catch(() => device.state);
+        this.emit('onCommandError', { device, error });
+      }
+      return true;
+    } finally {
+      if (device) this.emit('onDeviceChange', { device });
+    }
+  }
+
+  /**
+   * @private
+   */
+  async enqueue(deviceId, patch) {
+    await this.queue.add(deviceId, patch);
+    this.pending.set(deviceId, { ...this.pending.get(deviceId), ...patch });
+    this.emit('onQueueChange', { count: this.pending.size });
+  }
+
+  /**
+   * Rebuild the pending patches from the queue
+   * @private
+   */
+  async refreshPending() {
+    if (!this.queue) return;
+    const commands = await this.queue.getAll();
+    this.pending.clear();
+    commands.forEach(({ deviceId, patch }) => {
+      this.pending.set(deviceId, { ...this.pending.get(deviceId), ...patch });
+    });
+    this.emit('onQueueChange', { count: this.pending.size });
+  }
+
+  /**
+   * A reported state with the device's queued commands applied on top
+   * @private
+   */
+  withPending(deviceId, state) {
+    const patch = this.pending.get(deviceId);
+    return patch ? { ...state, ...patch } : state;
+  }
+
+  /**
+   * Send the same command to several lights
+   * @param {Array} lights - Lights to change
+   * @param {Object} patch - Partial state
+   * @returns {Promise<boolean>} Whether every light accepted the command
+   */
+  async setLights(lights, patch) {
+    const results = await Promise.all(lights.map((light) => this.setDeviceState(light.id, patch)));
+    return results.every(Boolean);
+  }
+
+  /**
+   * Send a command to every light in a room
+   * @param {string} room - Room name
+   * @param {Object} patch - Partial state
+   */
+  async setRoomLights(room, patch) {
+    return this.setLights(this.getRoomLights(room), patch);
+  }
+
+  /**
+   * Send a command to every light in the home
+   * @param {Object} patch - Partial state
+   */
+  async setAllLights(patch) {
+    return this.setLights(this.getDevices('light'), patch);
+  }
+
+  /**
+   * Register event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  on(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].push(callback);
+    }
+  }
+
+  /**
+   * Remove event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  off(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter((cb) => cb !== callback);
+    }
+  }
+
+  /**
+   * Emit event
+   * @private
+   */
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach((callback) => callback(data));
+    }
+  }
+}
+
+// ES6 Export
+export { DeviceRegistry, UNASSIGNED_ROOM };
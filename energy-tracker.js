@@ -0,0 +1,301 @@
+/**
+ * Energy Tracker
+ * Estimates power draw from device state and records usage over time.
+ *
+ * Devices may describe their power draw with a `power` field on the
+ * descriptor; otherwise DEFAULT_POWER for their type is used:
+ * - lights and fans: { on, standby } in watts; lights scale with brightness
+ * - thermostats:     { heating, cooling, idle } in watts
+ *
+ * Usage is kept in AppStorage under `energy`:
+ * {
+ *   lastSample: { at, watts: { [deviceId]: W } },
+ *   hours: { 'YYYY-MM-DDTHH': { lights, climate } },  // Wh, last two days
+ *   days:  { 'YYYY-MM-DD': { lights, climate } },     // Wh, last year
+ * }
+ * While the app is closed the last known draw is assumed to continue, for up
+ * to MAX_GAP, so lights left on still count.
+ */
+
+const DEFAULT_POWER = {
+  light: { on: 9, standby: 0.3 },
+  fan: { on: 45, standby: 0 },
+  thermostat: { heating: 3500, cooling: 3000, idle: 3 },
+};
+
+const CATEGORIES = ['lights', 'climate'];
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const MAX_GAP = DAY;
+const HOURS_KEPT = 2 * 24;
+const DAYS_KEPT = 366;
+
+const pad = (value) => String(value).padStart(2, '0');
+const dayKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+const hourKey = (date) => `${dayKey(date)}T${pad(date.getHours())}`;
+
+/**
+ * Estimate a device's current power draw
+ * @param {Object} device - Device with state
+ * @returns {number} Watts
+ */
+function estimatePower(device) {
+  const power = { ...DEFAULT_POWER[device.type], ...device.power };
+  const { state } = device;
+
+  switch (device.type) {
+    case 'light': {
+      if (!state.on) return power.standby;
+      // LEDs draw a little even at the lowest setting
+      const level = Number.isFinite(state.brightness) ? state.brightness / 100 : 1;
+      return power.on * (0.1 + 0.9 * level);
+    }
+    case 'fan':
+      return state.on ? power.on : power.standby;
+    case 'thermostat':
+      if (state.hvacAction === 'heating') return power.heating;
+      if (state.hvacAction === 'cooling') return power.cooling;
+      return state.hvacAction === 'off' ? 0 : power.idle;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Get the usage category for a device type
+ * @param {string} type - Device type
+ * @returns {string|null} 'lights', 'climate', or null if untracked
+ */
+function getCategory(type) {
+  if (type === 'light') return 'lights';
+  if (type === 'thermostat' || type === 'fan') return 'climate';
+  return null;
+}
+
+class EnergyTracker {
+  /**
+   * @param {Object} options
+   * @param {AppStorage} options.storage - Where samples and the rate are saved
+   * @param {DeviceRegistry} options.registry - Devices to watch
+   * @param {number} options.sampleInterval - How often to record while nothing changes, in ms
+   * @param {Function} options.now - Clock returning ms, replaceable for testing
+   */
+  constructor({ storage, registry, sampleInterval = 60000, now = () => Date.now() }) {
+    this.storage = storage;
+    this.registry = registry;
+    this.sampleInterval = sampleInterval;
+    this.now = now;
+    this.timer = null;
+    this.listeners = {
+      onUsageChange: [],
+    };
+
+    this.record = this.record.bind(this);
+  }
+
+  /**
+   * Catch up on time since the last sample and start recording
+   */
+  start() {
+    if (this.timer) return;
+    this.record();
+    this.registry.on('onDeviceChange', this.record);
+    this.timer = setInterval(this.record, this.sampleInterval);
+  }
+
+  /**
+   * Stop recording, saving usage up to now
+   */
+  stop() {
+    if (!this.timer) return;
+    this.record();
+    clearInterval(this.timer);
+    this.timer = null;
+    this.registry.off('onDeviceChange', this.record);
+  }
+
+  /**
+   * Get the electricity price
+   * @returns {{rate: number, currency: string}} Price per kWh and ISO currency code
+   */
+  getRate() {
+    const { energyRate = 0.15, currency = 'USD' } = this.storage.get('settings', {});
+    return { rate: energyRate, currency };
+  }
+
+  /**
+   * Set the electricity price
+   * @param {number} rate - Price per kWh
+   * @param {string} currency - ISO currency code, e.g. 'USD'
+   */
+  setRate(rate, currency = this.getRate().currency) {
+    if (!Number.isFinite(rate) || rate < 0) throw new Error('Rate must be zero or more');
+    const code = (currency || '').trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(code)) throw new Error('Currency must be a three-letter code such as USD');
+    this.storage.update('settings', { energyRate: rate, currency: code });
+    this.emit('onUsageChange', {});
+  }
+
+  /**
+   * Get the current draw of one device or a whole category
+   * @param {string} target - Device ID, 'lights', or 'climate'
+   * @returns {number} Watts
+   */
+  getCurrentPower(target) {
+    const device = this.registry.getDevice(target);
+    if (device) return estimatePower(device);
+    return this.registry
+      .getDevices()
+      .filter((d) => getCategory(d.type) === target)
+      .reduce((sum, d) => sum + estimatePower(d), 0);
+  }
+
+  /**
+   * Get today's usage for a category
+   * @param {string} category - 'lights' or 'climate'
+   * @returns {number} kWh
+   */
+  getToday(category) {
+    const day = this.getData().days[dayKey(new Date(this.now()))];
+    return (day?.[category] || 0) / 1000;
+  }
+
+  /**
+   * Get usage split into chart buckets
+   * @param {string} range - 'day' (24 hours), 'week' (7 days), or 'month' (30 days)
+   * @returns {{buckets: Array<{start: Date, lights: number, climate: number}>, total: Object, cost: number}}
+   *   Bucket and total values in kWh
+   */
+  getUsage(range = 'day') {
+    const data = this.getData();
+    const now = new Date(this.now());
+    let buckets;
+
+    if (range === 'day') {
+      const midnight = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+      buckets = Array.from({ length: 24 }, (_, hour) => {
+        const start = new Date(midnight.getFullYear(), midnight.getMonth(), midnight.getDate(), hour);
+        return { start, ...data.hours[hourKey(start)] };
+      });
+    } else {
+      const length = range === 'week' ? 7 : 30;
+      buckets = Array.from({ length }, (_, i) => {
+        const start = new Date(now.getFullYear(), now.getMonth(), now.getDate() - (length - 1 - i));
+        return { start, ...data.days[dayKey(start)] };
+      });
+    }
+
+    const total = { lights: 0, climate: 0, kWh: 0 };
+    buckets = buckets.map((bucket) => {
+      const converted = { start: bucket.start };
+      CATEGORIES.forEach((category) => {
+        converted[category] = (bucket[category] || 0) / 1000;
+        total[category] += converted[category];
+      });
+      return converted;
+    });
+    total.kWh = total.lights + total.climate;
+
+    return { buckets, total, cost: total.kWh * this.getRate().rate };
+  }
+
+  /**
+   * Add usage since the last sample and take a new one
+   */
+  record() {
+    const data = this.getData();
+    const now = this.now();
+
+    if (data.lastSample) {
+      const from = Math.max(data.lastSample.at, now - MAX_GAP);
+      Object.entries(data.lastSample.watts).forEach(([deviceId, watts]) => {
+        const device = this.registry.getDevice(deviceId);
+        const category = device && getCategory(device.type);
+        if (category && watts > 0) this.accrue(data, category, watts, from, now);
+      });
+    }
+
+    const watts = {};
+    this.registry.getDevices().forEach((device) => {
+      if (getCategory(device.type)) watts[device.id] = estimatePower(device);
+    });
+    data.lastSample = { at: now, watts };
+
+    this.prune(data, now);
+    this.storage.set('energy', data);
+    this.emit('onUsageChange', {});
+  }
+
+  /**
+   * Spread energy over the hour and day buckets it falls in
+   * @private
+   */
+  accrue(data, category, watts, from, to) {
+    let start = from;
+    while (start < to) {
+      const date = new Date(start);
+      const nextHour = new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours() + 1).getTime();
+      const end = Math.min(to, nextHour);
+      const wattHours = (watts * (end - start)) / HOUR;
+
+      [[data.hours, hourKey(date)], [data.days, dayKey(date)]].forEach(([buckets, key]) => {
+        buckets[key] = buckets[key] || {};
+        buckets[key][category] = (buckets[key][category] || 0) + wattHours;
+      });
+      start = end;
+    }
+  }
+
+  /**
+   * @private
+   */
+  prune(data, now) {
+    const oldestHour = hourKey(new Date(now - HOURS_KEPT * HOUR));
+    const oldestDay = dayKey(new Date(now - DAYS_KEPT * DAY));
+    Object.keys(data.hours).forEach((key) => key < oldestHour && delete data.hours[key]);
+    Object.keys(data.days).forEach((key) => key < oldestDay && delete data.days[key]);
+  }
+
+  /**
+   * @private
+   */
+  getData() {
+    const data = this.storage.get('energy', {});
+    return { lastSample: null, ...data, hours: { ...data.hours }, days: { ...data.days } };
+  }
+
+  /**
+   * Register event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  on(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].push(callback);
+    }
+  }
+
+  /**
+   * Remove event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  off(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter((cb) => cb !== callback);
+    }
+  }
+
+  /**
+   * Emit event
+   * @private
+   */
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach((callback) => callback(data));
+    }
+  }
+}
+
+// ES6 Export
+export { EnergyTracker, DEFAULT_POWER, estimatePower };
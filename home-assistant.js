@@ -0,0 +1,229 @@
+/**
+ * Home Assistant Model
+ * Translates between Home Assistant entities and HomeHarmony devices, for
+ * HomeAssistantDriver in device-drivers.js.
+ *
+ * light.* entities become lights and climate.* entities thermostats; other
+ * domains are left out. Entity IDs are used as device IDs.
+ * - Brightness is 0-255 in Home Assistant and 0-100 here.
+ * - Color temperature is in Kelvin in both (color_temp_kelvin); color is hs_color.
+ * - Home Assistant temperatures are in its configured unit and are converted
+ *   to and from °F, which thermostat state is always kept in.
+ * - The heat_cool hvac mode is auto here. Modes the cards don't have (dry,
+ *   fan_only) show as off.
+ *
+ * Home Assistant only reports brightness and color while a light is on, so
+ * the last known values are carried over from the previous state.
+ */
+
+import { normalizeThermostatState, toCelsius, toFahrenheit } from './thermostat.js';
+
+const HA_DOMAINS = ['light', 'climate'];
+
+const COLOR_MODES = ['hs', 'xy', 'rgb', 'rgbw', 'rgbww'];
+
+// Shown for lights that support color temperature but haven't reported one yet
+const DEFAULT_COLOR_TEMPERATURE = 2700;
+
+const HVAC_MODES = {
+  heat: 'heat',
+  cool: 'cool',
+  heat_cool: 'auto',
+  auto: 'auto',
+  off: 'off',
+};
+
+// Renders { [entityId]: areaName } with Home Assistant's /api/template; area names
+// aren't part of entity states
+const AREAS_TEMPLATE =
+  "{% set ns = namespace(areas={}) %}" +
+  "{% for s in states if s.domain in ['light', 'climate'] %}" +
+  '{% set ns.areas = dict(ns.areas, **{s.entity_id: area_name(s.entity_id)}) %}' +
+  '{% endfor %}' +
+  '{{ ns.areas | tojson }}';
+
+/**
+ * Get the temperature unit Home Assistant is configured for
+ * @param {Object} config - Response of GET /api/config
+ * @returns {string} 'F' or 'C'
+ */
+function getTemperatureUnit(config) {
+  return config?.unit_system?.temperature === '°F' ? 'F' : 'C';
+}
+
+/**
+ * @private
+ */
+const fromUnit = (value, unit) => {
+  if (!Number.isFinite(value)) return undefined;
+  return unit === 'C' ? Math.round(toFahrenheit(value) * 10) / 10 : value;
+};
+
+/**
+ * Convert °F to Home Assistant's unit, rounded to the entity's step
+ * @private
+ */
+const toUnit = (fahrenheit, unit, step) => {
+  const value = unit === 'C' ? toCelsius(fahrenheit) : fahrenheit;
+  const increment = step || (unit === 'C' ? 0.5 : 1);
+  return Math.round(value / increment) * increment;
+};
+
+/**
+ * Whether an entity is one HomeHarmony can show
+ * @param {Object} entity - Home Assistant state object
+ * @returns {boolean}
+ */
+function isSupportedEntity(entity) {
+  return HA_DOMAINS.includes(entity.entity_id.split('.')[0]);
+}
+
+/**
+ * Get what a light entity supports
+ * @private
+ */
+const getLightCapabilities = (attributes) => {
+  const modes = attributes.supported_color_modes || [];
+  const capabilities = [];
+  if (modes.some((mode) => mode !== 'onoff')) capabilities.push('brightness');
+  if (modes.includes('color_temp')) capabilities.push('colorTemperature');
+  if (modes.some((mode) => COLOR_MODES.includes(mode))) capabilities.push('color');
+  return capabilities;
+};
+
+/**
+ * Convert an entity's state to HomeHarmony device state
+ * @param {Object} entity - Home Assistant state object
+ * @param {Object} options
+ * @param {string} options.unit - Home Assistant's temperature unit
+ * @param {Object} options.previous - The device's previous state
+ * @returns {Object} Device state
+ */
+function entityToState(entity, { unit = 'C', previous = {} } = {}) {
+  const attributes = entity.attributes || {};
+
+  if (entity.entity_id.startsWith('light.')) {
+    const on = entity.state === 'on';
+    const kelvin = attributes.color_temp_kelvin ?? (attributes.color_temp ? Math.round(1000000 / attributes.color_temp) : null);
+    const state = {
+      on,
+      brightness: Number.isFinite(attributes.brightness)
+        ? Math.round((attributes.brightness / 255) * 100)
+        : previous.brightness ?? 100,
+    };
+    if (attributes.color_mode === 'color_temp') state.colorMode = 'ct';
+    else if (COLOR_MODES.includes(attributes.color_mode)) state.colorMode = 'hs';
+    else if (previous.colorMode) state.colorMode = previous.colorMode;
+
+    if (kelvin ?? previous.colorTemperature) {
+      state.colorTemperature = kelvin ?? previous.colorTemperature;
+    } else if ((attributes.supported_color_modes || []).includes('color_temp')) {
+      const min = attributes.min_color_temp_kelvin ?? DEFAULT_COLOR_TEMPERATURE;
+      const max = attributes.max_color_temp_kelvin ?? DEFAULT_COLOR_TEMPERATURE;
+      state.colorTemperature = Math.min(max, Math.max(min, DEFAULT_COLOR_TEMPERATURE));
+    }
+    if (attributes.hs_color) {
+      state.color = { hue: Math.round(attributes.hs_color[0]), saturation: Math.round(attributes.hs_color[1]) };
+    } else if (previous.color) {
+      state.color = previous.color;
+    }
+    if (attributes.min_color_temp_kelvin) state.minColorTemperature = attributes.min_color_temp_kelvin;
+    if (attributes.max_color_temp_kelvin) state.maxColorTemperature = attributes.max_color_temp_kelvin;
+    return state;
+  }
+
+  const state = {
+    mode: HVAC_MODES[entity.state] || 'off',
+    currentTemperature: fromUnit(attributes.current_temperature, unit) ?? previous.currentTemperature,
+    targetTemperature: fromUnit(attributes.temperature, unit) ?? previous.targetTemperature,
+    targetLow: fromUnit(attributes.target_temp_low, unit) ?? previous.targetLow,
+    targetHigh: fromUnit(attributes.target_temp_high, unit) ?? previous.targetHigh,
+    minTemperature: fromUnit(attributes.min_temp, unit),
+    maxTemperature: fromUnit(attributes.max_temp, unit),
+  };
+  // Leave out what the entity doesn't report, so the defaults apply
+  Object.keys(state).forEach((key) => state[key] === undefined && delete state[key]);
+  return normalizeThermostatState(state);
+}
+
+/**
+ * Convert an entity to a HomeHarmony device descriptor
+ * @param {Object} entity - Home Assistant state object
+ * @param {Object} options
+ * @param {string} options.unit - Home Assistant's temperature unit
+ * @param {Object} options.areas - Area names by entity ID
+ * @returns {Object} Device
+ */
+function entityToDevice(entity, { unit = 'C', areas = {} } = {}) {
+  const attributes = entity.attributes || {};
+  const isLight = entity.entity_id.startsWith('light.');
+  const device = {
+    id: entity.entity_id,
+    type: isLight ? 'light' : 'thermostat',
+    name: attributes.friendly_name || entity.entity_id,
+    room: areas[entity.entity_id] || null,
+    state: entityToState(entity, { unit }),
+  };
+  if (isLight) device.capabilities = getLightCapabilities(attributes);
+  return device;
+}
+
+/**
+ * Work out the service calls that apply a state patch to an entity
+ * @param {Object} entity - Home Assistant state object
+ * @param {Object} patch - Partial device state
+ * @param {string} unit - Home Assistant's temperature unit
+ * @returns {Array<{domain, service, data}>} Calls to make in order; data includes entity_id
+ */
+function patchToServiceCalls(entity, patch, unit = 'C') {
+  const entityId = entity.entity_id;
+  const attributes = entity.attributes || {};
+
+  if (entityId.startsWith('light.')) {
+    if (patch.on === false) return [{ domain: 'light', service: 'turn_off', data: { entity_id: entityId } }];
+
+    const data = { entity_id: entityId };
+    if ('brightness' in patch) {
+      // Home Assistant turns a light off at brightness 0; one turned on as well (a fade up from 0) goes to its lowest
+      data.brightness = Math.max(patch.on === true ? 1 : 0, Math.round((patch.brightness / 100) * 255));
+    }
+    if ('colorTemperature' in patch) data.color_temp_kelvin = patch.colorTemperature;
+    if ('color' in patch) data.hs_color = [patch.color.hue, patch.color.saturation];
+    // A colorMode on its own has nothing to send
+    if (patch.on !== true && Object.keys(data).length === 1) return [];
+    return [{ domain: 'light', service: 'turn_on', data }];
+  }
+
+  let hvacMode = null;
+  if ('mode' in patch) {
+    hvacMode = patch.mode === 'auto' && (attributes.hvac_modes || []).includes('heat_cool') ? 'heat_cool' : patch.mode;
+  }
+
+  const temperatures = {};
+  const step = attributes.target_temp_step;
+  if ('targetTemperature' in patch) temperatures.temperature = toUnit(patch.targetTemperature, unit, step);
+  if ('targetLow' in patch) temperatures.target_temp_low = toUnit(patch.targetLow, unit, step);
+  if ('targetHigh' in patch) temperatures.target_temp_high = toUnit(patch.targetHigh, unit, step);
+
+  if (Object.keys(temperatures).length > 0) {
+    // set_temperature can change the mode in the same call
+    const data = { entity_id: entityId, ...temperatures };
+    if (hvacMode) data.hvac_mode = hvacMode;
+    return [{ domain: 'climate', service: 'set_temperature', data }];
+  }
+  if (hvacMode) {
+    return [{ domain: 'climate', service: 'set_hvac_mode', data: { entity_id: entityId, hvac_mode: hvacMode } }];
+  }
+  return [];
+}
+
+// ES6 Export
+export {
+  HA_DOMAINS,
+  AREAS_TEMPLATE,
+  getTemperatureUnit,
+  isSupportedEntity,
+  entityToState,
+  entityToDevice,
+  patchToServiceCalls,
+};
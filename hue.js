@@ -0,0 +1,396 @@
+/**
+ * Hue Model
+ * Philips Hue bridge setup (discovery and link-button pairing), and the
+ * translation between Hue lights and HomeHarmony lights for HueDriver in
+ * device-drivers.js.
+ *
+ * Bridges speak two APIs:
+ * - CLIP v2 (https://<bridge>/clip/v2/resource/...): lights are resources with
+ *   UUIDs, brightness is 0-100, and changes arrive on the eventstream.
+ * - v1 (http://<bridge>/api/<appKey>/...): lights are numbered, brightness
+ *   (bri) is 1-254, and there are no events, so the driver polls.
+ * Both give color temperature in mirek (1,000,000 / Kelvin) and color as CIE
+ * xy; here they are Kelvin and hue/saturation. xy is converted through Wide
+ * Gamut RGB, as Philips recommends, and the bridge fits it into each bulb's
+ * gamut. Hue lights can't dim to 0, so a brightness of 0 turns them off, or
+ * when the patch turns them on as well (a fade up from 0), sets their lowest level.
+ */
+
+import { hsvToRgb, rgbToHsv } from './light-color.js';
+
+const DISCOVERY_URL = 'https://discovery.meethue.com';
+
+// Bridges ask apps to say who they are as "<app>#<device>"
+const DEVICE_TYPE = 'homeharmony#browser';
+
+// Error type the bridge answers pairing with until its button is pressed
+const LINK_BUTTON_NOT_PRESSED = 101;
+
+/**
+ * Error raised while finding or pairing with a bridge.
+ * code is 'link-button' when the bridge's button has to be pressed first, or
+ * 'offline' when the bridge couldn't be reached.
+ */
+class HueBridgeError extends Error {
+  constructor(message, { code = null, cause = null } = {}) {
+    super(message);
+    this.name = 'HueBridgeError';
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Find bridges on the local network through the Hue discovery service
+ * @param {Object} options
+ * @param {string} options.discoveryUrl - Discovery endpoint (the mock bridge serves one at /discovery)
+ * @returns {Promise<Array<{id, host}>>} Bridges; host is the address to reach each at
+ */
+async function discoverHueBridges({ discoveryUrl = DISCOVERY_URL } = {}) {
+  let response;
+  try {
+    response = await fetch(discoveryUrl);
+  } catch (error) {
+    throw new HueBridgeError('Bridge discovery is unreachable', { cause: error });
+  }
+  // The service allows a request every 15 minutes per network
+  if (response.status === 429) throw new HueBridgeError('Bridge discovery is busy; try again in a few minutes');
+  if (!response.ok) throw new HueBridgeError(`Bridge discovery failed (${response.status})`);
+
+  const bridges = await response.json();
+  return bridges.map((bridge) => ({
+    id: bridge.id,
+    host: bridge.port && bridge.port !== 443 ? `${bridge.internalipaddress}:${bridge.port}` : bridge.internalipaddress,
+  }));
+}
+
+/**
+ * Ask a bridge for an application key. Only succeeds within 30 seconds of its
+ * link button being pressed; until then it fails with code 'link-button'.
+ * @param {string} bridgeUrl - e.g. https://192.168.1.20
+ * @returns {Promise<{appKey: string, clientKey: string|null}>}
+ */
+async function pairHueBridge(bridgeUrl) {
+  let response;
+  try {
+    response = await fetch(`${bridgeUrl.replace(/\/+$/, '')}/api`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ devicetype: DEVICE_TYPE, generateclientkey: true }),
+    });
+  } catch (error) {
+    // Self-signed bridge certificates also end up here
+    throw new HueBridgeError('Bridge unreachable', { code: 'offline', cause: error });
+  }
+
+  const [result] = await response.json().catch(() => []);
+  if (result?.success) return { appKey: result.success.username, clientKey: result.success.clientkey || null };
+  if (result?.error?.type === LINK_BUTTON_NOT_PRESSED) {
+    throw new HueBridgeError('Press the link button on the bridge', { code: 'link-button' });
+  }
+  throw new HueBridgeError(result?.error?.description || `Pairing failed (${response.status})`);
+}
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const kelvinToMirek = (kelvin) => Math.round(1000000 / kelvin);
+const mirekToKelvin = (mirek) => Math.round(1000000 / mirek);
+
+// sRGB companding, to and from linear light
+const toLinear = (value) => (value > 0.04045 ? ((value + 0.055) / 1.055) ** 2.4 : value / 12.92);
+const fromLinear = (value) => (value <= 0.0031308 ? 12.92 * value : 1.055 * value ** (1 / 2.4) - 0.055);
+
+/**
+ * Convert a hue/saturation color to CIE xy
+ * @param {{hue: number, saturation: number}} color - Hue 0-360, saturation 0-100
+ * @returns {{x: number, y: number}}
+ */
+function hsToXy({ hue, saturation }) {
+  const { r, g, b } = hsvToRgb(hue, saturation, 100);
+  const [red, green, blue] = [r, g, b].map((channel) => toLinear(channel / 255));
+  const X = red * 0.664511 + green * 0.154324 + blue * 0.162028;
+  const Y = red * 0.283881 + green * 0.668433 + blue * 0.047685;
+  const Z = red * 0.000088 + green * 0.07231 + blue * 0.986039;
+  const sum = X + Y + Z;
+  if (sum === 0) return { x: 0.3227, y: 0.329 }; // White
+  return { x: Math.round((X / sum) * 10000) / 10000, y: Math.round((Y / sum) * 10000) / 10000 };
+}
+
+/**
+ * Convert CIE xy to a hue/saturation color
+ * @param {{x: number, y: number}} xy
+ * @returns {{hue: number, saturation: number}}
+ */
+function xyToHs({ x, y }) {
+  if (!y) return { hue: 0, saturation: 0 };
+  const X = x / y;
+  const Z = (1 - x - y) / y;
+  let rgb = [
+    X * 1.656492 - 0.354851 - Z * 0.255038,
+    -X * 0.707196 + 1.655397 + Z * 0.036152,
+    X * 0.051713 - 0.121364 + Z * 1.01153,
+  ].map((channel) => Math.max(0, channel));
+  // Scale so the brightest channel is full; brightness is kept separately
+  const max = Math.max(...rgb) || 1;
+  rgb = rgb.map((channel) => Math.round(clamp(fromLinear(channel / max), 0, 1) * 255));
+  const { hue, saturation } = rgbToHsv({ r: rgb[0], g: rgb[1], b: rgb[2] });
+  return { hue, saturation };
+}
+
+/**
+ * Merge a partial resource (a PUT body or an eventstream update) into a resource
+ * @param {Object} resource - Resource as last fetched
+ * @param {Object} update - Changed fields
+ * @returns {Object} New resource
+ */
+function mergeResource(resource, update) {
+  const merged = { ...resource };
+  Object.entries(update).forEach(([key, value]) => {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isObject && resource[key] && typeof resource[key] === 'object' ? mergeResource(resource[key], value) : value;
+  });
+  return merged;
+}
+
+/**
+ * Read a color temperature range from mirek limits
+ * @private
+ */
+const colorTemperatureRange = (minMirek, maxMirek) => ({
+  minColorTemperature: mirekToKelvin(maxMirek),
+  maxColorTemperature: mirekToKelvin(minMirek),
+});
+
+/**
+ * Convert a CLIP v2 light resource to HomeHarmony light state
+ * @param {Object} light - Light resource
+ * @param {Object} previous - The light's previous state
+ * @returns {Object} Light state
+ */
+function lightToState(light, previous = {}) {
+  const state = {
+    on: !!light.on?.on,
+    brightness: light.dimming ? Math.round(light.dimming.brightness) : previous.brightness ?? 100,
+  };
+  // A light at its lowest level keeps showing a level asked for below it
+  const min = light.dimming?.min_dim_level ?? 0;
+  if (light.dimming && light.dimming.brightness <= min && previous.brightness <= Math.round(min)) {
+    state.brightness = previous.brightness;
+  }
+  const mirek = light.color_temperature?.mirek_valid !== false ? light.color_temperature?.mirek : null;
+  if (light.color_temperature) {
+    state.colorTemperature = mirek ? mirekToKelvin(mirek) : previous.colorTemperature ?? 2700;
+    const schema = light.color_temperature.mirek_schema;
+    if (schema) Object.assign(state, colorTemperatureRange(schema.mirek_minimum, schema.mirek_maximum));
+  }
+  if (light.color?.xy) state.color = xyToHs(light.color.xy);
+  // Bridges clear mirek while a light shows a color
+  if (light.color_temperature || light.color) state.colorMode = mirek || !light.color ? 'ct' : 'hs';
+  return state;
+}
+
+/**
+ * Convert a CLIP v2 light resource to a HomeHarmony device
+ * @param {Object} light - Light resource
+ * @param {Object} rooms - Room names by device ID (the light's owner) or light ID, from getRoomNames
+ * @returns {Object} Device
+ */
+function lightToDevice(light, rooms = {}) {
+  const capabilities = [];
+  if (light.dimming) capabilities.push('brightness');
+  if (light.color_temperature) capabilities.push('colorTemperature');
+  if (light.color) capabilities.push('color');
+  return {
+    id: light.id,
+    type: 'light',
+    name: light.metadata?.name || 'Hue light',
+    room: rooms[light.owner?.rid] || rooms[light.id] || null,
+    capabilities,
+    state: lightToState(light),
+  };
+}
+
+/**
+ * Name the room each light's device is in; a light in no room gets the name of
+ * a zone it is in, if any
+ * @param {Array} rooms - Room resources
+ * @param {Array} zones - Zone resources
+ * @returns {Object} Room names by device ID (rooms) and light ID (zones)
+ */
+function getRoomNames(rooms = [], zones = []) {
+  const names = {};
+  // Zones group lights, rooms group devices; a light's owner is its device
+  [...zones, ...rooms].forEach((group) => {
+    (group.children || []).forEach((child) => {
+      names[child.rid] = group.metadata?.name || null;
+    });
+  });
+  return names;
+}
+
+/**
+ * Spell out a switch of color mode on its own as the color to switch to, since
+ * bridges have no mode to set
+ * @private
+ */
+const withColorForMode = (patch, state) => {
+  if (patch.colorMode === 'hs' && !('color' in patch) && state.color) return { ...patch, color: state.color };
+  if (patch.colorMode === 'ct' && !('colorTemperature' in patch) && state.colorTemperature) {
+    return { ...patch, colorTemperature: state.colorTemperature };
+  }
+  return patch;
+};
+
+/**
+ * Build the CLIP v2 PUT body for a state patch
+ * @param {Object} patch - Partial light state
+ * @param {Object} state - The light's current state
+ * @param {number} minBrightness - The light's lowest level (dimming.min_dim_level)
+ * @returns {Object} Light update; empty when there is nothing to send
+ */
+function patchToLightUpdate(patch, state = {}, minBrightness = 1) {
+  patch = withColorForMode(patch, state);
+  const update = {};
+  if ('on' in patch) update.on = { on: patch.on };
+  if ('brightness' in patch) {
+    if (patch.brightness > 0) update.dimming = { brightness: patch.brightness };
+    else if (patch.on === true) update.dimming = { brightness: minBrightness };
+    else update.on = { on: false };
+  }
+  if ('colorTemperature' in patch) update.color_temperature = { mirek: kelvinToMirek(patch.colorTemperature) };
+  if ('color' in patch) update.color = { xy: hsToXy(patch.color) };
+  return update;
+}
+
+/**
+ * Apply a CLIP v2 PUT body to a light resource, as the bridge would
+ * @param {Object} light - Light resource
+ * @param {Object} update - Light update that was sent
+ * @returns {Object} Updated light
+ */
+function applyLightUpdate(light, update) {
+  const changes = { ...update };
+  if (update.color_temperature) {
+    changes.color_temperature = { ...update.color_temperature, mirek_valid: true };
+  } else if (update.color && light.color_temperature) {
+    // A color replaces the color temperature
+    changes.color_temperature = { mirek: null, mirek_valid: false };
+  }
+  return mergeResource(light, changes);
+}
+
+/**
+ * Convert a v1 light to HomeHarmony light state
+ * @param {Object} light - Light from /api/<appKey>/lights
+ * @param {Object} previous - The light's previous state
+ * @returns {Object} Light state
+ */
+function v1LightToState(light, previous = {}) {
+  const { state: hue = {}, capabilities = {} } = light;
+  const state = {
+    on: !!hue.on,
+    brightness: 'bri' in hue ? Math.round((hue.bri / 254) * 100) : previous.brightness ?? 100,
+  };
+  if ('ct' in hue) {
+    state.colorTemperature = mirekToKelvin(hue.ct);
+    const range = capabilities.control?.ct;
+    if (range) Object.assign(state, colorTemperatureRange(range.min, range.max));
+  }
+  if (hue.xy) state.color = xyToHs({ x: hue.xy[0], y: hue.xy[1] });
+  if ('ct' in hue || hue.xy) state.colorMode = hue.colormode === 'ct' || !hue.xy ? 'ct' : 'hs';
+  return state;
+}
+
+/**
+ * Convert a v1 light to a HomeHarmony device
+ * @param {string} id - Light number
+ * @param {Object} light - Light from /api/<appKey>/lights
+ * @param {Object} rooms - Room names by light number, from getV1RoomNames
+ * @returns {Object} Device
+ */
+function v1LightToDevice(id, light, rooms = {}) {
+  const capabilities = [];
+  if ('bri' in light.state) capabilities.push('brightness');
+  if ('ct' in light.state) capabilities.push('colorTemperature');
+  if (light.state.xy) capabilities.push('color');
+  return {
+    id,
+    type: 'light',
+    name: light.name,
+    room: rooms[id] || null,
+    capabilities,
+    state: v1LightToState(light),
+  };
+}
+
+/**
+ * Name the room each light is in, from v1 groups; a light in no room gets
+ * the name of a zone it is in, if any
+ * @param {Object} groups - Groups from /api/<appKey>/groups
+ * @returns {Object} Room names by light number
+ */
+function getV1RoomNames(groups = {}) {
+  const names = {};
+  const byType = (type) => Object.values(groups).filter((group) => group.type === type);
+  [...byType('Zone'), ...byType('Room')].forEach((group) => {
+    (group.lights || []).forEach((id) => {
+      names[id] = group.name;
+    });
+  });
+  return names;
+}
+
+/**
+ * Build the v1 PUT body for a state patch
+ * @param {Object} patch - Partial light state
+ * @param {Object} current - The light's current state
+ * @returns {Object} v1 light state; empty when there is nothing to send
+ */
+function patchToV1State(patch, current = {}) {
+  patch = withColorForMode(patch, current);
+  const state = {};
+  if ('on' in patch) state.on = patch.on;
+  if ('brightness' in patch) {
+    // bri 1 is a light's lowest level
+    if (patch.brightness > 0 || patch.on === true) state.bri = clamp(Math.round((patch.brightness / 100) * 254), 1, 254);
+    else state.on = false;
+  }
+  if ('colorTemperature' in patch) state.ct = kelvinToMirek(patch.colorTemperature);
+  if ('color' in patch) {
+    const { x, y } = hsToXy(patch.color);
+    state.xy = [x, y];
+  }
+  return state;
+}
+
+/**
+ * Apply a v1 PUT body to a v1 light, as the bridge would
+ * @param {Object} light - Light from /api/<appKey>/lights
+ * @param {Object} state - v1 light state that was sent
+ * @returns {Object} Updated light
+ */
+function applyV1State(light, state) {
+  const colormode = state.xy ? 'xy' : 'ct' in state ? 'ct' : light.state.colormode;
+  return { ...light, state: { ...light.state, ...state, ...(colormode ? { colormode } : {}) } };
+}
+
+// ES6 Export
+export {
+  DISCOVERY_URL,
+  HueBridgeError,
+  discoverHueBridges,
+  pairHueBridge,
+  hsToXy,
+  xyToHs,
+  mergeResource,
+  getRoomNames,
+  lightToState,
+  lightToDevice,
+  patchToLightUpdate,
+  applyLightUpdate,
+  getV1RoomNames,
+  v1LightToState,
+  v1LightToDevice,
+  patchToV1State,
+  applyV1State,
+};
@@ -2,27 +2,83 @@
  * Independent Music Player
  * Supports Creative Commons, royalty-free, and independent artist music
  * Sources:
- * - Freepik Audio API (Creative Commons)
- * - Pixabay Music API (CC0)
- * - Local independent artist uploads
+ * - Online catalogues such as Pixabay, Jamendo, Free Music Archive, and the
+ *   Internet Archive (see music-providers.js)
+ * - The user's own files (see local-library.js)
+ * - Ambient pieces generated on the device (see ambient-generator.js)
+ *
+ * Playback runs on two audio elements ("decks") routed through a Web Audio
+ * graph. While one deck plays, the other preloads the next track so it can
+ * start the moment the first ends, or overlap it when crossfade is set:
+ *
+ *   deck A -> track gain A -> fade A -\
+ *                                      +-> effects -> master gain (volume) -> speakers
+ *   deck B -> track gain B -> fade B -/
+ *
+ * Track gains hold each track's loudness normalization and the effects are
+ * the EQ, night mode, and limiter (see audio-effects.js). Without Web Audio
+ * the decks play directly, unprocessed, and fades step their volume.
+ *
+ * Where the Media Session API is available the player also publishes the
+ * current track and position to the OS and takes commands from it, so lock
+ * screens, media keys, and headset buttons control it in the background.
  */
 
+import { AMBIENT_PIECES, AmbientCache, renderAmbient } from './ambient-generator.js';
+
+const MAX_CROSSFADE = 12; // Seconds
+// Start the next track this long before the current one ends, so there's no gap
+const GAPLESS_LEAD = 0.02;
+
+// Seconds skipped by media keys that don't say how far to go
+const MEDIA_SEEK_OFFSET = 10;
+// Shown by the OS for tracks without artwork
+const APP_ARTWORK = new URL('./icons/icon-512x512.png', import.meta.url).href;
+
+const AMBIENT_ARTWORK = {
+  'demo-1': 'https://images.unsplash.com/photo-1470225620780-dba8ba36b745?w=300&h=300&fit=crop',
+  'demo-2': 'https://images.unsplash.com/photo-1514525253161-7a46d19cd819?w=300&h=300&fit=crop',
+  'demo-3': 'https://images.unsplash.com/photo-1493225457124-a3eb161ffa5f?w=300&h=300&fit=crop',
+};
+
 class IndependentMusicPlayer {
   constructor() {
     this.currentTrack = null;
     this.isPlaying = false;
     this.playlist = [];
     this.currentIndex = 0;
+    this.volume = 1;
+    this.muted = false;
+    this.crossfade = 0; // Seconds the outgoing and incoming tracks overlap
+    this.shuffle = false;
+    this.repeat = 'off'; // 'off' | 'all' | 'one'
+    this.stopAfterCurrent = false; // Stop when the current track ends instead of moving on
+    this.shufflePlayed = new Set(); // Track IDs already played in this shuffle cycle
+    this.shuffleHistory = []; // Track IDs in the order shuffle played them, for previousTrack()
+    this.upNext = []; // Track IDs added with playNext(), played before shuffle picks again
     this.basePath = '/SmartHomeMobileInterfaceProject/'; // Default fallback
-    this.apiKeys = {
-      pixabay: 'YOUR_PIXABAY_API_KEY_HERE',
-      // Freepik is optional - uses web scraping fallback
-    };
-    this.audioElement = null;
+    this.providers = []; // MusicProviders searched alongside local tracks
+    this.generatedTracks = []; // Ambient pieces from getDemoTracks()
+    this.localLibrary = null; // LocalLibrary with the user's imported files
+    this.ambientCache = new AmbientCache(); // Rendered ambient pieces
+    this.ambientRenders = new Map(); // Piece ID -> Promise of its URL, while rendering
+    this.audioElement = null; // The deck that is playing
+    this.decks = []; // Two audio elements; the one not playing preloads the next track
+    this.deckLevels = new Map(); // Deck -> fade level 0-1
+    this.fadeTimers = new Map(); // Deck -> interval, for fades without Web Audio
+    this.audioGraph = null; // { context, master, deckGains, trackGains }, created on first play
+    this.effects = null; // AudioEffects between the decks and the master gain
+    this.deckTracks = new Map(); // Deck -> track loaded on it
+    this.preloaded = null; // { track, deck } waiting to take over
+    this.transitionTimer = null;
+    this.retiring = null; // { deck, timer } for the deck fading out
     this.listeners = {
       onTrackChange: [],
       onPlayStateChange: [],
       onPlaylistUpdate: [],
+      onModeChange: [],
+      onTimeUpdate: [],
+      onVolumeChange: [],
       onError: [],
     };
   }
@@ -32,81 +88,426 @@ class IndependentMusicPlayer {
    */
   async initialize() {
     console.log('[IndependentMusicPlayer] Initializing...');
-    this.audioElement = new Audio();
-    this.audioElement.crossOrigin = 'anonymous';
+    this.decks = [this.createDeck(), this.createDeck()];
+    this.audioElement = this.decks[0];
+    this.setupMediaSession();
     
-    this.audioElement.addEventListener('canplay', () => {
-      console.log('[Audio] Ready to play');
+    console.log('[IndependentMusicPlayer] Initialized successfully');
+  }
+
+  /**
+   * Create an audio element for the two-deck setup
+   * @private
+   */
+  createDeck() {
+    const deck = new Audio();
+    deck.crossOrigin = 'anonymous';
+    deck.preload = 'auto';
+    this.deckLevels.set(deck, 1);
+    // Only the playing deck speaks for the player; the other is preloading or fading out
+    const isActive = () => deck === this.audioElement;
+
+    deck.addEventListener('canplay', () => {
+      if (isActive()) console.log('[Audio] Ready to play');
     });
-    
-    this.audioElement.addEventListener('play', () => {
+
+    deck.addEventListener('play', () => {
+      if (!isActive()) return;
       this.isPlaying = true;
       this.emit('onPlayStateChange', { isPlaying: true });
     });
-    
-    this.audioElement.addEventListener('pause', () => {
+
+    deck.addEventListener('pause', () => {
+      if (!isActive()) return;
       this.isPlaying = false;
       this.emit('onPlayStateChange', { isPlaying: false });
     });
-    
-    this.audioElement.addEventListener('ended', () => {
-      console.log('[Audio] Track ended, playing next');
-      this.nextTrack();
+
+    deck.addEventListener('ended', () => {
+      if (isActive()) this.handleEnded();
     });
-    
-    this.audioElement.addEventListener('error', (e) => {
-      console.error('[Audio] Error loading audio:', this.audioElement.error);
+
+    deck.addEventListener('timeupdate', () => {
+      if (!isActive()) return;
+      this.scheduleTransition();
+      this.emitTimeUpdate();
+    });
+
+    ['durationchange', 'seeked', 'ratechange', 'emptied'].forEach((event) => {
+      deck.addEventListener(event, () => {
+        if (!isActive()) return;
+        this.emitTimeUpdate();
+        this.updatePositionState();
+      });
+    });
+
+    deck.addEventListener('error', (e) => {
+      if (!isActive()) {
+        // A failed preload just means the next track starts the slow way
+        if (this.preloaded?.deck === deck) this.preloaded = null;
+        return;
+      }
+      console.error('[Audio] Error loading audio:', deck.error);
       this.emit('onError', { message: 'Failed to load audio', error: e });
     });
-    
-    console.log('[IndependentMusicPlayer] Initialized successfully');
+
+    return deck;
   }
 
   /**
-   * Generate synthesized audio using Web Audio API to avoid CORS issues
-   * Creates an OscillatorNode and records the output as a Blob
-   * @param {number} frequency - Frequency in Hz
-   * @param {number} duration - Duration in seconds
-   * @returns {Promise<string>} Data URL of generated audio
+   * Take play, pause, skip, and seek commands from the OS
+   * @private
    */
-  async generateSynthesizedAudio(frequency = 440, duration = 3) {
+  setupMediaSession() {
+    if (!('mediaSession' in navigator)) return;
+
+    const seekOffset = (details) => details.seekOffset || MEDIA_SEEK_OFFSET;
+    const handlers = {
+      play: () => this.play(),
+      pause: () => this.pause(),
+      stop: () => this.stop(),
+      nexttrack: () => this.nextTrack(),
+      previoustrack: () => this.previousTrack(),
+      seekbackward: (details) => this.seek(this.audioElement.currentTime - seekOffset(details)),
+      seekforward: (details) => this.seek(this.audioElement.currentTime + seekOffset(details)),
+      seekto: (details) => this.seek(details.seekTime),
+    };
+    Object.entries(handlers).forEach(([action, handler]) => {
+      try {
+        navigator.mediaSession.setActionHandler(action, handler);
+      } catch {
+        // Older browsers don't know every action
+        console.log(`[MediaSession] "${action}" is not supported`);
+      }
+    });
+
+    this.on('onTrackChange', ({ track }) => {
+      navigator.mediaSession.metadata = track
+        ? new MediaMetadata({
+            title: track.title || 'Unknown Track',
+            artist: track.artist || '',
+            album: track.album || '',
+            artwork: [track.artwork ? { src: track.artwork } : { src: APP_ARTWORK, sizes: '512x512', type: 'image/png' }],
+          })
+        : null;
+    });
+
+    this.on('onPlayStateChange', ({ isPlaying }) => {
+      navigator.mediaSession.playbackState = isPlaying ? 'playing' : 'paused';
+      this.updatePositionState();
+    });
+  }
+
+  /**
+   * Tell the OS where playback is, so it can draw its own progress bar
+   * @private
+   */
+  updatePositionState() {
+    if (!navigator.mediaSession?.setPositionState) return;
+    const { duration, currentTime, playbackRate } = this.audioElement;
     try {
-      const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      const sampleRate = audioContext.sampleRate;
-      
-      // Create offline context to render the audio
-      const offlineContext = new (window.OfflineAudioContext || window.webkitOfflineAudioContext)(
-        1, 
-        sampleRate * duration, 
-        sampleRate
-      );
-      
-      // Create oscillator
-      const oscillator = offlineContext.createOscillator();
-      const gainNode = offlineContext.createGain();
-      
-      oscillator.frequency.value = frequency;
-      oscillator.type = 'sine';
-      
-      // Create envelope (fade in/out)
-      gainNode.gain.setValueAtTime(0, 0);
-      gainNode.gain.linearRampToValueAtTime(0.3, 0.1);
-      gainNode.gain.linearRampToValueAtTime(0.3, duration - 0.1);
-      gainNode.gain.linearRampToValueAtTime(0, duration);
-      
-      oscillator.connect(gainNode);
-      gainNode.connect(offlineContext.destination);
-      oscillator.start(0);
-      oscillator.stop(duration);
-      
-      // Render the offline context
-      const renderedBuffer = await offlineContext.startRendering();
-      
-      // Convert AudioBuffer to WAV Blob
-      const wavBlob = this.audioBufferToWav(renderedBuffer);
-      return URL.createObjectURL(wavBlob);
+      if (Number.isFinite(duration) && duration > 0) {
+        navigator.mediaSession.setPositionState({
+          duration,
+          playbackRate: playbackRate || 1,
+          position: Math.min(currentTime, duration),
+        });
+      } else {
+        navigator.mediaSession.setPositionState(); // Unknown length, e.g. a stream
+      }
     } catch (error) {
-      console.error('[Audio] Error generating synthesized audio:', error);
+      console.warn('[MediaSession] Could not set position:', error);
+    }
+  }
+
+  /**
+   * Route both decks through Web Audio. Needs a user gesture in most browsers,
+   * so it happens on first play rather than in initialize().
+   * @private
+   */
+  ensureAudioGraph() {
+    if (this.audioGraph === null) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      try {
+        const context = new AudioContextClass();
+        const master = context.createGain();
+        master.gain.value = this.getOutputVolume();
+        master.connect(context.destination);
+
+        let bus = master;
+        if (this.effects) {
+          const chain = this.effects.attach(context);
+          chain.output.connect(master);
+          bus = chain.input;
+        }
+
+        const deckGains = new Map();
+        const trackGains = new Map();
+        this.decks.forEach((deck) => {
+          const trackGain = context.createGain();
+          const gain = context.createGain();
+          gain.gain.value = this.deckLevels.get(deck);
+          context.createMediaElementSource(deck).connect(trackGain);
+          trackGain.connect(gain);
+          gain.connect(bus);
+          deck.volume = 1; // Volume is applied by the master gain from here on
+          deckGains.set(deck, gain);
+          trackGains.set(deck, trackGain);
+        });
+        this.audioGraph = { context, master, deckGains, trackGains };
+        this.decks.forEach((deck) => this.applyTrackGain(deck));
+      } catch (error) {
+        console.warn('[Audio] Web Audio unavailable, crossfades will step the volume instead:', error);
+        this.audioGraph = false;
+      }
+    }
+
+    if (this.audioGraph && this.audioGraph.context.state === 'suspended') {
+      this.audioGraph.context.resume();
+    }
+  }
+
+  /**
+   * Load a track onto a deck
+   * @private
+   */
+  loadDeck(deck, track) {
+    // A track whose URL isn't known yet is loaded when it plays
+    if (track.url) deck.src = track.url;
+    else deck.removeAttribute('src');
+    this.deckTracks.set(deck, track);
+    this.applyTrackGain(deck);
+  }
+
+  /**
+   * Set a deck's loudness normalization for the track on it
+   * @private
+   * @param {HTMLAudioElement} deck - Deck to adjust
+   * @param {boolean} smooth - Glide to the new gain, for a track that is already playing
+   */
+  applyTrackGain(deck, smooth = false) {
+    const trackGain = this.audioGraph ? this.audioGraph.trackGains.get(deck) : null;
+    if (!trackGain) return;
+    const gain = this.effects ? this.effects.getTrackGain(this.deckTracks.get(deck)) : 1;
+    const now = this.audioGraph.context.currentTime;
+    trackGain.gain.cancelScheduledValues(now);
+    if (smooth) {
+      trackGain.gain.setTargetAtTime(gain, now, 0.5);
+    } else {
+      trackGain.gain.setValueAtTime(gain, now);
+    }
+  }
+
+  /**
+   * Fade a deck to a level, with an equal-power curve so overlaps don't dip
+   * @private
+   * @param {HTMLAudioElement} deck - Deck to fade
+   * @param {number} level - Target level 0-1
+   * @param {number} seconds - Fade length; 0 sets the level at once
+   */
+  fadeDeck(deck, level, seconds = 0) {
+    clearInterval(this.fadeTimers.get(deck));
+    this.fadeTimers.delete(deck);
+
+    const from = this.deckLevels.get(deck);
+    const curveAt = (t) =>
+      level > from
+        ? from + (level - from) * Math.sin((t * Math.PI) / 2)
+        : level + (from - level) * Math.cos((t * Math.PI) / 2);
+    this.deckLevels.set(deck, level);
+
+    const gain = this.audioGraph ? this.audioGraph.deckGains.get(deck) : null;
+    if (gain) {
+      const now = this.audioGraph.context.currentTime;
+      gain.gain.cancelScheduledValues(now);
+      if (seconds > 0 && level !== from) {
+        gain.gain.setValueCurveAtTime(Float32Array.from({ length: 64 }, (_, i) => curveAt(i / 63)), now, seconds);
+      } else {
+        gain.gain.setValueAtTime(level, now);
+      }
+      return;
+    }
+
+    if (seconds <= 0 || level === from) {
+      deck.volume = this.getOutputVolume() * level;
+      return;
+    }
+    const startedAt = Date.now();
+    const timer = setInterval(() => {
+      const t = Math.min(1, (Date.now() - startedAt) / (seconds * 1000));
+      deck.volume = this.getOutputVolume() * curveAt(t);
+      if (t === 1) {
+        clearInterval(timer);
+        this.fadeTimers.delete(deck);
+      }
+    }, 50);
+    this.fadeTimers.set(deck, timer);
+  }
+
+  /**
+   * Load the track that will play next onto the idle deck
+   * @private
+   */
+  preloadNext() {
+    // Repeat-one loops the deck itself; during a crossfade the idle deck is still fading out
+    if (!this.currentTrack || this.repeat === 'one' || this.stopAfterCurrent || this.retiring) {
+      this.preloaded = null;
+      return;
+    }
+
+    const index = this.getNextIndex(false);
+    const track = index === -1 ? null : this.playlist[index];
+
+    // Shuffle picks at random; keep an earlier pick while it's still a fair choice
+    const kept = this.preloaded?.track;
+    const keepShufflePick =
+      this.shuffle && kept && !this.shufflePlayed.has(kept.id) && this.playlist.includes(kept) && !this.hasQueuedNext();
+    if (keepShufflePick || (track && kept?.id === track.id)) return;
+
+    if (!track?.url) {
+      this.preloaded = null;
+      // Look the URL up (or render the piece) now, so it's ready in time; once known, preload again
+      if (track?.provider || track?.isSynthesized) {
+        this.resolveStreamUrl(track)
+          .then(() => track.url && this.preloadNext())
+          .catch((error) => console.warn('[IndependentMusicPlayer] Could not resolve', track.title, error.message));
+      }
+      return;
+    }
+    const deck = this.decks.find((d) => d !== this.audioElement);
+    this.loadDeck(deck, track);
+    this.fadeDeck(deck, 0);
+    this.preloaded = { track, deck };
+  }
+
+  /**
+   * Set a timer to start the preloaded track just before the current one ends
+   * @private
+   */
+  scheduleTransition() {
+    const deck = this.audioElement;
+    if (this.transitionTimer || !this.isPlaying || deck.loop || !this.preloaded) return;
+    if (!Number.isFinite(deck.duration) || deck.duration === 0) return;
+
+    const remaining = (deck.duration - deck.currentTime) / (deck.playbackRate || 1);
+    const lead = Math.min(Math.max(this.crossfade, GAPLESS_LEAD), deck.duration / 2);
+    // timeupdate only fires a few times a second, so a timer handles the last stretch
+    if (remaining > lead + 1) return;
+
+    this.transitionTimer = setTimeout(() => {
+      this.transitionTimer = null;
+      this.startTransition();
+    }, Math.max(0, remaining - lead) * 1000);
+  }
+
+  /**
+   * Hand over to the preloaded deck, overlapping the decks for the crossfade
+   * @private
+   * @returns {Promise<boolean>} Whether the next track started
+   */
+  async startTransition() {
+    const next = this.preloaded;
+    if (!next) return false;
+
+    const outgoing = this.audioElement;
+    const remaining = outgoing.ended ? 0 : outgoing.duration - outgoing.currentTime;
+    const fade = Math.min(this.crossfade, Number.isFinite(remaining) ? remaining : 0);
+
+    this.preloaded = null;
+    this.audioElement = next.deck;
+    this.setCurrent(next.track);
+    this.fadeDeck(next.deck, 1, fade);
+    // Even without a crossfade, let the last moment of the old track ring out under the new one
+    if (!outgoing.ended) this.retireDeck(outgoing, Math.max(fade, GAPLESS_LEAD));
+
+    try {
+      await next.deck.play();
+    } catch (error) {
+      console.error('[Audio] Playback error:', error.message);
+      this.emit('onError', { message: 'Failed to play track', error });
+      return false;
+    }
+    this.isPlaying = true;
+    this.emit('onPlayStateChange', { isPlaying: true });
+    this.emit('onTrackChange', { track: next.track });
+    this.preloadNext();
+    return true;
+  }
+
+  /**
+   * Fade out the previous deck, then stop it and preload the next track onto it
+   * @private
+   */
+  retireDeck(deck, seconds) {
+    this.fadeDeck(deck, 0, seconds);
+    const timer = setTimeout(() => this.finishRetiring(), seconds * 1000);
+    this.retiring = { deck, timer };
+  }
+
+  /**
+   * End a crossfade early or on time
+   * @private
+   */
+  finishRetiring() {
+    if (!this.retiring) return;
+    const { deck, timer } = this.retiring;
+    clearTimeout(timer);
+    this.retiring = null;
+    deck.pause();
+    this.fadeDeck(deck, 0);
+    this.preloadNext();
+  }
+
+  /**
+   * Drop any scheduled or running transition, e.g. because the user took over
+   * @private
+   */
+  cancelTransition() {
+    clearTimeout(this.transitionTimer);
+    this.transitionTimer = null;
+    this.finishRetiring();
+  }
+
+  /**
+   * Make a track the current one
+   * @private
+   */
+  setCurrent(track) {
+    this.currentTrack = track;
+    this.currentIndex = this.playlist.findIndex((t) => t.id === track.id);
+    this.markShufflePlayed(track);
+    this.updateLoop();
+  }
+
+  /**
+   * Loop the playing deck for repeat-one, unless playback should stop at the end
+   * @private
+   */
+  updateLoop() {
+    this.decks.forEach((deck) => {
+      deck.loop = deck === this.audioElement && this.repeat === 'one' && !this.stopAfterCurrent;
+    });
+  }
+
+  /**
+   * Render an ambient piece to a WAV file, or reuse the cached render
+   * @param {Object} piece - Piece from AMBIENT_PIECES (see ambient-generator.js)
+   * @returns {Promise<string|null>} Object URL of the WAV, or null if it couldn't be made
+   */
+  async generateAmbient(piece) {
+    try {
+      let blob = await this.ambientCache.get(piece).catch(() => null);
+      if (!blob) {
+        const startedAt = Date.now();
+        blob = this.audioBufferToWav(await renderAmbient(piece));
+        console.log(`[Audio] Rendered "${piece.title}" in ${Date.now() - startedAt} ms`);
+        await this.ambientCache.put(piece, blob).catch((error) => {
+          console.warn('[Audio] Could not cache ambient piece:', error);
+        });
+      }
+      return URL.createObjectURL(blob);
+    } catch (error) {
+      console.error(`[Audio] Error generating "${piece.title}":`, error);
       return null;
     }
   }
@@ -174,7 +575,8 @@ class IndependentMusicPlayer {
     const samples = new Int16Array(arrayBuffer, offset);
     for (let i = 0; i < audioBuffer.length; i++) {
       for (let j = 0; j < numChannels; j++) {
-        samples[index++] = channels[j][i] < 0 ? channels[j][i] * 0x8000 : channels[j][i] * 0x7fff;
+        const sample = Math.max(-1, Math.min(1, channels[j][i])); // Past full scale would wrap around
+        samples[index++] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
       }
     }
     
@@ -184,81 +586,39 @@ class IndependentMusicPlayer {
   /**
    * Search for independent/Creative Commons music
    * @param {string} query - Search term (artist, genre, mood)
-   * @returns {Promise<Array>} Array of tracks
+   * @returns {Promise<Array>} Array of tracks, local matches first
    */
   async search(query) {
-    try {
-      const results = [];
-
-      // Try Pixabay Music API
-      const pixabayResults = await this.searchPixabay(query);
-      results.push(...pixabayResults);
+    const providers = this.providers.filter((provider) => provider.enabled && provider.isConfigured());
+    const [localResults, ...providerResults] = await Promise.allSettled([
+      this.searchLocalArtists(query),
+      ...providers.map((provider) => provider.search(query)),
+    ]);
 
-      // Add local independent artists (if available)
-      const localResults = await this.searchLocalArtists(query);
-      results.push(...localResults);
-
-      this.emit('onPlaylistUpdate', { tracks: results, total: results.length });
-      return results;
-    } catch (error) {
-      this.emit('onError', { message: 'Search failed', error });
-      return [];
-    }
-  }
-
-  /**
-   * Search Pixabay Music (free, CC0 licensed)
-   * Requires API key: https://pixabay.com/api/docs/music/
-   * @private
-   */
-  async searchPixabay(query) {
-    try {
-      if (!this.apiKeys.pixabay || this.apiKeys.pixabay === 'YOUR_PIXABAY_API_KEY_HERE') {
-        console.warn('Pixabay API key not set - using demo tracks');
-        return this.getDemoTracks();
+    const results = [...(localResults.value || [])];
+    providerResults.forEach((result, i) => {
+      if (result.status === 'fulfilled') {
+        results.push(...result.value);
+      } else {
+        console.warn(`[IndependentMusicPlayer] ${providers[i].name} search failed:`, result.reason.message);
+        this.emit('onError', { message: `${providers[i].name} search failed`, error: result.reason });
       }
+    });
 
-      const response = await fetch(
-        `https://pixabay.com/api/music/?q=${encodeURIComponent(query)}&key=${this.apiKeys.pixabay}`
-      );
-
-      if (!response.ok) throw new Error('Pixabay API error');
-
-      const data = await response.json();
-
-      return (data.hits || []).map((track) => ({
-        id: `pixabay-${track.id}`,
-        title: track.title,
-        artist: track.artists?.[0]?.name || 'Pixabay Artist',
-        genre: track.genre || 'Instrumental',
-        duration: track.duration || 0,
-        artwork: track.image || null,
-        url: track.audio,
-        source: 'Pixabay',
-        license: 'CC0 (Public Domain)',
-        attribution: `${track.title} by ${track.artists?.[0]?.name || 'Pixabay'}`,
-      }));
-    } catch (error) {
-      console.error('Pixabay search error:', error);
-      return this.getDemoTracks();
-    }
+    this.emit('onPlaylistUpdate', { tracks: results, total: results.length });
+    return results;
   }
 
   /**
-   * Search local independent artists
-   * Reads from /independent-artists/ folder
+   * Search local tracks by title, artist, album, or genre
    * @private
    */
   async searchLocalArtists(query) {
     try {
-      // In a real app, this would query a backend API
-      // For now, return demo tracks from local sources
-      const localTracks = await this.getLocalTracks();
-      return localTracks.filter(
-        (t) =>
-          t.title.toLowerCase().includes(query.toLowerCase()) ||
-          t.artist.toLowerCase().includes(query.toLowerCase()) ||
-          t.genre.toLowerCase().includes(query.toLowerCase())
+      const localTracks = [...this.generatedTracks, ...(await this.getLocalTracks())];
+      const term = query.toLowerCase();
+      return localTracks.filter((t) =>
+        [t.title, t.artist, t.album, t.genre].some((field) => (field || '').toLowerCase().includes(term))
       );
     } catch (error) {
       console.error('Local artist search error:', error);
@@ -271,63 +631,93 @@ class IndependentMusicPlayer {
    * @private
    */
   async getDemoTracks() {
-    // Generate synthesized tracks that work everywhere without CORS issues
-    const track1Url = await this.generateSynthesizedAudio(440, 5); // A4, 5 seconds
-    const track2Url = await this.generateSynthesizedAudio(554.37, 5); // C#5, 5 seconds
-    const track3Url = await this.generateSynthesizedAudio(329.63, 5); // E4, 5 seconds
-    
-    return [
-      {
-        id: 'demo-1',
-        title: 'Upbeat Synth',
-        artist: 'Generated',
-        genre: 'Electronic',
-        duration: 5,
-        artwork: 'https://images.unsplash.com/photo-1470225620780-dba8ba36b745?w=300&h=300&fit=crop',
-        url: track1Url,
-        isSynthesized: true,
-        source: 'Generated',
-        license: 'Original',
-        attribution: 'HomeHarmony App',
-      },
-      {
-        id: 'demo-2',
-        title: 'Happy Melody',
-        artist: 'Generated',
-        genre: 'Electronic',
-        duration: 5,
-        artwork: 'https://images.unsplash.com/photo-1514525253161-7a46d19cd819?w=300&h=300&fit=crop',
-        url: track2Url,
-        isSynthesized: true,
-        source: 'Generated',
-        license: 'Original',
-        attribution: 'HomeHarmony App',
-      },
-      {
-        id: 'demo-3',
-        title: 'Peaceful Tone',
-        artist: 'Generated',
-        genre: 'Ambient',
-        duration: 5,
-        artwork: 'https://images.unsplash.com/photo-1493225457124-a3eb161ffa5f?w=300&h=300&fit=crop',
-        url: track3Url,
-        isSynthesized: true,
-        source: 'Generated',
-        license: 'Original',
-        attribution: 'HomeHarmony App',
-      },
-    ];
+    if (this.generatedTracks.length > 0) return this.generatedTracks;
+
+    // Generated on the device, so they play offline and without CORS issues. Each piece
+    // is rendered when it's first played or preloaded (see resolveStreamUrl()).
+    const tracks = AMBIENT_PIECES.map((piece) => ({
+      id: piece.id,
+      title: piece.title,
+      artist: 'Generated',
+      album: 'HomeHarmony Ambient',
+      genre: piece.genre,
+      duration: piece.duration,
+      artwork: AMBIENT_ARTWORK[piece.id] || null,
+      url: null,
+      isSynthesized: true,
+      source: 'Generated',
+      license: 'Original',
+      attribution: 'HomeHarmony App',
+    }));
+    this.generatedTracks = tracks;
+
+    // Have the first piece ready before anyone presses play
+    const renderFirst = () => this.resolveStreamUrl(tracks[0]);
+    if (window.requestIdleCallback) window.requestIdleCallback(renderFirst);
+    else setTimeout(renderFirst, 1000);
+    return tracks;
+  }
+
+  /**
+   * Use a library of the user's own files for local tracks
+   * @param {LocalLibrary} library - Imported files
+   */
+  setLocalLibrary(library) {
+    this.localLibrary = library;
   }
 
   /**
-   * Get local independent artist tracks
-   * Expects files in /independent-artists/ directory
+   * Search online catalogues too
+   * @param {Array<MusicProvider>} providers - From createMusicProviders()
+   */
+  setProviders(providers) {
+    this.providers = providers;
+  }
+
+  /**
+   * Make sure a track has a URL to play, asking its provider (or rendering the
+   * ambient piece) when it doesn't
+   * @param {Object} track - Track to play
+   * @returns {Promise<Object>} The same track
+   */
+  async resolveStreamUrl(track) {
+    if (track.url) return track;
+    if (track.isSynthesized) {
+      const piece = AMBIENT_PIECES.find((p) => p.id === track.id);
+      if (!piece) return track;
+      // Playing and preloading can ask at once; render the piece only once
+      if (!this.ambientRenders.has(piece.id)) {
+        this.ambientRenders.set(piece.id, this.generateAmbient(piece).finally(() => this.ambientRenders.delete(piece.id)));
+      }
+      track.url = track.url || (await this.ambientRenders.get(piece.id));
+      return track;
+    }
+    if (!track.provider) return track;
+    const provider = this.providers.find((p) => p.id === track.provider);
+    if (!provider) throw new Error(`${track.source || track.provider} is not available`);
+    track.url = await provider.resolveStreamUrl(track);
+    return track;
+  }
+
+  /**
+   * Route playback through an effects chain. Call before the first play.
+   * @param {AudioEffects} effects - EQ, normalization, night mode, and limiter
+   */
+  setEffects(effects) {
+    this.effects = effects;
+    effects.on('onTrackGainChange', ({ trackId }) => {
+      this.decks.forEach((deck) => {
+        if (!trackId || this.deckTracks.get(deck)?.id === trackId) this.applyTrackGain(deck, true);
+      });
+    });
+  }
+
+  /**
+   * Get the user's imported tracks
    * @private
    */
   async getLocalTracks() {
-    // In production, this would query a backend endpoint
-    // For now, return empty array - user can add their own
-    return [];
+    return this.localLibrary ? this.localLibrary.getTracks() : [];
   }
 
   /**
@@ -337,12 +727,15 @@ class IndependentMusicPlayer {
   async play(track) {
     try {
       // If no track provided, resume current track
+      this.ensureAudioGraph();
       if (!track) {
-        if (this.currentTrack) {
+        if (this.currentTrack && this.audioElement.getAttribute('src')) {
           await this.audioElement.play();
           this.isPlaying = true;
           this.emit('onPlayStateChange', { isPlaying: true });
           return true;
+        } else if (this.currentTrack) {
+          track = this.currentTrack;
         } else if (this.playlist.length > 0) {
           track = this.playlist[0];
         } else {
@@ -356,9 +749,19 @@ class IndependentMusicPlayer {
         track = foundTrack;
       }
 
-      this.currentTrack = track;
-      this.currentIndex = this.playlist.findIndex((t) => t.id === track.id);
-      this.audioElement.src = track.url;
+      await this.resolveStreamUrl(track);
+      this.cancelTransition();
+      if (this.preloaded?.track.id === track.id) {
+        // Already loaded on the other deck
+        const previous = this.audioElement;
+        this.audioElement = this.preloaded.deck;
+        previous.pause();
+      } else {
+        this.loadDeck(this.audioElement, track);
+      }
+      this.preloaded = null;
+      this.fadeDeck(this.audioElement, 1);
+      this.setCurrent(track);
       
       await this.audioElement.play();
       
@@ -366,6 +769,7 @@ class IndependentMusicPlayer {
       this.isPlaying = true;
       this.emit('onPlayStateChange', { isPlaying: true });
       this.emit('onTrackChange', { track });
+      this.preloadNext();
       return true;
     } catch (error) {
       console.error('[Audio] Playback error:', error.message);
@@ -374,11 +778,25 @@ class IndependentMusicPlayer {
     }
   }
 
+  /**
+   * Load a track without starting playback
+   * @param {Object} track - Track object from the playlist
+   */
+  cue(track) {
+    this.cancelTransition();
+    this.loadDeck(this.audioElement, track);
+    this.fadeDeck(this.audioElement, 1);
+    this.setCurrent(track);
+    this.emit('onTrackChange', { track });
+    this.preloadNext();
+  }
+
   /**
    * Pause current track
    */
   pause() {
     if (this.audioElement) {
+      this.cancelTransition();
       this.audioElement.pause();
       this.isPlaying = false;
       this.emit('onPlayStateChange', { isPlaying: false });
@@ -399,6 +817,7 @@ class IndependentMusicPlayer {
    */
   stop() {
     if (this.audioElement) {
+      this.cancelTransition();
       this.audioElement.pause();
       this.audioElement.currentTime = 0;
       this.isPlaying = false;
@@ -407,25 +826,208 @@ class IndependentMusicPlayer {
   }
 
   /**
-   * Play next track in playlist
+   * Play next track in the queue.
+   * Skipping always moves on; only a track ending on its own respects repeat 'off'.
    */
   async nextTrack() {
     if (this.playlist.length === 0) return;
 
-    this.currentIndex = (this.currentIndex + 1) % this.playlist.length;
-    await this.play(this.playlist[this.currentIndex]);
+    // The preloaded track is the one that would have played next anyway
+    const index = this.preloaded ? this.playlist.indexOf(this.preloaded.track) : this.getNextIndex(true);
+    if (index !== -1) await this.play(this.playlist[index]);
   }
 
   /**
-   * Play previous track in playlist
+   * Play previous track in the queue (or in shuffle order)
    */
   async previousTrack() {
     if (this.playlist.length === 0) return;
 
+    if (this.shuffle && this.shuffleHistory.length > 1) {
+      this.shuffleHistory.pop();
+      const previousId = this.shuffleHistory.pop();
+      this.shufflePlayed.delete(this.currentTrack?.id);
+      const track = this.playlist.find((t) => t.id === previousId);
+      if (track) {
+        await this.play(track);
+        return;
+      }
+    }
+
     this.currentIndex = (this.currentIndex - 1 + this.playlist.length) % this.playlist.length;
     await this.play(this.playlist[this.currentIndex]);
   }
 
+  /**
+   * Move on when a track finishes, following the repeat and shuffle modes
+   * @private
+   */
+  async handleEnded() {
+    if (this.stopAfterCurrent) {
+      console.log('[Audio] Track ended, stopping as asked');
+      this.stopAfterCurrent = false;
+      this.updateLoop();
+      this.stop();
+      return;
+    }
+
+    if (this.repeat === 'one' && this.currentTrack) {
+      console.log('[Audio] Track ended, repeating it');
+      this.audioElement.currentTime = 0;
+      await this.play();
+      return;
+    }
+
+    // Normally the preloaded deck has taken over already; this covers a late timer
+    if (this.preloaded) {
+      await this.startTransition();
+      return;
+    }
+
+    const index = this.getNextIndex(false);
+    if (index === -1) {
+      console.log('[Audio] Reached the end of the queue');
+      this.isPlaying = false;
+      this.emit('onPlayStateChange', { isPlaying: false });
+      return;
+    }
+    console.log('[Audio] Track ended, playing next');
+    await this.play(this.playlist[index]);
+  }
+
+  /**
+   * Pick the queue index to play after the current track.
+   * Apart from shuffle's random choice this has no side effects, so the pick can be preloaded.
+   * @private
+   * @param {boolean} manual - Whether the user skipped (wraps around even with repeat off)
+   * @returns {number} Queue index, or -1 when playback should stop
+   */
+  getNextIndex(manual) {
+    const wrap = manual || this.repeat === 'all';
+
+    if (this.shuffle) {
+      const queued = this.getQueuedNextIndex();
+      if (queued !== -1) return queued;
+
+      let candidates = this.playlist.filter((t) => !this.shufflePlayed.has(t.id));
+      if (candidates.length === 0) {
+        if (!wrap) return -1;
+        // A new cycle (see markShufflePlayed), avoiding an immediate repeat of the current track
+        candidates = this.playlist.filter((t) => t.id !== this.currentTrack?.id);
+        if (candidates.length === 0) candidates = this.playlist;
+      }
+      const track = candidates[Math.floor(Math.random() * candidates.length)];
+      return this.playlist.indexOf(track);
+    }
+
+    if (this.currentIndex + 1 < this.playlist.length) return this.currentIndex + 1;
+    return wrap ? 0 : -1;
+  }
+
+  /**
+   * Queue index of the first playNext() track still waiting, or -1
+   * @private
+   */
+  getQueuedNextIndex() {
+    for (const id of this.upNext) {
+      const index = this.playlist.findIndex((t) => t.id === id);
+      if (index !== -1 && id !== this.currentTrack?.id) return index;
+    }
+    return -1;
+  }
+
+  /**
+   * @private
+   */
+  hasQueuedNext() {
+    return this.getQueuedNextIndex() !== -1;
+  }
+
+  /**
+   * @private
+   */
+  markShufflePlayed(track) {
+    // Every track has had its turn, so this one starts a new cycle
+    if (this.playlist.length > 0 && this.playlist.every((t) => this.shufflePlayed.has(t.id))) {
+      this.shufflePlayed.clear();
+    }
+    this.shufflePlayed.add(track.id);
+    this.upNext = this.upNext.filter((id) => id !== track.id);
+    if (this.shuffleHistory[this.shuffleHistory.length - 1] !== track.id) {
+      this.shuffleHistory.push(track.id);
+    }
+  }
+
+  /**
+   * Turn shuffle on or off. Turning it on starts a fresh cycle.
+   * @param {boolean} enabled - Whether to shuffle
+   */
+  setShuffle(enabled) {
+    this.shuffle = !!enabled;
+    this.resetShuffle();
+    this.preloaded = null;
+    this.preloadNext();
+    this.emitModeChange();
+  }
+
+  /**
+   * Set the repeat mode
+   * @param {string} mode - 'off', 'all', or 'one'
+   */
+  setRepeat(mode) {
+    if (!['off', 'all', 'one'].includes(mode)) throw new Error(`Unknown repeat mode: ${mode}`);
+    this.repeat = mode;
+    this.updateLoop();
+    this.preloadNext();
+    this.emitModeChange();
+  }
+
+  /**
+   * Stop when the current track ends, whatever the repeat mode (e.g. for a sleep timer)
+   * @param {boolean} enabled
+   */
+  setStopAfterCurrent(enabled) {
+    this.stopAfterCurrent = !!enabled;
+    this.updateLoop();
+    if (this.stopAfterCurrent) {
+      clearTimeout(this.transitionTimer);
+      this.transitionTimer = null;
+    }
+    this.preloadNext();
+  }
+
+  /**
+   * Set how long tracks overlap when one hands over to the next
+   * @param {number} seconds - 0 (gapless) to 12
+   */
+  setCrossfade(seconds) {
+    if (!Number.isFinite(seconds) || seconds < 0 || seconds > MAX_CROSSFADE) {
+      throw new Error(`Crossfade must be between 0 and ${MAX_CROSSFADE} seconds`);
+    }
+    this.crossfade = seconds;
+    // A handover timed for the old length would fire at the wrong moment
+    clearTimeout(this.transitionTimer);
+    this.transitionTimer = null;
+    this.emitModeChange();
+  }
+
+  /**
+   * @private
+   */
+  emitModeChange() {
+    this.emit('onModeChange', { shuffle: this.shuffle, repeat: this.repeat, crossfade: this.crossfade });
+  }
+
+  /**
+   * @private
+   */
+  resetShuffle() {
+    this.shufflePlayed.clear();
+    this.shuffleHistory = [];
+    this.upNext = [];
+    if (this.currentTrack) this.markShufflePlayed(this.currentTrack);
+  }
+
   /**
    * Set playlist
    * @param {Array} tracks - Array of track objects
@@ -433,9 +1035,99 @@ class IndependentMusicPlayer {
   setPlaylist(tracks) {
     this.playlist = tracks;
     this.currentIndex = 0;
+    this.resetShuffle();
+    this.preloadNext();
     this.emit('onPlaylistUpdate', { tracks, total: tracks.length });
   }
 
+  /**
+   * Add tracks to the end of the queue.
+   * A track can only be queued once, so tracks already queued are moved.
+   * @param {Object|Array} tracks - Track or tracks to add
+   */
+  enqueue(tracks) {
+    const adding = this.withoutCurrent(tracks);
+    const ids = new Set(adding.map((t) => t.id));
+    this.updateQueue([...this.playlist.filter((t) => !ids.has(t.id)), ...adding]);
+  }
+
+  /**
+   * Add tracks right after the current track
+   * @param {Object|Array} tracks - Track or tracks to add
+   */
+  playNext(tracks) {
+    const adding = this.withoutCurrent(tracks);
+    const ids = new Set(adding.map((t) => t.id));
+    const queue = this.playlist.filter((t) => !ids.has(t.id));
+    const current = this.currentTrack ? queue.findIndex((t) => t.id === this.currentTrack.id) : -1;
+    queue.splice(current + 1, 0, ...adding);
+    this.updateQueue(queue);
+    // Shuffle plays these first, then goes back to picking at random
+    this.upNext = [...adding.map((t) => t.id), ...this.upNext.filter((id) => !ids.has(id))];
+    this.preloadNext();
+  }
+
+  /**
+   * @private
+   */
+  withoutCurrent(tracks) {
+    return [].concat(tracks).filter((t) => t.id !== this.currentTrack?.id);
+  }
+
+  /**
+   * Remove a track from the queue. Removing the playing track moves on to the next one.
+   * @param {number} index - Queue position
+   */
+  async removeFromQueue(index) {
+    if (index < 0 || index >= this.playlist.length) return;
+
+    const removingCurrent = this.currentTrack && index === this.currentIndex;
+    const wasPlaying = this.isPlaying;
+    const queue = this.playlist.filter((_, i) => i !== index);
+    this.updateQueue(queue);
+
+    if (!removingCurrent) return;
+    if (queue.length === 0) {
+      this.stop();
+      this.currentTrack = null;
+      this.emit('onTrackChange', { track: null });
+      return;
+    }
+
+    // The track that followed the removed one now sits at its index
+    const next = queue[Math.min(index, queue.length - 1)];
+    if (wasPlaying) await this.play(next);
+    else this.cue(next);
+  }
+
+  /**
+   * Move a track to another queue position
+   * @param {number} from - Current position
+   * @param {number} to - New position
+   */
+  moveInQueue(from, to) {
+    if (from === to || from < 0 || from >= this.playlist.length) return;
+
+    const queue = [...this.playlist];
+    const [track] = queue.splice(from, 1);
+    queue.splice(Math.max(0, Math.min(to, queue.length)), 0, track);
+    this.updateQueue(queue);
+  }
+
+  /**
+   * Replace the queue while keeping the current track's place in it
+   * @private
+   */
+  updateQueue(queue) {
+    this.playlist = queue;
+    if (this.currentTrack) {
+      const index = queue.findIndex((t) => t.id === this.currentTrack.id);
+      if (index !== -1) this.currentIndex = index;
+    }
+    this.preloadNext();
+    this.emit('onPlaylistUpdate', { tracks: queue, total: queue.length });
+  }
+
   /**
    * Get current track
    * @returns {Object|null} Current track object
@@ -464,9 +1156,48 @@ class IndependentMusicPlayer {
    * @param {number} volume - Volume level
    */
   setVolume(volume) {
-    if (this.audioElement) {
-      this.audioElement.volume = Math.max(0, Math.min(1, volume));
+    this.volume = Math.max(0, Math.min(1, volume));
+    this.applyVolume();
+  }
+
+  /**
+   * Mute or unmute without losing the volume setting
+   * @param {boolean} muted
+   */
+  setMuted(muted) {
+    this.muted = !!muted;
+    this.applyVolume();
+  }
+
+  /**
+   * Volume actually sent to the speakers
+   * @private
+   */
+  getOutputVolume() {
+    return this.muted ? 0 : this.volume;
+  }
+
+  /**
+   * @private
+   */
+  applyVolume() {
+    if (this.audioGraph) {
+      this.audioGraph.master.gain.value = this.getOutputVolume();
+    } else {
+      this.decks.forEach((deck) => {
+        deck.volume = this.getOutputVolume() * this.deckLevels.get(deck);
+      });
     }
+    this.emit('onVolumeChange', { volume: this.volume, muted: this.muted });
+  }
+
+  /**
+   * Tell listeners where playback is in the current track
+   * @private
+   */
+  emitTimeUpdate() {
+    const { currentTime, duration } = this.getPlaybackState();
+    this.emit('onTimeUpdate', { currentTime, duration: Number.isFinite(duration) ? duration : 0 });
   }
 
   /**
@@ -475,39 +1206,103 @@ class IndependentMusicPlayer {
    */
   seek(seconds) {
     if (this.audioElement) {
-      this.audioElement.currentTime = seconds;
+      this.cancelTransition();
+      const { duration } = this.audioElement;
+      this.audioElement.currentTime = Math.max(0, Number.isFinite(duration) ? Math.min(seconds, duration) : seconds);
     }
   }
 
+  /**
+   * Get a serializable snapshot of the player for persistence.
+   * Generated and local tracks are saved without their blob URLs, which don't survive a reload.
+   * @returns {Object} Player snapshot
+   */
+  exportState() {
+    const { currentTime } = this.getPlaybackState();
+    const portable = (track) => {
+      if (track.isLocal) return { ...track, url: null, artwork: null };
+      return track.isSynthesized ? { ...track, url: null } : track;
+    };
+    return {
+      playlist: this.playlist.map(portable),
+      currentIndex: this.currentIndex,
+      currentTrackId: this.currentTrack?.id || null,
+      currentTime,
+      volume: this.volume,
+      shuffle: this.shuffle,
+      repeat: this.repeat,
+      crossfade: this.crossfade,
+    };
+  }
+
+  /**
+   * Turn saved track entries back into playable tracks.
+   * Saved blob URLs are dead after a reload, so such tracks must be resolvable by ID.
+   * @param {Array} entries - Saved track objects
+   * @param {Array} knownTracks - Freshly loaded tracks to match by ID
+   * @returns {Array} Playable tracks; unresolvable entries are dropped
+   */
+  resolveTracks(entries, knownTracks = []) {
+    const byId = new Map(knownTracks.map((track) => [track.id, track]));
+    return entries
+      .map((track) => byId.get(track.id) || (track.url && !track.url.startsWith('blob:') ? track : null))
+      .filter(Boolean);
+  }
+
+  /**
+   * Restore a snapshot from exportState() without starting playback
+   * @param {Object} snapshot - Saved player state
+   * @param {Array} knownTracks - Freshly loaded tracks used to resolve saved entries by ID
+   * @returns {boolean} Whether a playlist was restored
+   */
+  restoreState(snapshot, knownTracks = []) {
+    if (!snapshot || !Array.isArray(snapshot.playlist)) return false;
+
+    const playlist = this.resolveTracks(snapshot.playlist, knownTracks);
+    if (playlist.length === 0) return false;
+
+    this.setPlaylist(playlist);
+    if (Number.isFinite(snapshot.volume)) this.setVolume(snapshot.volume);
+    if (typeof snapshot.shuffle === 'boolean') this.setShuffle(snapshot.shuffle);
+    if (['off', 'all', 'one'].includes(snapshot.repeat)) this.setRepeat(snapshot.repeat);
+    if (snapshot.crossfade >= 0 && snapshot.crossfade <= MAX_CROSSFADE) this.setCrossfade(snapshot.crossfade);
+
+    const track = playlist.find((t) => t.id === snapshot.currentTrackId);
+    if (track) {
+      this.cue(track);
+
+      const position = snapshot.currentTime || 0;
+      if (position > 0) {
+        const restorePosition = () => {
+          this.audioElement.currentTime = Math.min(position, this.audioElement.duration || position);
+          this.audioElement.removeEventListener('loadedmetadata', restorePosition);
+        };
+        this.audioElement.addEventListener('loadedmetadata', restorePosition);
+      }
+    } else {
+      this.currentIndex = Math.min(snapshot.currentIndex || 0, playlist.length - 1);
+    }
+    return true;
+  }
+
   /**
    * Get supported licenses/sources
    * @returns {Array} Array of supported sources
    */
   getSupportedSources() {
     return [
+      ...this.providers.map((provider) => provider.describe()),
       {
-        name: 'Pixabay Music',
-        url: 'https://pixabay.com/music',
-        license: 'CC0 (Public Domain)',
-        description: '1000+ royalty-free music tracks',
-      },
-      {
-        name: 'Creative Commons',
-        url: 'https://creativecommons.org',
-        license: 'Various CC licenses',
-        description: 'Music with creator attribution',
-      },
-      {
-        name: 'Independent Artists',
+        name: 'Your files',
         url: 'local',
-        license: 'Per-artist license',
-        description: 'Local independent artist uploads',
+        license: 'Per-file license',
+        description: 'Audio files imported into the library',
       },
       {
-        name: 'Freepik Audio',
-        url: 'https://www.freepik.com/search/audio',
-        license: 'CC0 + Premium',
-        description: 'Curated royalty-free music',
+        name: 'Generated',
+        url: 'local',
+        license: 'Original',
+        description: 'Ambient pieces rendered on this device',
       },
     ];
   }
@@ -523,8 +1318,10 @@ class IndependentMusicPlayer {
       artist: track.artist,
       source: track.source,
       license: track.license,
+      licenseUrl: track.licenseUrl || null,
       attribution: track.attribution,
       url: track.url,
+      pageUrl: track.pageUrl || null,
       genre: track.genre,
       duration: track.duration,
     };
@@ -564,7 +1361,7 @@ class IndependentMusicPlayer {
 }
 
 // ES6 Export
-export { IndependentMusicPlayer };
+export { IndependentMusicPlayer, MAX_CROSSFADE };
 
 // CommonJS Export
 if (typeof module !== 'undefined' && module.exports) {
@@ -0,0 +1,211 @@
+/**
+ * Light Color Model
+ * Capabilities, color temperature, and HSV color for light devices.
+ *
+ * Lights advertise what they can do with a `capabilities` list on the device
+ * descriptor: 'brightness', 'colorTemperature', and/or 'color'. Lights without
+ * the list are treated as dimmable white bulbs.
+ *
+ * Light state:
+ * {
+ *   on, brightness,           // brightness 0-100 doubles as the HSV "value"
+ *   colorMode,                // 'ct' | 'hs', which of the two below is showing
+ *   colorTemperature,         // Kelvin
+ *   color: { hue, saturation }, // hue 0-360, saturation 0-100
+ *   minColorTemperature, maxColorTemperature, // optional, Kelvin
+ * }
+ */
+
+const LIGHT_CAPABILITIES = ['brightness', 'colorTemperature', 'color'];
+const DEFAULT_LIGHT_CAPABILITIES = ['brightness'];
+const COLOR_MODES = ['ct', 'hs'];
+
+const COLOR_TEMPERATURE_LIMITS = { min: 2000, max: 6500 };
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Get what a light supports
+ * @param {Object} device - Light device
+ * @returns {Array<string>} Capabilities
+ */
+function getLightCapabilities(device) {
+  return device.capabilities || DEFAULT_LIGHT_CAPABILITIES;
+}
+
+/**
+ * Check whether a light supports a capability
+ * @param {Object} device - Light device
+ * @param {string} capability - One of LIGHT_CAPABILITIES
+ * @returns {boolean}
+ */
+function hasCapability(device, capability) {
+  return getLightCapabilities(device).includes(capability);
+}
+
+/**
+ * Get a light's color temperature range
+ * @param {Object} state - Light state
+ * @returns {{min: number, max: number}} Range in Kelvin
+ */
+function getColorTemperatureRange(state) {
+  return {
+    min: state.minColorTemperature ?? COLOR_TEMPERATURE_LIMITS.min,
+    max: state.maxColorTemperature ?? COLOR_TEMPERATURE_LIMITS.max,
+  };
+}
+
+/**
+ * Approximate the RGB color of a white light at a color temperature
+ * @param {number} kelvin - Color temperature in Kelvin
+ * @returns {{r: number, g: number, b: number}} RGB 0-255
+ */
+function kelvinToRgb(kelvin) {
+  const t = clamp(kelvin, 1000, 40000) / 100;
+  const r = t <= 66 ? 255 : 329.698727446 * (t - 60) ** -0.1332047592;
+  const g = t <= 66 ? 99.4708025861 * Math.log(t) - 161.1195681661 : 288.1221695283 * (t - 60) ** -0.0755148492;
+  const b = t >= 66 ? 255 : t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+  return { r: Math.round(clamp(r, 0, 255)), g: Math.round(clamp(g, 0, 255)), b: Math.round(clamp(b, 0, 255)) };
+}
+
+/**
+ * Convert HSV to RGB
+ * @param {number} hue - 0-360
+ * @param {number} saturation - 0-100
+ * @param {number} value - 0-100
+ * @returns {{r: number, g: number, b: number}} RGB 0-255
+ */
+function hsvToRgb(hue, saturation, value) {
+  const s = saturation / 100;
+  const v = value / 100;
+  const f = (n) => {
+    const k = (n + hue / 60) % 6;
+    return v - v * s * Math.max(0, Math.min(k, 4 - k, 1));
+  };
+  return { r: Math.round(f(5) * 255), g: Math.round(f(3) * 255), b: Math.round(f(1) * 255) };
+}
+
+/**
+ * Convert RGB to HSV
+ * @param {{r: number, g: number, b: number}} rgb - RGB 0-255
+ * @returns {{hue: number, saturation: number, value: number}} Hue 0-360, saturation and value 0-100
+ */
+function rgbToHsv({ r, g, b }) {
+  const [red, green, blue] = [r / 255, g / 255, b / 255];
+  const max = Math.max(red, green, blue);
+  const delta = max - Math.min(red, green, blue);
+
+  let hue = 0;
+  if (delta > 0) {
+    if (max === red) hue = 60 * (((green - blue) / delta) % 6);
+    else if (max === green) hue = 60 * ((blue - red) / delta + 2);
+    else hue = 60 * ((red - green) / delta + 4);
+  }
+
+  return {
+    hue: Math.round((hue + 360) % 360),
+    saturation: max === 0 ? 0 : Math.round((delta / max) * 100),
+    value: Math.round(max * 100),
+  };
+}
+
+/**
+ * Format RGB as a CSS hex color
+ * @param {{r: number, g: number, b: number}} rgb - RGB 0-255
+ * @returns {string} e.g. '#ffa040'
+ */
+function rgbToHex({ r, g, b }) {
+  return `#${[r, g, b].map((channel) => channel.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Parse a CSS hex color
+ * @param {string} hex - '#rrggbb'
+ * @returns {{r: number, g: number, b: number}} RGB 0-255
+ */
+function hexToRgb(hex) {
+  const match = /^#?([0-9a-f]{6})$/i.exec(hex);
+  if (!match) throw new Error(`Invalid color: ${hex}`);
+  const value = parseInt(match[1], 16);
+  return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+}
+
+/**
+ * Get the color a light is showing, at its current brightness
+ * @param {Object} state - Light state
+ * @returns {string} CSS hex color
+ */
+function getLightColor(state) {
+  const brightness = state.brightness ?? 100;
+  if (state.colorMode === 'hs' && state.color) {
+    return rgbToHex(hsvToRgb(state.color.hue, state.color.saturation, brightness));
+  }
+  const white = kelvinToRgb(state.colorTemperature ?? 2700);
+  const scale = (channel) => Math.round((channel * brightness) / 100);
+  return rgbToHex({ r: scale(white.r), g: scale(white.g), b: scale(white.b) });
+}
+
+/**
+ * Build the state patch for a color picked as hex.
+ * The color's HSV value becomes the brightness, so the dimmer follows the picker.
+ * @param {string} hex - '#rrggbb'
+ * @returns {Object} Light state patch
+ */
+function colorPatchFromHex(hex) {
+  const { hue, saturation, value } = rgbToHsv(hexToRgb(hex));
+  return { on: value > 0, brightness: value, colorMode: 'hs', color: { hue, saturation } };
+}
+
+/**
+ * Check the color parts of a light state patch
+ * @param {Object} device - Light device
+ * @param {Object} patch - Partial state
+ * @returns {string|null} Error message, or null when the patch is valid
+ */
+function validateLightColorPatch(device, patch) {
+  if ('colorMode' in patch && !COLOR_MODES.includes(patch.colorMode)) {
+    return `Unknown color mode: ${patch.colorMode}`;
+  }
+
+  if ('colorTemperature' in patch || patch.colorMode === 'ct') {
+    if (!hasCapability(device, 'colorTemperature')) return `${device.name} does not support color temperature`;
+  }
+  if ('colorTemperature' in patch) {
+    const { min, max } = getColorTemperatureRange(device.state);
+    const { colorTemperature } = patch;
+    if (!Number.isFinite(colorTemperature) || colorTemperature < min || colorTemperature > max) {
+      return `Color temperature must be between ${min} K and ${max} K`;
+    }
+  }
+
+  if ('color' in patch || patch.colorMode === 'hs') {
+    if (!hasCapability(device, 'color')) return `${device.name} does not support color`;
+  }
+  if ('color' in patch) {
+    const { hue, saturation } = patch.color || {};
+    if (!Number.isFinite(hue) || hue < 0 || hue > 360 || !Number.isFinite(saturation) || saturation < 0 || saturation > 100) {
+      return 'Color needs a hue of 0-360 and a saturation of 0-100';
+    }
+  }
+
+  return null;
+}
+
+// ES6 Export
+export {
+  LIGHT_CAPABILITIES,
+  DEFAULT_LIGHT_CAPABILITIES,
+  COLOR_MODES,
+  COLOR_TEMPERATURE_LIMITS,
+  getLightCapabilities,
+  hasCapability,
+  getColorTemperatureRange,
+  kelvinToRgb,
+  hsvToRgb,
+  rgbToHsv,
+  rgbToHex,
+  hexToRgb,
+  getLightColor,
+  colorPatchFromHex,
+  validateLightColorPatch,
+};
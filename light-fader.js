@@ -0,0 +1,200 @@
+/**
+ * Light Fader
+ * Timed brightness transitions with easing, including the sunrise alarm ramp.
+ *
+ * Each light has at most one fade at a time; starting a new fade on a light
+ * replaces the old one. A fade stops early when the light changes to something
+ * other than what the fade last sent (a slider, wall switch, or another app).
+ */
+
+/**
+ * Easing curves mapping progress 0..1 to output 0..1
+ */
+const EASINGS = {
+  linear: (t) => t,
+  'ease-in': (t) => t * t,
+  'ease-out': (t) => 1 - (1 - t) * (1 - t),
+  'ease-in-out': (t) => (t < 0.5 ? 2 * t * t : 1 - ((-2 * t + 2) ** 2) / 2),
+};
+
+// Don't send commands more often than this, however short the fade
+const MIN_STEP_INTERVAL = 250;
+
+const differs = (state, sent) => state.on !== sent.on || state.brightness !== sent.brightness;
+
+class LightFader {
+  /**
+   * @param {DeviceRegistry} registry - Lights to control
+   * @param {Object} options
+   * @param {number} options.minStepInterval - Shortest time between commands in ms
+   */
+  constructor(registry, { minStepInterval = MIN_STEP_INTERVAL } = {}) {
+    this.registry = registry;
+    this.minStepInterval = minStepInterval;
+    this.fades = new Map();
+    this.listeners = {
+      onFadeStart: [],
+      onFadeEnd: [],
+    };
+
+    this.registry.on('onDeviceChange', ({ device }) => this.checkInterrupted(device));
+  }
+
+  /**
+   * Fade lights from their current brightness to a target
+   * @param {Array} lights - Light devices
+   * @param {number} brightness - Target brightness 0-100; 0 turns the lights off at the end
+   * @param {Object} options
+   * @param {number} options.duration - Fade length in ms
+   * @param {string} options.easing - Key of EASINGS
+   * @param {number} options.from - Starting brightness (defaults to each light's current level, or 0 if off)
+   * @returns {Promise<boolean>} Resolves true when every light finished, false if any fade was cancelled
+   */
+  fade(lights, brightness, { duration = 5000, easing = 'ease-in-out', from = null } = {}) {
+    const ease = EASINGS[easing];
+    if (!ease) throw new Error(`Unknown easing: ${easing}`);
+    if (!Number.isFinite(brightness) || brightness < 0 || brightness > 100) {
+      throw new Error('Brightness must be between 0 and 100');
+    }
+
+    const results = lights.map((light) => this.fadeLight(light, brightness, { duration, ease, from }));
+    this.emit('onFadeStart', { lights, brightness, duration });
+    return Promise.all(results).then((completed) => {
+      const allCompleted = completed.every(Boolean);
+      this.emit('onFadeEnd', { lights, brightness, completed: allCompleted });
+      return allCompleted;
+    });
+  }
+
+  /**
+   * Stop fades on some lights, leaving them at their current level
+   * @param {Array<string>} deviceIds - Light IDs (all fades when omitted)
+   */
+  cancel(deviceIds = [...this.fades.keys()]) {
+    deviceIds.forEach((deviceId) => {
+      const fade = this.fades.get(deviceId);
+      if (fade) fade.finish(false);
+    });
+  }
+
+  /**
+   * Whether a light is fading
+   * @param {string} deviceId - Light ID
+   * @returns {boolean}
+   */
+  isFading(deviceId) {
+    return this.fades.has(deviceId);
+  }
+
+  /**
+   * @private
+   */
+  fadeLight(light, target, { duration, ease, from }) {
+    this.cancel([light.id]);
+
+    const start = from ?? (light.state.on ? light.state.brightness : 0);
+    const startedAt = Date.now();
+    // One command per brightness step, but never faster than minStepInterval
+    const interval = Math.max(this.minStepInterval, duration / Math.max(1, Math.abs(target - start)));
+
+    return new Promise((resolve) => {
+      const fade = {
+        lastSent: null,
+        inFlight: false,
+        timer: null,
+        finish: (completed) => {
+          clearTimeout(fade.timer);
+          if (this.fades.get(light.id) === fade) this.fades.delete(light.id);
+          resolve(completed);
+        },
+      };
+      this.fades.set(light.id, fade);
+
+      const send = async (patch) => {
+        fade.lastSent = { ...light.state, ...patch };
+        fade.inFlight = true;
+        const accepted = await this.registry.setDeviceState(light.id, patch);
+        fade.inFlight = false;
+        return accepted;
+      };
+
+      const step = async () => {
+        if (this.fades.get(light.id) !== fade) return;
+        if (fade.lastSent && differs(light.state, fade.lastSent)) {
+          fade.finish(false);
+          return;
+        }
+        const progress = duration > 0 ? Math.min(1, (Date.now() - startedAt) / duration) : 1;
+        const level = Math.round(start + (target - start) * ease(progress));
+
+        // Skip a beat rather than queue commands behind a slow device
+        if (!fade.inFlight && (level !== fade.lastSent?.brightness || progress === 1)) {
+          const patch = progress === 1 && target === 0
+            // Ending a fade-out: switch off but remember the starting level for next time
+            ? { on: false, brightness: start }
+            : { on: level > 0 || target > 0, brightness: level };
+          if (!(await send(patch))) {
+            fade.finish(false);
+            return;
+          }
+          if (progress === 1) {
+            fade.finish(true);
+            return;
+          }
+        }
+        fade.timer = setTimeout(step, interval);
+      };
+
+      step();
+    });
+  }
+
+  /**
+   * Cancel a fade when its light changes to something the fade didn't send
+   * @private
+   */
+  checkInterrupted(device) {
+    const fade = this.fades.get(device.id);
+    if (!fade || !fade.lastSent || fade.inFlight) return;
+
+    if (differs(device.state, fade.lastSent)) {
+      console.log(`[LightFader] Fade on ${device.id} interrupted`);
+      fade.finish(false);
+    }
+  }
+
+  /**
+   * Register event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  on(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].push(callback);
+    }
+  }
+
+  /**
+   * Remove event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  off(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter((cb) => cb !== callback);
+    }
+  }
+
+  /**
+   * Emit event
+   * @private
+   */
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach((callback) => callback(data));
+    }
+  }
+}
+
+// ES6 Export
+export { LightFader, EASINGS };
@@ -0,0 +1,252 @@
+/**
+ * Local Library
+ * The user's own audio files, kept in IndexedDB so they play offline.
+ *
+ * Each file is stored with the tags read from it (see audio-tags.js):
+ * { id, title, artist, album, genre, duration, fileName, mimeType, size, addedAt, audio: Blob, artwork: Blob|null }
+ *
+ * Tracks handed to the player use the usual track shape with source 'Local'.
+ * Their URLs are object URLs made on load, so after a reload the player must
+ * match saved entries by ID against getTracks().
+ */
+
+import { readTags } from './audio-tags.js';
+
+const DB_NAME = 'homeharmony-library';
+const DB_VERSION = 1;
+const STORE = 'tracks';
+
+const AUDIO_EXTENSIONS = /\.(mp3|m4a|aac|ogg|oga|opus|flac|wav|webm)$/i;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @private
+ */
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Check whether a file looks like audio the browser might play
+ * @param {File} file - Picked or dropped file
+ * @returns {boolean}
+ */
+function isAudioFile(file) {
+  return (file.type || '').startsWith('audio/') || AUDIO_EXTENSIONS.test(file.name || '');
+}
+
+/**
+ * Make a stable ID for a file so importing it twice replaces the first copy
+ * @private
+ */
+function fileId(file) {
+  const key = `${file.name}|${file.size}|${file.lastModified || 0}`;
+  let hash = 0x811c9dc5; // FNV-1a
+  for (let i = 0; i < key.length; i++) {
+    hash = Math.imul(hash ^ key.charCodeAt(i), 0x01000193) >>> 0;
+  }
+  return `local-${hash.toString(36)}`;
+}
+
+/**
+ * Title from a file name, for files without tags: "01 - My Song.mp3" -> "My Song"
+ * @private
+ */
+const titleFromFileName = (name) =>
+  name.replace(/\.[^.]+$/, '').replace(/^\d+\s*[-.]\s*/, '').replace(/_/g, ' ').trim() || name;
+
+class LocalLibrary {
+  constructor() {
+    this.db = null;
+    this.tracks = new Map(); // ID -> player track
+    this.objectUrls = new Map(); // ID -> [object URLs]
+    this.listeners = {
+      onLibraryChange: [],
+    };
+  }
+
+  /**
+   * Open the database and load stored tracks
+   * @returns {Promise<Array>} Tracks
+   */
+  async initialize() {
+    if (!window.indexedDB) {
+      console.warn('[LocalLibrary] IndexedDB is not available; local files cannot be kept');
+      return [];
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: 'id' });
+    };
+    this.db = await promisify(request);
+
+    const records = await promisify(this.db.transaction(STORE).objectStore(STORE).getAll());
+    records.sort((a, b) => a.addedAt - b.addedAt).forEach((record) => this.addTrack(record));
+    console.log(`[LocalLibrary] Loaded ${records.length} local tracks`);
+    return this.getTracks();
+  }
+
+  /**
+   * Get all local tracks, oldest first
+   * @returns {Array} Player tracks
+   */
+  getTracks() {
+    return [...this.tracks.values()];
+  }
+
+  /**
+   * Import audio files, reading their tags
+   * @param {FileList|Array<File>} files - Picked or dropped files
+   * @returns {Promise<{imported: Array, skipped: Array<string>}>} New tracks and names of rejected files
+   */
+  async importFiles(files) {
+    if (!this.db) throw new Error('Local library is not available');
+
+    const imported = [];
+    const skipped = [];
+    for (const file of Array.from(files)) {
+      if (!isAudioFile(file)) {
+        skipped.push(file.name);
+        continue;
+      }
+
+      const tags = await readTags(file);
+      const duration = tags.duration || (await this.measureDuration(file));
+      const record = {
+        id: fileId(file),
+        title: tags.title || titleFromFileName(file.name),
+        artist: tags.artist || 'Unknown Artist',
+        album: tags.album,
+        genre: tags.genre,
+        duration: Math.round(duration),
+        fileName: file.name,
+        mimeType: file.type,
+        size: file.size,
+        addedAt: Date.now(),
+        audio: file,
+        artwork: tags.picture ? new Blob([tags.picture.data], { type: tags.picture.mimeType }) : null,
+      };
+
+      try {
+        await promisify(this.db.transaction(STORE, 'readwrite').objectStore(STORE).put(record));
+      } catch (error) {
+        // Usually the storage quota
+        console.error(`[LocalLibrary] Could not store ${file.name}:`, error);
+        skipped.push(file.name);
+        continue;
+      }
+      this.releaseUrls(record.id);
+      imported.push(this.addTrack(record));
+    }
+
+    if (imported.length > 0) this.emit('onLibraryChange', { tracks: this.getTracks() });
+    return { imported, skipped };
+  }
+
+  /**
+   * Delete a local track
+   * @param {string} trackId - Track ID
+   */
+  async removeTrack(trackId) {
+    if (!this.tracks.has(trackId)) return;
+    await promisify(this.db.transaction(STORE, 'readwrite').objectStore(STORE).delete(trackId));
+    this.tracks.delete(trackId);
+    this.releaseUrls(trackId);
+    this.emit('onLibraryChange', { tracks: this.getTracks() });
+  }
+
+  /**
+   * Turn a stored record into a player track
+   * @private
+   */
+  addTrack(record) {
+    const url = URL.createObjectURL(record.audio);
+    const artwork = record.artwork ? URL.createObjectURL(record.artwork) : null;
+    this.objectUrls.set(record.id, [url, artwork].filter(Boolean));
+
+    const track = {
+      id: record.id,
+      title: record.title,
+      artist: record.artist,
+      album: record.album || '',
+      genre: record.genre || '',
+      duration: record.duration || 0,
+      fileName: record.fileName,
+      artwork,
+      url,
+      source: 'Local',
+      license: 'Personal copy',
+      attribution: `${record.title} by ${record.artist}`,
+      isLocal: true,
+    };
+    this.tracks.set(record.id, track);
+    return track;
+  }
+
+  /**
+   * @private
+   */
+  releaseUrls(trackId) {
+    (this.objectUrls.get(trackId) || []).forEach((url) => URL.revokeObjectURL(url));
+    this.objectUrls.delete(trackId);
+  }
+
+  /**
+   * Ask the browser for a file's duration when its tags don't say
+   * @private
+   */
+  measureDuration(file) {
+    return new Promise((resolve) => {
+      const audio = new Audio();
+      const url = URL.createObjectURL(file);
+      const done = (duration) => {
+        clearTimeout(timeout);
+        URL.revokeObjectURL(url);
+        resolve(Number.isFinite(duration) ? duration : 0);
+      };
+      const timeout = setTimeout(() => done(0), 5000);
+      audio.preload = 'metadata';
+      audio.addEventListener('loadedmetadata', () => done(audio.duration), { once: true });
+      audio.addEventListener('error', () => done(0), { once: true });
+      audio.src = url;
+    });
+  }
+
+  /**
+   * Register event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  on(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].push(callback);
+    }
+  }
+
+  /**
+   * Remove event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  off(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter((cb) => cb !== callback);
+    }
+  }
+
+  /**
+   * Emit event
+   * @private
+   */
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach((callback) => callback(data));
+    }
+  }
+}
+
+// ES6 Export
+export { LocalLibrary, isAudioFile };
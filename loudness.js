@@ -0,0 +1,249 @@
+/**
+ * Loudness
+ * ReplayGain-style track normalization: measure each track's loudness once,
+ * cache the result, and play it back at a common level.
+ *
+ * Loudness is measured as in ITU-R BS.1770 / EBU R128: K-weighted, in 400 ms
+ * blocks, gated at -70 LUFS and then 10 LU below the ungated average. The gain
+ * brings a track to TARGET_LOUDNESS without pushing its peak above full scale.
+ *
+ * The cache lives in AppStorage under `loudness`:
+ * { [trackId]: { gain, loudness, peak, measuredAt } }   // gain in dB
+ * Tracks that can't be measured (missing, or not audio the browser decodes)
+ * are cached as { gain: 0, failed: true, measuredAt }, so they play unchanged
+ * and aren't downloaded again.
+ */
+
+const TARGET_LOUDNESS = -18; // LUFS, the ReplayGain 2 reference level
+const MAX_GAIN = 12; // dB either way
+const MAX_CACHED_TRACKS = 500;
+
+const BLOCK_SECONDS = 0.4;
+const STEP_SECONDS = 0.1;
+
+/**
+ * Biquad coefficients [b0, b1, b2, a1, a2] for the two K-weighting stages,
+ * derived for any sample rate as in libebur128 (they match BS.1770's 48 kHz table)
+ * @private
+ */
+function kWeightingFilters(sampleRate) {
+  // Stage 1: high shelf, about +4 dB above 1.7 kHz (the head's acoustic effect)
+  const shelf = (() => {
+    const K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+    const Q = 0.7071752369554196;
+    const Vh = 10 ** (3.999843853973347 / 20);
+    const Vb = Vh ** 0.4996667741545416;
+    const a0 = 1 + K / Q + K * K;
+    return [
+      (Vh + (Vb * K) / Q + K * K) / a0,
+      (2 * (K * K - Vh)) / a0,
+      (Vh - (Vb * K) / Q + K * K) / a0,
+      (2 * (K * K - 1)) / a0,
+      (1 - K / Q + K * K) / a0,
+    ];
+  })();
+
+  // Stage 2: high pass at 38 Hz
+  const highPass = (() => {
+    const K = Math.tan((Math.PI * 38.13547087613982) / sampleRate);
+    const Q = 0.5003270373253953;
+    const a0 = 1 + K / Q + K * K;
+    return [1, -2, 1, (2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0];
+  })();
+
+  return [shelf, highPass];
+}
+
+/**
+ * Measure integrated loudness and sample peak
+ * @param {AudioBuffer} buffer - Decoded audio
+ * @returns {{loudness: number, peak: number}} Loudness in LUFS (-Infinity for silence), peak 0-1+
+ */
+function measureLoudness(buffer) {
+  const { sampleRate, numberOfChannels, length } = buffer;
+  const step = Math.round(sampleRate * STEP_SECONDS);
+  const segments = new Float64Array(Math.ceil(length / step)); // Sum of squares per 100 ms, all channels
+  const filters = kWeightingFilters(sampleRate);
+  let peak = 0;
+
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    const samples = buffer.getChannelData(channel);
+    const state = filters.map(() => [0, 0, 0, 0]); // x1, x2, y1, y2 per stage
+
+    for (let i = 0; i < length; i++) {
+      let x = samples[i];
+      const magnitude = Math.abs(x);
+      if (magnitude > peak) peak = magnitude;
+
+      for (let f = 0; f < filters.length; f++) {
+        const [b0, b1, b2, a1, a2] = filters[f];
+        const s = state[f];
+        const y = b0 * x + b1 * s[0] + b2 * s[1] - a1 * s[2] - a2 * s[3];
+        s[1] = s[0];
+        s[0] = x;
+        s[3] = s[2];
+        s[2] = y;
+        x = y;
+      }
+      segments[Math.floor(i / step)] += x * x;
+    }
+  }
+
+  // Mean square of each 400 ms block, overlapping by 75%
+  const perBlock = Math.round(BLOCK_SECONDS / STEP_SECONDS);
+  const blocks = [];
+  if (segments.length < perBlock) {
+    blocks.push(segments.reduce((sum, value) => sum + value, 0) / length);
+  } else {
+    for (let start = 0; start + perBlock <= segments.length; start++) {
+      let sum = 0;
+      for (let j = start; j < start + perBlock; j++) sum += segments[j];
+      blocks.push(sum / Math.min(perBlock * step, length - start * step));
+    }
+  }
+
+  const toLufs = (meanSquare) => -0.691 + 10 * Math.log10(meanSquare);
+  const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+  const audible = blocks.filter((z) => toLufs(z) > -70);
+  if (audible.length === 0) return { loudness: -Infinity, peak };
+  const relativeGate = toLufs(average(audible)) - 10;
+  const gated = audible.filter((z) => toLufs(z) > relativeGate);
+
+  return { loudness: toLufs(average(gated)), peak };
+}
+
+/**
+ * Work out the gain that brings a track to the target level
+ * @param {{loudness: number, peak: number}} measurement - From measureLoudness()
+ * @returns {number} Gain in dB
+ */
+function replayGain({ loudness, peak }) {
+  if (!Number.isFinite(loudness)) return 0;
+  let gain = Math.max(-MAX_GAIN, Math.min(MAX_GAIN, TARGET_LOUDNESS - loudness));
+  // Don't boost a track into clipping
+  if (peak > 0) gain = Math.min(gain, -20 * Math.log10(peak));
+  return Math.round(gain * 100) / 100;
+}
+
+class LoudnessAnalyzer {
+  /**
+   * @param {Object} options
+   * @param {AppStorage} options.storage - Where measurements are cached
+   */
+  constructor({ storage }) {
+    this.storage = storage;
+    this.pending = new Map(); // Track ID -> Promise, so each track is measured once
+    this.queue = Promise.resolve(); // Measurements run one at a time
+    this.unreachable = new Set(); // Track IDs that couldn't be fetched this session
+    this.listeners = {
+      onMeasured: [],
+    };
+  }
+
+  /**
+   * Get a track's cached gain
+   * @param {string} trackId - Track ID
+   * @returns {number|null} Gain in dB, or null if not measured yet
+   */
+  getGain(trackId) {
+    return this.storage.get('loudness', {})[trackId]?.gain ?? null;
+  }
+
+  /**
+   * Measure a track unless it has been already
+   * @param {Object} track - Player track
+   * @returns {Promise<number|null>} Gain in dB, or null if the track couldn't be measured
+   */
+  analyze(track) {
+    const cached = this.storage.get('loudness', {})[track.id];
+    if (cached) return Promise.resolve(cached.failed ? null : cached.gain);
+    if (!track.url || this.unreachable.has(track.id)) return Promise.resolve(null);
+    if (this.pending.has(track.id)) return this.pending.get(track.id);
+
+    const measurement = (this.queue = this.queue.then(() => this.measure(track)));
+    this.pending.set(track.id, measurement);
+    measurement.finally(() => this.pending.delete(track.id));
+    return measurement;
+  }
+
+  /**
+   * @private
+   */
+  async measure(track) {
+    let response;
+    try {
+      response = await fetch(track.url);
+    } catch (error) {
+      // Offline, or a host that doesn't let pages read its files (CORS); try again next session
+      console.warn(`[Loudness] Could not fetch ${track.title}:`, error);
+      this.unreachable.add(track.id);
+      return null;
+    }
+
+    try {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = await response.arrayBuffer();
+
+      const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+      const buffer = await new OfflineContext(1, 1, 44100).decodeAudioData(data);
+      const measurement = measureLoudness(buffer);
+      const gain = replayGain(measurement);
+
+      this.save(track.id, { gain, loudness: measurement.loudness, peak: measurement.peak });
+      console.log(`[Loudness] ${track.title}: ${measurement.loudness.toFixed(1)} LUFS, gain ${gain} dB`);
+      this.emit('onMeasured', { trackId: track.id, gain });
+      return gain;
+    } catch (error) {
+      console.warn(`[Loudness] Could not measure ${track.title}:`, error);
+      this.save(track.id, { gain: 0, failed: true });
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  save(trackId, measurement) {
+    const cache = { ...this.storage.get('loudness', {}), [trackId]: { ...measurement, measuredAt: Date.now() } };
+    // Forget the oldest measurements once the cache is full
+    const ids = Object.keys(cache).sort((a, b) => cache[a].measuredAt - cache[b].measuredAt);
+    ids.slice(0, Math.max(0, ids.length - MAX_CACHED_TRACKS)).forEach((id) => delete cache[id]);
+    this.storage.set('loudness', cache);
+  }
+
+  /**
+   * Register event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  on(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].push(callback);
+    }
+  }
+
+  /**
+   * Remove event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  off(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter((cb) => cb !== callback);
+    }
+  }
+
+  /**
+   * Emit event
+   * @private
+   */
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach((callback) => callback(data));
+    }
+  }
+}
+
+// ES6 Export
+export { LoudnessAnalyzer, measureLoudness, replayGain, TARGET_LOUDNESS };
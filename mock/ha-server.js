@@ -0,0 +1,311 @@
+/**
+ * Mock Home Assistant
+ * Serves a recorded Home Assistant setup so HomeAssistantDriver can be
+ * developed and tested without a real server.
+ *
+ * Usage:
+ *   npm run mock:ha
+ *   then enter http://localhost:8123 and the token below under Home Assistant
+ *   on the lighting card
+ *
+ * The entities, areas, and configuration come from
+ * mock/fixtures/home-assistant.json, in the shape Home Assistant's REST API
+ * returns them. The parts of the API the driver uses behave like the real one:
+ *   GET  /api/config, /api/states, /api/states/:entityId
+ *   POST /api/services/light/(turn_on|turn_off|toggle)
+ *   POST /api/services/climate/(set_temperature|set_hvac_mode)
+ *   POST /api/template   - only the area template is answered, from the recording
+ *   WS   /api/websocket  - auth, subscribe_events (state_changed), ping
+ * Every request needs "Authorization: Bearer <token>".
+ *
+ * Environment:
+ *   PORT             - Port to listen on (default 8123)
+ *   TOKEN            - Accepted access token (default homeharmony-mock-token)
+ *   SWITCH_INTERVAL  - Toggle a random light every this many ms, e.g. 15000
+ *   LATENCY          - Milliseconds to wait before answering (default 0)
+ */
+
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { WebSocketServer } from 'ws';
+
+const PORT = Number(process.env.PORT) || 8123;
+const TOKEN = process.env.TOKEN || 'homeharmony-mock-token';
+const SWITCH_INTERVAL = Number(process.env.SWITCH_INTERVAL) || 0;
+const LATENCY = Number(process.env.LATENCY) || 0;
+
+const fixture = JSON.parse(await readFile(new URL('./fixtures/home-assistant.json', import.meta.url), 'utf8'));
+const states = new Map(fixture.states.map((entity) => [entity.entity_id, entity]));
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const readJson = (req) =>
+  new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', (chunk) => (raw += chunk));
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+
+class ServiceError extends Error {}
+
+// WebSocket subscriptions: socket -> Map(subscription ID -> event type or null for all)
+const subscriptions = new Map();
+
+// What each light looked like when it was last turned off, to come back to
+const lastOn = new Map();
+
+/**
+ * Replace an entity's state and tell subscribers, like Home Assistant's state machine
+ */
+const setEntity = (entityId, state, attributes) => {
+  const oldState = states.get(entityId);
+  const now = new Date().toISOString().replace('Z', '+00:00');
+  const newState = {
+    ...oldState,
+    state,
+    attributes: { ...oldState.attributes, ...attributes },
+    last_changed: state === oldState.state ? oldState.last_changed : now,
+    last_updated: now,
+    context: { id: randomUUID().replace(/-/g, '').slice(0, 26).toUpperCase(), parent_id: null, user_id: null },
+  };
+  states.set(entityId, newState);
+
+  subscriptions.forEach((subs, socket) => {
+    subs.forEach((eventType, id) => {
+      if (eventType && eventType !== 'state_changed') return;
+      socket.send(JSON.stringify({
+        id,
+        type: 'event',
+        event: {
+          event_type: 'state_changed',
+          data: { entity_id: entityId, old_state: oldState, new_state: newState },
+          origin: 'LOCAL',
+          time_fired: now,
+          context: newState.context,
+        },
+      }));
+    });
+  });
+  return newState;
+};
+
+const getHvacAction = (mode, attributes) => {
+  const current = attributes.current_temperature;
+  if (mode === 'off') return 'off';
+  const heatTo = mode === 'heat_cool' ? attributes.target_temp_low : attributes.temperature;
+  const coolTo = mode === 'heat_cool' ? attributes.target_temp_high : attributes.temperature;
+  if ((mode === 'heat' || mode === 'heat_cool') && current < heatTo) return 'heating';
+  if ((mode === 'cool' || mode === 'heat_cool') && current > coolTo) return 'cooling';
+  return 'idle';
+};
+
+const lightOff = (entity) => {
+  if (entity.state === 'on') lastOn.set(entity.entity_id, entity.attributes);
+  const attributes = { color_mode: null };
+  ['brightness', 'color_temp_kelvin', 'color_temp', 'hs_color'].forEach((key) => {
+    if (key in entity.attributes) attributes[key] = null;
+  });
+  return setEntity(entity.entity_id, 'off', attributes);
+};
+
+const lightOn = (entity, data) => {
+  const modes = entity.attributes.supported_color_modes || [];
+  const attributes = {};
+  const brightness = data.brightness ?? (data.brightness_pct !== undefined ? Math.round(data.brightness_pct * 2.55) : null);
+  if (brightness === 0) return lightOff(entity);
+  if (!modes.includes('onoff')) {
+    attributes.brightness = brightness ?? entity.attributes.brightness ?? lastOn.get(entity.entity_id)?.brightness ?? 255;
+  }
+
+  if (data.color_temp_kelvin) {
+    const { min_color_temp_kelvin: min, max_color_temp_kelvin: max } = entity.attributes;
+    const kelvin = Math.min(max, Math.max(min, data.color_temp_kelvin));
+    Object.assign(attributes, { color_mode: 'color_temp', color_temp_kelvin: kelvin, color_temp: Math.round(1000000 / kelvin) });
+  } else if (data.hs_color) {
+    const colorMode = modes.find((mode) => ['hs', 'xy', 'rgb'].includes(mode));
+    if (!colorMode) throw new ServiceError(`${entity.entity_id} does not support color`);
+    Object.assign(attributes, { color_mode: colorMode, hs_color: data.hs_color, color_temp_kelvin: null, color_temp: null });
+  } else if (entity.state === 'off' && !modes.includes('onoff')) {
+    // Come back as the light was, or in the first mode it supports
+    const previous = lastOn.get(entity.entity_id);
+    if (previous) {
+      ['color_mode', 'color_temp_kelvin', 'color_temp', 'hs_color'].forEach((key) => {
+        if (key in previous) attributes[key] = previous[key];
+      });
+    } else {
+      attributes.color_mode = modes.includes('color_temp') ? 'color_temp' : modes[0];
+      if (attributes.color_mode === 'color_temp') {
+        attributes.color_temp_kelvin = 2700;
+        attributes.color_temp = Math.round(1000000 / 2700);
+      }
+    }
+  }
+  return setEntity(entity.entity_id, 'on', attributes);
+};
+
+const SERVICES = {
+  light: {
+    turn_on: lightOn,
+    turn_off: lightOff,
+    toggle: (entity, data) => (entity.state === 'on' ? lightOff(entity) : lightOn(entity, data)),
+  },
+  climate: {
+    set_hvac_mode: (entity, data) => {
+      if (!entity.attributes.hvac_modes.includes(data.hvac_mode)) {
+        throw new ServiceError(`${entity.entity_id} has no ${data.hvac_mode} mode`);
+      }
+      return setEntity(entity.entity_id, data.hvac_mode, { hvac_action: getHvacAction(data.hvac_mode, entity.attributes) });
+    },
+    set_temperature: (entity, data) => {
+      const { min_temp: min, max_temp: max } = entity.attributes;
+      const clamp = (value) => Math.min(max, Math.max(min, value));
+      const mode = data.hvac_mode || entity.state;
+      const attributes = {};
+      if (data.temperature !== undefined) attributes.temperature = clamp(data.temperature);
+      if (data.target_temp_low !== undefined) attributes.target_temp_low = clamp(data.target_temp_low);
+      if (data.target_temp_high !== undefined) attributes.target_temp_high = clamp(data.target_temp_high);
+      attributes.hvac_action = getHvacAction(mode, { ...entity.attributes, ...attributes });
+      return setEntity(entity.entity_id, mode, attributes);
+    },
+  },
+};
+
+const callService = (domain, service, data) => {
+  const handler = SERVICES[domain]?.[service];
+  if (!handler) throw new ServiceError(`Service ${domain}.${service} not found.`);
+  const entityIds = [].concat(data.entity_id || []);
+  return entityIds.map((entityId) => {
+    const entity = states.get(entityId);
+    if (!entity || !entityId.startsWith(`${domain}.`)) throw new ServiceError(`Entity ${entityId} not found.`);
+    return handler(entity, data);
+  });
+};
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  const [, api, resource, ...rest] = pathname.split('/').map(decodeURIComponent);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  if (LATENCY) await new Promise((resolve) => setTimeout(resolve, LATENCY));
+
+  if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+    res.writeHead(401, { ...CORS_HEADERS, 'Content-Type': 'text/plain' });
+    res.end('401: Unauthorized');
+    return;
+  }
+
+  try {
+    if (api !== 'api') {
+      send(res, 404, { message: 'Not found' });
+    } else if (req.method === 'GET' && !resource) {
+      send(res, 200, { message: 'API running.' });
+    } else if (req.method === 'GET' && resource === 'config') {
+      send(res, 200, fixture.config);
+    } else if (req.method === 'GET' && resource === 'states' && !rest[0]) {
+      send(res, 200, [...states.values()]);
+    } else if (req.method === 'GET' && resource === 'states') {
+      const entity = states.get(rest[0]);
+      if (!entity) send(res, 404, { message: 'Entity not found.' });
+      else send(res, 200, entity);
+    } else if (req.method === 'POST' && resource === 'services' && rest.length === 2) {
+      const changed = callService(rest[0], rest[1], await readJson(req));
+      console.log(`[HA] ${rest[0]}.${rest[1]} ->`, changed.map((entity) => `${entity.entity_id}=${entity.state}`).join(', '));
+      send(res, 200, changed);
+    } else if (req.method === 'POST' && resource === 'template') {
+      const { template = '' } = await readJson(req);
+      if (!template.includes('area_name')) {
+        send(res, 400, { message: 'The mock only renders the area template' });
+        return;
+      }
+      res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end(JSON.stringify(fixture.areas));
+    } else {
+      send(res, 405, { message: 'Method not allowed' });
+    }
+  } catch (error) {
+    send(res, error instanceof ServiceError || error instanceof SyntaxError ? 400 : 500, { message: error.message });
+  }
+});
+
+// WebSocket API
+const sockets = new WebSocketServer({ server, path: '/api/websocket' });
+sockets.on('connection', (socket) => {
+  let authenticated = false;
+  socket.send(JSON.stringify({ type: 'auth_required', ha_version: fixture.config.version }));
+
+  socket.on('message', (data) => {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      socket.close(1003, 'Invalid JSON');
+      return;
+    }
+
+    if (!authenticated) {
+      if (message.type === 'auth' && message.access_token === TOKEN) {
+        authenticated = true;
+        subscriptions.set(socket, new Map());
+        socket.send(JSON.stringify({ type: 'auth_ok', ha_version: fixture.config.version }));
+      } else {
+        socket.send(JSON.stringify({ type: 'auth_invalid', message: 'Invalid access token or password' }));
+        socket.close();
+      }
+      return;
+    }
+
+    const reply = (body) => socket.send(JSON.stringify({ id: message.id, ...body }));
+    switch (message.type) {
+      case 'subscribe_events':
+        subscriptions.get(socket).set(message.id, message.event_type || null);
+        reply({ type: 'result', success: true, result: null });
+        break;
+      case 'unsubscribe_events':
+        subscriptions.get(socket).delete(message.subscription);
+        reply({ type: 'result', success: true, result: null });
+        break;
+      case 'ping':
+        reply({ type: 'pong' });
+        break;
+      default:
+        reply({ type: 'result', success: false, error: { code: 'unknown_command', message: 'Unknown command.' } });
+    }
+  });
+
+  socket.on('close', () => subscriptions.delete(socket));
+});
+
+if (SWITCH_INTERVAL) {
+  setInterval(() => {
+    const lights = [...states.values()].filter((entity) => entity.entity_id.startsWith('light.'));
+    const light = lights[Math.floor(Math.random() * lights.length)];
+    const entity = light.state === 'on' ? lightOff(light) : lightOn(light, {});
+    console.log(`[HA] ${entity.entity_id} switched ${entity.state} at the wall`);
+  }, SWITCH_INTERVAL);
+}
+
+server.listen(PORT, () => {
+  console.log(`[HA] Mock Home Assistant listening on http://localhost:${PORT}`);
+  console.log(`[HA] Access token: ${TOKEN}`);
+});
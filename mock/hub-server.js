@@ -0,0 +1,219 @@
+/**
+ * Mock Hub
+ * Local REST/JSON hub for developing against RestDriver without real devices.
+ *
+ * Usage:
+ *   npm run mock:hub
+ *   then open the app with ?hub=http://localhost:8787
+ *
+ * Commands carry an X-Command-Issued-At header. The hub remembers when each
+ * device was last changed and refuses (409) commands issued before that, so
+ * commands replayed after an outage don't undo newer changes.
+ *
+ * State changes are pushed over WebSocket, in both forms realtime-client.js reads:
+ *   ws://localhost:8787/ws    - JSON messages, { type: 'state', deviceId, state }
+ *   ws://localhost:8787/mqtt  - a small MQTT 3.1.1 broker (QoS 0, retained messages)
+ *                               publishing homeharmony/<type>/<deviceId>/state;
+ *                               publish a JSON patch to .../set to change a device
+ *
+ * Environment:
+ *   PORT             - Port to listen on (default 8787)
+ *   FAILURE_RATE     - Fraction of commands to reject with a 503, e.g. 0.2
+ *   SWITCH_INTERVAL  - Flip a random light every this many ms, like someone at
+ *                      a wall switch, e.g. 15000
+ */
+
+import http from 'node:http';
+import { WebSocketServer } from 'ws';
+import { SimulatedDriver, DeviceCommandError } from '../device-drivers.js';
+import { encodePacket, decodePackets, topicMatches } from '../mqtt-packets.js';
+
+const PORT = Number(process.env.PORT) || 8787;
+const FAILURE_RATE = Number(process.env.FAILURE_RATE) || 0;
+const SWITCH_INTERVAL = Number(process.env.SWITCH_INTERVAL) || 0;
+const TOPIC_PREFIX = 'homeharmony';
+
+const driver = new SimulatedDriver({ climateInterval: 10000 });
+const devices = await driver.connect();
+const updatedAt = new Map(); // Device ID -> time of the last command it took, in ms
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, PATCH, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, X-Command-Issued-At',
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const readJson = (req) =>
+  new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', (chunk) => (raw += chunk));
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+
+const describe = async (device) => ({
+  id: device.id,
+  type: device.type,
+  name: device.name,
+  room: device.room,
+  capabilities: device.capabilities,
+  power: device.power,
+  state: await driver.getState(device.id),
+  updatedAt: updatedAt.has(device.id) ? new Date(updatedAt.get(device.id)).toISOString() : null,
+});
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  const [, collection, deviceId, sub] = pathname.split('/').map(decodeURIComponent);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  try {
+    if (collection !== 'devices') {
+      send(res, 404, { error: 'Not found' });
+    } else if (req.method === 'GET' && !deviceId) {
+      send(res, 200, await Promise.all(devices.map(describe)));
+    } else if (req.method === 'GET' && !sub) {
+      const device = devices.find((d) => d.id === deviceId);
+      if (!device) send(res, 404, { error: `Unknown device: ${deviceId}` });
+      else send(res, 200, await describe(device));
+    } else if (req.method === 'PATCH' && sub === 'state') {
+      const patch = await readJson(req);
+      const issuedAt = Date.parse(req.headers['x-command-issued-at']) || Date.now();
+      if (issuedAt < (updatedAt.get(deviceId) || 0)) {
+        const state = await driver.getState(deviceId);
+        console.log(`[Hub] ${deviceId} refused a command from ${new Date(issuedAt).toISOString()}; it changed since`);
+        send(res, 409, { error: 'Device was changed after this command was given', state });
+        return;
+      }
+      if (Math.random() < FAILURE_RATE) {
+        send(res, 503, { error: 'Device did not acknowledge the command' });
+        return;
+      }
+      const state = await driver.setState(deviceId, patch);
+      updatedAt.set(deviceId, issuedAt);
+      console.log(`[Hub] ${deviceId} ->`, state);
+      send(res, 200, state);
+    } else {
+      send(res, 405, { error: 'Method not allowed' });
+    }
+  } catch (error) {
+    const status = error instanceof DeviceCommandError ? 400 : 500;
+    send(res, status, { error: error.message });
+  }
+});
+
+// Push channels
+const jsonClients = new Set();
+const mqttClients = new Map(); // Socket -> subscription filters
+const retained = new Map(); // Topic -> payload
+
+const stateTopic = (device) => `${TOPIC_PREFIX}/${device.type}/${device.id}/state`;
+
+const publish = (topic, payload, retain = false) => {
+  if (retain) retained.set(topic, payload);
+  mqttClients.forEach((filters, socket) => {
+    if (filters.some((filter) => topicMatches(filter, topic))) {
+      socket.send(encodePacket({ type: 'publish', topic, payload, retain: false }));
+    }
+  });
+};
+
+const pushState = (deviceId, state) => {
+  const device = devices.find((d) => d.id === deviceId);
+  if (!device) return;
+  const message = JSON.stringify({ type: 'state', deviceId, state });
+  jsonClients.forEach((socket) => socket.send(message));
+  publish(stateTopic(device), JSON.stringify(state), true);
+};
+
+devices.forEach((device) => retained.set(stateTopic(device), JSON.stringify(device.state)));
+driver.subscribe(pushState);
+
+const handleMqtt = (socket, data) => {
+  decodePackets(new Uint8Array(data)).forEach(async (packet) => {
+    switch (packet.type) {
+      case 'connect':
+        console.log(`[Hub] MQTT client ${packet.clientId} connected`);
+        socket.send(encodePacket({ type: 'connack', returnCode: 0 }));
+        break;
+      case 'subscribe': {
+        mqttClients.get(socket).push(...packet.topics);
+        socket.send(encodePacket({ type: 'suback', messageId: packet.messageId, granted: packet.topics.map(() => 0) }));
+        retained.forEach((payload, topic) => {
+          if (packet.topics.some((filter) => topicMatches(filter, topic))) {
+            socket.send(encodePacket({ type: 'publish', topic, payload, retain: true }));
+          }
+        });
+        break;
+      }
+      case 'publish': {
+        const [prefix, , deviceId, command] = packet.topic.split('/');
+        if (prefix === TOPIC_PREFIX && command === 'set') {
+          try {
+            await driver.setState(deviceId, JSON.parse(packet.payload));
+            updatedAt.set(deviceId, Date.now());
+          } catch (error) {
+            console.warn(`[Hub] Ignored ${packet.topic}: ${error.message}`);
+          }
+        } else {
+          publish(packet.topic, packet.payload, packet.retain);
+        }
+        break;
+      }
+      case 'pingreq':
+        socket.send(encodePacket({ type: 'pingresp' }));
+        break;
+      case 'disconnect':
+        socket.close();
+        break;
+      default:
+        break;
+    }
+  });
+};
+
+const sockets = new WebSocketServer({ server });
+sockets.on('connection', (socket, req) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  if (pathname === '/ws') {
+    jsonClients.add(socket);
+    socket.on('close', () => jsonClients.delete(socket));
+  } else if (pathname === '/mqtt') {
+    mqttClients.set(socket, []);
+    socket.on('message', (data) => handleMqtt(socket, data));
+    socket.on('close', () => mqttClients.delete(socket));
+  } else {
+    socket.close(1008, 'Unknown path');
+  }
+});
+
+if (SWITCH_INTERVAL) {
+  setInterval(async () => {
+    const lights = devices.filter((d) => d.type === 'light');
+    const light = lights[Math.floor(Math.random() * lights.length)];
+    const { on } = await driver.getState(light.id);
+    await driver.setState(light.id, { on: !on });
+    updatedAt.set(light.id, Date.now());
+    console.log(`[Hub] ${light.id} switched ${on ? 'off' : 'on'} at the wall`);
+  }, SWITCH_INTERVAL);
+}
+
+server.listen(PORT, () => {
+  console.log(`[Hub] Mock hub listening on http://localhost:${PORT}`);
+  console.log(`[Hub] Pushing state on ws://localhost:${PORT}/ws (JSON) and ws://localhost:${PORT}/mqtt (MQTT)`);
+});
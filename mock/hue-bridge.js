@@ -0,0 +1,340 @@
+/**
+ * Mock Hue Bridge
+ * Serves a recorded Philips Hue setup so HueDriver and pairing can be
+ * developed and tested without a bridge.
+ *
+ * Usage:
+ *   npm run mock:hue
+ *   then enter http://localhost:8080 under Philips Hue on the lighting card,
+ *   press Pair, and press Enter here (the link button) within 30 seconds
+ *
+ * The lights, rooms, and zones come from mock/fixtures/hue-bridge.json, as the
+ * CLIP v2 API returns them; the v1 API shows the same lights the v1 way.
+ *   GET  /discovery                 - like discovery.meethue.com, listing this bridge
+ *   POST /linkbutton                - press the link button
+ *   POST /api                       - pairing; error 101 until the button is pressed
+ *   GET  /api/config                - bridge config, no key needed
+ *   GET  /api/:key/lights(/:id), /api/:key/groups
+ *   PUT  /api/:key/lights/:id/state
+ *   GET  /clip/v2/resource/:type(/:id)   - light, device, room, zone
+ *   PUT  /clip/v2/resource/light/:id
+ *   GET  /eventstream/clip/v2       - server-sent events
+ * v2 requests need a "hue-application-key" header. Unlike a real bridge the
+ * mock speaks plain http, so v2 works without trusting a certificate.
+ *
+ * Environment:
+ *   PORT             - Port to listen on (default 8080)
+ *   APP_KEY          - Application key accepted without pairing (default homeharmony-mock-key)
+ *   SWITCH_INTERVAL  - Toggle a random light every this many ms, e.g. 15000
+ *   LATENCY          - Milliseconds to wait before answering (default 0)
+ */
+
+import http from 'node:http';
+import { randomBytes, randomUUID } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+
+const PORT = Number(process.env.PORT) || 8080;
+const APP_KEY = process.env.APP_KEY || 'homeharmony-mock-key';
+const SWITCH_INTERVAL = Number(process.env.SWITCH_INTERVAL) || 0;
+const LATENCY = Number(process.env.LATENCY) || 0;
+
+// How long the link button stays pressed
+const LINK_BUTTON_WINDOW = 30000;
+
+// Comments sent on the eventstream so idle connections aren't dropped
+const KEEPALIVE_INTERVAL = 10000;
+
+const fixture = JSON.parse(await readFile(new URL('./fixtures/hue-bridge.json', import.meta.url), 'utf8'));
+const resources = {
+  light: new Map(fixture.light.map((light) => [light.id, light])),
+  device: new Map(fixture.device.map((device) => [device.id, device])),
+  room: new Map(fixture.room.map((room) => [room.id, room])),
+  zone: new Map(fixture.zone.map((zone) => [zone.id, zone])),
+};
+const appKeys = new Set([APP_KEY]);
+let linkButtonUntil = 0;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+  'Access-Control-Allow-Headers': 'hue-application-key, Content-Type',
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+// v2 wraps everything in { data, errors }
+const sendV2 = (res, status, data, description = null) =>
+  send(res, status, { errors: description ? [{ description }] : [], data });
+
+const readJson = (req) =>
+  new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', (chunk) => (raw += chunk));
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Open eventstreams
+const streams = new Set();
+
+const sendEvent = (res, events) => {
+  res.write(`id: ${Math.floor(Date.now() / 1000)}:0\ndata: ${JSON.stringify(events)}\n\n`);
+};
+
+/**
+ * Change a light the way the bridge does, and put what changed on the eventstream
+ */
+const updateLight = (light, update) => {
+  const changed = {};
+  if (update.on) {
+    light.on = { on: !!update.on.on };
+    changed.on = light.on;
+  }
+  if (update.dimming && light.dimming) {
+    const brightness = clamp(Number(update.dimming.brightness), light.dimming.min_dim_level || 0, 100);
+    light.dimming = { ...light.dimming, brightness };
+    changed.dimming = { brightness };
+  }
+  if (update.color_temperature?.mirek && light.color_temperature) {
+    const { mirek_minimum: min, mirek_maximum: max } = light.color_temperature.mirek_schema;
+    light.color_temperature = { ...light.color_temperature, mirek: clamp(update.color_temperature.mirek, min, max), mirek_valid: true };
+    changed.color_temperature = { mirek: light.color_temperature.mirek, mirek_valid: true };
+  } else if (update.color?.xy && light.color) {
+    // Real bridges fit the color into the bulb's gamut; the mock takes it as is
+    light.color = { ...light.color, xy: { x: update.color.xy.x, y: update.color.xy.y } };
+    changed.color = { xy: light.color.xy };
+    if (light.color_temperature) {
+      light.color_temperature = { ...light.color_temperature, mirek: null, mirek_valid: false };
+      changed.color_temperature = { mirek: null, mirek_valid: false };
+    }
+  }
+  if (Object.keys(changed).length === 0) return changed;
+
+  const event = {
+    creationtime: new Date().toISOString().replace(/\.\d+Z$/, 'Z'),
+    data: [{ ...changed, id: light.id, id_v1: light.id_v1, owner: light.owner, type: 'light' }],
+    id: randomUUID(),
+    type: 'update',
+  };
+  streams.forEach((res) => sendEvent(res, [event]));
+  return changed;
+};
+
+// v1 views of the v2 resources
+
+const v1Id = (resource) => resource.id_v1.split('/').pop();
+
+const toV1Light = (light) => {
+  const state = { on: light.on.on, alert: 'none', mode: 'homeautomation', reachable: true };
+  if (light.dimming) {
+    // bri 1 is the lowest level, whatever percentage that is for the light
+    const { brightness, min_dim_level: min = 0 } = light.dimming;
+    state.bri = brightness <= min ? 1 : clamp(Math.round(brightness * 2.54), 1, 254);
+  }
+  if (light.color_temperature) {
+    state.ct = light.color_temperature.mirek ?? light.color_temperature.mirek_schema.mirek_maximum;
+  }
+  if (light.color) state.xy = [light.color.xy.x, light.color.xy.y];
+  if (state.ct || state.xy) state.colormode = light.color_temperature?.mirek_valid ? 'ct' : 'xy';
+
+  const device = resources.device.get(light.owner.rid);
+  const capabilities = { certified: true, control: {} };
+  if (light.color_temperature) {
+    const { mirek_minimum: min, mirek_maximum: max } = light.color_temperature.mirek_schema;
+    capabilities.control.ct = { min, max };
+  }
+  if (light.color) capabilities.control.colorgamuttype = light.color.gamut_type;
+  return {
+    state,
+    type: light.color ? 'Extended color light' : light.color_temperature ? 'Color temperature light' : 'Dimmable light',
+    name: light.metadata.name,
+    modelid: device?.product_data.model_id,
+    manufacturername: device?.product_data.manufacturer_name,
+    productname: device?.product_data.product_name,
+    capabilities,
+    uniqueid: `00:17:88:01:${light.id.slice(0, 8).match(/../g).join(':')}-0b`,
+  };
+};
+
+const toV1Lights = () => Object.fromEntries([...resources.light.values()].map((light) => [v1Id(light), toV1Light(light)]));
+
+const toV1Groups = () => {
+  const lightOfDevice = (deviceId) => [...resources.light.values()].find((light) => light.owner.rid === deviceId);
+  const groups = {};
+  [...resources.room.values(), ...resources.zone.values()].forEach((group) => {
+    const lights = group.children
+      .map((child) => (child.rtype === 'device' ? lightOfDevice(child.rid) : resources.light.get(child.rid)))
+      .filter(Boolean);
+    groups[v1Id(group)] = {
+      name: group.metadata.name,
+      lights: lights.map(v1Id),
+      type: group.type === 'room' ? 'Room' : 'Zone',
+      state: { all_on: lights.every((light) => light.on.on), any_on: lights.some((light) => light.on.on) },
+      class: 'Other',
+    };
+  });
+  return groups;
+};
+
+const pressLinkButton = () => {
+  linkButtonUntil = Date.now() + LINK_BUTTON_WINDOW;
+  console.log(`[Hue] Link button pressed; pairing is open for ${LINK_BUTTON_WINDOW / 1000} seconds`);
+};
+
+const v1Error = (type, address, description) => [{ error: { type, address, description } }];
+
+/**
+ * Turn a v1 state body into a v2 update and report what was set, v1-style
+ */
+const putV1State = (light, body) => {
+  const update = {};
+  if ('on' in body) update.on = { on: body.on };
+  if ('bri' in body) update.dimming = { brightness: Math.round((clamp(body.bri, 1, 254) / 254) * 10000) / 100 };
+  if ('ct' in body) update.color_temperature = { mirek: body.ct };
+  if ('xy' in body) update.color = { xy: { x: body.xy[0], y: body.xy[1] } };
+  updateLight(light, update);
+  return Object.entries(body).map(([key, value]) => ({ success: { [`/lights/${v1Id(light)}/state/${key}`]: value } }));
+};
+
+const handleV1 = async (req, res, [key, collection, id, sub]) => {
+  if (!key) {
+    if (req.method !== 'POST') {
+      send(res, 200, v1Error(4, '/', 'method, GET, not available for resource, /'));
+      return;
+    }
+    // Pairing
+    const body = await readJson(req);
+    if (!body.devicetype) {
+      send(res, 200, v1Error(5, '/', 'invalid/missing parameters in body'));
+    } else if (Date.now() > linkButtonUntil) {
+      send(res, 200, v1Error(101, '', 'link button not pressed'));
+    } else {
+      const username = randomBytes(20).toString('base64url');
+      appKeys.add(username);
+      console.log(`[Hue] Paired ${body.devicetype}: ${username}`);
+      const success = { username };
+      if (body.generateclientkey) success.clientkey = randomBytes(16).toString('hex').toUpperCase();
+      send(res, 200, [{ success }]);
+    }
+    return;
+  }
+
+  if (key === 'config') {
+    send(res, 200, fixture.config);
+    return;
+  }
+  if (!appKeys.has(key)) {
+    send(res, 200, v1Error(1, `/${collection || ''}`, 'unauthorized user'));
+    return;
+  }
+
+  if (req.method === 'GET' && collection === 'config') {
+    send(res, 200, fixture.config);
+  } else if (req.method === 'GET' && collection === 'lights' && !id) {
+    send(res, 200, toV1Lights());
+  } else if (req.method === 'GET' && collection === 'groups' && !id) {
+    send(res, 200, toV1Groups());
+  } else if (collection === 'lights' && id) {
+    const light = [...resources.light.values()].find((resource) => v1Id(resource) === id);
+    if (!light) {
+      send(res, 200, v1Error(3, `/lights/${id}`, `resource, /lights/${id}, not available`));
+    } else if (req.method === 'GET' && !sub) {
+      send(res, 200, toV1Light(light));
+    } else if (req.method === 'PUT' && sub === 'state') {
+      send(res, 200, putV1State(light, await readJson(req)));
+    } else {
+      send(res, 200, v1Error(4, `/lights/${id}`, `method, ${req.method}, not available for resource, /lights/${id}`));
+    }
+  } else {
+    send(res, 200, v1Error(3, `/${collection}`, `resource, /${collection}, not available`));
+  }
+};
+
+const handleV2 = async (req, res, [type, id]) => {
+  const collection = resources[type];
+  if (!collection) {
+    sendV2(res, 404, [], 'Not Found');
+  } else if (req.method === 'GET' && !id) {
+    sendV2(res, 200, [...collection.values()]);
+  } else if (!collection.has(id)) {
+    sendV2(res, 404, [], 'Not Found');
+  } else if (req.method === 'GET') {
+    sendV2(res, 200, [collection.get(id)]);
+  } else if (req.method === 'PUT' && type === 'light') {
+    const update = await readJson(req);
+    const changed = updateLight(collection.get(id), update);
+    console.log(`[Hue] ${collection.get(id).metadata.name} ->`, JSON.stringify(changed));
+    sendV2(res, 200, [{ rid: id, rtype: 'light' }]);
+  } else {
+    sendV2(res, 405, [], 'method not supported');
+  }
+};
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  const parts = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  if (LATENCY) await new Promise((resolve) => setTimeout(resolve, LATENCY));
+
+  try {
+    if (parts[0] === 'discovery') {
+      send(res, 200, [{ id: fixture.config.bridgeid.toLowerCase(), internalipaddress: 'localhost', port: PORT }]);
+    } else if (parts[0] === 'linkbutton' && req.method === 'POST') {
+      pressLinkButton();
+      send(res, 200, { pressed: true });
+    } else if (parts[0] === 'api') {
+      await handleV1(req, res, parts.slice(1));
+    } else if (!appKeys.has(req.headers['hue-application-key'])) {
+      sendV2(res, 403, [], 'Forbidden');
+    } else if (parts[0] === 'clip' && parts[1] === 'v2' && parts[2] === 'resource') {
+      await handleV2(req, res, parts.slice(3));
+    } else if (parts.join('/') === 'eventstream/clip/v2' && req.method === 'GET') {
+      res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+      res.write(': hi\n\n');
+      const keepalive = setInterval(() => res.write(': hi\n\n'), KEEPALIVE_INTERVAL);
+      streams.add(res);
+      req.on('close', () => {
+        clearInterval(keepalive);
+        streams.delete(res);
+      });
+    } else {
+      sendV2(res, 404, [], 'Not Found');
+    }
+  } catch (error) {
+    const status = error instanceof SyntaxError ? 400 : 500;
+    sendV2(res, status, [], error instanceof SyntaxError ? 'body contains invalid json' : error.message);
+  }
+});
+
+// Enter presses the link button
+process.stdin.on('data', pressLinkButton);
+
+if (SWITCH_INTERVAL) {
+  setInterval(() => {
+    const lights = [...resources.light.values()];
+    const light = lights[Math.floor(Math.random() * lights.length)];
+    updateLight(light, { on: { on: !light.on.on } });
+    console.log(`[Hue] ${light.metadata.name} switched ${light.on.on ? 'on' : 'off'} at the wall`);
+  }, SWITCH_INTERVAL);
+}
+
+server.listen(PORT, () => {
+  console.log(`[Hue] Mock Hue bridge listening on http://localhost:${PORT}`);
+  console.log(`[Hue] Application key: ${APP_KEY} (or press Enter for the link button and pair)`);
+});
@@ -0,0 +1,177 @@
+/**
+ * Mock Music Server
+ * Replays recorded provider responses so the music providers can be developed
+ * and tested without network access or API keys.
+ *
+ * Usage:
+ *   npm run mock:music
+ *   then open the app with ?music=http://localhost:8788
+ *
+ * Requests arrive as /<provider id>/<API path>, e.g. /jamendo/tracks/?search=rain.
+ * Each provider's recordings live in mock/fixtures/<provider id>.json:
+ *   [{ path, query, status, body }]
+ * A recording answers requests for its path whose query includes every
+ * parameter it lists (compared case-insensitively). When none match, the
+ * first recording for the path answers, so any search shows something.
+ * "{{origin}}" in a body is replaced with this server's URL; recordings use
+ * it for audio, which is served from /audio/<name>.wav as generated tones.
+ *
+ * Environment:
+ *   PORT    - Port to listen on (default 8788)
+ *   RECORD  - Set to 1 to forward unmatched requests to the real API and save
+ *             the responses as new recordings. Keys are stripped before saving.
+ *   LATENCY - Milliseconds to wait before answering (default 0)
+ */
+
+import http from 'node:http';
+import { readFile, writeFile } from 'node:fs/promises';
+
+const PORT = Number(process.env.PORT) || 8788;
+const RECORD = process.env.RECORD === '1';
+const LATENCY = Number(process.env.LATENCY) || 0;
+
+const FIXTURES = new URL('./fixtures/', import.meta.url);
+
+// Where RECORD mode forwards to; the same roots the providers use
+const UPSTREAMS = {
+  pixabay: 'https://pixabay.com/api',
+  jamendo: 'https://api.jamendo.com/v3.0',
+  fma: 'https://freemusicarchive.org/api',
+  archive: 'https://archive.org',
+};
+
+// Query parameters that carry keys, never written to fixtures
+const SECRET_PARAMS = ['key', 'client_id', 'api_key'];
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Range',
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const loadRecordings = async (providerId) => {
+  try {
+    return JSON.parse(await readFile(new URL(`${providerId}.json`, FIXTURES), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+};
+
+const matches = (recording, searchParams) =>
+  Object.entries(recording.query || {}).every(
+    ([name, value]) => (searchParams.get(name) || '').toLowerCase() === String(value).toLowerCase()
+  );
+
+/**
+ * Forward a request to the real API and save the response
+ */
+const record = async (providerId, path, searchParams, recordings) => {
+  const upstream = new URL(`${UPSTREAMS[providerId]}${path}`);
+  searchParams.forEach((value, name) => upstream.searchParams.append(name, value));
+  const response = await fetch(upstream);
+  const body = await response.json();
+
+  const query = {};
+  searchParams.forEach((value, name) => {
+    if (!SECRET_PARAMS.includes(name)) query[name] = value;
+  });
+  recordings.push({ path, query, status: response.status, body });
+  await writeFile(new URL(`${providerId}.json`, FIXTURES), `${JSON.stringify(recordings, null, 2)}\n`);
+  console.log(`[Music] Recorded ${providerId} ${path} (${response.status})`);
+  return { status: response.status, body };
+};
+
+/**
+ * Twenty seconds of a soft two-note chime as a 16-bit mono WAV, different for each name
+ */
+const toneWav = (name, seconds = 20, sampleRate = 22050) => {
+  let seed = 0;
+  for (const char of name) seed = (seed * 31 + char.charCodeAt(0)) >>> 0;
+  const root = 196 * 2 ** ((seed % 12) / 12);
+  const notes = [root, root * 1.5];
+
+  const samples = seconds * sampleRate;
+  const buffer = Buffer.alloc(44 + samples * 2);
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + samples * 2, 4);
+  buffer.write('WAVEfmt ', 8);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // Mono
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(samples * 2, 40);
+
+  for (let i = 0; i < samples; i++) {
+    const t = i / sampleRate;
+    const beat = t % 2; // A note every two seconds, alternating
+    const frequency = notes[Math.floor(t / 2) % 2];
+    const value = 0.3 * Math.sin(2 * Math.PI * frequency * t) * Math.exp(-2 * beat);
+    buffer.writeInt16LE(Math.round(value * 32767), 44 + i * 2);
+  }
+  return buffer;
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const [, providerId, ...rest] = url.pathname.split('/');
+  const path = `/${rest.join('/')}`;
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+  if (req.method !== 'GET') {
+    send(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+  if (LATENCY) await new Promise((resolve) => setTimeout(resolve, LATENCY));
+
+  try {
+    // Generated audio; the Internet Archive's downloads land here too
+    if (providerId === 'audio' || (providerId === 'archive' && rest[0] === 'download')) {
+      const wav = toneWav(decodeURIComponent(path));
+      res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'audio/wav', 'Content-Length': wav.length });
+      res.end(wav);
+      return;
+    }
+    if (!UPSTREAMS[providerId]) {
+      send(res, 404, { error: `Unknown provider: ${providerId}` });
+      return;
+    }
+
+    const recordings = await loadRecordings(providerId);
+    const forPath = recordings.filter((r) => r.path === path);
+    let reply = forPath.find((r) => matches(r, url.searchParams));
+    if (!reply && RECORD) {
+      reply = await record(providerId, path, url.searchParams, recordings);
+    } else if (!reply) {
+      reply = forPath[0];
+    }
+    if (!reply) {
+      send(res, 404, { error: `No recording for ${providerId} ${path}` });
+      return;
+    }
+
+    const origin = `http://${req.headers.host}`;
+    const body = JSON.parse(JSON.stringify(reply.body).replaceAll('{{origin}}', origin));
+    console.log(`[Music] ${providerId} ${path} -> ${reply.status}`);
+    send(res, reply.status, body);
+  } catch (error) {
+    send(res, 500, { error: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`[Music] Mock music server listening on http://localhost:${PORT}${RECORD ? ' (recording)' : ''}`);
+});
@@ -0,0 +1,191 @@
+/**
+ * MQTT Packets
+ * Just enough of MQTT 3.1.1 to follow device state over a WebSocket: connect,
+ * subscribe, QoS 0 publish, and keepalive pings. Used by the realtime client
+ * in the browser and by the mock broker in mock/hub-server.js.
+ *
+ * Packets are plain objects:
+ * - { type: 'connect', clientId, keepalive }
+ * - { type: 'connack', returnCode }
+ * - { type: 'publish', topic, payload, retain }   (payload is a string)
+ * - { type: 'subscribe', messageId, topics }
+ * - { type: 'suback', messageId, granted }
+ * - { type: 'pingreq' } / { type: 'pingresp' } / { type: 'disconnect' }
+ *
+ * Each WebSocket message is expected to hold whole packets, which is what
+ * brokers send in practice.
+ */
+
+const TYPES = {
+  connect: 1,
+  connack: 2,
+  publish: 3,
+  subscribe: 8,
+  suback: 9,
+  pingreq: 12,
+  pingresp: 13,
+  disconnect: 14,
+};
+const TYPE_NAMES = Object.fromEntries(Object.entries(TYPES).map(([name, code]) => [code, name]));
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * A UTF-8 string with its two-byte length in front
+ * @private
+ */
+const encodeString = (value) => {
+  const bytes = encoder.encode(value);
+  return [bytes.length >> 8, bytes.length & 0xff, ...bytes];
+};
+
+/**
+ * The variable-length "remaining length" field
+ * @private
+ */
+const encodeLength = (length) => {
+  const bytes = [];
+  do {
+    let byte = length % 128;
+    length = Math.floor(length / 128);
+    if (length > 0) byte |= 0x80;
+    bytes.push(byte);
+  } while (length > 0);
+  return bytes;
+};
+
+/**
+ * Encode a packet
+ * @param {Object} packet - Packet object (see above)
+ * @returns {Uint8Array}
+ */
+function encodePacket(packet) {
+  let flags = 0;
+  let body = [];
+
+  switch (packet.type) {
+    case 'connect':
+      body = [
+        ...encodeString('MQTT'),
+        4, // Protocol level 3.1.1
+        0x02, // Clean session
+        packet.keepalive >> 8, packet.keepalive & 0xff,
+        ...encodeString(packet.clientId),
+      ];
+      break;
+    case 'connack':
+      body = [0, packet.returnCode || 0];
+      break;
+    case 'publish':
+      flags = packet.retain ? 0x01 : 0;
+      body = [...encodeString(packet.topic), ...encoder.encode(packet.payload)];
+      break;
+    case 'subscribe':
+      flags = 0x02; // Required by the spec
+      body = [packet.messageId >> 8, packet.messageId & 0xff];
+      packet.topics.forEach((topic) => body.push(...encodeString(topic), 0));
+      break;
+    case 'suback':
+      body = [packet.messageId >> 8, packet.messageId & 0xff, ...packet.granted];
+      break;
+    case 'pingreq':
+    case 'pingresp':
+    case 'disconnect':
+      break;
+    default:
+      throw new Error(`Unsupported MQTT packet: ${packet.type}`);
+  }
+
+  return Uint8Array.from([(TYPES[packet.type] << 4) | flags, ...encodeLength(body.length), ...body]);
+}
+
+/**
+ * Decode the packets in one WebSocket message
+ * @param {Uint8Array} bytes - Message data
+ * @returns {Array<Object>} Packets; ones this module doesn't know have type 'unknown'
+ */
+function decodePackets(bytes) {
+  const packets = [];
+  let offset = 0;
+
+  while (offset < bytes.length) {
+    const header = bytes[offset++];
+    let length = 0;
+    let multiplier = 1;
+    let byte;
+    do {
+      byte = bytes[offset++];
+      length += (byte & 0x7f) * multiplier;
+      multiplier *= 128;
+    } while (byte & 0x80);
+
+    const body = bytes.subarray(offset, offset + length);
+    offset += length;
+    const readString = (at) => decoder.decode(body.subarray(at + 2, at + 2 + ((body[at] << 8) | body[at + 1])));
+    const type = TYPE_NAMES[header >> 4] || 'unknown';
+
+    switch (type) {
+      case 'connect': {
+        // Skip the protocol name, level, and flags
+        const at = 2 + ((body[0] << 8) | body[1]) + 2;
+        packets.push({
+          type,
+          keepalive: (body[at] << 8) | body[at + 1],
+          clientId: readString(at + 2),
+        });
+        break;
+      }
+      case 'connack':
+        packets.push({ type, returnCode: body[1] });
+        break;
+      case 'publish': {
+        const topicLength = (body[0] << 8) | body[1];
+        // QoS 1 and 2 publishes carry a message ID after the topic
+        const payloadStart = 2 + topicLength + ((header & 0x06) ? 2 : 0);
+        packets.push({
+          type,
+          topic: readString(0),
+          payload: decoder.decode(body.subarray(payloadStart)),
+          retain: !!(header & 0x01),
+        });
+        break;
+      }
+      case 'subscribe': {
+        const topics = [];
+        for (let at = 2; at < body.length; at += 2 + ((body[at] << 8) | body[at + 1]) + 1) {
+          topics.push(readString(at));
+        }
+        packets.push({ type, messageId: (body[0] << 8) | body[1], topics });
+        break;
+      }
+      case 'suback':
+        packets.push({ type, messageId: (body[0] << 8) | body[1], granted: [...body.subarray(2)] });
+        break;
+      default:
+        packets.push({ type });
+    }
+  }
+
+  return packets;
+}
+
+/**
+ * Whether a topic matches a subscription filter with + and # wildcards
+ * @param {string} filter - e.g. homeharmony/+/+/state
+ * @param {string} topic - e.g. homeharmony/light/kitchen-pendants/state
+ * @returns {boolean}
+ */
+function topicMatches(filter, topic) {
+  const filterLevels = filter.split('/');
+  const topicLevels = topic.split('/');
+  for (let i = 0; i < filterLevels.length; i++) {
+    if (filterLevels[i] === '#') return true;
+    if (i >= topicLevels.length) return false;
+    if (filterLevels[i] !== '+' && filterLevels[i] !== topicLevels[i]) return false;
+  }
+  return filterLevels.length === topicLevels.length;
+}
+
+// ES6 Export
+export { encodePacket, decodePackets, topicMatches };
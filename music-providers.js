@@ -0,0 +1,527 @@
+/**
+ * Music Providers
+ * Online catalogues the player can search, each behind the same interface:
+ * - search(query, { limit }) -> tracks in the player's usual shape
+ * - resolveStreamUrl(track) -> URL the audio element can play
+ * - getLicense(track) -> { name, url, attribution, commercial, derivatives }
+ * - rateLimit -> { requests, per } in ms, enforced by request()
+ *
+ * Keys are supplied at runtime (see createMusicProviders) and never live in
+ * source. Providers that need a key and don't have one are skipped.
+ *
+ * Every provider builds its URLs from baseUrl, so pointing them all at the
+ * mock music server (mock/music-server.js) replays recorded responses and
+ * serves generated audio, with no network or keys needed.
+ */
+
+// A search waits this long for the rate limit before giving up
+const MAX_RATE_WAIT = 5000;
+
+const PUBLIC_DOMAIN = {
+  name: 'Public Domain',
+  url: 'https://creativecommons.org/publicdomain/mark/1.0/',
+  attribution: false,
+  commercial: true,
+  derivatives: true,
+};
+
+/**
+ * Error raised when a provider can't be reached or rejects a request
+ */
+class ProviderError extends Error {
+  constructor(message, { providerId = null, status = null, cause = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.providerId = providerId;
+    this.status = status;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Describe a Creative Commons license from its URL
+ * @param {string} url - e.g. https://creativecommons.org/licenses/by-nc-sa/3.0/
+ * @returns {Object|null} License metadata, or null if the URL isn't a CC license
+ */
+function parseCreativeCommonsUrl(url) {
+  const match = /creativecommons\.org\/(licenses|publicdomain)\/([a-z-]+)\/?([\d.]+)?/i.exec(url || '');
+  if (!match) return null;
+  const [, kind, code, version] = match;
+  const href = url.replace(/^http:/, 'https:');
+
+  if (kind.toLowerCase() === 'publicdomain') {
+    if (code.toLowerCase() !== 'zero') return { ...PUBLIC_DOMAIN, url: href };
+    return { ...PUBLIC_DOMAIN, name: `CC0${version ? ` ${version}` : ''}`, url: href };
+  }
+
+  const parts = code.toLowerCase().split('-');
+  return {
+    name: `CC ${parts.join('-').toUpperCase()}${version ? ` ${version}` : ''}`,
+    url: href,
+    attribution: parts.includes('by'),
+    commercial: !parts.includes('nc'),
+    derivatives: !parts.includes('nd'),
+  };
+}
+
+/**
+ * Seconds from "mm:ss", "hh:mm:ss", or a plain number
+ * @private
+ */
+function parseDuration(value) {
+  if (Number.isFinite(value)) return value;
+  const parts = String(value || '').split(':').map(Number);
+  if (parts.some((part) => !Number.isFinite(part))) return 0;
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * Limits requests to `requests` per `per` ms, using a sliding window
+ */
+class RateLimiter {
+  constructor({ requests, per }) {
+    this.requests = requests;
+    this.per = per;
+    this.sent = []; // Times of requests inside the window
+    this.blockedUntil = 0; // Set when the server asks us to back off
+  }
+
+  /**
+   * Wait for a free slot
+   * @param {number} maxWait - Longest to wait in ms
+   * @returns {Promise<boolean>} False if no slot frees up in time
+   */
+  async acquire(maxWait = MAX_RATE_WAIT) {
+    const now = Date.now();
+    this.sent = this.sent.filter((time) => time > now - this.per);
+
+    let wait = Math.max(0, this.blockedUntil - now);
+    if (this.sent.length >= this.requests) {
+      wait = Math.max(wait, this.sent[this.sent.length - this.requests] + this.per - now);
+    }
+    if (wait > maxWait) return false;
+
+    // Claim the slot before waiting so concurrent callers queue behind it
+    this.sent.push(now + wait);
+    if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+    return true;
+  }
+
+  /**
+   * Stop sending for a while, e.g. after a 429 with Retry-After
+   * @param {number} ms - How long to back off
+   */
+  backOff(ms) {
+    this.blockedUntil = Math.max(this.blockedUntil, Date.now() + ms);
+  }
+}
+
+/**
+ * Base class for music providers
+ */
+class MusicProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.id - Short ID, used in track IDs and mock paths
+   * @param {string} options.name - Name shown to the user
+   * @param {string} options.description - One line about the catalogue
+   * @param {string} options.homepage - Where people can browse the catalogue
+   * @param {string} options.baseUrl - API root
+   * @param {string} options.apiKey - Key, for providers that need one
+   * @param {boolean} options.requiresKey - Whether search needs apiKey
+   * @param {string} options.keyUrl - Where to get a key
+   * @param {Object} options.license - Default license metadata for the catalogue
+   * @param {Object} options.rateLimit - { requests, per } in ms
+   * @param {boolean} options.enabled - Whether the user wants the provider searched
+   * @param {boolean} options.mock - Talking to the mock server, which needs no key
+   * @param {number} options.timeout - Request timeout in ms
+   */
+  constructor({
+    id,
+    name,
+    description = '',
+    homepage,
+    baseUrl,
+    apiKey = '',
+    requiresKey = false,
+    keyUrl = null,
+    license = PUBLIC_DOMAIN,
+    rateLimit = { requests: 10, per: 10000 },
+    enabled = true,
+    mock = false,
+    timeout = 8000,
+  }) {
+    this.id = id;
+    this.name = name;
+    this.description = description;
+    this.homepage = homepage;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.requiresKey = requiresKey;
+    this.keyUrl = keyUrl;
+    this.license = license;
+    this.rateLimit = rateLimit;
+    this.enabled = enabled;
+    this.mock = mock;
+    this.timeout = timeout;
+    this.limiter = new RateLimiter(rateLimit);
+  }
+
+  /**
+   * Whether the provider has what it needs to be searched
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return !this.requiresKey || this.mock || !!this.apiKey;
+  }
+
+  /**
+   * Search the catalogue
+   * @param {string} query - Search term (artist, genre, mood)
+   * @param {Object} options
+   * @param {number} options.limit - Most results to return
+   * @returns {Promise<Array>} Tracks
+   */
+  async search(query, { limit = 20 } = {}) {
+    throw new Error(`${this.constructor.name} does not implement search()`);
+  }
+
+  /**
+   * Get a URL the player can stream. Tracks from search() carry one unless
+   * the provider needs a second lookup for it.
+   * @param {Object} track - Track from search()
+   * @returns {Promise<string>}
+   */
+  async resolveStreamUrl(track) {
+    if (!track.url) throw new ProviderError(`No audio for ${track.title}`, { providerId: this.id });
+    return track.url;
+  }
+
+  /**
+   * Get license metadata for a track
+   * @param {Object} track - Track from search()
+   * @returns {Object} { name, url, attribution, commercial, derivatives }
+   */
+  getLicense(track) {
+    return parseCreativeCommonsUrl(track?.licenseUrl) || this.license;
+  }
+
+  /**
+   * Describe the provider for settings screens
+   * @returns {Object}
+   */
+  describe() {
+    return {
+      id: this.id,
+      name: this.name,
+      url: this.homepage,
+      description: this.description,
+      license: this.license.name,
+      requiresKey: this.requiresKey,
+      keyUrl: this.keyUrl,
+      rateLimit: { ...this.rateLimit },
+      enabled: this.enabled,
+      configured: this.isConfigured(),
+    };
+  }
+
+  /**
+   * Build a track in the player's shape, with license and attribution filled in
+   * @protected
+   */
+  createTrack({ remoteId, title, artist, album = '', genre = '', duration = 0, artwork = null, url = null, pageUrl = null, licenseUrl = null }) {
+    const track = {
+      id: `${this.id}-${remoteId}`,
+      remoteId: String(remoteId),
+      title: title || 'Untitled',
+      artist: artist || 'Unknown artist',
+      album,
+      genre: genre || 'Instrumental',
+      duration: parseDuration(duration),
+      artwork,
+      url,
+      pageUrl,
+      source: this.name,
+      provider: this.id,
+      licenseUrl,
+    };
+    const license = this.getLicense(track);
+    track.license = license.name;
+    track.licenseUrl = license.url;
+    track.attribution = `${track.title} by ${track.artist} (${this.name}), ${license.name}`;
+    return track;
+  }
+
+  /**
+   * GET a JSON document, respecting the rate limit
+   * @protected
+   * @param {string} path - Path under baseUrl
+   * @param {Object} params - Query parameters; empty values are dropped and arrays repeat the name
+   */
+  async request(path, params = {}) {
+    if (!(await this.limiter.acquire())) {
+      throw new ProviderError(`${this.name} rate limit reached, try again shortly`, { providerId: this.id, status: 429 });
+    }
+
+    const url = new URL(`${this.baseUrl}${path}`);
+    Object.entries(params).forEach(([name, value]) => {
+      [].concat(value).forEach((item) => {
+        if (item !== '' && item !== null && item !== undefined) url.searchParams.append(name, item);
+      });
+    });
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    let response;
+    try {
+      response = await fetch(url, { signal: controller.signal });
+    } catch (error) {
+      const reason = error.name === 'AbortError' ? 'did not respond' : 'is unreachable';
+      throw new ProviderError(`${this.name} ${reason}`, { providerId: this.id, cause: error });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (response.status === 429) {
+      const retryAfter = Number(response.headers.get('Retry-After')) || 60;
+      this.limiter.backOff(retryAfter * 1000);
+      throw new ProviderError(`${this.name} rate limit reached, try again shortly`, { providerId: this.id, status: 429 });
+    }
+    if (!response.ok) {
+      throw new ProviderError(`${this.name} error (${response.status})`, { providerId: this.id, status: response.status });
+    }
+    return response.json();
+  }
+}
+
+/**
+ * Pixabay Music - https://pixabay.com/api/docs/
+ */
+class PixabayProvider extends MusicProvider {
+  constructor({ apiKey, baseUrl = 'https://pixabay.com/api', enabled, mock } = {}) {
+    super({
+      id: 'pixabay',
+      name: 'Pixabay',
+      description: 'Royalty-free music',
+      homepage: 'https://pixabay.com/music/',
+      baseUrl,
+      apiKey,
+      requiresKey: true,
+      keyUrl: 'https://pixabay.com/api/docs/',
+      license: {
+        name: 'Pixabay Content License',
+        url: 'https://pixabay.com/service/license-summary/',
+        attribution: false,
+        commercial: true,
+        derivatives: true,
+      },
+      rateLimit: { requests: 100, per: 60000 },
+      enabled,
+      mock,
+    });
+  }
+
+  async search(query, { limit = 20 } = {}) {
+    const data = await this.request('/music/', { key: this.apiKey, q: query, per_page: limit });
+    return (data.hits || []).slice(0, limit).map((hit) =>
+      this.createTrack({
+        remoteId: hit.id,
+        title: hit.title,
+        artist: hit.artists?.[0]?.name || hit.user,
+        genre: hit.genre,
+        duration: hit.duration,
+        artwork: hit.image || null,
+        url: hit.audio,
+        pageUrl: hit.pageURL || null,
+      })
+    );
+  }
+}
+
+/**
+ * Jamendo - https://developer.jamendo.com/v3.0
+ */
+class JamendoProvider extends MusicProvider {
+  constructor({ apiKey, baseUrl = 'https://api.jamendo.com/v3.0', enabled, mock } = {}) {
+    super({
+      id: 'jamendo',
+      name: 'Jamendo',
+      description: 'Independent artists under Creative Commons',
+      homepage: 'https://www.jamendo.com',
+      baseUrl,
+      apiKey,
+      requiresKey: true,
+      keyUrl: 'https://devportal.jamendo.com',
+      // Each track carries its own Creative Commons license
+      license: { name: 'Creative Commons', url: 'https://creativecommons.org/licenses/', attribution: true, commercial: false, derivatives: false },
+      // Jamendo meters requests per month; keep bursts small
+      rateLimit: { requests: 20, per: 60000 },
+      enabled,
+      mock,
+    });
+  }
+
+  async search(query, { limit = 20 } = {}) {
+    const data = await this.request('/tracks/', {
+      client_id: this.apiKey,
+      format: 'json',
+      search: query,
+      limit,
+      audioformat: 'mp32',
+      include: 'musicinfo',
+    });
+    if (data.headers?.status === 'failed') {
+      throw new ProviderError(`Jamendo: ${data.headers.error_message}`, { providerId: this.id, status: data.headers.code });
+    }
+    return (data.results || []).map((result) =>
+      this.createTrack({
+        remoteId: result.id,
+        title: result.name,
+        artist: result.artist_name,
+        album: result.album_name,
+        genre: result.musicinfo?.tags?.genres?.[0],
+        duration: result.duration,
+        artwork: result.album_image || result.image || null,
+        url: result.audio,
+        pageUrl: result.shareurl || null,
+        licenseUrl: result.license_ccurl,
+      })
+    );
+  }
+}
+
+/**
+ * Free Music Archive. FMA has retired its public API; this speaks the old
+ * /api/get/tracks.json format, which mirrors and the mock server still serve.
+ * Point baseUrl at a mirror to use it.
+ */
+class FreeMusicArchiveProvider extends MusicProvider {
+  constructor({ apiKey, baseUrl = 'https://freemusicarchive.org/api', enabled, mock } = {}) {
+    super({
+      id: 'fma',
+      name: 'Free Music Archive',
+      description: 'Curated Creative Commons music',
+      homepage: 'https://freemusicarchive.org',
+      baseUrl,
+      apiKey,
+      requiresKey: true,
+      keyUrl: 'https://freemusicarchive.org/api',
+      license: { name: 'Creative Commons', url: 'https://creativecommons.org/licenses/', attribution: true, commercial: false, derivatives: false },
+      rateLimit: { requests: 10, per: 10000 },
+      enabled,
+      mock,
+    });
+  }
+
+  async search(query, { limit = 20 } = {}) {
+    const data = await this.request('/get/tracks.json', { api_key: this.apiKey, q: query, limit });
+    return (data.dataset || []).map((row) =>
+      this.createTrack({
+        remoteId: row.track_id,
+        title: row.track_title,
+        artist: row.artist_name,
+        album: row.album_title,
+        genre: row.track_genres?.[0]?.genre_title,
+        duration: row.track_duration,
+        artwork: row.track_image_file || null,
+        url: row.track_listen_url || row.track_file_url || null,
+        pageUrl: row.track_url || null,
+        licenseUrl: row.license_url,
+      })
+    );
+  }
+}
+
+/**
+ * Internet Archive audio collections - https://archive.org/developers/
+ * Search returns items, not files, so the stream URL is looked up from the
+ * item's metadata the first time a track plays.
+ */
+class InternetArchiveProvider extends MusicProvider {
+  constructor({ baseUrl = 'https://archive.org', enabled, mock } = {}) {
+    super({
+      id: 'archive',
+      name: 'Internet Archive',
+      description: 'Public domain and Creative Commons recordings',
+      homepage: 'https://archive.org/details/audio',
+      baseUrl,
+      // Items carry their own license; when it isn't a CC one, assume the strictest terms
+      license: { name: 'Per-item license', url: 'https://archive.org/details/audio', attribution: true, commercial: false, derivatives: false },
+      // Searches and metadata lookups share one budget
+      rateLimit: { requests: 15, per: 10000 },
+      enabled,
+      mock,
+    });
+  }
+
+  async search(query, { limit = 20 } = {}) {
+    const data = await this.request('/advancedsearch.php', {
+      q: `(${query}) AND mediatype:audio AND licenseurl:*`,
+      'fl[]': ['identifier', 'title', 'creator', 'subject', 'licenseurl'],
+      rows: limit,
+      output: 'json',
+    });
+    return (data.response?.docs || []).map((doc) =>
+      this.createTrack({
+        remoteId: doc.identifier,
+        title: [].concat(doc.title || '')[0],
+        artist: [].concat(doc.creator || '')[0],
+        genre: [].concat(doc.subject || '')[0],
+        artwork: `${this.baseUrl}/services/img/${encodeURIComponent(doc.identifier)}`,
+        pageUrl: `${this.baseUrl}/details/${encodeURIComponent(doc.identifier)}`,
+        licenseUrl: doc.licenseurl,
+      })
+    );
+  }
+
+  async resolveStreamUrl(track) {
+    if (track.url) return track.url;
+    const data = await this.request(`/metadata/${encodeURIComponent(track.remoteId)}`);
+    const file = (data.files || []).find((f) => /mp3|ogg vorbis/i.test(f.format || ''));
+    if (!file) throw new ProviderError(`No playable audio in ${track.title}`, { providerId: this.id });
+    if (!track.duration) track.duration = parseDuration(file.length);
+    const path = file.name.split('/').map(encodeURIComponent).join('/');
+    return `${this.baseUrl}/download/${encodeURIComponent(track.remoteId)}/${path}`;
+  }
+}
+
+const PROVIDERS = {
+  pixabay: PixabayProvider,
+  jamendo: JamendoProvider,
+  fma: FreeMusicArchiveProvider,
+  archive: InternetArchiveProvider,
+};
+
+/**
+ * Create every provider for the given configuration
+ * @param {Object} config
+ * @param {Object} config.sources - Per provider ID: { key, enabled }; providers are enabled unless set false
+ * @param {string} config.mockUrl - Mock music server URL; every provider talks to it when set
+ * @returns {Array<MusicProvider>}
+ */
+function createMusicProviders({ sources = {}, mockUrl = null } = {}) {
+  const mockBase = mockUrl ? mockUrl.replace(/\/+$/, '') : null;
+  return Object.entries(PROVIDERS).map(([id, Provider]) =>
+    new Provider({
+      apiKey: sources[id]?.key || '',
+      enabled: sources[id]?.enabled !== false,
+      mock: !!mockBase,
+      ...(mockBase ? { baseUrl: `${mockBase}/${id}` } : {}),
+    })
+  );
+}
+
+// ES6 Export
+export {
+  MusicProvider,
+  PixabayProvider,
+  JamendoProvider,
+  FreeMusicArchiveProvider,
+  InternetArchiveProvider,
+  ProviderError,
+  RateLimiter,
+  PROVIDERS,
+  createMusicProviders,
+  parseCreativeCommonsUrl,
+};
@@ -0,0 +1,149 @@
+/**
+ * Offline Audio
+ * Tracks the user saves ("pins") to play without a network.
+ *
+ * The audio goes into the Cache Storage cache the service worker serves
+ * audio from (see sw.js), keyed by the track's URL, so the player keeps using
+ * the same URL and the service worker answers it, Range requests included.
+ * The track details are kept in AppStorage under `pinned`, { [trackId]: track },
+ * so saved tracks are still listed when their source can't be searched.
+ *
+ * Only tracks with web URLs can be pinned; imported files and generated
+ * pieces are stored on the device already.
+ */
+
+const AUDIO_CACHE = 'homeharmony-audio'; // Shared with sw.js
+
+/**
+ * Whether a track's audio comes from the web
+ * @param {Object} track - Player track
+ * @returns {boolean}
+ */
+const isPinnable = (track) => /^https?:/i.test(track?.url || '') && !track.isLocal && !track.isSynthesized;
+
+class OfflineAudio {
+  /**
+   * @param {Object} options
+   * @param {AppStorage} options.storage - Where the pinned tracks' details are saved
+   */
+  constructor({ storage }) {
+    this.storage = storage;
+    this.pending = new Set(); // Track IDs being downloaded
+    this.listeners = {
+      onPinsChange: [],
+    };
+  }
+
+  /**
+   * Whether the browser can keep audio offline
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof caches !== 'undefined';
+  }
+
+  /**
+   * Get the pinned tracks
+   * @returns {Array} Tracks, most recently pinned last
+   */
+  getTracks() {
+    return Object.values(this.storage.get('pinned', {}));
+  }
+
+  /**
+   * @param {string} trackId - Track ID
+   * @returns {boolean} Whether the track is pinned
+   */
+  isPinned(trackId) {
+    return !!this.storage.get('pinned', {})[trackId];
+  }
+
+  /**
+   * @param {string} trackId - Track ID
+   * @returns {boolean} Whether the track is downloading
+   */
+  isPending(trackId) {
+    return this.pending.has(trackId);
+  }
+
+  /**
+   * Download a track and keep it for offline playback
+   * @param {Object} track - Track with a web URL
+   */
+  async pin(track) {
+    if (!this.isSupported()) throw new Error('This browser cannot keep music offline');
+    if (!isPinnable(track)) throw new Error(`${track.title} is already on this device`);
+    if (this.isPinned(track.id) || this.pending.has(track.id)) return;
+
+    this.pending.add(track.id);
+    this.emit('onPinsChange', { trackId: track.id, pinned: false });
+    try {
+      // A plain request, without Range, so the whole file is stored
+      const response = await fetch(track.url, { mode: 'cors', credentials: 'omit' });
+      if (!response.ok) throw new Error(`Download failed (${response.status})`);
+      const cache = await caches.open(AUDIO_CACHE);
+      await cache.put(track.url, response);
+      this.storage.update('pinned', { [track.id]: { ...track } });
+    } catch (error) {
+      // Servers that don't allow CORS can be streamed but not saved
+      const reason = error instanceof TypeError ? 'the server does not allow it' : error.message;
+      throw new Error(`Couldn't save ${track.title} for offline: ${reason}`);
+    } finally {
+      this.pending.delete(track.id);
+    }
+    this.emit('onPinsChange', { trackId: track.id, pinned: true });
+  }
+
+  /**
+   * Forget a pinned track and free its space
+   * @param {string} trackId - Track ID
+   */
+  async unpin(trackId) {
+    const pinned = { ...this.storage.get('pinned', {}) };
+    const track = pinned[trackId];
+    if (!track) return;
+
+    delete pinned[trackId];
+    this.storage.set('pinned', pinned);
+    if (this.isSupported()) {
+      const cache = await caches.open(AUDIO_CACHE);
+      await cache.delete(track.url);
+    }
+    this.emit('onPinsChange', { trackId, pinned: false });
+  }
+
+  /**
+   * Register event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  on(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].push(callback);
+    }
+  }
+
+  /**
+   * Remove event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  off(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter((cb) => cb !== callback);
+    }
+  }
+
+  /**
+   * Emit event
+   * @private
+   */
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach((callback) => callback(data));
+    }
+  }
+}
+
+// ES6 Export
+export { OfflineAudio, isPinnable, AUDIO_CACHE };
@@ -0,0 +1,245 @@
+/**
+ * Playlist Formats
+ * Reading and writing M3U8, PLS, and XSPF playlist files.
+ *
+ * Both directions use plain entries rather than player tracks:
+ * { title, artist, album, duration, location }
+ * duration is in seconds (0 when unknown); location is a URL or file path.
+ */
+
+const PLAYLIST_FORMATS = {
+  m3u8: { label: 'M3U8', extension: 'm3u8', mimeType: 'audio/x-mpegurl' },
+  pls: { label: 'PLS', extension: 'pls', mimeType: 'audio/x-scpls' },
+  xspf: { label: 'XSPF', extension: 'xspf', mimeType: 'application/xspf+xml' },
+};
+
+/**
+ * Split "Artist - Title", the usual display form in M3U and PLS
+ * @private
+ */
+function splitDisplayTitle(text) {
+  const separator = text.indexOf(' - ');
+  if (separator <= 0) return { artist: '', title: text.trim() };
+  return { artist: text.slice(0, separator).trim(), title: text.slice(separator + 3).trim() };
+}
+
+/**
+ * Title for an entry that only has a location: ".../01 My Song.mp3" -> "01 My Song"
+ * @private
+ */
+function titleFromLocation(location) {
+  let name = location.split(/[\\/]/).pop() || location;
+  try {
+    name = decodeURIComponent(name);
+  } catch {
+    // Not percent-encoded; use it as is
+  }
+  return name.replace(/\.[^.]+$/, '');
+}
+
+const displayTitle = (entry) => (entry.artist ? `${entry.artist} - ${entry.title}` : entry.title);
+
+const escapeXml = (text) =>
+  String(text).replace(/[<>&'"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c]);
+
+// ========================================
+// PARSING
+// ========================================
+
+/**
+ * @private
+ */
+function parseM3u(text) {
+  const entries = [];
+  let name = '';
+  let info = null;
+
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('#PLAYLIST:')) {
+      name = line.slice(10).trim();
+    } else if (line.startsWith('#EXTINF:')) {
+      // #EXTINF:<seconds>[ attributes],<Artist - Title>
+      const comma = line.indexOf(',');
+      const seconds = parseFloat(line.slice(8, comma === -1 ? undefined : comma));
+      info = {
+        duration: seconds > 0 ? seconds : 0,
+        ...(comma === -1 ? { artist: '', title: '' } : splitDisplayTitle(line.slice(comma + 1))),
+      };
+    } else if (line.startsWith('#EXTALB:') && info) {
+      info.album = line.slice(8).trim();
+    } else if (!line.startsWith('#')) {
+      entries.push({
+        album: '',
+        duration: 0,
+        ...info,
+        title: info?.title || titleFromLocation(line),
+        artist: info?.artist || '',
+        location: line,
+      });
+      info = null;
+    }
+  });
+
+  return { name, entries };
+}
+
+/**
+ * @private
+ */
+function parsePls(text) {
+  const fields = {};
+  text.split(/\r?\n/).forEach((line) => {
+    const match = /^\s*(File|Title|Length)(\d+)\s*=(.*)$/i.exec(line);
+    if (!match) return;
+    const index = Number(match[2]);
+    fields[index] = fields[index] || {};
+    fields[index][match[1].toLowerCase()] = match[3].trim();
+  });
+
+  const entries = Object.keys(fields)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .filter((index) => fields[index].file)
+    .map((index) => {
+      const { file, title, length } = fields[index];
+      const seconds = Number(length);
+      return {
+        album: '',
+        ...(title ? splitDisplayTitle(title) : { artist: '', title: titleFromLocation(file) }),
+        duration: seconds > 0 ? seconds : 0,
+        location: file,
+      };
+    });
+
+  return { name: '', entries };
+}
+
+/**
+ * @private
+ */
+function parseXspf(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) throw new Error('The XSPF file is not valid XML');
+
+  const root = doc.documentElement;
+  const child = (parent, tag) => [...parent.children].find((node) => node.localName === tag)?.textContent.trim() || '';
+  const trackList = [...root.children].find((node) => node.localName === 'trackList');
+
+  const entries = [...(trackList?.children || [])]
+    .filter((node) => node.localName === 'track')
+    .map((track) => {
+      const location = child(track, 'location');
+      const milliseconds = Number(child(track, 'duration'));
+      return {
+        title: child(track, 'title') || (location ? titleFromLocation(location) : ''),
+        artist: child(track, 'creator'),
+        album: child(track, 'album'),
+        duration: milliseconds > 0 ? milliseconds / 1000 : 0,
+        location,
+      };
+    })
+    .filter((entry) => entry.title || entry.location);
+
+  return { name: child(root, 'title'), entries };
+}
+
+/**
+ * Work out a playlist file's format from its name or contents
+ * @param {string} text - File contents
+ * @param {string} fileName - File name
+ * @returns {string} Key of PLAYLIST_FORMATS
+ */
+function detectPlaylistFormat(text, fileName = '') {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'm3u' || extension === 'm3u8') return 'm3u8';
+  if (PLAYLIST_FORMATS[extension]) return extension;
+
+  const start = text.trimStart().slice(0, 200).toLowerCase();
+  if (start.startsWith('<')) return 'xspf';
+  if (start.startsWith('[playlist]')) return 'pls';
+  return 'm3u8';
+}
+
+/**
+ * Parse a playlist file
+ * @param {string} text - File contents
+ * @param {string} fileName - File name, used for the format and as a fallback name
+ * @returns {{name: string, format: string, entries: Array}} Playlist name and entries
+ */
+function parsePlaylist(text, fileName = '') {
+  const format = detectPlaylistFormat(text, fileName);
+  const parsed = { m3u8: parseM3u, pls: parsePls, xspf: parseXspf }[format](text.replace(/^\uFEFF/, ''));
+  if (parsed.entries.length === 0) throw new Error(`No tracks found in ${fileName || 'the playlist'}`);
+  return {
+    name: parsed.name || fileName.replace(/\.[^.]+$/, '') || 'Imported playlist',
+    format,
+    entries: parsed.entries,
+  };
+}
+
+// ========================================
+// SERIALIZING
+// ========================================
+
+/**
+ * Write a playlist file
+ * @param {string} format - Key of PLAYLIST_FORMATS
+ * @param {string} name - Playlist name
+ * @param {Array} entries - Playlist entries
+ * @returns {string} File contents
+ */
+function serializePlaylist(format, name, entries) {
+  const seconds = (entry) => Math.round(entry.duration || 0);
+
+  switch (format) {
+    case 'm3u8': {
+      const lines = ['#EXTM3U', `#PLAYLIST:${name}`];
+      entries.forEach((entry) => {
+        lines.push(`#EXTINF:${seconds(entry) || -1},${displayTitle(entry)}`);
+        if (entry.album) lines.push(`#EXTALB:${entry.album}`);
+        lines.push(entry.location || displayTitle(entry));
+      });
+      return `${lines.join('\n')}\n`;
+    }
+    case 'pls': {
+      const lines = ['[playlist]'];
+      entries.forEach((entry, i) => {
+        lines.push(`File${i + 1}=${entry.location || displayTitle(entry)}`);
+        lines.push(`Title${i + 1}=${displayTitle(entry)}`);
+        lines.push(`Length${i + 1}=${seconds(entry) || -1}`);
+      });
+      lines.push(`NumberOfEntries=${entries.length}`, 'Version=2');
+      return `${lines.join('\n')}\n`;
+    }
+    case 'xspf': {
+      const tracks = entries.map((entry) => {
+        const fields = [
+          entry.location && `<location>${escapeXml(entry.location)}</location>`,
+          `<title>${escapeXml(entry.title)}</title>`,
+          entry.artist && `<creator>${escapeXml(entry.artist)}</creator>`,
+          entry.album && `<album>${escapeXml(entry.album)}</album>`,
+          seconds(entry) > 0 && `<duration>${seconds(entry) * 1000}</duration>`,
+        ].filter(Boolean);
+        return `    <track>\n${fields.map((field) => `      ${field}`).join('\n')}\n    </track>`;
+      });
+      return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+        `  <title>${escapeXml(name)}</title>`,
+        '  <trackList>',
+        ...tracks,
+        '  </trackList>',
+        '</playlist>',
+        '',
+      ].join('\n');
+    }
+    default:
+      throw new Error(`Unknown playlist format: ${format}`);
+  }
+}
+
+// ES6 Export
+export { PLAYLIST_FORMATS, detectPlaylistFormat, parsePlaylist, serializePlaylist };
@@ -0,0 +1,293 @@
+/**
+ * Playlists
+ * Named, saved playlists that can be imported from and exported to files.
+ *
+ * Playlist format:
+ * {
+ *   id, name, createdAt, updatedAt,
+ *   entries: [{ trackId, title, artist, album, duration, location }],
+ * }
+ *
+ * Entries keep enough to find their track again on another device: first by
+ * ID, then by title and artist in the library, then by a streamable URL.
+ * Entries that match none of these are reported as unresolved.
+ */
+
+import { PLAYLIST_FORMATS, parsePlaylist, serializePlaylist } from './playlist-formats.js';
+
+const normalize = (text) => (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+const isStreamUrl = (location) => /^https?:\/\//i.test(location || '');
+
+/**
+ * Make a playlist entry from a player track
+ * @param {Object} track - Player track
+ * @returns {Object} Entry
+ */
+function entryFromTrack(track) {
+  return {
+    trackId: track.id,
+    title: track.title || '',
+    artist: track.artist || '',
+    album: track.album || '',
+    duration: track.duration || 0,
+    // Blob URLs mean nothing outside this page; local files are found again by name
+    location: isStreamUrl(track.url) ? track.url : track.fileName || '',
+  };
+}
+
+class PlaylistManager {
+  /**
+   * @param {Object} options
+   * @param {AppStorage} options.storage - Where playlists are saved
+   * @param {Function} options.getLibraryTracks - Returns tracks that entries can resolve to
+   */
+  constructor({ storage, getLibraryTracks = () => [] }) {
+    this.storage = storage;
+    this.getLibraryTracks = getLibraryTracks;
+    this.listeners = {
+      onPlaylistsChange: [],
+    };
+  }
+
+  /**
+   * Get all playlists
+   * @returns {Array} Playlists
+   */
+  getPlaylists() {
+    return this.storage.get('playlists', []);
+  }
+
+  /**
+   * Get a playlist by ID
+   * @param {string} playlistId - Playlist ID
+   * @returns {Object|null} Playlist
+   */
+  getPlaylist(playlistId) {
+    return this.getPlaylists().find((playlist) => playlist.id === playlistId) || null;
+  }
+
+  /**
+   * Create a playlist
+   * @param {string} name - Playlist name
+   * @param {Array} tracks - Player tracks to save in it
+   * @returns {Object} New playlist
+   */
+  createPlaylist(name, tracks = []) {
+    return this.addPlaylist(this.validateName(name), tracks.map(entryFromTrack));
+  }
+
+  /**
+   * Rename a playlist
+   * @param {string} playlistId - Playlist ID
+   * @param {string} name - New name
+   * @returns {Object} Updated playlist
+   */
+  renamePlaylist(playlistId, name) {
+    return this.updatePlaylist(playlistId, { name: this.validateName(name, playlistId) });
+  }
+
+  /**
+   * Replace a playlist's tracks
+   * @param {string} playlistId - Playlist ID
+   * @param {Array} tracks - Player tracks
+   * @returns {Object} Updated playlist
+   */
+  setTracks(playlistId, tracks) {
+    return this.updatePlaylist(playlistId, { entries: tracks.map(entryFromTrack) });
+  }
+
+  /**
+   * Delete a playlist
+   * @param {string} playlistId - Playlist ID
+   */
+  deletePlaylist(playlistId) {
+    this.save(this.getPlaylists().filter((playlist) => playlist.id !== playlistId));
+  }
+
+  /**
+   * Match a playlist's entries to playable tracks
+   * @param {string} playlistId - Playlist ID
+   * @returns {{tracks: Array, entries: Array<{entry: Object, track: Object|null}>, unresolved: Array}}
+   *   Playable tracks in order, every entry with its match, and the entries without one
+   */
+  resolve(playlistId) {
+    const playlist = this.getPlaylist(playlistId);
+    if (!playlist) throw new Error(`Unknown playlist: ${playlistId}`);
+
+    const library = this.getLibraryTracks();
+    const byId = new Map(library.map((track) => [track.id, track]));
+    const entries = playlist.entries.map((entry) => ({ entry, track: this.resolveEntry(entry, library, byId) }));
+
+    return {
+      tracks: entries.map(({ track }) => track).filter(Boolean),
+      entries,
+      unresolved: entries.filter(({ track }) => !track).map(({ entry }) => entry),
+    };
+  }
+
+  /**
+   * Create a playlist from a playlist file
+   * @param {string} text - File contents
+   * @param {string} fileName - File name
+   * @returns {{playlist: Object, unresolved: Array}} New playlist and entries that didn't match a track
+   */
+  importPlaylist(text, fileName = '') {
+    const { name, entries } = parsePlaylist(text, fileName);
+    const playlist = this.addPlaylist(
+      this.uniqueName(name),
+      entries.map((entry) => ({ trackId: null, ...entry }))
+    );
+    return { playlist, unresolved: this.resolve(playlist.id).unresolved };
+  }
+
+  /**
+   * Write a playlist as a file
+   * @param {string} playlistId - Playlist ID
+   * @param {string} format - Key of PLAYLIST_FORMATS
+   * @returns {{fileName: string, mimeType: string, content: string}} File to save
+   */
+  exportPlaylist(playlistId, format) {
+    const playlist = this.getPlaylist(playlistId);
+    if (!playlist) throw new Error(`Unknown playlist: ${playlistId}`);
+    const type = PLAYLIST_FORMATS[format];
+    if (!type) throw new Error(`Unknown playlist format: ${format}`);
+
+    return {
+      fileName: `${playlist.name.replace(/[\\/:*?"<>|]+/g, '_')}.${type.extension}`,
+      mimeType: type.mimeType,
+      content: serializePlaylist(format, playlist.name, playlist.entries),
+    };
+  }
+
+  /**
+   * @private
+   */
+  resolveEntry(entry, library, byId) {
+    if (entry.trackId && byId.has(entry.trackId)) return byId.get(entry.trackId);
+
+    const title = normalize(entry.title);
+    const artist = normalize(entry.artist);
+    if (title) {
+      const sameTitle = library.filter((track) => normalize(track.title) === title);
+      const match = artist
+        ? sameTitle.find((track) => normalize(track.artist) === artist)
+        : sameTitle.length === 1 && sameTitle[0];
+      if (match) return match;
+    }
+
+    if (isStreamUrl(entry.location)) {
+      return {
+        id: entry.trackId || entry.location,
+        title: entry.title,
+        artist: entry.artist || 'Unknown Artist',
+        album: entry.album || '',
+        genre: '',
+        duration: entry.duration || 0,
+        artwork: null,
+        url: entry.location,
+        source: 'Playlist',
+        license: 'Unknown',
+        attribution: entry.artist ? `${entry.title} by ${entry.artist}` : entry.title,
+      };
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  addPlaylist(name, entries) {
+    const now = new Date().toISOString();
+    const playlist = {
+      id: `playlist-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      name,
+      createdAt: now,
+      updatedAt: now,
+      entries,
+    };
+    this.save([...this.getPlaylists(), playlist]);
+    return playlist;
+  }
+
+  /**
+   * @private
+   */
+  updatePlaylist(playlistId, changes) {
+    const existing = this.getPlaylist(playlistId);
+    if (!existing) throw new Error(`Unknown playlist: ${playlistId}`);
+
+    const updated = { ...existing, ...changes, updatedAt: new Date().toISOString() };
+    this.save(this.getPlaylists().map((playlist) => (playlist.id === playlistId ? updated : playlist)));
+    return updated;
+  }
+
+  /**
+   * Imported files may reuse a name; number them rather than refuse
+   * @private
+   */
+  uniqueName(name) {
+    const taken = new Set(this.getPlaylists().map((playlist) => playlist.name.toLowerCase()));
+    let candidate = name.trim() || 'Imported playlist';
+    for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+      candidate = `${name.trim()} (${n})`;
+    }
+    return candidate;
+  }
+
+  /**
+   * @private
+   */
+  validateName(name, playlistId = null) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) throw new Error('Playlist name is required');
+
+    const duplicate = this.getPlaylists().some(
+      (playlist) => playlist.id !== playlistId && playlist.name.toLowerCase() === trimmed.toLowerCase()
+    );
+    if (duplicate) throw new Error(`A playlist named "${trimmed}" already exists`);
+    return trimmed;
+  }
+
+  /**
+   * @private
+   */
+  save(playlists) {
+    this.storage.set('playlists', playlists);
+    this.emit('onPlaylistsChange', { playlists });
+  }
+
+  /**
+   * Register event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  on(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].push(callback);
+    }
+  }
+
+  /**
+   * Remove event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  off(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter((cb) => cb !== callback);
+    }
+  }
+
+  /**
+   * Emit event
+   * @private
+   */
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach((callback) => callback(data));
+    }
+  }
+}
+
+// ES6 Export
+export { PlaylistManager, entryFromTrack };
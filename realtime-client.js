@@ -0,0 +1,448 @@
+/**
+ * Realtime Client
+ * Receives device state pushed by the hub, so a light switched at the wall or
+ * from another phone shows up on the cards right away instead of on the next poll.
+ *
+ * Three transports over WebSocket:
+ * - json: the hub sends { type: 'state', deviceId, state } whenever a device changes
+ * - mqtt: MQTT 3.1.1 with Home Assistant-style topics, <prefix>/<type>/<deviceId>/state,
+ *   carrying the device's state as JSON. The broker should retain them, so the
+ *   current state of every device arrives right after subscribing.
+ * - homeassistant: Home Assistant's WebSocket API, authenticated with an access
+ *   token and subscribed to state_changed events. deviceId is the entity ID and
+ *   state the entity's new state object, which HomeAssistantDriver translates.
+ *
+ * and one over a fetch() stream, since EventSource can't send headers:
+ * - hue: a Philips Hue bridge's CLIP v2 eventstream (server-sent events), with
+ *   the application key in the headers. deviceId is the light's resource ID and
+ *   state the changed fields of the resource, which HueDriver merges.
+ *
+ * Commands still go to the hub over REST. When the connection drops, the client
+ * reconnects with exponential backoff (with jitter, so phones don't all come back
+ * at once), and straight away when the browser comes back online.
+ */
+
+import { encodePacket, decodePackets } from './mqtt-packets.js';
+
+class RealtimeClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - WebSocket URL, e.g. ws://localhost:8787/ws (http(s) for hue)
+   * @param {string} options.protocol - 'json', 'mqtt', 'homeassistant', or 'hue'
+   * @param {string} options.topicPrefix - First MQTT topic level
+   * @param {string} options.accessToken - Home Assistant long-lived access token
+   * @param {Object} options.headers - Headers for the hue eventstream request
+   * @param {number} options.minDelay - First reconnect delay in ms
+   * @param {number} options.maxDelay - Longest reconnect delay in ms
+   * @param {number} options.keepalive - Seconds between pings (MQTT and Home Assistant)
+   */
+  constructor({
+    url,
+    protocol = 'json',
+    topicPrefix = 'homeharmony',
+    accessToken = null,
+    headers = {},
+    minDelay = 1000,
+    maxDelay = 30000,
+    keepalive = 30,
+  }) {
+    if (!['json', 'mqtt', 'homeassistant', 'hue'].includes(protocol)) throw new Error(`Unknown realtime protocol: ${protocol}`);
+    this.url = url;
+    this.protocol = protocol;
+    this.topicPrefix = topicPrefix;
+    this.accessToken = accessToken;
+    this.headers = headers;
+    this.minDelay = minDelay;
+    this.maxDelay = maxDelay;
+    this.keepalive = keepalive;
+
+    this.socket = null;
+    this.stream = null; // AbortController of the hue eventstream
+    this.status = 'closed';
+    this.attempt = 0; // Reconnects since the last successful connection
+    this.retryTimer = null;
+    this.retryAt = null;
+    this.pingTimer = null;
+    this.awaitingPong = false;
+    this.messageId = 0; // Home Assistant message IDs
+    this.error = null; // Why the server turned the client away
+    this.handleOnline = () => this.retryNow();
+    this.listeners = {
+      onStatusChange: [],
+      onDeviceState: [],
+    };
+  }
+
+  /**
+   * Open the connection; it is kept open until close()
+   */
+  connect() {
+    if (this.socket || this.stream) return;
+    this.error = null;
+    globalThis.addEventListener?.('online', this.handleOnline);
+    this.open();
+  }
+
+  /**
+   * Close the connection and stop reconnecting
+   */
+  close() {
+    globalThis.removeEventListener?.('online', this.handleOnline);
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.retryAt = null;
+    this.stream?.abort();
+    this.stream = null;
+    const socket = this.socket;
+    this.socket = null;
+    if (socket) {
+      this.stopPing();
+      if (this.protocol === 'mqtt' && socket.readyState === 1) socket.send(encodePacket({ type: 'disconnect' }));
+      socket.close();
+    }
+    this.setStatus('closed');
+  }
+
+  /**
+   * Get the connection status
+   * @returns {Object} { status, retryAt, error } - status is 'connecting', 'connected',
+   *   'reconnecting', or 'closed'; retryAt is when the next reconnect is due, in ms;
+   *   error says why the server refused the connection, if it did
+   */
+  getStatus() {
+    return { status: this.status, retryAt: this.retryAt, error: this.error };
+  }
+
+  /**
+   * Whether pushed updates are arriving
+   * @returns {boolean}
+   */
+  isConnected() {
+    return this.status === 'connected';
+  }
+
+  /**
+   * Open a socket
+   * @private
+   */
+  open() {
+    this.setStatus(this.attempt === 0 ? 'connecting' : 'reconnecting');
+    if (this.protocol === 'hue') {
+      this.openEventStream();
+      return;
+    }
+    let socket;
+    try {
+      socket = this.protocol === 'mqtt' ? new WebSocket(this.url, 'mqtt') : new WebSocket(this.url);
+    } catch (error) {
+      // A malformed URL won't get better by retrying
+      console.error('[RealtimeClient] Cannot connect:', error.message);
+      this.close();
+      return;
+    }
+    socket.binaryType = 'arraybuffer';
+    this.socket = socket;
+
+    socket.onopen = () => {
+      if (this.protocol === 'mqtt') {
+        const clientId = `homeharmony-${Math.random().toString(36).slice(2, 10)}`;
+        socket.send(encodePacket({ type: 'connect', clientId, keepalive: this.keepalive }));
+      } else if (this.protocol === 'json') {
+        this.handleConnected();
+      }
+      // Home Assistant speaks first, asking for the token
+    };
+    socket.onmessage = (event) => {
+      if (this.protocol === 'mqtt') this.handleMqtt(new Uint8Array(event.data));
+      else if (this.protocol === 'homeassistant') this.handleHomeAssistant(event.data);
+      else this.handleJson(event.data);
+    };
+    socket.onclose = () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      this.stopPing();
+      this.scheduleReconnect();
+    };
+    // Errors are followed by close, which does the reconnecting
+    socket.onerror = () => {};
+  }
+
+  /**
+   * Read the hue eventstream until it ends or is aborted
+   * @private
+   */
+  async openEventStream() {
+    const stream = new AbortController();
+    this.stream = stream;
+    try {
+      const response = await fetch(this.url, {
+        headers: { ...this.headers, Accept: 'text/event-stream' },
+        signal: stream.signal,
+      });
+      if (response.status === 401 || response.status === 403) {
+        this.handleRefused('Hue bridge rejected the application key');
+        return;
+      }
+      if (!response.ok) throw new Error(`Eventstream failed (${response.status})`);
+      this.handleConnected();
+
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = '';
+      let chunk = await reader.read();
+      while (!chunk.done) {
+        buffer += chunk.value.replace(/\r\n/g, '\n');
+        const messages = buffer.split('\n\n');
+        buffer = messages.pop();
+        messages.forEach((message) => this.handleHue(message));
+        chunk = await reader.read();
+      }
+    } catch (error) {
+      if (stream.signal.aborted) return;
+      console.warn('[RealtimeClient] Eventstream dropped:', error.message);
+    }
+    if (this.stream !== stream) return;
+    this.stream = null;
+    this.scheduleReconnect();
+  }
+
+  /**
+   * @private
+   */
+  handleConnected() {
+    this.attempt = 0;
+    this.error = null;
+    this.setStatus('connected');
+  }
+
+  /**
+   * Give up on a server that refused the client; retrying won't change its mind
+   * @private
+   */
+  handleRefused(error) {
+    console.error(`[RealtimeClient] ${error}`);
+    this.error = error;
+    this.close();
+  }
+
+  /**
+   * @private
+   */
+  handleJson(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      console.warn('[RealtimeClient] Ignoring malformed message:', error.message);
+      return;
+    }
+    if (message.type === 'state' && message.deviceId && message.state) {
+      this.emit('onDeviceState', { deviceId: message.deviceId, state: message.state });
+    }
+  }
+
+  /**
+   * @private
+   */
+  handleMqtt(bytes) {
+    decodePackets(bytes).forEach((packet) => {
+      switch (packet.type) {
+        case 'connack':
+          if (packet.returnCode !== 0) {
+            this.handleRefused(`Broker refused the connection (code ${packet.returnCode})`);
+            return;
+          }
+          this.socket.send(encodePacket({ type: 'subscribe', messageId: 1, topics: [`${this.topicPrefix}/+/+/state`] }));
+          this.startPing();
+          this.handleConnected();
+          break;
+        case 'publish': {
+          const [prefix, type, deviceId, suffix] = packet.topic.split('/');
+          if (prefix !== this.topicPrefix || suffix !== 'state' || !deviceId) return;
+          try {
+            this.emit('onDeviceState', { deviceId, type, state: JSON.parse(packet.payload) });
+          } catch (error) {
+            console.warn(`[RealtimeClient] Ignoring malformed state on ${packet.topic}`);
+          }
+          break;
+        }
+        case 'pingresp':
+          this.awaitingPong = false;
+          break;
+        default:
+          break;
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  handleHomeAssistant(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      console.warn('[RealtimeClient] Ignoring malformed message:', error.message);
+      return;
+    }
+
+    switch (message.type) {
+      case 'auth_required':
+        this.socket.send(JSON.stringify({ type: 'auth', access_token: this.accessToken }));
+        break;
+      case 'auth_ok':
+        this.socket.send(JSON.stringify({ id: ++this.messageId, type: 'subscribe_events', event_type: 'state_changed' }));
+        this.startPing();
+        this.handleConnected();
+        break;
+      case 'auth_invalid':
+        this.handleRefused(`Home Assistant rejected the access token: ${message.message || 'invalid'}`);
+        break;
+      case 'event': {
+        const { event_type: eventType, data: eventData } = message.event || {};
+        // new_state is null when an entity is removed
+        if (eventType === 'state_changed' && eventData?.new_state) {
+          this.emit('onDeviceState', { deviceId: eventData.entity_id, state: eventData.new_state });
+        }
+        break;
+      }
+      case 'pong':
+        this.awaitingPong = false;
+        break;
+      case 'result':
+        if (!message.success) console.warn('[RealtimeClient] Home Assistant refused:', message.error?.message);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Handle one server-sent event; its data is an array of events, each with the
+   * resources they concern
+   * @private
+   */
+  handleHue(message) {
+    // Lines starting with ':' are comments, sent to keep the connection open
+    const data = message
+      .split('\n')
+      .filter((line) => line.startsWith('data:'))
+      .map((line) => line.slice(5).trim())
+      .join('\n');
+    if (!data) return;
+
+    let events;
+    try {
+      events = JSON.parse(data);
+    } catch (error) {
+      console.warn('[RealtimeClient] Ignoring malformed event:', error.message);
+      return;
+    }
+    events
+      .filter((event) => event.type === 'update')
+      .flatMap((event) => event.data || [])
+      .filter((resource) => resource.type === 'light')
+      .forEach((resource) => this.emit('onDeviceState', { deviceId: resource.id, type: 'light', state: resource }));
+  }
+
+  /**
+   * Ping the server every keepalive period; a missed answer means the connection is dead
+   * @private
+   */
+  startPing() {
+    this.stopPing();
+    this.pingTimer = setInterval(() => {
+      if (this.awaitingPong) {
+        console.warn('[RealtimeClient] Server stopped answering; reconnecting');
+        this.socket?.close();
+        return;
+      }
+      this.awaitingPong = true;
+      this.socket?.send(
+        this.protocol === 'mqtt'
+          ? encodePacket({ type: 'pingreq' })
+          : JSON.stringify({ id: ++this.messageId, type: 'ping' })
+      );
+    }, this.keepalive * 1000);
+  }
+
+  /**
+   * @private
+   */
+  stopPing() {
+    clearInterval(this.pingTimer);
+    this.pingTimer = null;
+    this.awaitingPong = false;
+  }
+
+  /**
+   * @private
+   */
+  scheduleReconnect() {
+    const delay = Math.min(this.maxDelay, this.minDelay * 2 ** this.attempt) * (0.8 + Math.random() * 0.4);
+    this.attempt++;
+    this.retryAt = Date.now() + delay;
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.retryAt = null;
+      this.open();
+    }, delay);
+    this.setStatus('reconnecting');
+  }
+
+  /**
+   * Skip the wait when the browser says the network is back
+   * @private
+   */
+  retryNow() {
+    if (!this.retryTimer) return;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.retryAt = null;
+    this.attempt = 0;
+    this.open();
+  }
+
+  /**
+   * @private
+   */
+  setStatus(status) {
+    this.status = status;
+    this.emit('onStatusChange', this.getStatus());
+  }
+
+  /**
+   * Register event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  on(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].push(callback);
+    }
+  }
+
+  /**
+   * Remove event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  off(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter((cb) => cb !== callback);
+    }
+  }
+
+  /**
+   * Emit event
+   * @private
+   */
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach((callback) => callback(data));
+    }
+  }
+}
+
+// ES6 Export
+export { RealtimeClient };
@@ -0,0 +1,387 @@
+/**
+ * Rules Engine
+ * "If this then that" rules across devices and the music player.
+ *
+ * Rule format (plain JSON):
+ * {
+ *   id, name, enabled,
+ *   trigger: { event: 'playback', isPlaying: true }
+ *          | { event: 'device', deviceId, property, op, value },
+ *   conditions: [
+ *     { type: 'time', after: 'HH:MM', before: 'HH:MM' },   // may wrap past midnight
+ *     { type: 'device', deviceId, property, op, value },
+ *   ],
+ *   actions: [action],    // see automation-actions.js
+ *   cooldownMinutes,      // optional minimum time between firings
+ * }
+ *
+ * Device triggers fire when their comparison turns from false to true, so a
+ * thermostat reaching 78°F fires once rather than on every reading above it.
+ * Ops: '==', '!=', '>', '>=', '<', '<='.
+ */
+
+const COMPARISONS = {
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+};
+
+const MAX_LOG_ENTRIES = 50;
+
+/**
+ * Example rules offered on first run. They start disabled.
+ */
+const DEFAULT_RULES = [
+  {
+    id: 'evening-music-dim',
+    name: 'Dim lights for evening music',
+    enabled: false,
+    trigger: { event: 'playback', isPlaying: true },
+    conditions: [{ type: 'time', after: '20:00', before: '06:00' }],
+    actions: [{ type: 'lights', set: { brightness: 30 } }],
+  },
+  {
+    id: 'warm-room-fan',
+    name: 'Fan on when the living room is warm',
+    enabled: false,
+    trigger: {
+      event: 'device',
+      deviceId: 'living-room-thermostat',
+      property: 'currentTemperature',
+      op: '>=',
+      value: 78,
+    },
+    conditions: [],
+    actions: [{ type: 'device', deviceId: 'living-room-fan', set: { on: true } }],
+  },
+];
+
+/**
+ * Convert "HH:MM" to minutes after midnight
+ * @private
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Check whether a time of day falls in a window; windows may wrap past midnight
+ * @param {Date} date - Time to check
+ * @param {string} after - Window start, "HH:MM"
+ * @param {string} before - Window end, "HH:MM"
+ * @returns {boolean} Whether the time is inside the window
+ */
+function isWithinTimeWindow(date, after = '00:00', before = '24:00') {
+  const now = date.getHours() * 60 + date.getMinutes();
+  const start = toMinutes(after);
+  const end = toMinutes(before);
+  return start <= end ? now >= start && now < end : now >= start || now < end;
+}
+
+/**
+ * Check a rule definition
+ * @param {Object} rule - Rule
+ * @throws {Error} If the rule is invalid
+ */
+function validateRule(rule) {
+  if (!rule || typeof rule !== 'object') throw new Error('Rule must be an object');
+  if (!rule.id || !(rule.name || '').trim()) throw new Error('Rule needs an id and a name');
+
+  const { trigger } = rule;
+  if (trigger?.event === 'device') {
+    if (!trigger.deviceId || !trigger.property) throw new Error('Device triggers need a deviceId and property');
+    if (!COMPARISONS[trigger.op]) throw new Error(`Unknown comparison: ${trigger.op}`);
+  } else if (trigger?.event !== 'playback') {
+    throw new Error('Trigger event must be "playback" or "device"');
+  }
+
+  (rule.conditions || []).forEach((condition) => {
+    if (condition.type === 'time') {
+      const pattern = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+      if ((condition.after && !pattern.test(condition.after)) || (condition.before && !pattern.test(condition.before))) {
+        throw new Error('Time conditions use HH:MM');
+      }
+    } else if (condition.type === 'device') {
+      if (!condition.deviceId || !condition.property) throw new Error('Device conditions need a deviceId and property');
+      if (!COMPARISONS[condition.op]) throw new Error(`Unknown comparison: ${condition.op}`);
+    } else {
+      throw new Error(`Unknown condition type: ${condition.type}`);
+    }
+  });
+
+  if (!Array.isArray(rule.actions) || rule.actions.length === 0) {
+    throw new Error('Rule needs at least one action');
+  }
+}
+
+/**
+ * Describe a rule's trigger and conditions in a few words
+ * @param {Object} rule - Rule
+ * @param {DeviceRegistry} registry - Used to look up device names
+ * @returns {string} Description
+ */
+function describeRule(rule, registry = null) {
+  const deviceName = (id) => registry?.getDevice(id)?.name || id;
+  const { trigger } = rule;
+
+  const parts = [
+    trigger.event === 'playback'
+      ? `When music ${trigger.isPlaying === false ? 'stops' : 'starts'}`
+      : `When ${deviceName(trigger.deviceId)} ${trigger.property} ${trigger.op} ${trigger.value}`,
+  ];
+
+  (rule.conditions || []).forEach((condition) => {
+    if (condition.type === 'time') {
+      parts.push(`between ${condition.after || '00:00'} and ${condition.before || '24:00'}`);
+    } else {
+      parts.push(`if ${deviceName(condition.deviceId)} ${condition.property} ${condition.op} ${condition.value}`);
+    }
+  });
+
+  return parts.join(', ');
+}
+
+class RulesEngine {
+  /**
+   * @param {Object} options
+   * @param {AppStorage} options.storage - Where rules and the log are saved
+   * @param {DeviceRegistry} options.registry - Device events and state
+   * @param {IndependentMusicPlayer} options.player - Player events
+   * @param {Function} options.runAction - async (action) => boolean, see automation-actions.js
+   * @param {Function} options.now - Clock, replaceable for testing
+   */
+  constructor({ storage, registry, player, runAction, now = () => new Date() }) {
+    this.storage = storage;
+    this.registry = registry;
+    this.player = player;
+    this.runAction = runAction;
+    this.now = now;
+    this.lastPlaying = null;
+    this.lastTriggerResults = new Map();
+    this.running = new Set();
+    this.started = false;
+    this.listeners = {
+      onRulesChange: [],
+      onRuleFired: [],
+    };
+
+    this.handlePlayStateChange = this.handlePlayStateChange.bind(this);
+    this.handleDeviceChange = this.handleDeviceChange.bind(this);
+  }
+
+  /**
+   * Get all rules
+   * @returns {Array} Rules
+   */
+  getRules() {
+    return this.storage.get('rules') || DEFAULT_RULES;
+  }
+
+  /**
+   * Get the firing log, newest first
+   * @returns {Array} Log entries { ruleId, ruleName, firedAt, success }
+   */
+  getLog() {
+    return this.storage.get('ruleLog', []);
+  }
+
+  /**
+   * Add or replace a rule
+   * @param {Object} rule - Rule; an existing rule with the same ID is replaced
+   * @returns {Object} Saved rule
+   */
+  saveRule(rule) {
+    const saved = { enabled: true, conditions: [], ...rule };
+    validateRule(saved);
+
+    const rules = this.getRules();
+    const exists = rules.some((r) => r.id === saved.id);
+    this.save(exists ? rules.map((r) => (r.id === saved.id ? saved : r)) : [...rules, saved]);
+    if (saved.trigger.event === 'device') {
+      this.lastTriggerResults.set(saved.id, this.compareDevice(saved.trigger));
+    }
+    return saved;
+  }
+
+  /**
+   * Enable or disable a rule
+   * @param {string} ruleId - Rule ID
+   * @param {boolean} enabled - Whether it should fire
+   */
+  setEnabled(ruleId, enabled) {
+    this.save(this.getRules().map((rule) => (rule.id === ruleId ? { ...rule, enabled } : rule)));
+  }
+
+  /**
+   * Remove a rule
+   * @param {string} ruleId - Rule ID
+   */
+  removeRule(ruleId) {
+    this.save(this.getRules().filter((rule) => rule.id !== ruleId));
+  }
+
+  /**
+   * Clear the firing log
+   */
+  clearLog() {
+    this.storage.set('ruleLog', []);
+    this.emit('onRulesChange', { rules: this.getRules() });
+  }
+
+  /**
+   * Start listening to player and device events
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+    this.lastPlaying = this.player.isPlaying;
+
+    // Seed device comparisons so conditions that are already true don't fire on the first update
+    this.getRules().forEach((rule) => {
+      if (rule.trigger.event === 'device') {
+        this.lastTriggerResults.set(rule.id, this.compareDevice(rule.trigger));
+      }
+    });
+
+    this.player.on('onPlayStateChange', this.handlePlayStateChange);
+    this.registry.on('onDeviceChange', this.handleDeviceChange);
+  }
+
+  /**
+   * Stop listening to events
+   */
+  stop() {
+    this.started = false;
+    this.player.off('onPlayStateChange', this.handlePlayStateChange);
+    this.registry.off('onDeviceChange', this.handleDeviceChange);
+  }
+
+  /**
+   * @private
+   */
+  handlePlayStateChange({ isPlaying }) {
+    // The player reports the same state more than once; only react to changes
+    if (isPlaying === this.lastPlaying) return;
+    this.lastPlaying = isPlaying;
+
+    this.getRules()
+      .filter((rule) => rule.enabled && rule.trigger.event === 'playback')
+      .filter((rule) => rule.trigger.isPlaying === undefined || rule.trigger.isPlaying === isPlaying)
+      .forEach((rule) => this.evaluate(rule, { isPlaying }));
+  }
+
+  /**
+   * @private
+   */
+  handleDeviceChange({ device }) {
+    this.getRules()
+      .filter((rule) => rule.trigger.event === 'device' && rule.trigger.deviceId === device.id)
+      .forEach((rule) => {
+        const matches = this.compareDevice(rule.trigger);
+        const previous = this.lastTriggerResults.get(rule.id);
+        this.lastTriggerResults.set(rule.id, matches);
+
+        if (rule.enabled && matches && !previous) {
+          this.evaluate(rule, { deviceId: device.id, [rule.trigger.property]: device.state[rule.trigger.property] });
+        }
+      });
+  }
+
+  /**
+   * @private
+   */
+  compareDevice({ deviceId, property, op, value }) {
+    const device = this.registry.getDevice(deviceId);
+    if (!device || !(property in device.state)) return false;
+    return COMPARISONS[op](device.state[property], value);
+  }
+
+  /**
+   * Check a triggered rule's conditions and cooldown, then run its actions
+   * @private
+   */
+  async evaluate(rule, event) {
+    // A rule's own actions must not re-trigger it
+    if (this.running.has(rule.id)) return;
+
+    const now = this.now();
+    const conditionsMet = (rule.conditions || []).every((condition) =>
+      condition.type === 'time'
+        ? isWithinTimeWindow(now, condition.after, condition.before)
+        : this.compareDevice(condition)
+    );
+    if (!conditionsMet) return;
+
+    if (rule.cooldownMinutes) {
+      const lastFired = this.getLog().find((entry) => entry.ruleId === rule.id);
+      if (lastFired && now - new Date(lastFired.firedAt) < rule.cooldownMinutes * 60 * 1000) return;
+    }
+
+    this.running.add(rule.id);
+    let success = true;
+    try {
+      for (const action of rule.actions) {
+        try {
+          success = (await this.runAction(action)) !== false && success;
+        } catch (error) {
+          console.error(`[Rules] Action failed in "${rule.name}":`, error);
+          success = false;
+        }
+      }
+    } finally {
+      this.running.delete(rule.id);
+    }
+
+    const entry = { ruleId: rule.id, ruleName: rule.name, firedAt: now.toISOString(), success, event };
+    this.storage.set('ruleLog', [entry, ...this.getLog()].slice(0, MAX_LOG_ENTRIES));
+    console.log(`[Rules] Fired "${rule.name}"${success ? '' : ' with errors'}`);
+    this.emit('onRuleFired', entry);
+  }
+
+  /**
+   * @private
+   */
+  save(rules) {
+    this.storage.set('rules', rules);
+    this.emit('onRulesChange', { rules });
+  }
+
+  /**
+   * Register event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  on(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].push(callback);
+    }
+  }
+
+  /**
+   * Remove event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  off(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter((cb) => cb !== callback);
+    }
+  }
+
+  /**
+   * Emit event
+   * @private
+   */
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach((callback) => callback(data));
+    }
+  }
+}
+
+// ES6 Export
+export { RulesEngine, DEFAULT_RULES, describeRule, isWithinTimeWindow, validateRule };
@@ -0,0 +1,283 @@
+/**
+ * Scenes
+ * Named snapshots of lights, climate, and music that can be applied at once.
+ *
+ * Scene format:
+ * {
+ *   id, name,
+ *   lights:  { [deviceId]: { on, brightness, colorMode, colorTemperature, color } },
+ *   climate: { [deviceId]: { mode, targetTemperature, targetLow, targetHigh } },
+ *   music:   { playlist: [track], trackId, volume, play } | null,
+ * }
+ */
+
+const LIGHT_FIELDS = ['on', 'brightness', 'colorMode', 'colorTemperature', 'color'];
+const CLIMATE_FIELDS = ['mode', 'targetTemperature', 'targetLow', 'targetHigh'];
+
+/**
+ * Scenes offered before the user has saved any of their own.
+ * Music entries refer to the generated demo tracks by ID.
+ */
+const DEFAULT_SCENES = [
+  {
+    id: 'movie-night',
+    name: 'Movie Night',
+    lights: {
+      'living-room-ceiling': { on: false },
+      'living-room-lamp': { on: true, brightness: 20 },
+      'kitchen-pendants': { on: false },
+      'kitchen-under-cabinet': { on: true, brightness: 10 },
+    },
+    climate: {
+      'living-room-thermostat': { mode: 'cool', targetTemperature: 72 },
+    },
+    music: {
+      playlist: [{ id: 'demo-3', isSynthesized: true, url: null }],
+      trackId: 'demo-3',
+      volume: 0.3,
+      play: true,
+    },
+  },
+  {
+    id: 'dinner',
+    name: 'Dinner',
+    lights: {
+      'living-room-ceiling': { on: true, brightness: 50 },
+      'living-room-lamp': { on: true, brightness: 40 },
+      'kitchen-pendants': { on: true, brightness: 80 },
+      'kitchen-under-cabinet': { on: true, brightness: 60 },
+    },
+    climate: {
+      'living-room-thermostat': { mode: 'auto', targetLow: 68, targetHigh: 74 },
+    },
+    music: {
+      playlist: [
+        { id: 'demo-2', isSynthesized: true, url: null },
+        { id: 'demo-1', isSynthesized: true, url: null },
+      ],
+      trackId: 'demo-2',
+      volume: 0.5,
+      play: true,
+    },
+  },
+];
+
+const pick = (source, fields) =>
+  Object.fromEntries(fields.filter((field) => field in source).map((field) => [field, source[field]]));
+
+class SceneManager {
+  /**
+   * @param {Object} options
+   * @param {AppStorage} options.storage - Where scenes are saved
+   * @param {DeviceRegistry} options.registry - Devices to capture and control
+   * @param {IndependentMusicPlayer} options.player - Music player to capture and control
+   * @param {Function} options.getKnownTracks - Returns tracks used to resolve saved music by ID
+   */
+  constructor({ storage, registry, player, getKnownTracks = () => [] }) {
+    this.storage = storage;
+    this.registry = registry;
+    this.player = player;
+    this.getKnownTracks = getKnownTracks;
+    this.listeners = {
+      onScenesChange: [],
+      onSceneActivated: [],
+    };
+  }
+
+  /**
+   * Get all scenes
+   * @returns {Array} Scenes
+   */
+  getScenes() {
+    return this.storage.get('scenes') || DEFAULT_SCENES;
+  }
+
+  /**
+   * Get a scene by ID
+   * @param {string} sceneId - Scene ID
+   * @returns {Object|null} Scene
+   */
+  getScene(sceneId) {
+    return this.getScenes().find((scene) => scene.id === sceneId) || null;
+  }
+
+  /**
+   * Record the current state of the home
+   * @param {Object} include - Which parts to record: { lights, climate, music }
+   * @returns {Object} Scene contents without id or name
+   */
+  capture({ lights = true, climate = true, music = true } = {}) {
+    const scene = { lights: {}, climate: {}, music: null };
+
+    if (lights) {
+      this.registry.getDevices('light').forEach((device) => {
+        scene.lights[device.id] = pick(device.state, LIGHT_FIELDS);
+      });
+    }
+
+    if (climate) {
+      this.registry.getDevices('thermostat').forEach((device) => {
+        scene.climate[device.id] = pick(device.state, CLIMATE_FIELDS);
+      });
+    }
+
+    if (music && this.player.playlist.length > 0) {
+      const snapshot = this.player.exportState();
+      scene.music = {
+        playlist: snapshot.playlist,
+        trackId: snapshot.currentTrackId || snapshot.playlist[snapshot.currentIndex]?.id || null,
+        volume: snapshot.volume,
+        play: this.player.isPlaying,
+      };
+    }
+
+    return scene;
+  }
+
+  /**
+   * Save the current state as a new scene
+   * @param {string} name - Scene name
+   * @param {Object} include - Which parts to record: { lights, climate, music }
+   * @returns {Object} New scene
+   */
+  createScene(name, include) {
+    const scene = {
+      id: `scene-${Date.now().toString(36)}`,
+      name: this.validateName(name),
+      ...this.capture(include),
+    };
+    this.save([...this.getScenes(), scene]);
+    return scene;
+  }
+
+  /**
+   * Rename a scene and optionally replace its contents with the current state
+   * @param {string} sceneId - Scene ID
+   * @param {Object} changes - { name, recapture, include }
+   * @returns {Object} Updated scene
+   */
+  updateScene(sceneId, { name, recapture = false, include } = {}) {
+    const existing = this.getScene(sceneId);
+    if (!existing) throw new Error(`Unknown scene: ${sceneId}`);
+
+    const updated = {
+      ...existing,
+      ...(recapture ? this.capture(include) : {}),
+      name: name === undefined ? existing.name : this.validateName(name, sceneId),
+    };
+    this.save(this.getScenes().map((scene) => (scene.id === sceneId ? updated : scene)));
+    return updated;
+  }
+
+  /**
+   * Delete a scene
+   * @param {string} sceneId - Scene ID
+   */
+  deleteScene(sceneId) {
+    this.save(this.getScenes().filter((scene) => scene.id !== sceneId));
+  }
+
+  /**
+   * Apply every part of a scene at once
+   * @param {string} sceneId - Scene ID
+   * @returns {Promise<{scene: Object, failures: Array<string>}>} Names of devices that failed
+   */
+  async activateScene(sceneId) {
+    const scene = this.getScene(sceneId);
+    if (!scene) throw new Error(`Unknown scene: ${sceneId}`);
+
+    const deviceCommands = Object.entries({ ...scene.lights, ...scene.climate })
+      .filter(([deviceId]) => this.registry.getDevice(deviceId))
+      .map(async ([deviceId, patch]) => {
+        const accepted = await this.registry.setDeviceState(deviceId, patch);
+        return accepted ? null : this.registry.getDevice(deviceId).name;
+      });
+
+    const [results] = await Promise.all([Promise.all(deviceCommands), this.applyMusic(scene.music)]);
+    const failures = results.filter(Boolean);
+
+    this.emit('onSceneActivated', { scene, failures });
+    return { scene, failures };
+  }
+
+  /**
+   * @private
+   */
+  async applyMusic(music) {
+    if (!music) return;
+
+    const playlist = this.player.resolveTracks(music.playlist || [], this.getKnownTracks());
+    if (playlist.length === 0) {
+      console.warn('[Scenes] None of the scene\'s tracks are available');
+      return;
+    }
+
+    this.player.setPlaylist(playlist);
+    if (Number.isFinite(music.volume)) this.player.setVolume(music.volume);
+
+    const track = playlist.find((t) => t.id === music.trackId) || playlist[0];
+    if (music.play) {
+      await this.player.play(track);
+    } else {
+      this.player.stop();
+      this.player.cue(track);
+    }
+  }
+
+  /**
+   * @private
+   */
+  validateName(name, sceneId = null) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) throw new Error('Scene name is required');
+
+    const duplicate = this.getScenes().some(
+      (scene) => scene.id !== sceneId && scene.name.toLowerCase() === trimmed.toLowerCase()
+    );
+    if (duplicate) throw new Error(`A scene named "${trimmed}" already exists`);
+    return trimmed;
+  }
+
+  /**
+   * @private
+   */
+  save(scenes) {
+    this.storage.set('scenes', scenes);
+    this.emit('onScenesChange', { scenes });
+  }
+
+  /**
+   * Register event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  on(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].push(callback);
+    }
+  }
+
+  /**
+   * Remove event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  off(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter((cb) => cb !== callback);
+    }
+  }
+
+  /**
+   * Emit event
+   * @private
+   */
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach((callback) => callback(data));
+    }
+  }
+}
+
+// ES6 Export
+export { SceneManager, DEFAULT_SCENES };
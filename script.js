@@ -3,185 +3,2450 @@
 // ========================================
 
 import { IndependentMusicPlayer } from './independent-music-player.js';
-
-// ========================================
-// SERVICE WORKER CLEANUP
-// ========================================
-
-// Unregister old service workers that might be blocking CORS requests
-if ('serviceWorker' in navigator) {
-    navigator.serviceWorker.getRegistrations().then((registrations) => {
-        registrations.forEach((registration) => {
-            console.log('[SW] Unregistering old service worker');
-            registration.unregister();
-        });
-    });
-}
+import { LocalLibrary } from './local-library.js';
+import { PlaylistManager } from './playlists.js';
+import { AudioEffects, EQ_BANDS, EQ_PRESETS, EQ_RANGE } from './audio-effects.js';
+import { LoudnessAnalyzer } from './loudness.js';
+import { SleepTimer, SLEEP_PRESETS } from './sleep-timer.js';
+import { createMusicProviders } from './music-providers.js';
+import { OfflineAudio, isPinnable } from './offline-audio.js';
+import { createDeviceDriver } from './device-drivers.js';
+import { discoverHueBridges, pairHueBridge } from './hue.js';
+import { DeviceRegistry } from './device-registry.js';
+import { CommandQueue } from './command-queue.js';
+import { AppStorage } from './storage.js';
+import { formatTemperature, normalizeThermostatState, stepSetpoint, toFahrenheit } from './thermostat.js';
+import { SceneManager } from './scenes.js';
+import { createActionRunner, describeAction } from './automation-actions.js';
+import { AutomationScheduler, DAY_NAMES, describeTrigger } from './automation-scheduler.js';
+import { RulesEngine, describeRule } from './rules-engine.js';
+import { LightFader } from './light-fader.js';
+import { EnergyTracker } from './energy-tracker.js';
+import { colorPatchFromHex, getColorTemperatureRange, getLightColor, hasCapability, kelvinToRgb, rgbToHex } from './light-color.js';
 
 // ========================================
 // STATE MANAGEMENT
 // ========================================
 
 const state = {
-    temperature: 78,
-    isLighting: false,
-    lightDimmer: 100,
+    storage: new AppStorage(),
+    registry: null,
+    fader: null,
+    selectedThermostatId: null,
+    temperatureUnit: 'F',
     isPlaying: false,
     currentService: 'independent',
     independentPlayer: null,
+    demoTracks: [],
+    library: null,
+    offlineAudio: null,
+    audioEffects: null,
+    sleepTimer: null,
+    playlists: null,
+    editingPlaylistId: null,
+    scenes: null,
+    editingSceneId: null,
+    runAction: null,
+    scheduler: null,
+    rules: null,
+    energy: null,
+    energyRange: 'day',
 };
 
 // ========================================
 // INITIALIZATION & EVENT LISTENERS
 // ========================================
 
-document.addEventListener('DOMContentLoaded', async () => {
+document.addEventListener('DOMContentLoaded', async () => {
+    // ========================================
+    // DOM ELEMENTS (Load after DOM is ready)
+    // ========================================
+    
+    const elements = {
+        toggleLights: document.getElementById('toggleLights'),
+        lightingStatus: document.getElementById('lightingStatus'),
+        lightDimmer: document.getElementById('lightDimmer'),
+        dimmerValue: document.getElementById('dimmerValue'),
+        lightingRooms: document.getElementById('lightingRooms'),
+        fadeForm: document.getElementById('fadeForm'),
+        homeAssistantForm: document.getElementById('homeAssistantForm'),
+        homeAssistantUrl: document.getElementById('homeAssistantUrl'),
+        homeAssistantToken: document.getElementById('homeAssistantToken'),
+        disconnectHomeAssistant: document.getElementById('disconnectHomeAssistant'),
+        homeAssistantStatus: document.getElementById('homeAssistantStatus'),
+        hueForm: document.getElementById('hueForm'),
+        hueUrl: document.getElementById('hueUrl'),
+        hueApi: document.getElementById('hueApi'),
+        findHueBridge: document.getElementById('findHueBridge'),
+        disconnectHue: document.getElementById('disconnectHue'),
+        hueStatus: document.getElementById('hueStatus'),
+        fadeTarget: document.getElementById('fadeTarget'),
+        fadeBrightness: document.getElementById('fadeBrightness'),
+        fadeDuration: document.getElementById('fadeDuration'),
+        fadeEasing: document.getElementById('fadeEasing'),
+        cancelFade: document.getElementById('cancelFade'),
+        fadeStatus: document.getElementById('fadeStatus'),
+        thermostatSelect: document.getElementById('thermostatSelect'),
+        temperatureDisplay: document.getElementById('temperatureDisplay'),
+        thermostatStatus: document.getElementById('thermostatStatus'),
+        thermostatModes: document.querySelectorAll('#thermostatModes [data-mode]'),
+        thermostatRange: document.getElementById('thermostatRange'),
+        heatSetpoint: document.getElementById('heatSetpoint'),
+        coolSetpoint: document.getElementById('coolSetpoint'),
+        rangeButtons: document.querySelectorAll('#thermostatRange [data-setpoint]'),
+        unitToggle: document.getElementById('unitToggle'),
+        fanList: document.getElementById('fanList'),
+        increaseTemp: document.getElementById('increaseTemp'),
+        decreaseTemp: document.getElementById('decreaseTemp'),
+        lightingError: document.getElementById('lightingError'),
+        temperatureError: document.getElementById('temperatureError'),
+        lightingPending: document.getElementById('lightingPending'),
+        connectionStatus: document.getElementById('connectionStatus'),
+        temperaturePending: document.getElementById('temperaturePending'),
+        playPause: document.getElementById('playPause'),
+        nextTrack: document.getElementById('nextTrack'),
+        previousTrack: document.getElementById('previousTrack'),
+        songName: document.getElementById('songName'),
+        songAlbum: document.getElementById('songAlbum'),
+        songImage: document.getElementById('songImage'),
+        shuffleToggle: document.getElementById('shuffleToggle'),
+        repeatToggle: document.getElementById('repeatToggle'),
+        repeatBadge: document.getElementById('repeatBadge'),
+        crossfade: document.getElementById('crossfade'),
+        crossfadeValue: document.getElementById('crossfadeValue'),
+        nightModeToggle: document.getElementById('nightModeToggle'),
+        eqPreset: document.getElementById('eqPreset'),
+        eqBands: document.getElementById('eqBands'),
+        normalizeToggle: document.getElementById('normalizeToggle'),
+        limiterToggle: document.getElementById('limiterToggle'),
+        seekBar: document.getElementById('seekBar'),
+        elapsedTime: document.getElementById('elapsedTime'),
+        remainingTime: document.getElementById('remainingTime'),
+        volumeSlider: document.getElementById('volumeSlider'),
+        muteToggle: document.getElementById('muteToggle'),
+        sleepCountdown: document.getElementById('sleepCountdown'),
+        sleepRemaining: document.getElementById('sleepRemaining'),
+        cancelSleep: document.getElementById('cancelSleep'),
+        sleepPresets: document.getElementById('sleepPresets'),
+        sleepLightsOff: document.getElementById('sleepLightsOff'),
+        sleepStatus: document.getElementById('sleepStatus'),
+        queueList: document.getElementById('queueList'),
+        libraryList: document.getElementById('libraryList'),
+        librarySearch: document.getElementById('librarySearch'),
+        libraryFiles: document.getElementById('libraryFiles'),
+        libraryStatus: document.getElementById('libraryStatus'),
+        musicSourcesForm: document.getElementById('musicSourcesForm'),
+        musicSources: document.getElementById('musicSources'),
+        musicSourcesStatus: document.getElementById('musicSourcesStatus'),
+        musicCard: document.getElementById('music'),
+        updateBanner: document.getElementById('updateBanner'),
+        reloadApp: document.getElementById('reloadApp'),
+        playlistList: document.getElementById('playlistList'),
+        playlistStatus: document.getElementById('playlistStatus'),
+        playlistForm: document.getElementById('playlistForm'),
+        playlistName: document.getElementById('playlistName'),
+        playlistReplaceRow: document.getElementById('playlistReplaceRow'),
+        playlistReplace: document.getElementById('playlistReplace'),
+        cancelPlaylist: document.getElementById('cancelPlaylist'),
+        newPlaylist: document.getElementById('newPlaylist'),
+        playlistFile: document.getElementById('playlistFile'),
+        playlistFormat: document.getElementById('playlistFormat'),
+        sceneList: document.getElementById('sceneList'),
+        sceneStatus: document.getElementById('sceneStatus'),
+        sceneForm: document.getElementById('sceneForm'),
+        sceneName: document.getElementById('sceneName'),
+        sceneIncludeLights: document.getElementById('sceneIncludeLights'),
+        sceneIncludeClimate: document.getElementById('sceneIncludeClimate'),
+        sceneIncludeMusic: document.getElementById('sceneIncludeMusic'),
+        sceneRecaptureRow: document.getElementById('sceneRecaptureRow'),
+        sceneRecapture: document.getElementById('sceneRecapture'),
+        cancelScene: document.getElementById('cancelScene'),
+        newScene: document.getElementById('newScene'),
+        scheduleList: document.getElementById('scheduleList'),
+        scheduleStatus: document.getElementById('scheduleStatus'),
+        scheduleForm: document.getElementById('scheduleForm'),
+        scheduleName: document.getElementById('scheduleName'),
+        scheduleTriggerType: document.getElementById('scheduleTriggerType'),
+        scheduleTime: document.getElementById('scheduleTime'),
+        scheduleOffset: document.getElementById('scheduleOffset'),
+        scheduleCron: document.getElementById('scheduleCron'),
+        scheduleDays: document.getElementById('scheduleDays'),
+        scheduleAction: document.getElementById('scheduleAction'),
+        scheduleTarget: document.getElementById('scheduleTarget'),
+        scheduleValueRow: document.getElementById('scheduleValueRow'),
+        scheduleValueLabel: document.getElementById('scheduleValueLabel'),
+        scheduleValue: document.getElementById('scheduleValue'),
+        schedulePlaylistRow: document.getElementById('schedulePlaylistRow'),
+        schedulePlaylist: document.getElementById('schedulePlaylist'),
+        cancelSchedule: document.getElementById('cancelSchedule'),
+        newSchedule: document.getElementById('newSchedule'),
+        locationForm: document.getElementById('locationForm'),
+        latitude: document.getElementById('latitude'),
+        longitude: document.getElementById('longitude'),
+        useMyLocation: document.getElementById('useMyLocation'),
+        ruleList: document.getElementById('ruleList'),
+        ruleStatus: document.getElementById('ruleStatus'),
+        ruleForm: document.getElementById('ruleForm'),
+        ruleJson: document.getElementById('ruleJson'),
+        cancelRule: document.getElementById('cancelRule'),
+        newRule: document.getElementById('newRule'),
+        ruleLog: document.getElementById('ruleLog'),
+        clearRuleLog: document.getElementById('clearRuleLog'),
+        lightingEnergy: document.getElementById('lightingEnergy'),
+        climateEnergy: document.getElementById('climateEnergy'),
+        energyRanges: document.querySelectorAll('#energyRanges [data-range]'),
+        energyChart: document.getElementById('energyChart'),
+        energyTotal: document.getElementById('energyTotal'),
+        energyBreakdown: document.getElementById('energyBreakdown'),
+        energyRateForm: document.getElementById('energyRateForm'),
+        energyRate: document.getElementById('energyRate'),
+        energyCurrency: document.getElementById('energyCurrency'),
+        energyStatus: document.getElementById('energyStatus'),
+    };
+    
+    // ========================================
+    // UTILITY FUNCTIONS (Define before use!)
+    // ========================================
+    
+    // Per-room controls rendered from the registry, keyed by room name / light ID
+    const roomControls = new Map();
+    const lightControls = new Map();
+    const fanControls = new Map();
+    
+    const getSelectedThermostat = () => state.registry.getDevice(state.selectedThermostatId);
+    
+    const COMMAND_RETRY_INTERVAL = 15000; // ms between replays while commands wait
+    
+    const HVAC_ACTION_LABELS = {
+        heating: 'Heating',
+        cooling: 'Cooling',
+        idle: 'Idle',
+        off: 'Off',
+    };
+    
+    const updateTemperatureDisplay = () => {
+        const thermostat = getSelectedThermostat();
+        const unit = state.temperatureUnit;
+        elements.unitToggle.textContent = `°${unit}`;
+        elements.temperatureDisplay.classList.toggle('pending', !!thermostat && state.registry.isPending(thermostat.id));
+        
+        if (!thermostat) {
+            elements.temperatureDisplay.textContent = formatTemperature(null, unit);
+            elements.thermostatStatus.textContent = '';
+            return;
+        }
+        
+        const thermostatState = normalizeThermostatState(thermostat.state);
+        const { mode } = thermostatState;
+        
+        if (mode === 'off') {
+            elements.temperatureDisplay.textContent = 'Off';
+        } else if (mode === 'auto') {
+            elements.temperatureDisplay.textContent =
+                `${formatTemperature(thermostatState.targetLow, unit)}–${formatTemperature(thermostatState.targetHigh, unit)}`;
+        } else {
+            elements.temperatureDisplay.textContent = formatTemperature(thermostatState.targetTemperature, unit);
+        }
+        
+        elements.thermostatStatus.textContent =
+            `Currently ${formatTemperature(thermostatState.currentTemperature, unit)} · ${HVAC_ACTION_LABELS[thermostatState.hvacAction]}`;
+        
+        elements.thermostatModes.forEach((button) => {
+            const active = button.dataset.mode === mode;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', active);
+        });
+        
+        elements.thermostatRange.classList.toggle('hidden', mode !== 'auto');
+        elements.heatSetpoint.textContent = formatTemperature(thermostatState.targetLow, unit);
+        elements.coolSetpoint.textContent = formatTemperature(thermostatState.targetHigh, unit);
+        
+        elements.increaseTemp.disabled = mode === 'off';
+        elements.decreaseTemp.disabled = mode === 'off';
+    };
+    
+    const renderThermostatOptions = () => {
+        const thermostats = state.registry.getDevices('thermostat');
+        if (!thermostats.some((t) => t.id === state.selectedThermostatId)) {
+            state.selectedThermostatId = thermostats[0]?.id || null;
+        }
+        
+        elements.thermostatSelect.innerHTML = '';
+        thermostats.forEach((thermostat) => {
+            const option = document.createElement('option');
+            option.value = thermostat.id;
+            option.textContent = `${thermostat.room} · ${thermostat.name}`;
+            elements.thermostatSelect.appendChild(option);
+        });
+        elements.thermostatSelect.value = state.selectedThermostatId || '';
+        elements.thermostatSelect.classList.toggle('hidden', thermostats.length < 2);
+    };
+    
+    const setDimmerDisplay = (slider, label, brightness) => {
+        // Don't fight the user while they are dragging
+        if (document.activeElement !== slider) {
+            slider.value = brightness;
+            label.textContent = `${brightness}%`;
+        }
+    };
+    
+    const updateLightingStatus = () => {
+        const allLights = state.registry.getDevices('light');
+        const group = state.registry.getGroupState(allLights);
+        elements.toggleLights.checked = group.on;
+        elements.lightingStatus.textContent = group.on ? 'On' : 'Off';
+        setDimmerDisplay(elements.lightDimmer, elements.dimmerValue, group.brightness);
+        
+        roomControls.forEach((controls, room) => {
+            const roomGroup = state.registry.getGroupState(state.registry.getRoomLights(room));
+            controls.toggle.checked = roomGroup.on;
+            setDimmerDisplay(controls.dimmer, controls.value, roomGroup.brightness);
+        });
+        
+        lightControls.forEach((controls, deviceId) => {
+            const lightState = state.registry.getDevice(deviceId)?.state || {};
+            controls.toggle.checked = !!lightState.on;
+            if (controls.temperature && document.activeElement !== controls.temperature) {
+                controls.temperature.value = lightState.colorTemperature;
+                controls.temperatureValue.textContent = `${lightState.colorTemperature} K`;
+            }
+            if (controls.color && document.activeElement !== controls.color) {
+                controls.color.value = getLightColor(lightState);
+            }
+            controls.item.dataset.colorMode = lightState.colorMode || '';
+            controls.item.classList.toggle('pending', state.registry.isPending(deviceId));
+        });
+    };
+    
+    const createSwitch = (label) => {
+        const wrapper = document.createElement('label');
+        wrapper.className = 'switch switch-small';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.setAttribute('aria-label', label);
+        const slider = document.createElement('span');
+        slider.className = 'slider';
+        wrapper.append(input, slider);
+        return { wrapper, input };
+    };
+    
+    // Color temperature and color controls, only for lights that support them
+    const renderLightColorControls = (light, item) => {
+        const canTune = hasCapability(light, 'colorTemperature');
+        const canColor = hasCapability(light, 'color');
+        if (!canTune && !canColor) return {};
+        
+        const row = document.createElement('div');
+        row.className = 'light-color-controls';
+        const controls = {};
+        
+        if (canTune) {
+            const { min, max } = getColorTemperatureRange(light.state);
+            const temperature = document.createElement('input');
+            temperature.type = 'range';
+            temperature.className = 'dimmer-slider color-temperature-slider';
+            temperature.min = min;
+            temperature.max = max;
+            temperature.step = '100';
+            temperature.setAttribute('aria-label', `${light.name} color temperature`);
+            temperature.style.background = `linear-gradient(to right, ${rgbToHex(kelvinToRgb(min))}, ${rgbToHex(kelvinToRgb(max))})`;
+            const temperatureValue = document.createElement('span');
+            temperatureValue.className = 'dimmer-value';
+            
+            temperature.addEventListener('input', () => {
+                temperatureValue.textContent = `${temperature.value} K`;
+            });
+            temperature.addEventListener('change', () => {
+                const colorTemperature = parseInt(temperature.value);
+                controlLights(`${light.name} set to ${colorTemperature} K`, () =>
+                    state.registry.setDeviceState(light.id, { on: true, colorMode: 'ct', colorTemperature })
+                );
+            });
+            row.append(temperature, temperatureValue);
+            Object.assign(controls, { temperature, temperatureValue });
+        }
+        
+        if (canColor) {
+            const color = document.createElement('input');
+            color.type = 'color';
+            color.className = 'color-picker';
+            color.setAttribute('aria-label', `${light.name} color`);
+            
+            // The picked color's brightness becomes the light's brightness
+            color.addEventListener('change', () => {
+                const patch = colorPatchFromHex(color.value);
+                controlLights(`${light.name} color set to ${color.value} (${patch.brightness}%)`, () =>
+                    state.registry.setDeviceState(light.id, patch)
+                );
+            });
+            row.appendChild(color);
+            controls.color = color;
+        }
+        
+        item.appendChild(row);
+        return controls;
+    };
+    
+    // Touching a light control stops any fade running on those lights
+    const stopFadesOnTouch = (control, getLights) => {
+        ['pointerdown', 'keydown', 'change'].forEach((event) => {
+            control.addEventListener(event, () => state.fader.cancel(getLights().map((light) => light.id)));
+        });
+    };
+    
+    const renderLightingRooms = () => {
+        elements.lightingRooms.innerHTML = '';
+        roomControls.clear();
+        lightControls.clear();
+        
+        state.registry.getRooms('light').forEach(({ name: room, devices: lights }) => {
+            const group = document.createElement('div');
+            group.className = 'room-group';
+            
+            const header = document.createElement('div');
+            header.className = 'room-header';
+            const title = document.createElement('span');
+            title.className = 'room-name';
+            title.textContent = room;
+            const roomSwitch = createSwitch(`${room} lights`);
+            header.append(title, roomSwitch.wrapper);
+            
+            const dimmerRow = document.createElement('div');
+            dimmerRow.className = 'dimmer-section';
+            const dimmer = document.createElement('input');
+            dimmer.type = 'range';
+            dimmer.className = 'dimmer-slider';
+            dimmer.min = '0';
+            dimmer.max = '100';
+            dimmer.setAttribute('aria-label', `${room} brightness`);
+            const value = document.createElement('span');
+            value.className = 'dimmer-value';
+            dimmerRow.append(dimmer, value);
+            
+            const list = document.createElement('ul');
+            list.className = 'room-lights';
+            lights.forEach((light) => {
+                const item = document.createElement('li');
+                item.className = 'room-light';
+                const lightName = document.createElement('span');
+                lightName.textContent = light.name;
+                const lightSwitch = createSwitch(`${room} ${light.name}`);
+                item.append(lightName, lightSwitch.wrapper);
+                list.appendChild(item);
+                const controls = { item, toggle: lightSwitch.input, ...renderLightColorControls(light, item) };
+                
+                lightSwitch.input.addEventListener('change', () => {
+                    controlLights(`${light.name} turned ${lightSwitch.input.checked ? 'ON' : 'OFF'}`, () =>
+                        state.registry.setDeviceState(light.id, { on: lightSwitch.input.checked })
+                    );
+                });
+                lightControls.set(light.id, controls);
+                stopFadesOnTouch(lightSwitch.input, () => [light]);
+            });
+            
+            stopFadesOnTouch(roomSwitch.input, () => state.registry.getRoomLights(room));
+            stopFadesOnTouch(dimmer, () => state.registry.getRoomLights(room));
+            
+            roomSwitch.input.addEventListener('change', () => {
+                const on = roomSwitch.input.checked;
+                controlLights(`${room} lights ${on ? 'turned ON' : 'turned OFF'}`, () =>
+                    state.registry.setRoomLights(room, { on })
+                );
+            });
+            dimmer.addEventListener('input', () => {
+                value.textContent = `${dimmer.value}%`;
+            });
+            dimmer.addEventListener('change', () => {
+                const brightness = parseInt(dimmer.value);
+                controlLights(`${room} brightness set to ${brightness}%`, () =>
+                    state.registry.setRoomLights(room, { brightness })
+                );
+            });
+            
+            group.append(header, dimmerRow, list);
+            elements.lightingRooms.appendChild(group);
+            roomControls.set(room, { toggle: roomSwitch.input, dimmer, value });
+        });
+    };
+    
+    // Fans sit with the thermostat controls since they are part of climate
+    const renderFans = () => {
+        const fans = state.registry.getDevices('fan');
+        elements.fanList.innerHTML = '';
+        fanControls.clear();
+        
+        fans.forEach((fan) => {
+            const item = document.createElement('li');
+            item.className = 'room-light';
+            const fanName = document.createElement('span');
+            fanName.textContent = `${fan.room} ${fan.name}`;
+            const fanSwitch = createSwitch(`${fan.room} ${fan.name}`);
+            fanSwitch.input.checked = !!fan.state.on;
+            fanSwitch.input.addEventListener('change', () => {
+                showCardError('fan', null);
+                state.registry.setDeviceState(fan.id, { on: fanSwitch.input.checked });
+            });
+            item.append(fanName, fanSwitch.wrapper);
+            elements.fanList.appendChild(item);
+            fanControls.set(fan.id, fanSwitch.input);
+        });
+        elements.fanList.classList.toggle('hidden', fans.length === 0);
+    };
+    
+    const showCardError = (type, message) => {
+        const errorElement = type === 'light' ? elements.lightingError : elements.temperatureError;
+        errorElement.textContent = message || '';
+        errorElement.classList.toggle('hidden', !message);
+    };
+    
+    // Labels for the driver's server: 'Hub', 'Home Assistant', or 'Hue bridge'
+    const CONNECTION_LABELS = {
+        connecting: (label) => `Connecting to ${label === 'Hub' ? 'hub' : label}…`,
+        connected: () => 'Live',
+        polling: (label) => `${label} · checking every few seconds`,
+    };
+    
+    // Show whether changes from the hub, Home Assistant, or Hue bridge arrive live; hidden for the simulated devices
+    const showConnectionStatus = (driver) => {
+        const element = elements.connectionStatus;
+        const { realtime, label } = driver;
+        if (!realtime) {
+            element.dataset.status = 'polling';
+            element.textContent = CONNECTION_LABELS.polling(label);
+            return;
+        }
+        const { status, retryAt, error } = realtime.getStatus();
+        element.dataset.status = status;
+        if (status === 'closed' && error) {
+            element.dataset.status = 'polling';
+            element.textContent = error;
+        } else if (status === 'reconnecting') {
+            const seconds = retryAt ? Math.max(0, Math.ceil((retryAt - Date.now()) / 1000)) : 0;
+            element.textContent = seconds > 0 ? `Offline · retrying in ${seconds} s` : 'Reconnecting…';
+        } else {
+            // A closed client has given up; the driver keeps polling
+            element.dataset.status = status === 'closed' ? 'polling' : status;
+            element.textContent = CONNECTION_LABELS[element.dataset.status](label);
+        }
+    };
+    
+    // Say how many devices have commands waiting for the hub to come back; only
+    // hub commands are queued, so Home Assistant and Hue never have any
+    const showPendingCommands = () => {
+        [
+            [elements.lightingPending, commandQueue ? state.registry.getPendingCount('light') : 0, 'light'],
+            [elements.temperaturePending, commandQueue ? state.registry.getPendingCount('thermostat') : 0, 'thermostat'],
+        ].forEach(([element, count, noun]) => {
+            element.textContent = count > 0
+                ? `Hub offline · ${count} ${noun}${count === 1 ? '' : 's'} will update when it's back`
+                : '';
+            element.classList.toggle('hidden', count === 0);
+        });
+    };
+    
+    /**
+     * Run a lighting command, clearing the previous error first.
+     * Failures are reported through the registry's onCommandError event.
+     */
+    const controlLights = async (description, command) => {
+        showCardError('light', null);
+        if (await command()) {
+            console.log(description);
+        }
+    };
+    
+    /**
+     * Move the selected thermostat's setpoint one step up or down.
+     * In auto mode, setpoint picks 'range' (both), 'low', or 'high'.
+     */
+    const changeTemperature = async (direction, setpoint = 'range') => {
+        const thermostat = getSelectedThermostat();
+        if (!thermostat) return;
+        
+        const patch = stepSetpoint(thermostat.state, direction, state.temperatureUnit, setpoint);
+        if (!patch) return;
+        
+        showCardError('thermostat', null);
+        if (await state.registry.setDeviceState(thermostat.id, patch)) {
+            console.log(`${thermostat.name} setpoint changed:`, patch);
+        }
+    };
+    
+    const setThermostatMode = async (mode) => {
+        const thermostat = getSelectedThermostat();
+        if (!thermostat || thermostat.state.mode === mode) return;
+        
+        showCardError('thermostat', null);
+        if (await state.registry.setDeviceState(thermostat.id, { mode })) {
+            console.log(`${thermostat.name} mode set to ${mode}`);
+        }
+    };
+    
+    // Artwork also comes from music services, so only web and local object URLs are shown
+    const isArtworkUrl = (url) => {
+        try {
+            return ['http:', 'https:', 'blob:'].includes(new URL(url, window.location.href).protocol);
+        } catch {
+            return false;
+        }
+    };
+    
+    const updateNowPlaying = () => {
+        const songDisplayElement = document.querySelector('.song-display');
+        
+        if (state.currentService === 'independent' && state.independentPlayer) {
+            const track = state.independentPlayer.currentTrack;
+            if (track) {
+                elements.songName.textContent = track.title || 'Unknown Track';
+                elements.songAlbum.textContent = track.artist || 'Independent Artist';
+                
+                if (track.artwork && isArtworkUrl(track.artwork)) {
+                    const img = document.createElement('img');
+                    img.src = track.artwork;
+                    img.alt = 'Album art';
+                    elements.songImage.replaceChildren(img);
+                } else {
+                    elements.songImage.innerHTML = '<i class="fas fa-music"></i>';
+                }
+                if (songDisplayElement) songDisplayElement.style.display = 'flex';
+            } else {
+                elements.songName.textContent = 'Tap to Set the Mood';
+                elements.songAlbum.textContent = 'Select a track';
+                elements.songImage.innerHTML = '<i class="fas fa-music"></i>';
+                if (songDisplayElement) songDisplayElement.style.display = 'flex';
+            }
+        } else {
+            if (songDisplayElement) songDisplayElement.style.display = 'none';
+        }
+        
+        // Update play button
+        let isPlaying = false;
+        if (state.currentService === 'independent' && state.independentPlayer) {
+            isPlaying = state.independentPlayer.isPlaying;
+        }
+        
+        if (isPlaying) {
+            elements.playPause.innerHTML = '<i class="fas fa-pause"></i><span>Pause</span>';
+        } else {
+            elements.playPause.innerHTML = '<i class="fas fa-play"></i><span>Play</span>';
+        }
+    };
+
+    const savePlayerState = () => {
+        if (state.independentPlayer) {
+            state.storage.set('player', state.independentPlayer.exportState());
+        }
+    };
+    
+    const saveDeviceStates = () => {
+        const devices = {};
+        state.registry.getDevices().forEach((device) => {
+            devices[device.id] = device.state;
+        });
+        state.storage.set('devices', devices);
+        // Names and rooms too, for opening the app while the hub is down
+        state.storage.set('deviceList', state.registry.getDevices().map(({ state: _, ...device }) => device));
+    };
+
+    const refreshPlaybackState = async () => {
+        try {
+            if (state.currentService === 'independent' && state.independentPlayer) {
+                // Keep the saved seek position current
+                savePlayerState();
+            }
+            
+            updateNowPlaying();
+        } catch (error) {
+            console.error('Error refreshing playback state:', error);
+        }
+    };
+    
+    // ========================================
+    // INITIALIZE APP
+    // ========================================
+    
+    state.storage.load();
+    
+    // Connect to devices through the configured driver.
+    // The hub URL can be passed as ?hub=http://localhost:8787 and is remembered.
+    // Changes are pushed over a WebSocket from the hub: ?realtime=json (the default),
+    // mqtt for MQTT topics, or off to only poll. This is remembered too.
+    const hubUrl = new URLSearchParams(window.location.search).get('hub');
+    if (hubUrl) {
+        state.storage.update('settings', { hubUrl });
+    }
+    const realtimeMode = new URLSearchParams(window.location.search).get('realtime');
+    if (['json', 'mqtt', 'off'].includes(realtimeMode)) {
+        state.storage.update('settings', { realtime: realtimeMode });
+    }
+    // A Home Assistant or Hue bridge connection, set up on the lighting card, takes the place of the hub
+    const { hubUrl: savedHubUrl, realtime = 'json', homeAssistant = null, hue = null } = state.storage.get('settings', {});
+    const savedStates = state.storage.get('devices', {});
+    const driver = createDeviceDriver({
+        homeAssistant,
+        hue,
+        hubUrl: savedHubUrl,
+        realtime: savedHubUrl && realtime !== 'off' ? {
+            url: `${savedHubUrl.replace(/^http/, 'ws').replace(/\/+$/, '')}/${realtime === 'mqtt' ? 'mqtt' : 'ws'}`,
+            protocol: realtime,
+        } : null,
+        savedStates,
+    });
+    if (savedHubUrl || homeAssistant || hue) {
+        elements.connectionStatus.classList.remove('hidden');
+        showConnectionStatus(driver);
+        driver.realtime?.on('onStatusChange', () => showConnectionStatus(driver));
+        // Count down to the next reconnect
+        setInterval(() => {
+            if (driver.realtime?.getStatus().status === 'reconnecting') showConnectionStatus(driver);
+        }, 1000);
+    }
+    
+    // Commands given while the hub is unreachable wait in IndexedDB
+    let commandQueue = null;
+    // Queued commands are replayed to the hub's REST API, so there is no queue for Home Assistant or Hue
+    if (savedHubUrl && !homeAssistant && !hue && 'indexedDB' in window) {
+        try {
+            commandQueue = new CommandQueue({ hubUrl: savedHubUrl });
+            await commandQueue.open();
+        } catch (error) {
+            console.warn('Command queue unavailable:', error);
+            commandQueue = null;
+        }
+    }
+    state.registry = new DeviceRegistry(driver, {
+        queue: commandQueue,
+        savedDevices: state.storage.get('deviceList', []).map((device) => ({ ...device, state: savedStates[device.id] || {} })),
+    });
+    state.fader = new LightFader(state.registry);
+    state.selectedThermostatId = state.storage.get('selectedThermostatId');
+    state.temperatureUnit = state.storage.get('settings', {}).temperatureUnit || 'F';
+    
+    try {
+        const devices = await state.registry.load();
+        console.log('Connected to', devices.length, 'devices');
+        saveDeviceStates();
+    } catch (error) {
+        console.error('Device connection failed:', error);
+        showCardError('light', `Lights unavailable: ${error.message}`);
+        showCardError('thermostat', `Thermostat unavailable: ${error.message}`);
+    }
+    
+    // Changes from this page, other apps, or wall switches all arrive here
+    state.registry.on('onDeviceChange', ({ device }) => {
+        if (device.type === 'light') updateLightingStatus();
+        if (device.type === 'thermostat' && device.id === state.selectedThermostatId) updateTemperatureDisplay();
+        if (device.type === 'fan' && fanControls.has(device.id)) fanControls.get(device.id).checked = !!device.state.on;
+        saveDeviceStates();
+    });
+    
+    state.registry.on('onCommandError', ({ device, error }) => {
+        showCardError(device.type, `${device.name}: ${error.message}`);
+    });
+    
+    // A queued command lost to a change made while it waited, e.g. at a wall switch
+    state.registry.on('onCommandConflict', ({ device }) => {
+        showCardError(device.type, `${device.name} was changed elsewhere while the hub was offline; kept its current state`);
+    });
+    
+    state.registry.on('onQueueChange', () => {
+        showPendingCommands();
+        updateLightingStatus();
+        updateTemperatureDisplay();
+    });
+    
+    if (commandQueue) {
+        // Replay as soon as the browser is back online, and keep trying while anything waits
+        // (the hub may be down while the network is fine). Browsers with Background Sync
+        // also replay from the service worker, which reports back here.
+        const replayCommands = () => state.registry.replayQueue()
+            .catch((error) => console.warn('Command replay failed:', error));
+        window.addEventListener('online', replayCommands);
+        setInterval(() => {
+            if (state.registry.getPendingCount() > 0) replayCommands();
+        }, COMMAND_RETRY_INTERVAL);
+        navigator.serviceWorker?.addEventListener('message', (event) => {
+            if (event.data?.type === 'COMMANDS_REPLAYED') state.registry.syncQueue();
+        });
+        replayCommands();
+    }
+    
+    renderLightingRooms();
+    renderThermostatOptions();
+    renderFans();
+    showPendingCommands();
+    
+    // Initialize Independent Music Player
+    state.independentPlayer = new IndependentMusicPlayer();
+    await state.independentPlayer.initialize();
+    const demoTracks = await state.independentPlayer.getDemoTracks();
+    state.demoTracks = demoTracks;
+    
+    // The user's own files, stored in IndexedDB
+    state.library = new LocalLibrary();
+    try {
+        await state.library.initialize();
+    } catch (error) {
+        console.error('Local library unavailable:', error);
+    }
+    state.independentPlayer.setLocalLibrary(state.library);
+    
+    // Online tracks saved for offline playback; the service worker serves their audio
+    state.offlineAudio = new OfflineAudio({ storage: state.storage });
+    
+    // Tracks that can be added to the queue
+    const getLibraryTracks = () => [...state.demoTracks, ...state.library.getTracks(), ...state.offlineAudio.getTracks()];
+    
+    // Saved playlists, matched against the library when they play
+    state.playlists = new PlaylistManager({
+        storage: state.storage,
+        getLibraryTracks,
+    });
+    
+    // Online catalogues, with keys entered under Music sources. Passing
+    // ?music=http://localhost:8788 points them all at the mock music server
+    // instead (it is remembered; ?music= alone switches back).
+    const musicParams = new URLSearchParams(window.location.search);
+    if (musicParams.has('music')) {
+        state.storage.update('settings', { musicMockUrl: musicParams.get('music') || null });
+    }
+    const loadMusicProviders = () => {
+        const { musicSources, musicMockUrl } = state.storage.get('settings', {});
+        state.independentPlayer.setProviders(createMusicProviders({ sources: musicSources, mockUrl: musicMockUrl }));
+    };
+    loadMusicProviders();
+    
+    // EQ, loudness normalization, night mode, and limiter
+    state.audioEffects = new AudioEffects({
+        storage: state.storage,
+        loudness: new LoudnessAnalyzer({ storage: state.storage }),
+    });
+    state.independentPlayer.setEffects(state.audioEffects);
+    
+    if (state.independentPlayer.restoreState(state.storage.get('player'), [...demoTracks, ...state.library.getTracks(), ...state.offlineAudio.getTracks()])) {
+        console.log('Independent Music Player restored with', state.independentPlayer.playlist.length, 'tracks');
+    } else {
+        state.independentPlayer.setPlaylist(demoTracks);
+        console.log('Independent Music Player initialized with', demoTracks.length, 'tracks');
+    }
+    
+    ['onTrackChange', 'onPlayStateChange', 'onPlaylistUpdate', 'onModeChange'].forEach((event) => {
+        state.independentPlayer.on(event, savePlayerState);
+    });
+    
+    // Playback can also be started by scenes and automations, not just the buttons
+    state.independentPlayer.on('onTrackChange', updateNowPlaying);
+    state.independentPlayer.on('onPlayStateChange', updateNowPlaying);
+    
+    // Capture the latest seek position when the page goes away
+    window.addEventListener('pagehide', () => {
+        savePlayerState();
+        state.energy?.record();
+        state.storage.flush();
+    });
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            savePlayerState();
+            state.energy?.record();
+            state.storage.flush();
+        }
+    });
+    
+    // Initialize displays
+    updateTemperatureDisplay();
+    updateLightingStatus();
+    updateNowPlaying();
+    
+    // ========================================
+    // EVENT LISTENERS - LIGHTING
+    // ========================================
+    
+    // The top-level toggle and dimmer act on every light in the home
+    stopFadesOnTouch(elements.toggleLights, () => state.registry.getDevices('light'));
+    stopFadesOnTouch(elements.lightDimmer, () => state.registry.getDevices('light'));
+    
+    elements.toggleLights.addEventListener('change', () => {
+        const on = elements.toggleLights.checked;
+        controlLights(`All lights ${on ? 'turned ON' : 'turned OFF'}`, () =>
+            state.registry.setAllLights({ on })
+        );
+    });
+    
+    elements.lightDimmer.addEventListener('input', () => {
+        elements.dimmerValue.textContent = `${elements.lightDimmer.value}%`;
+    });
+    
+    // Only send the final value to the device, not every step of the drag
+    elements.lightDimmer.addEventListener('change', () => {
+        const brightness = parseInt(elements.lightDimmer.value);
+        controlLights(`All lights brightness set to ${brightness}%`, () =>
+            state.registry.setAllLights({ brightness })
+        );
+    });
+    
+    const getFadeLights = () => {
+        const target = elements.fadeTarget.value;
+        return target ? state.registry.getRoomLights(target) : state.registry.getDevices('light');
+    };
+    
+    const showFadeStatus = (message, isError = false) => {
+        elements.fadeStatus.textContent = message;
+        elements.fadeStatus.classList.toggle('error-text', isError);
+    };
+    
+    elements.fadeTarget.innerHTML = '<option value="">All lights</option>';
+    state.registry.getRooms('light').forEach(({ name }) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        elements.fadeTarget.appendChild(option);
+    });
+    
+    elements.fadeForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const brightness = Number(elements.fadeBrightness.value);
+        const duration = Number(elements.fadeDuration.value);
+        try {
+            showCardError('light', null);
+            const fade = state.fader.fade(getFadeLights(), brightness, {
+                duration: duration * 1000,
+                easing: elements.fadeEasing.value,
+            });
+            elements.cancelFade.classList.remove('hidden');
+            showFadeStatus(`Fading to ${brightness}%…`);
+            const completed = await fade;
+            showFadeStatus(completed ? `Faded to ${brightness}%` : 'Fade stopped');
+        } catch (error) {
+            showFadeStatus(error.message, true);
+        }
+        elements.cancelFade.classList.toggle('hidden', !getFadeLights().some((light) => state.fader.isFading(light.id)));
+    });
+    
+    elements.cancelFade.addEventListener('click', () => {
+        state.fader.cancel();
+    });
+    
+    // ========================================
+    // EVENT LISTENERS - TEMPERATURE
+    // ========================================
+    
+    elements.thermostatSelect.addEventListener('change', () => {
+        state.selectedThermostatId = elements.thermostatSelect.value;
+        state.storage.set('selectedThermostatId', state.selectedThermostatId);
+        updateTemperatureDisplay();
+    });
+    
+    elements.increaseTemp.addEventListener('click', () => {
+        changeTemperature(1);
+    });
+    
+    elements.decreaseTemp.addEventListener('click', () => {
+        changeTemperature(-1);
+    });
+    
+    elements.thermostatModes.forEach((button) => {
+        button.addEventListener('click', () => setThermostatMode(button.dataset.mode));
+    });
+    
+    elements.rangeButtons.forEach((button) => {
+        button.addEventListener('click', () => {
+            changeTemperature(Number(button.dataset.direction), button.dataset.setpoint);
+        });
+    });
+    
+    elements.unitToggle.addEventListener('click', () => {
+        state.temperatureUnit = state.temperatureUnit === 'F' ? 'C' : 'F';
+        state.storage.update('settings', { temperatureUnit: state.temperatureUnit });
+        updateTemperatureDisplay();
+    });
+    
+    // ========================================
+    // HOME ASSISTANT
+    // ========================================
+    
+    const showHomeAssistantStatus = (message, isError = false) => {
+        elements.homeAssistantStatus.textContent = message;
+        elements.homeAssistantStatus.classList.toggle('error-text', isError);
+    };
+    
+    if (homeAssistant) {
+        elements.homeAssistantUrl.value = homeAssistant.url;
+        elements.homeAssistantToken.value = homeAssistant.token;
+        elements.disconnectHomeAssistant.classList.remove('hidden');
+        const lights = state.registry.getDevices('light').length;
+        const thermostats = state.registry.getDevices('thermostat').length;
+        if (lights + thermostats > 0) {
+            showHomeAssistantStatus(`Connected · ${lights} lights, ${thermostats} thermostats`);
+        }
+    }
+    
+    // The driver is picked when the app starts, so a new connection takes a reload
+    elements.homeAssistantForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const settings = {
+            url: elements.homeAssistantUrl.value.trim().replace(/\/+$/, ''),
+            token: elements.homeAssistantToken.value.trim(),
+        };
+        showHomeAssistantStatus('Connecting…');
+        try {
+            const devices = await createDeviceDriver({ homeAssistant: settings }).connect();
+            if (devices.length === 0) throw new Error('No lights or thermostats found');
+            state.storage.update('settings', { homeAssistant: settings, hue: null });
+            state.storage.flush();
+            showHomeAssistantStatus(`Found ${devices.length} devices; reloading…`);
+            window.location.reload();
+        } catch (error) {
+            const reason = error.code === 'offline'
+                ? `${error.message}. Is ${window.location.origin} in cors_allowed_origins?`
+                : error.message;
+            showHomeAssistantStatus(`Couldn't connect: ${reason}`, true);
+        }
+    });
+    
+    elements.disconnectHomeAssistant.addEventListener('click', () => {
+        state.storage.update('settings', { homeAssistant: null });
+        state.storage.flush();
+        window.location.reload();
+    });
+    
+    // ========================================
+    // PHILIPS HUE
+    // ========================================
+    
+    // Bridges accept pairing for 30 seconds after their link button is pressed
+    const HUE_PAIRING_WINDOW = 30000;
+    const HUE_PAIRING_RETRY = 2000; // ms between pairing attempts
+    
+    const showHueStatus = (message, isError = false) => {
+        elements.hueStatus.textContent = message;
+        elements.hueStatus.classList.toggle('error-text', isError);
+    };
+    
+    if (hue) {
+        elements.hueUrl.value = hue.url;
+        elements.hueApi.value = hue.api;
+        elements.disconnectHue.classList.remove('hidden');
+        const lights = state.registry.getDevices('light').length;
+        if (lights > 0) {
+            showHueStatus(`Connected · ${lights} lights`);
+        }
+    }
+    
+    // v2 is https only and v1 works over http, so the scheme follows the API
+    elements.hueApi.addEventListener('change', () => {
+        const scheme = elements.hueApi.value === 'v1' ? 'http' : 'https';
+        elements.hueUrl.value = elements.hueUrl.value.replace(/^https?:/, `${scheme}:`);
+    });
+    
+    elements.findHueBridge.addEventListener('click', async () => {
+        showHueStatus('Looking for bridges…');
+        try {
+            const bridges = await discoverHueBridges();
+            if (bridges.length === 0) throw new Error('No bridges found on this network');
+            const scheme = elements.hueApi.value === 'v1' ? 'http' : 'https';
+            elements.hueUrl.value = `${scheme}://${bridges[0].host}`;
+            showHueStatus(bridges.length > 1 ? `Found ${bridges.length} bridges; using the first` : 'Found a bridge');
+        } catch (error) {
+            showHueStatus(`${error.message}. Enter the bridge's address from the Hue app.`, true);
+        }
+    });
+    
+    // Keep asking until the link button is pressed or the window closes
+    const pairWithBridge = async (url, giveUpAt = Date.now() + HUE_PAIRING_WINDOW) => {
+        try {
+            return await pairHueBridge(url);
+        } catch (error) {
+            if (error.code !== 'link-button' || Date.now() > giveUpAt) throw error;
+            const seconds = Math.ceil((giveUpAt - Date.now()) / 1000);
+            showHueStatus(`Press the link button on the bridge (${seconds} s)…`);
+            await new Promise((resolve) => setTimeout(resolve, HUE_PAIRING_RETRY));
+            return pairWithBridge(url, giveUpAt);
+        }
+    };
+    
+    // Like Home Assistant, a new connection takes a reload
+    elements.hueForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const url = elements.hueUrl.value.trim().replace(/\/+$/, '');
+        const api = elements.hueApi.value;
+        showHueStatus('Pairing…');
+        try {
+            const { appKey } = await pairWithBridge(url);
+            const settings = { url, appKey, api };
+            const devices = await createDeviceDriver({ hue: settings }).connect();
+            if (devices.length === 0) throw new Error('No lights found');
+            state.storage.update('settings', { hue: settings, homeAssistant: null });
+            state.storage.flush();
+            showHueStatus(`Found ${devices.length} lights; reloading…`);
+            window.location.reload();
+        } catch (error) {
+            // An https page can't reach a bridge over http (mixed content), so v1 only helps when the app is served over http
+            const pageIsHttp = window.location.protocol === 'http:';
+            let reason = error.message;
+            if (error.code === 'offline' && url.startsWith('https:')) {
+                // Bridges use a self-signed certificate, which fetch() won't accept until the browser trusts it
+                reason += `. Open ${url} in a tab and accept its certificate${pageIsHttp ? ', or use v1 over http' : ''}.`;
+            } else if (error.code === 'offline' && !pageIsHttp) {
+                reason += '. This page is served over https, so it can only reach the bridge with CLIP v2.';
+            }
+            showHueStatus(`Couldn't pair: ${reason}`, true);
+        }
+    });
+    
+    elements.disconnectHue.addEventListener('click', () => {
+        state.storage.update('settings', { hue: null });
+        state.storage.flush();
+        window.location.reload();
+    });
+    
+    // ========================================
+    // SCENES
+    // ========================================
+    
+    state.scenes = new SceneManager({
+        storage: state.storage,
+        registry: state.registry,
+        player: state.independentPlayer,
+        getKnownTracks: () => [...state.independentPlayer.playlist, ...state.demoTracks, ...state.library.getTracks(), ...state.offlineAudio.getTracks()],
+    });
+    
+    const describeScene = (scene) => {
+        const parts = [];
+        const lightCount = Object.keys(scene.lights || {}).length;
+        if (lightCount > 0) parts.push(`${lightCount} light${lightCount === 1 ? '' : 's'}`);
+        if (Object.keys(scene.climate || {}).length > 0) parts.push('climate');
+        if (scene.music) parts.push('music');
+        return parts.join(' · ') || 'Empty';
+    };
+    
+    const showSceneStatus = (message, isError = false) => {
+        elements.sceneStatus.textContent = message;
+        elements.sceneStatus.classList.toggle('error-text', isError);
+    };
+    
+    const renderScenes = () => {
+        elements.sceneList.innerHTML = '';
+        state.scenes.getScenes().forEach((scene) => {
+            const item = document.createElement('li');
+            item.className = 'scene-item';
+            
+            const activate = document.createElement('button');
+            activate.className = 'scene-activate';
+            const name = document.createElement('span');
+            name.className = 'scene-name';
+            name.textContent = scene.name;
+            const summary = document.createElement('span');
+            summary.className = 'scene-summary';
+            summary.textContent = describeScene(scene);
+            activate.append(name, summary);
+            activate.addEventListener('click', () => activateScene(scene.id));
+            
+            const edit = document.createElement('button');
+            edit.className = 'btn-small';
+            edit.setAttribute('aria-label', `Edit ${scene.name}`);
+            edit.innerHTML = '<i class="fas fa-pen"></i>';
+            edit.addEventListener('click', () => openSceneForm(scene));
+            
+            const remove = document.createElement('button');
+            remove.className = 'btn-small';
+            remove.setAttribute('aria-label', `Delete ${scene.name}`);
+            remove.innerHTML = '<i class="fas fa-trash"></i>';
+            remove.addEventListener('click', () => {
+                if (window.confirm(`Delete the "${scene.name}" scene?`)) {
+                    state.scenes.deleteScene(scene.id);
+                    showSceneStatus(`Deleted ${scene.name}`);
+                }
+            });
+            
+            item.append(activate, edit, remove);
+            elements.sceneList.appendChild(item);
+        });
+    };
+    
+    const openSceneForm = (scene = null) => {
+        state.editingSceneId = scene?.id || null;
+        elements.sceneName.value = scene?.name || '';
+        elements.sceneRecapture.checked = false;
+        elements.sceneRecaptureRow.classList.toggle('hidden', !scene);
+        elements.sceneForm.classList.remove('hidden');
+        elements.newScene.classList.add('hidden');
+        elements.sceneName.focus();
+    };
+    
+    const closeSceneForm = () => {
+        state.editingSceneId = null;
+        elements.sceneForm.classList.add('hidden');
+        elements.newScene.classList.remove('hidden');
+    };
+    
+    async function activateScene(sceneId) {
+        try {
+            const { scene, failures } = await state.scenes.activateScene(sceneId);
+            if (failures.length > 0) {
+                showSceneStatus(`${scene.name}: ${failures.join(', ')} did not respond`, true);
+            } else {
+                showSceneStatus(`${scene.name} activated`);
+            }
+            console.log(`Scene activated: ${scene.name}`);
+        } catch (error) {
+            console.error('Scene activation error:', error);
+            showSceneStatus(error.message, true);
+        }
+    }
+    
+    state.scenes.on('onScenesChange', renderScenes);
+    
+    elements.newScene.addEventListener('click', () => openSceneForm());
+    elements.cancelScene.addEventListener('click', closeSceneForm);
+    
+    elements.sceneForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const include = {
+            lights: elements.sceneIncludeLights.checked,
+            climate: elements.sceneIncludeClimate.checked,
+            music: elements.sceneIncludeMusic.checked,
+        };
+        
+        try {
+            if (state.editingSceneId) {
+                const scene = state.scenes.updateScene(state.editingSceneId, {
+                    name: elements.sceneName.value,
+                    recapture: elements.sceneRecapture.checked,
+                    include,
+                });
+                showSceneStatus(`Updated ${scene.name}`);
+            } else {
+                const scene = state.scenes.createScene(elements.sceneName.value, include);
+                showSceneStatus(`Saved ${scene.name}`);
+            }
+            closeSceneForm();
+        } catch (error) {
+            showSceneStatus(error.message, true);
+        }
+    });
+    
+    renderScenes();
+    
+    // ========================================
+    // AUTOMATION SCHEDULES
+    // ========================================
+    
+    state.runAction = createActionRunner({
+        registry: state.registry,
+        player: state.independentPlayer,
+        scenes: state.scenes,
+        fader: state.fader,
+        playlists: state.playlists,
+    });
+    state.scheduler = new AutomationScheduler({ storage: state.storage, runAction: state.runAction });
+    
+    const formatNextRun = (date) => {
+        if (!date) return null;
+        const sameDay = date.toDateString() === new Date().toDateString();
+        const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        return sameDay ? `Today ${time}` : `${DAY_NAMES[date.getDay()]} ${date.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${time}`;
+    };
+    
+    const showScheduleStatus = (message, isError = false) => {
+        elements.scheduleStatus.textContent = message;
+        elements.scheduleStatus.classList.toggle('error-text', isError);
+    };
+    
+    const renderSchedules = () => {
+        const schedules = state.scheduler.getSchedules();
+        elements.scheduleList.innerHTML = '';
+        
+        if (schedules.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'status-text';
+            empty.textContent = 'No schedules yet';
+            elements.scheduleList.appendChild(empty);
+            return;
+        }
+        
+        schedules.forEach((schedule) => {
+            const item = document.createElement('li');
+            item.className = 'schedule-item';
+            
+            const info = document.createElement('div');
+            info.className = 'schedule-info';
+            const name = document.createElement('span');
+            name.className = 'scene-name';
+            name.textContent = schedule.name;
+            const details = document.createElement('span');
+            details.className = 'scene-summary';
+            const actions = schedule.actions
+                .map((action) => describeAction(action, { registry: state.registry, scenes: state.scenes, playlists: state.playlists }))
+                .join(', ');
+            details.textContent = `${describeTrigger(schedule.trigger)} · ${actions}`;
+            const next = document.createElement('span');
+            next.className = 'schedule-next';
+            if (!schedule.enabled) {
+                next.textContent = 'Paused';
+            } else if (schedule.trigger.type === 'sun' && !state.scheduler.getLocation()) {
+                next.textContent = 'Set your location to schedule';
+            } else {
+                next.textContent = `Next: ${formatNextRun(state.scheduler.getNextRun(schedule.id)) || 'never'}`;
+            }
+            info.append(name, details, next);
+            
+            const toggle = createSwitch(`Enable ${schedule.name}`);
+            toggle.input.checked = schedule.enabled;
+            toggle.input.addEventListener('change', () => {
+                state.scheduler.setEnabled(schedule.id, toggle.input.checked);
+            });
+            
+            const remove = document.createElement('button');
+            remove.className = 'btn-small';
+            remove.setAttribute('aria-label', `Delete ${schedule.name}`);
+            remove.innerHTML = '<i class="fas fa-trash"></i>';
+            remove.addEventListener('click', () => {
+                if (window.confirm(`Delete the "${schedule.name}" schedule?`)) {
+                    state.scheduler.removeSchedule(schedule.id);
+                }
+            });
+            
+            item.append(info, toggle.wrapper, remove);
+            elements.scheduleList.appendChild(item);
+        });
+    };
+    
+    // Targets depend on the action: lights go to all/rooms, setpoints to thermostats
+    const renderScheduleTargets = () => {
+        const action = elements.scheduleAction.value;
+        const options = [];
+        if (action.startsWith('lights')) {
+            options.push(['', 'All lights']);
+            state.registry.getRooms('light').forEach(({ name }) => options.push([`room:${name}`, name]));
+        } else if (action === 'setpoint') {
+            state.registry.getDevices('thermostat').forEach((t) => options.push([t.id, `${t.room} · ${t.name}`]));
+        }
+        
+        elements.scheduleTarget.innerHTML = '';
+        options.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            elements.scheduleTarget.appendChild(option);
+        });
+        elements.scheduleTarget.closest('.form-row').classList.toggle('hidden', options.length === 0);
+        
+        // A sunrise plays a saved playlist, or the queue as it is when none is picked
+        elements.schedulePlaylistRow.classList.toggle('hidden', action !== 'lights-sunrise');
+        elements.schedulePlaylist.innerHTML = '<option value="">Current queue</option>';
+        state.playlists.getPlaylists().forEach((playlist) => {
+            const option = document.createElement('option');
+            option.value = playlist.id;
+            option.textContent = playlist.name;
+            elements.schedulePlaylist.appendChild(option);
+        });
+        
+        const needsValue = action === 'lights-dim' || action === 'setpoint';
+        elements.scheduleValueRow.classList.toggle('hidden', !needsValue);
+        if (action === 'lights-dim') {
+            elements.scheduleValueLabel.textContent = 'Brightness %';
+            elements.scheduleValue.min = '0';
+            elements.scheduleValue.max = '100';
+            elements.scheduleValue.value = '50';
+        } else if (action === 'setpoint') {
+            elements.scheduleValueLabel.textContent = `Setpoint °${state.temperatureUnit}`;
+            elements.scheduleValue.removeAttribute('min');
+            elements.scheduleValue.removeAttribute('max');
+            elements.scheduleValue.value = state.temperatureUnit === 'C' ? '21' : '70';
+        }
+    };
+    
+    const updateScheduleTriggerFields = () => {
+        const type = elements.scheduleTriggerType.value;
+        const group = type === 'sunrise' || type === 'sunset' ? 'sun' : type;
+        elements.scheduleForm.querySelectorAll('[data-trigger]').forEach((field) => {
+            field.classList.toggle('hidden', !field.dataset.trigger.split(' ').includes(group));
+        });
+    };
+    
+    const buildScheduleAction = () => {
+        const action = elements.scheduleAction.value;
+        const target = elements.scheduleTarget.value;
+        const value = Number(elements.scheduleValue.value);
+        const lightTarget = target.startsWith('room:') ? { room: target.slice(5) } : {};
+        
+        switch (action) {
+            case 'lights-on':
+                return { type: 'lights', ...lightTarget, set: { on: true } };
+            case 'lights-off':
+                return { type: 'lights', ...lightTarget, set: { on: false } };
+            case 'lights-sunrise': {
+                const playlistId = elements.schedulePlaylist.value;
+                return { type: 'sunrise', ...lightTarget, ...(playlistId ? { playlistId } : {}) };
+            }
+            case 'lights-dim':
+                if (!Number.isFinite(value) || value < 0 || value > 100) throw new Error('Brightness must be 0–100%');
+                return { type: 'lights', ...lightTarget, set: { on: value > 0, brightness: value } };
+            case 'setpoint': {
+                if (!Number.isFinite(value)) throw new Error('Enter a setpoint');
+                const fahrenheit = state.temperatureUnit === 'C' ? Math.round(toFahrenheit(value) * 10) / 10 : value;
+                return { type: 'climate', deviceId: target, set: { targetTemperature: fahrenheit } };
+            }
+            case 'play':
+                return { type: 'playback', command: 'play' };
+            default:
+                return { type: 'playback', command: 'stop' };
+        }
+    };
+    
+    const buildScheduleTrigger = () => {
+        const type = elements.scheduleTriggerType.value;
+        const days = [...elements.scheduleDays.querySelectorAll('input:checked')].map((input) => Number(input.value));
+        
+        if (type === 'cron') return { type: 'cron', expression: elements.scheduleCron.value.trim() };
+        if (days.length === 0) throw new Error('Pick at least one day');
+        if (type === 'weekly') return { type: 'weekly', days, time: elements.scheduleTime.value };
+        return { type: 'sun', event: type, offsetMinutes: Number(elements.scheduleOffset.value) || 0, days };
+    };
+    
+    const closeScheduleForm = () => {
+        elements.scheduleForm.classList.add('hidden');
+        elements.newSchedule.classList.remove('hidden');
+    };
+    
+    elements.newSchedule.addEventListener('click', () => {
+        elements.scheduleForm.reset();
+        renderScheduleTargets();
+        updateScheduleTriggerFields();
+        elements.scheduleForm.classList.remove('hidden');
+        elements.newSchedule.classList.add('hidden');
+        elements.scheduleName.focus();
+    });
+    
+    elements.cancelSchedule.addEventListener('click', closeScheduleForm);
+    elements.scheduleAction.addEventListener('change', renderScheduleTargets);
+    elements.scheduleTriggerType.addEventListener('change', updateScheduleTriggerFields);
+    
+    elements.scheduleForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        try {
+            const schedule = state.scheduler.addSchedule({
+                name: elements.scheduleName.value,
+                trigger: buildScheduleTrigger(),
+                actions: [buildScheduleAction()],
+            });
+            showScheduleStatus(`Added ${schedule.name}`);
+            closeScheduleForm();
+        } catch (error) {
+            showScheduleStatus(error.message, true);
+        }
+    });
+    
+    const location = state.scheduler.getLocation();
+    if (location) {
+        elements.latitude.value = location.latitude;
+        elements.longitude.value = location.longitude;
+    }
+    
+    elements.locationForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        try {
+            state.scheduler.setLocation(parseFloat(elements.latitude.value), parseFloat(elements.longitude.value));
+            showScheduleStatus('Location saved');
+            renderSchedules();
+        } catch (error) {
+            showScheduleStatus(error.message, true);
+        }
+    });
+    
+    elements.useMyLocation.addEventListener('click', () => {
+        if (!navigator.geolocation) {
+            showScheduleStatus('Location is not available on this device', true);
+            return;
+        }
+        navigator.geolocation.getCurrentPosition(
+            ({ coords }) => {
+                elements.latitude.value = coords.latitude.toFixed(4);
+                elements.longitude.value = coords.longitude.toFixed(4);
+            },
+            (error) => showScheduleStatus(`Could not get location: ${error.message}`, true)
+        );
+    });
+    
+    state.scheduler.on('onSchedulesChange', renderSchedules);
+    state.scheduler.on('onScheduleRun', ({ schedule, success }) => {
+        showScheduleStatus(`${schedule.name} ran${success ? '' : ' with errors'}`, !success);
+        renderSchedules();
+    });
+    
+    state.scheduler.start();
+    renderSchedules();
+    
+    // ========================================
+    // RULES
+    // ========================================
+    
+    state.rules = new RulesEngine({
+        storage: state.storage,
+        registry: state.registry,
+        player: state.independentPlayer,
+        runAction: state.runAction,
+    });
+    
+    const RULE_TEMPLATE = {
+        id: 'my-rule',
+        name: 'My rule',
+        trigger: { event: 'device', deviceId: 'living-room-thermostat', property: 'currentTemperature', op: '<=', value: 68 },
+        conditions: [{ type: 'time', after: '06:00', before: '22:00' }],
+        actions: [{ type: 'device', deviceId: 'living-room-fan', set: { on: false } }],
+    };
+    
+    const formatFiredAt = (iso) => {
+        const date = new Date(iso);
+        const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        return date.toDateString() === new Date().toDateString()
+            ? `Today ${time}`
+            : `${date.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${time}`;
+    };
+    
+    const showRuleStatus = (message, isError = false) => {
+        elements.ruleStatus.textContent = message;
+        elements.ruleStatus.classList.toggle('error-text', isError);
+    };
+    
+    const renderRuleLog = () => {
+        const log = state.rules.getLog();
+        elements.ruleLog.innerHTML = '';
+        
+        if (log.length === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = 'No rules have fired yet';
+            elements.ruleLog.appendChild(empty);
+            return;
+        }
+        
+        log.forEach((entry) => {
+            const item = document.createElement('li');
+            item.textContent = `${formatFiredAt(entry.firedAt)} · ${entry.ruleName}`;
+            if (!entry.success) {
+                const failed = document.createElement('span');
+                failed.className = 'error-text';
+                failed.textContent = ' (failed)';
+                item.appendChild(failed);
+            }
+            elements.ruleLog.appendChild(item);
+        });
+    };
+    
+    const openRuleForm = (rule = RULE_TEMPLATE) => {
+        elements.ruleJson.value = JSON.stringify(rule, null, 2);
+        elements.ruleForm.classList.remove('hidden');
+        elements.newRule.classList.add('hidden');
+        elements.ruleJson.focus();
+    };
+    
+    const closeRuleForm = () => {
+        elements.ruleForm.classList.add('hidden');
+        elements.newRule.classList.remove('hidden');
+    };
+    
+    const renderRules = () => {
+        const rules = state.rules.getRules();
+        const log = state.rules.getLog();
+        elements.ruleList.innerHTML = '';
+        
+        if (rules.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'status-text';
+            empty.textContent = 'No rules yet';
+            elements.ruleList.appendChild(empty);
+        }
+        
+        rules.forEach((rule) => {
+            const item = document.createElement('li');
+            item.className = 'schedule-item';
+            
+            const info = document.createElement('div');
+            info.className = 'schedule-info';
+            const name = document.createElement('span');
+            name.className = 'scene-name';
+            name.textContent = rule.name;
+            const details = document.createElement('span');
+            details.className = 'scene-summary';
+            const actions = rule.actions
+                .map((action) => describeAction(action, { registry: state.registry, scenes: state.scenes, playlists: state.playlists }))
+                .join(', ');
+            details.textContent = `${describeRule(rule, state.registry)} → ${actions}`;
+            const lastFired = log.find((entry) => entry.ruleId === rule.id);
+            const status = document.createElement('span');
+            status.className = 'schedule-next';
+            if (!rule.enabled) {
+                status.textContent = 'Off';
+            } else {
+                status.textContent = lastFired ? `Last fired: ${formatFiredAt(lastFired.firedAt)}` : 'Waiting';
+            }
+            info.append(name, details, status);
+            
+            const toggle = createSwitch(`Enable ${rule.name}`);
+            toggle.input.checked = rule.enabled;
+            toggle.input.addEventListener('change', () => {
+                state.rules.setEnabled(rule.id, toggle.input.checked);
+            });
+            
+            const edit = document.createElement('button');
+            edit.className = 'btn-small';
+            edit.setAttribute('aria-label', `Edit ${rule.name}`);
+            edit.innerHTML = '<i class="fas fa-pen"></i>';
+            edit.addEventListener('click', () => openRuleForm(rule));
+            
+            const remove = document.createElement('button');
+            remove.className = 'btn-small';
+            remove.setAttribute('aria-label', `Delete ${rule.name}`);
+            remove.innerHTML = '<i class="fas fa-trash"></i>';
+            remove.addEventListener('click', () => {
+                if (window.confirm(`Delete the "${rule.name}" rule?`)) {
+                    state.rules.removeRule(rule.id);
+                }
+            });
+            
+            item.append(info, toggle.wrapper, edit, remove);
+            elements.ruleList.appendChild(item);
+        });
+        
+        renderRuleLog();
+    };
+    
+    elements.newRule.addEventListener('click', () => openRuleForm());
+    elements.cancelRule.addEventListener('click', closeRuleForm);
+    
+    elements.ruleForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        try {
+            const rule = state.rules.saveRule(JSON.parse(elements.ruleJson.value));
+            showRuleStatus(`Saved ${rule.name}`);
+            closeRuleForm();
+        } catch (error) {
+            showRuleStatus(error instanceof SyntaxError ? `Invalid JSON: ${error.message}` : error.message, true);
+        }
+    });
+    
+    elements.clearRuleLog.addEventListener('click', () => state.rules.clearLog());
+    
+    state.rules.on('onRulesChange', renderRules);
+    state.rules.on('onRuleFired', ({ ruleName, success }) => {
+        showRuleStatus(`${ruleName} fired${success ? '' : ' with errors'}`, !success);
+        renderRules();
+    });
+    
+    state.rules.start();
+    renderRules();
+    
+    // ========================================
+    // ENERGY
+    // ========================================
+    
+    state.energy = new EnergyTracker({ storage: state.storage, registry: state.registry });
+    
+    const formatKwh = (kWh) => `${kWh < 10 ? kWh.toFixed(2) : kWh.toFixed(1)} kWh`;
+    const formatWatts = (watts) => (watts >= 1000 ? `${(watts / 1000).toFixed(1)} kW` : `${Math.round(watts)} W`);
+    
+    const formatCost = (amount) => {
+        const { currency } = state.energy.getRate();
+        try {
+            return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+        } catch {
+            return `${amount.toFixed(2)} ${currency}`;
+        }
+    };
+    
+    const renderEnergyToday = () => {
+        elements.lightingEnergy.textContent =
+            `Today ${formatKwh(state.energy.getToday('lights'))} · now ${formatWatts(state.energy.getCurrentPower('lights'))}`;
+        elements.climateEnergy.textContent =
+            `Today ${formatKwh(state.energy.getToday('climate'))} · now ${formatWatts(state.energy.getCurrentPower('climate'))}`;
+    };
+    
+    const renderEnergyChart = () => {
+        const range = state.energyRange;
+        const { buckets, total, cost } = state.energy.getUsage(range);
+        const max = Math.max(...buckets.map((bucket) => bucket.lights + bucket.climate), 0.001);
+        // Label every bucket for the week, every sixth otherwise
+        const labelEvery = range === 'week' ? 1 : 6;
+        
+        elements.energyChart.innerHTML = '';
+        buckets.forEach((bucket, i) => {
+            const bar = document.createElement('div');
+            bar.className = 'energy-bar';
+            const label = range === 'day'
+                ? `${bucket.start.getHours()}:00`
+                : range === 'week'
+                    ? DAY_NAMES[bucket.start.getDay()]
+                    : `${bucket.start.getMonth() + 1}/${bucket.start.getDate()}`;
+            bar.title = `${label}: ${formatKwh(bucket.lights + bucket.climate)}`;
+            
+            ['lights', 'climate'].forEach((category) => {
+                const segment = document.createElement('div');
+                segment.className = `energy-segment ${category}`;
+                segment.style.height = `${(bucket[category] / max) * 100}%`;
+                bar.appendChild(segment);
+            });
+            
+            if (i % labelEvery === 0) {
+                const text = document.createElement('span');
+                text.className = 'energy-bar-label';
+                text.textContent = label;
+                bar.appendChild(text);
+            }
+            elements.energyChart.appendChild(bar);
+        });
+        
+        const period = { day: 'today', week: 'in the last 7 days', month: 'in the last 30 days' }[range];
+        elements.energyChart.setAttribute('aria-label', `Energy use ${period}: ${formatKwh(total.kWh)}`);
+        elements.energyTotal.textContent = `${formatKwh(total.kWh)} · ${formatCost(cost)}`;
+        elements.energyBreakdown.textContent =
+            `Lights ${formatKwh(total.lights)} · Climate ${formatKwh(total.climate)} ${period}`;
+    };
+    
+    elements.energyRanges.forEach((button) => {
+        button.addEventListener('click', () => {
+            state.energyRange = button.dataset.range;
+            elements.energyRanges.forEach((b) => {
+                const active = b === button;
+                b.classList.toggle('active', active);
+                b.setAttribute('aria-pressed', active);
+            });
+            renderEnergyChart();
+        });
+    });
+    
+    const { rate, currency } = state.energy.getRate();
+    elements.energyRate.value = rate;
+    elements.energyCurrency.value = currency;
+    
+    elements.energyRateForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        try {
+            state.energy.setRate(parseFloat(elements.energyRate.value), elements.energyCurrency.value);
+            elements.energyStatus.textContent = 'Rate saved';
+            elements.energyStatus.classList.remove('error-text');
+        } catch (error) {
+            elements.energyStatus.textContent = error.message;
+            elements.energyStatus.classList.add('error-text');
+        }
+    });
+    
+    state.energy.on('onUsageChange', () => {
+        renderEnergyToday();
+        renderEnergyChart();
+    });
+    
+    state.energy.start();
+    elements.energyRanges[0].classList.add('active');
+    
+    // ========================================
+    // EVENT LISTENERS - MUSIC PLAYBACK
+    // ========================================
+    
+    elements.playPause.addEventListener('click', async () => {
+        await handlePlayPause();
+    });
+    
+    elements.nextTrack.addEventListener('click', async () => {
+        await handleNextTrack();
+    });
+
+    elements.previousTrack.addEventListener('click', async () => {
+        await handlePreviousTrack();
+    });
+    
     // ========================================
-    // DOM ELEMENTS (Load after DOM is ready)
+    // PLAY QUEUE
     // ========================================
     
-    const elements = {
-        toggleLights: document.getElementById('toggleLights'),
-        lightingStatus: document.getElementById('lightingStatus'),
-        lightDimmer: document.getElementById('lightDimmer'),
-        dimmerValue: document.getElementById('dimmerValue'),
-        temperatureDisplay: document.getElementById('temperatureDisplay'),
-        increaseTemp: document.getElementById('increaseTemp'),
-        decreaseTemp: document.getElementById('decreaseTemp'),
-        playPause: document.getElementById('playPause'),
-        nextTrack: document.getElementById('nextTrack'),
-        previousTrack: document.getElementById('previousTrack'),
-        songName: document.getElementById('songName'),
-        songAlbum: document.getElementById('songAlbum'),
-        songImage: document.getElementById('songImage'),
-    };
+    const REPEAT_MODES = ['off', 'all', 'one'];
     
-    // ========================================
-    // UTILITY FUNCTIONS (Define before use!)
-    // ========================================
+    const updateCrossfadeLabel = () => {
+        const { crossfade } = state.independentPlayer;
+        elements.crossfade.value = crossfade;
+        elements.crossfadeValue.textContent = crossfade > 0 ? `${crossfade} s` : 'Gapless';
+    };
     
-    const updateTemperatureDisplay = () => {
-        elements.temperatureDisplay.textContent = `${state.temperature}°F`;
+    const updateModeButtons = () => {
+        const { shuffle, repeat } = state.independentPlayer;
+        elements.shuffleToggle.classList.toggle('active', shuffle);
+        elements.shuffleToggle.setAttribute('aria-pressed', shuffle);
+        elements.repeatToggle.classList.toggle('active', repeat !== 'off');
+        elements.repeatToggle.setAttribute('aria-label', `Repeat: ${repeat}`);
+        elements.repeatBadge.classList.toggle('hidden', repeat !== 'one');
+        updateCrossfadeLabel();
+    };
+        
+    const createQueueButton = (icon, label, onClick) => {
+        const button = document.createElement('button');
+        button.className = 'btn-small';
+        button.setAttribute('aria-label', label);
+        button.innerHTML = `<i class="fas ${icon}"></i>`;
+        button.addEventListener('click', onClick);
+        return button;
     };
     
-    const updateLightingStatus = () => {
-        state.isLighting = elements.toggleLights.checked;
-        elements.lightingStatus.textContent = state.isLighting ? 'On' : 'Off';
+    // Dragging moves the row in the DOM as it goes and commits the new position on release
+    const startQueueDrag = (e, item, from) => {
+        e.preventDefault();
+        const handle = e.currentTarget;
+        handle.setPointerCapture?.(e.pointerId);
+        item.classList.add('dragging');
+        
+        const onMove = (event) => {
+            const rows = [...elements.queueList.children].filter((row) => row !== item);
+            const before = rows.find((row) => {
+                const rect = row.getBoundingClientRect();
+                return event.clientY < rect.top + rect.height / 2;
+            });
+            elements.queueList.insertBefore(item, before || null);
+        };
+        const onEnd = () => {
+            handle.removeEventListener('pointermove', onMove);
+            handle.removeEventListener('pointerup', onEnd);
+            handle.removeEventListener('pointercancel', onEnd);
+            item.classList.remove('dragging');
+            const to = [...elements.queueList.children].indexOf(item);
+            if (to !== from) state.independentPlayer.moveInQueue(from, to);
+        };
+        handle.addEventListener('pointermove', onMove);
+        handle.addEventListener('pointerup', onEnd);
+        handle.addEventListener('pointercancel', onEnd);
     };
-
-    const updateNowPlaying = () => {
-        const songDisplayElement = document.querySelector('.song-display');
+    
+    const renderQueue = () => {
+        const player = state.independentPlayer;
+        const focusedIndex = Number(document.activeElement?.dataset.queueIndex);
+        elements.queueList.innerHTML = '';
         
-        if (state.currentService === 'independent' && state.independentPlayer) {
-            const track = state.independentPlayer.currentTrack;
-            if (track) {
-                elements.songName.textContent = track.title || 'Unknown Track';
-                elements.songAlbum.textContent = track.artist || 'Independent Artist';
-                
-                if (track.artwork) {
-                    elements.songImage.innerHTML = `<img src="${track.artwork}" alt="Album art">`;
+        player.playlist.forEach((track, index) => {
+            const item = document.createElement('li');
+            item.className = 'queue-item';
+            item.classList.toggle('current', track.id === player.currentTrack?.id);
+            
+            const handle = document.createElement('button');
+            handle.className = 'queue-handle';
+            handle.dataset.queueIndex = index;
+            handle.setAttribute('aria-label', `Move ${track.title} (use arrow keys)`);
+            handle.innerHTML = '<i class="fas fa-grip-vertical"></i>';
+            handle.addEventListener('pointerdown', (e) => startQueueDrag(e, item, index));
+            handle.addEventListener('keydown', (e) => {
+                const offset = { ArrowUp: -1, ArrowDown: 1 }[e.key];
+                if (!offset) return;
+                e.preventDefault();
+                const to = index + offset;
+                if (to < 0 || to >= player.playlist.length) return;
+                player.moveInQueue(index, to);
+                elements.queueList.querySelector(`[data-queue-index="${to}"]`)?.focus();
+            });
+            
+            const title = document.createElement('button');
+            title.className = 'queue-title';
+            title.textContent = `${track.title} · ${track.artist}`;
+            title.addEventListener('click', () => player.play(track));
+            
+            const remove = createQueueButton('fa-xmark', `Remove ${track.title} from queue`, () => {
+                player.removeFromQueue(index);
+            });
+            
+            item.append(handle, title, remove);
+            elements.queueList.appendChild(item);
+        });
+        
+        if (Number.isInteger(focusedIndex)) {
+            elements.queueList.querySelector(`[data-queue-index="${focusedIndex}"]`)?.focus();
+        }
+    };
+    
+    const showLibraryStatus = (message, isError = false) => {
+        elements.libraryStatus.textContent = message;
+        elements.libraryStatus.classList.toggle('error-text', isError);
+    };
+    
+    const removeLocalTrack = async (track) => {
+        try {
+            await state.library.removeTrack(track.id);
+        } catch (error) {
+            showLibraryStatus(`Couldn't remove ${track.title}: ${error.message}`, true);
+            return;
+        }
+        // The file is gone, so drop it from the queue too (last first, so indexes stay valid)
+        const player = state.independentPlayer;
+        const indexes = player.playlist.map((t, i) => (t.id === track.id ? i : -1)).filter((i) => i >= 0);
+        for (const index of indexes.reverse()) {
+            await player.removeFromQueue(index);
+        }
+        showLibraryStatus(`Removed ${track.title}.`);
+    };
+    
+    // Saving a track downloads it into the service worker's audio cache
+    const createPinButton = (track) => {
+        const pinned = state.offlineAudio.isPinned(track.id);
+        const pending = state.offlineAudio.isPending(track.id);
+        const icon = pending ? 'fa-spinner fa-spin' : pinned ? 'fa-circle-check' : 'fa-download';
+        const label = pinned ? `Remove ${track.title} from offline music` : `Save ${track.title} for offline`;
+        const button = createQueueButton(icon, label, async () => {
+            try {
+                if (pinned) {
+                    await state.offlineAudio.unpin(track.id);
+                    showLibraryStatus(`${track.title} is no longer saved offline.`);
                 } else {
-                    elements.songImage.innerHTML = '<i class="fas fa-music"></i>';
+                    await state.independentPlayer.resolveStreamUrl(track);
+                    await state.offlineAudio.pin(track);
+                    showLibraryStatus(`${track.title} will play offline.`);
                 }
-                if (songDisplayElement) songDisplayElement.style.display = 'flex';
-            } else {
-                elements.songName.textContent = 'Tap to Set the Mood';
-                elements.songAlbum.textContent = 'Select a track';
-                elements.songImage.innerHTML = '<i class="fas fa-music"></i>';
-                if (songDisplayElement) songDisplayElement.style.display = 'flex';
+            } catch (error) {
+                showLibraryStatus(error.message, true);
             }
-        } else {
-            if (songDisplayElement) songDisplayElement.style.display = 'none';
-        }
-        
-        // Update play button
-        let isPlaying = false;
-        if (state.currentService === 'independent' && state.independentPlayer) {
-            isPlaying = state.independentPlayer.isPlaying;
+        });
+        button.classList.toggle('active', pinned);
+        button.setAttribute('aria-pressed', pinned);
+        button.disabled = pending;
+        return button;
+    };
+    
+    const renderLibrary = (tracks = getLibraryTracks()) => {
+        elements.libraryList.innerHTML = '';
+        if (tracks.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'status-text';
+            empty.textContent = 'No matching tracks';
+            elements.libraryList.appendChild(empty);
         }
-        
-        if (isPlaying) {
-            elements.playPause.innerHTML = '<i class="fas fa-pause"></i><span>Pause</span>';
-        } else {
-            elements.playPause.innerHTML = '<i class="fas fa-play"></i><span>Play</span>';
+        tracks.forEach((track) => {
+            const item = document.createElement('li');
+            item.className = 'queue-item';
+            const title = document.createElement('span');
+            title.className = 'queue-title';
+            title.textContent = `${track.title} · ${track.artist}`;
+            item.appendChild(title);
+            if (track.isLocal || track.provider) {
+                const source = document.createElement('span');
+                source.className = 'library-source';
+                source.textContent = track.source;
+                if (track.provider) source.title = track.attribution;
+                item.appendChild(source);
+            }
+            item.append(
+                createQueueButton('fa-arrow-turn-up', `Play ${track.title} next`, () => state.independentPlayer.playNext(track)),
+                createQueueButton('fa-plus', `Add ${track.title} to queue`, () => state.independentPlayer.enqueue(track))
+            );
+            if (track.isLocal) {
+                item.appendChild(createQueueButton('fa-trash', `Delete ${track.title} from library`, () => removeLocalTrack(track)));
+            }
+            if (state.offlineAudio.isSupported() && (track.provider || isPinnable(track))) {
+                item.appendChild(createPinButton(track));
+            }
+            elements.libraryList.appendChild(item);
+        });
+    };
+    
+    // Searching goes through the player so local files and online sources are searched together
+    let librarySearchTimer = null;
+    const refreshLibrary = async () => {
+        const query = elements.librarySearch.value.trim();
+        if (!query) {
+            renderLibrary();
+            return;
         }
+        const results = await state.independentPlayer.search(query);
+        if (query === elements.librarySearch.value.trim()) renderLibrary(results);
     };
-
-    const refreshPlaybackState = async () => {
+    
+    elements.librarySearch.addEventListener('input', () => {
+        clearTimeout(librarySearchTimer);
+        librarySearchTimer = setTimeout(refreshLibrary, 300);
+    });
+    
+    const importLocalFiles = async (files) => {
+        if (files.length === 0) return;
+        showLibraryStatus(`Reading ${files.length} file${files.length === 1 ? '' : 's'}...`);
         try {
-            if (state.currentService === 'independent' && state.independentPlayer) {
-                // Independent player updates internally
-            }
-            
-            updateNowPlaying();
+            const { imported, skipped } = await state.library.importFiles(files);
+            const parts = [`Added ${imported.length} track${imported.length === 1 ? '' : 's'}`];
+            if (skipped.length > 0) parts.push(`skipped ${skipped.join(', ')}`);
+            showLibraryStatus(`${parts.join('; ')}.`, imported.length === 0);
         } catch (error) {
-            console.error('Error refreshing playback state:', error);
+            showLibraryStatus(error.message, true);
         }
     };
     
+    elements.libraryFiles.addEventListener('change', async () => {
+        await importLocalFiles([...elements.libraryFiles.files]);
+        elements.libraryFiles.value = '';
+    });
+    
+    // Files can be dropped anywhere on the music card
+    const isFileDrag = (e) => [...(e.dataTransfer?.types || [])].includes('Files');
+    elements.musicCard.addEventListener('dragover', (e) => {
+        if (!isFileDrag(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        elements.musicCard.classList.add('drop-target');
+    });
+    elements.musicCard.addEventListener('dragleave', (e) => {
+        if (!elements.musicCard.contains(e.relatedTarget)) elements.musicCard.classList.remove('drop-target');
+    });
+    elements.musicCard.addEventListener('drop', (e) => {
+        if (!isFileDrag(e)) return;
+        e.preventDefault();
+        elements.musicCard.classList.remove('drop-target');
+        importLocalFiles([...e.dataTransfer.files]);
+    });
+    
+    state.library.on('onLibraryChange', refreshLibrary);
+    state.offlineAudio.on('onPinsChange', refreshLibrary);
+    
+    // Online searches and stream lookups report their failures here
+    state.independentPlayer.on('onError', ({ message, error }) => {
+        if (error?.providerId) showLibraryStatus(`${message}: ${error.message}`, true);
+    });
+    
+    elements.shuffleToggle.addEventListener('click', () => {
+        state.independentPlayer.setShuffle(!state.independentPlayer.shuffle);
+    });
+    
+    elements.crossfade.addEventListener('input', () => {
+        state.independentPlayer.setCrossfade(Number(elements.crossfade.value));
+    });
+    
+    elements.repeatToggle.addEventListener('click', () => {
+        const { repeat } = state.independentPlayer;
+        state.independentPlayer.setRepeat(REPEAT_MODES[(REPEAT_MODES.indexOf(repeat) + 1) % REPEAT_MODES.length]);
+    });
+    
+    state.independentPlayer.on('onModeChange', updateModeButtons);
+    state.independentPlayer.on('onPlaylistUpdate', renderQueue);
+    state.independentPlayer.on('onTrackChange', renderQueue);
+    
+    updateModeButtons();
+    renderQueue();
+    renderLibrary();
+    
     // ========================================
-    // INITIALIZE APP
+    // SOUND
     // ========================================
     
-    // Initialize Independent Music Player
-    state.independentPlayer = new IndependentMusicPlayer();
-    await state.independentPlayer.initialize();
-    const demoTracks = await state.independentPlayer.getDemoTracks();
-    state.independentPlayer.setPlaylist(demoTracks);
-    console.log('Independent Music Player initialized with', demoTracks.length, 'tracks');
+    const formatGain = (gain) => `${gain > 0 ? '+' : ''}${gain} dB`;
     
-    // Initialize displays
-    updateTemperatureDisplay();
-    updateLightingStatus();
-    updateNowPlaying();
+    const eqSliders = EQ_BANDS.map((band, index) => {
+        const row = document.createElement('div');
+        row.className = 'form-row';
+        
+        const label = document.createElement('label');
+        label.htmlFor = `eqBand${index}`;
+        label.textContent = band.label;
+        
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.className = 'dimmer-slider';
+        slider.id = `eqBand${index}`;
+        slider.min = -EQ_RANGE;
+        slider.max = EQ_RANGE;
+        slider.step = 1;
+        
+        const value = document.createElement('output');
+        value.className = 'eq-value';
+        value.htmlFor = slider.id;
+        
+        slider.addEventListener('input', () => {
+            state.audioEffects.setBand(index, Number(slider.value));
+        });
+        
+        row.append(label, slider, value);
+        elements.eqBands.appendChild(row);
+        return { slider, value };
+    });
+    
+    elements.eqPreset.innerHTML = [
+        ...Object.entries(EQ_PRESETS).map(([key, preset]) => `<option value="${key}">${preset.name}</option>`),
+        '<option value="custom" disabled>Custom</option>',
+    ].join('');
+    
+    const updateSoundControls = () => {
+        const settings = state.audioEffects.getSettings();
+        elements.eqPreset.value = settings.preset;
+        eqSliders.forEach(({ slider, value }, index) => {
+            slider.value = settings.eq[index];
+            value.textContent = formatGain(settings.eq[index]);
+        });
+        elements.normalizeToggle.checked = settings.normalize;
+        elements.limiterToggle.checked = settings.limiter;
+        elements.nightModeToggle.classList.toggle('active', settings.nightMode);
+        elements.nightModeToggle.setAttribute('aria-pressed', settings.nightMode);
+    };
+    
+    elements.eqPreset.addEventListener('change', () => {
+        state.audioEffects.setPreset(elements.eqPreset.value);
+    });
+    
+    elements.normalizeToggle.addEventListener('change', () => {
+        state.audioEffects.setNormalize(elements.normalizeToggle.checked);
+    });
+    
+    elements.limiterToggle.addEventListener('change', () => {
+        state.audioEffects.setLimiter(elements.limiterToggle.checked);
+    });
+    
+    elements.nightModeToggle.addEventListener('click', () => {
+        state.audioEffects.toggleNightMode();
+    });
+    
+    state.audioEffects.on('onSettingsChange', updateSoundControls);
+    updateSoundControls();
     
     // ========================================
-    // EVENT LISTENERS - LIGHTING
+    // MUSIC SOURCES
     // ========================================
     
-    elements.toggleLights.addEventListener('change', () => {
-        updateLightingStatus();
-        console.log(`Lights ${state.isLighting ? 'turned ON' : 'turned OFF'}`);
-    });
+    const showMusicSourcesStatus = (message, isError = false) => {
+        elements.musicSourcesStatus.textContent = message;
+        elements.musicSourcesStatus.classList.toggle('error-text', isError);
+    };
     
-    elements.lightDimmer.addEventListener('input', () => {
-        state.lightDimmer = parseInt(elements.lightDimmer.value);
-        elements.dimmerValue.textContent = `${state.lightDimmer}%`;
-        console.log(`Light brightness set to ${state.lightDimmer}%`);
+    const renderMusicSources = () => {
+        elements.musicSources.innerHTML = '';
+        state.independentPlayer.providers.forEach((provider) => {
+            const info = provider.describe();
+            const row = document.createElement('div');
+            row.className = 'music-source';
+            row.dataset.providerId = info.id;
+            
+            const toggle = document.createElement('label');
+            const enabled = document.createElement('input');
+            enabled.type = 'checkbox';
+            enabled.name = 'enabled';
+            enabled.checked = info.enabled;
+            toggle.append(enabled, ` ${info.name}`);
+            row.appendChild(toggle);
+            
+            if (info.requiresKey) {
+                const key = document.createElement('input');
+                key.type = 'password';
+                key.name = 'key';
+                key.className = 'text-input';
+                key.value = provider.apiKey;
+                key.placeholder = 'API key';
+                key.autocomplete = 'off';
+                key.setAttribute('aria-label', `${info.name} API key`);
+                const link = document.createElement('a');
+                link.href = info.keyUrl;
+                link.target = '_blank';
+                link.rel = 'noopener';
+                link.textContent = 'Get a key';
+                row.append(key, link);
+            }
+            
+            const about = document.createElement('p');
+            about.className = 'status-text';
+            about.textContent = `${info.description} · ${info.license}`;
+            row.appendChild(about);
+            elements.musicSources.appendChild(row);
+        });
+        
+        const { musicMockUrl } = state.storage.get('settings', {});
+        showMusicSourcesStatus(musicMockUrl ? `Using recorded responses from ${musicMockUrl}; keys aren't needed.` : '');
+    };
+    
+    elements.musicSourcesForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const musicSources = {};
+        elements.musicSources.querySelectorAll('.music-source').forEach((row) => {
+            musicSources[row.dataset.providerId] = {
+                enabled: row.querySelector('[name="enabled"]').checked,
+                key: row.querySelector('[name="key"]')?.value.trim() || '',
+            };
+        });
+        state.storage.update('settings', { musicSources });
+        loadMusicProviders();
+        renderMusicSources();
+        showMusicSourcesStatus('Music sources saved');
+        refreshLibrary();
     });
     
+    renderMusicSources();
+    
     // ========================================
-    // EVENT LISTENERS - TEMPERATURE
+    // PROGRESS AND VOLUME
     // ========================================
     
-    elements.increaseTemp.addEventListener('click', () => {
-        state.temperature++;
-        updateTemperatureDisplay();
-        console.log(`Temperature increased to ${state.temperature}°F`);
+    const SEEK_STEP = 5; // Seconds per arrow key
+    const VOLUME_STEP = 0.05;
+    
+    // 75 -> "1:15", 3725 -> "1:02:05"
+    const formatClock = (seconds) => {
+        const total = Math.max(0, Math.floor(seconds));
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = String(total % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+    };
+    
+    // While the seek bar is dragged, it shows where playback will jump to
+    let scrubbing = false;
+    
+    const showProgressTimes = (time, duration) => {
+        const elapsed = formatClock(time);
+        elements.elapsedTime.textContent = elapsed;
+        elements.remainingTime.textContent = `-${formatClock(Math.ceil(duration - time))}`;
+        elements.seekBar.setAttribute('aria-valuetext', `${elapsed} of ${formatClock(duration)}`);
+    };
+    
+    const updateProgress = ({ currentTime, duration }) => {
+        elements.seekBar.disabled = !duration;
+        elements.seekBar.max = duration || 0;
+        if (scrubbing) return;
+        elements.seekBar.value = currentTime;
+        showProgressTimes(currentTime, duration || 0);
+    };
+    
+    elements.seekBar.addEventListener('input', () => {
+        scrubbing = true;
+        showProgressTimes(Number(elements.seekBar.value), Number(elements.seekBar.max));
     });
     
-    elements.decreaseTemp.addEventListener('click', () => {
-        state.temperature--;
-        updateTemperatureDisplay();
-        console.log(`Temperature decreased to ${state.temperature}°F`);
+    elements.seekBar.addEventListener('change', () => {
+        scrubbing = false;
+        state.independentPlayer.seek(Number(elements.seekBar.value));
+        savePlayerState();
     });
     
+    const updateVolumeControls = ({ volume, muted }) => {
+        const silent = muted || volume === 0;
+        elements.volumeSlider.value = Math.round(volume * 100);
+        elements.volumeSlider.setAttribute('aria-valuetext', muted ? 'Muted' : `${Math.round(volume * 100)}%`);
+        elements.muteToggle.classList.toggle('active', muted);
+        elements.muteToggle.setAttribute('aria-pressed', muted);
+        elements.muteToggle.innerHTML = `<i class="fas ${silent ? 'fa-volume-xmark' : volume < 0.5 ? 'fa-volume-low' : 'fa-volume-high'}"></i>`;
+    };
+    
+    const changeVolume = (volume) => {
+        const player = state.independentPlayer;
+        player.setVolume(volume);
+        if (player.muted && player.volume > 0) player.setMuted(false);
+    };
+    
+    const seekBy = (seconds) => {
+        const { currentTrack, currentTime } = state.independentPlayer.getPlaybackState();
+        if (currentTrack) state.independentPlayer.seek(currentTime + seconds);
+    };
+    
+    elements.volumeSlider.addEventListener('input', () => {
+        changeVolume(Number(elements.volumeSlider.value) / 100);
+    });
+    
+    elements.muteToggle.addEventListener('click', () => {
+        state.independentPlayer.setMuted(!state.independentPlayer.muted);
+    });
+    
+    state.independentPlayer.on('onTimeUpdate', updateProgress);
+    state.independentPlayer.on('onVolumeChange', updateVolumeControls);
+    updateProgress(state.independentPlayer.getPlaybackState());
+    updateVolumeControls({ volume: state.independentPlayer.volume, muted: state.independentPlayer.muted });
+    
     // ========================================
-    // EVENT LISTENERS - MUSIC PLAYBACK
+    // SLEEP TIMER
     // ========================================
     
-    elements.playPause.addEventListener('click', async () => {
-        await handlePlayPause();
+    state.sleepTimer = new SleepTimer(state.independentPlayer);
+    
+    const showSleepStatus = (message, isError = false) => {
+        elements.sleepStatus.textContent = message;
+        elements.sleepStatus.classList.toggle('error-text', isError);
+    };
+    
+    const sleepButtons = SLEEP_PRESETS.map((preset) => {
+        const button = document.createElement('button');
+        button.className = 'btn-small mode-toggle';
+        button.textContent = preset.label;
+        button.setAttribute('aria-pressed', 'false');
+        button.addEventListener('click', () => {
+            try {
+                state.sleepTimer.start(preset.key, { lightsOff: elements.sleepLightsOff.checked });
+                showSleepStatus('');
+            } catch (error) {
+                showSleepStatus(error.message, true);
+            }
+        });
+        elements.sleepPresets.appendChild(button);
+        return { preset, button };
     });
     
-    elements.nextTrack.addEventListener('click', async () => {
-        await handleNextTrack();
+    const updateSleepTimer = () => {
+        const timer = state.sleepTimer.getState();
+        elements.sleepCountdown.classList.toggle('hidden', !timer);
+        sleepButtons.forEach(({ preset, button }) => {
+            const active = timer?.preset === preset.key;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', active);
+        });
+        if (!timer) return;
+        
+        const time = Number.isFinite(timer.remaining) ? formatClock(Math.ceil(timer.remaining)) : 'end of track';
+        elements.sleepRemaining.textContent = `${timer.fading ? 'Fading out' : 'Sleep'} · ${time}`;
+    };
+    
+    elements.sleepLightsOff.checked = !!state.storage.get('settings', {}).sleepLightsOff;
+    elements.sleepLightsOff.addEventListener('change', () => {
+        state.storage.update('settings', { sleepLightsOff: elements.sleepLightsOff.checked });
+        state.sleepTimer.setLightsOff(elements.sleepLightsOff.checked);
     });
-
-    elements.previousTrack.addEventListener('click', async () => {
-        await handlePreviousTrack();
+    
+    elements.cancelSleep.addEventListener('click', () => state.sleepTimer.cancel());
+    
+    state.sleepTimer.on('onTick', updateSleepTimer);
+    state.sleepTimer.on('onCancel', updateSleepTimer);
+    state.sleepTimer.on('onExpire', async ({ lightsOff }) => {
+        updateSleepTimer();
+        savePlayerState(); // Keep the volume from before the fade
+        showSleepStatus('Sleep timer finished');
+        if (lightsOff) await state.runAction({ type: 'lights', set: { on: false } });
+    });
+    
+    // ========================================
+    // PLAYLISTS
+    // ========================================
+    
+    const showPlaylistStatus = (message, isError = false) => {
+        elements.playlistStatus.textContent = message;
+        elements.playlistStatus.classList.toggle('error-text', isError);
+    };
+    
+    const downloadFile = ({ fileName, mimeType, content }) => {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    };
+    
+    const playPlaylist = async (playlist) => {
+        const { tracks, unresolved } = state.playlists.resolve(playlist.id);
+        if (tracks.length === 0) {
+            showPlaylistStatus(`None of the tracks in ${playlist.name} are in your library`, true);
+            return;
+        }
+        state.independentPlayer.setPlaylist(tracks);
+        await state.independentPlayer.play(tracks[0]);
+        showPlaylistStatus(unresolved.length > 0
+            ? `Playing ${playlist.name}; ${unresolved.length} track${unresolved.length === 1 ? '' : 's'} not found`
+            : `Playing ${playlist.name}`);
+    };
+    
+    const renderPlaylists = () => {
+        elements.playlistList.innerHTML = '';
+        state.playlists.getPlaylists().forEach((playlist) => {
+            const { entries, unresolved } = state.playlists.resolve(playlist.id);
+            const item = document.createElement('li');
+            item.className = 'playlist-item';
+            
+            const header = document.createElement('div');
+            header.className = 'playlist-header';
+            const info = document.createElement('details');
+            info.className = 'playlist-info';
+            const summary = document.createElement('summary');
+            summary.textContent = `${playlist.name} · ${entries.length} track${entries.length === 1 ? '' : 's'}`;
+            if (unresolved.length > 0) {
+                const badge = document.createElement('span');
+                badge.className = 'playlist-unresolved';
+                badge.textContent = `${unresolved.length} not found`;
+                summary.appendChild(badge);
+            }
+            
+            // Every entry, with the ones that don't match a track flagged
+            const list = document.createElement('ol');
+            list.className = 'playlist-entries';
+            entries.forEach(({ entry, track }) => {
+                const row = document.createElement('li');
+                row.classList.toggle('unresolved', !track);
+                row.textContent = entry.artist ? `${entry.title} · ${entry.artist}` : entry.title;
+                if (!track) row.title = 'Not found in your library';
+                list.appendChild(row);
+            });
+            info.append(summary, list);
+            
+            header.append(
+                info,
+                createQueueButton('fa-play', `Play ${playlist.name}`, () => playPlaylist(playlist)),
+                createQueueButton('fa-pen', `Edit ${playlist.name}`, () => openPlaylistForm(playlist)),
+                createQueueButton('fa-download', `Export ${playlist.name}`, () => {
+                    downloadFile(state.playlists.exportPlaylist(playlist.id, elements.playlistFormat.value));
+                }),
+                createQueueButton('fa-trash', `Delete ${playlist.name}`, () => {
+                    if (window.confirm(`Delete the "${playlist.name}" playlist?`)) {
+                        state.playlists.deletePlaylist(playlist.id);
+                        showPlaylistStatus(`Deleted ${playlist.name}`);
+                    }
+                })
+            );
+            item.appendChild(header);
+            elements.playlistList.appendChild(item);
+        });
+    };
+    
+    const openPlaylistForm = (playlist = null) => {
+        state.editingPlaylistId = playlist?.id || null;
+        elements.playlistName.value = playlist?.name || '';
+        elements.playlistReplace.checked = false;
+        elements.playlistReplaceRow.classList.toggle('hidden', !playlist);
+        elements.playlistForm.classList.remove('hidden');
+        elements.newPlaylist.classList.add('hidden');
+        elements.playlistName.focus();
+    };
+    
+    const closePlaylistForm = () => {
+        state.editingPlaylistId = null;
+        elements.playlistForm.classList.add('hidden');
+        elements.newPlaylist.classList.remove('hidden');
+    };
+    
+    elements.newPlaylist.addEventListener('click', () => openPlaylistForm());
+    elements.cancelPlaylist.addEventListener('click', closePlaylistForm);
+    
+    elements.playlistForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const queue = state.independentPlayer.playlist;
+        
+        try {
+            if (state.editingPlaylistId) {
+                let playlist = state.playlists.renamePlaylist(state.editingPlaylistId, elements.playlistName.value);
+                if (elements.playlistReplace.checked) playlist = state.playlists.setTracks(playlist.id, queue);
+                showPlaylistStatus(`Updated ${playlist.name}`);
+            } else {
+                const playlist = state.playlists.createPlaylist(elements.playlistName.value, queue);
+                showPlaylistStatus(`Saved ${playlist.name} with ${queue.length} track${queue.length === 1 ? '' : 's'}`);
+            }
+            closePlaylistForm();
+        } catch (error) {
+            showPlaylistStatus(error.message, true);
+        }
+    });
+    
+    elements.playlistFile.addEventListener('change', async () => {
+        const [file] = elements.playlistFile.files;
+        elements.playlistFile.value = '';
+        if (!file) return;
+        
+        try {
+            const { playlist, unresolved } = state.playlists.importPlaylist(await file.text(), file.name);
+            showPlaylistStatus(unresolved.length > 0
+                ? `Imported ${playlist.name}; ${unresolved.length} of ${playlist.entries.length} tracks not found`
+                : `Imported ${playlist.name}`, unresolved.length > 0);
+        } catch (error) {
+            showPlaylistStatus(`Couldn't import ${file.name}: ${error.message}`, true);
+        }
     });
     
+    state.playlists.on('onPlaylistsChange', renderPlaylists);
+    // Sunrise schedules show their playlist by name
+    state.playlists.on('onPlaylistsChange', renderSchedules);
+    // Entries may find (or lose) their track as files are added and removed
+    state.library.on('onLibraryChange', renderPlaylists);
+    
+    renderPlaylists();
+    
     // ========================================
     // MUSIC SERVICE HANDLERS
     // ========================================
@@ -317,15 +2582,34 @@ document.addEventListener('DOMContentLoaded', async () => {
     // ========================================
     
     document.addEventListener('keydown', (e) => {
+        // Leave typing and focused controls alone
+        if (e.target.closest?.('input, textarea, select, button, [contenteditable]')) return;
+        // ...and browser and system shortcuts
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        
         if (e.key === '+' || e.key === '=') {
-            state.temperature++;
-            updateTemperatureDisplay();
+            changeTemperature(1);
         } else if (e.key === '-' || e.key === '_') {
-            state.temperature--;
-            updateTemperatureDisplay();
+            changeTemperature(-1);
         } else if (e.key === ' ') {
             e.preventDefault();
             elements.playPause.click();
+        } else if (e.key.startsWith('Arrow')) {
+            // Arrows scroll the page unless music is playing or the music card has focus
+            const player = state.independentPlayer;
+            const forMusic = player?.getPlaybackState().currentTrack
+                && (player.isPlaying || elements.musicCard.contains(document.activeElement));
+            if (!forMusic) return;
+            e.preventDefault();
+            if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+                seekBy(e.key === 'ArrowRight' ? SEEK_STEP : -SEEK_STEP);
+            } else {
+                changeVolume(player.volume + (e.key === 'ArrowUp' ? VOLUME_STEP : -VOLUME_STEP));
+            }
+        } else if (e.key.toLowerCase() === 'm') {
+            state.independentPlayer.setMuted(!state.independentPlayer.muted);
+        } else if (e.key.toLowerCase() === 'n') {
+            state.audioEffects.toggleNightMode();
         }
     });
     
@@ -359,27 +2643,48 @@ document.addEventListener('DOMContentLoaded', async () => {
     // SERVICE WORKER REGISTRATION
     // ========================================
     
-    if ('serviceWorker' in navigator) {
-        // First unregister any old service workers
-        navigator.serviceWorker.getRegistrations().then((registrations) => {
-            registrations.forEach((registration) => {
-                console.log('[SW] Unregistering old service worker');
-                registration.unregister();
+    // The service worker is built with its precache list (see vite-plugin-precache.js),
+    // so it is only registered in production builds.
+    if ('serviceWorker' in navigator && import.meta.env?.PROD) {
+        const showUpdateBanner = (worker) => {
+            elements.updateBanner.hidden = false;
+            elements.reloadApp.onclick = () => {
+                elements.reloadApp.disabled = true;
+                worker.postMessage({ type: 'SKIP_WAITING' });
+            };
+        };
+        
+        // A new version waits until the user chooses to reload, so it never swaps files under a running page
+        const watchForUpdate = (registration) => {
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                showUpdateBanner(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker?.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        showUpdateBanner(worker);
+                    }
+                });
             });
-            
-            // Wait a moment for unregistration, then register fresh
-            setTimeout(() => {
-                navigator.serviceWorker.register('sw.js')
-                    .then(registration => {
-                        console.log('Service Worker registered (fresh)');
-                        // Force the new service worker to activate immediately
-                        if (registration.waiting) {
-                            registration.waiting.postMessage({ type: 'SKIP_WAITING' });
-                        }
-                    })
-                    .catch(error => console.log('Service Worker registration failed:', error));
-            }, 500);
+        };
+        
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            // Only reload for the update the user asked for, not the first install
+            if (reloading || elements.updateBanner.hidden) return;
+            reloading = true;
+            window.location.reload();
         });
+        
+        navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`, { scope: import.meta.env.BASE_URL })
+            .then((registration) => {
+                console.log('Service Worker registered');
+                watchForUpdate(registration);
+                // Look for a new version now and then while the app stays open
+                setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000);
+            })
+            .catch((error) => console.log('Service Worker registration failed:', error));
     }
     
     console.log('HomeHarmony initialized');
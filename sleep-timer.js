@@ -0,0 +1,191 @@
+/**
+ * Sleep Timer
+ * Stops the music after a while: the volume fades out over the last
+ * FADE_SECONDS, then the player stops and its volume is put back for next time.
+ *
+ * A timer either runs for a number of minutes or until the current track
+ * ends. Listeners to onExpire can do more at the same moment, such as
+ * turning off the lights.
+ */
+
+const SLEEP_PRESETS = [
+  { key: '15', label: '15 min', minutes: 15 },
+  { key: '30', label: '30 min', minutes: 30 },
+  { key: '60', label: '1 hour', minutes: 60 },
+  { key: 'end-of-track', label: 'End of track', minutes: null },
+];
+
+const FADE_SECONDS = 30;
+const TICK_INTERVAL = 250; // ms; short enough for a smooth fade
+
+class SleepTimer {
+  /**
+   * @param {IndependentMusicPlayer} player - Player to stop
+   * @param {Object} options
+   * @param {number} options.fadeSeconds - How long the fade-out lasts
+   */
+  constructor(player, { fadeSeconds = FADE_SECONDS } = {}) {
+    this.player = player;
+    this.fadeSeconds = fadeSeconds;
+    this.timer = null; // { preset, endsAt, lightsOff, volume, interval }
+    this.listeners = {
+      onTick: [],
+      onCancel: [],
+      onExpire: [],
+    };
+  }
+
+  /**
+   * Start a timer, replacing any running one
+   * @param {string} presetKey - Key from SLEEP_PRESETS
+   * @param {Object} options
+   * @param {boolean} options.lightsOff - Ask listeners to turn the lights off too
+   * @returns {Object} Timer state, as from getState()
+   */
+  start(presetKey, { lightsOff = false } = {}) {
+    const preset = SLEEP_PRESETS.find((p) => p.key === presetKey);
+    if (!preset) throw new Error(`Unknown sleep timer: ${presetKey}`);
+    if (!preset.minutes && !this.player.currentTrack) throw new Error('Nothing is playing');
+
+    this.cancel();
+    this.timer = {
+      preset,
+      endsAt: preset.minutes ? Date.now() + preset.minutes * 60 * 1000 : null,
+      lightsOff,
+      volume: null, // Volume before the fade began
+      interval: setInterval(() => this.tick(), TICK_INTERVAL),
+    };
+    if (!preset.minutes) this.player.setStopAfterCurrent(true);
+
+    console.log(`[SleepTimer] Music will stop after ${preset.label.toLowerCase()}`);
+    this.tick();
+    return this.getState();
+  }
+
+  /**
+   * Stop the timer without stopping the music
+   */
+  cancel() {
+    if (!this.timer) return;
+    this.end();
+    this.emit('onCancel', {});
+  }
+
+  /**
+   * Change whether the running timer turns the lights off
+   * @param {boolean} enabled
+   */
+  setLightsOff(enabled) {
+    if (this.timer) this.timer.lightsOff = !!enabled;
+  }
+
+  /**
+   * Get the running timer
+   * @returns {Object|null} { preset, remaining (seconds, Infinity if not yet known), lightsOff, fading },
+   *   or null when off
+   */
+  getState() {
+    if (!this.timer) return null;
+    const remaining = this.getRemaining();
+    return {
+      preset: this.timer.preset.key,
+      remaining,
+      lightsOff: this.timer.lightsOff,
+      fading: remaining <= this.fadeSeconds,
+    };
+  }
+
+  /**
+   * Seconds until the music stops
+   * @private
+   */
+  getRemaining() {
+    if (this.timer.endsAt) return Math.max(0, (this.timer.endsAt - Date.now()) / 1000);
+
+    // End of track: follow the song, so pausing or seeking moves the end with it
+    const { currentTrack, currentTime, duration } = this.player.getPlaybackState();
+    if (!currentTrack) return 0;
+    const length = Number.isFinite(duration) && duration > 0 ? duration : currentTrack.duration;
+    // Until the length is known, wait for the track to end by itself
+    if (!length) return Infinity;
+    return Math.max(0, (length - currentTime) / (this.player.audioElement?.playbackRate || 1));
+  }
+
+  /**
+   * @private
+   */
+  tick() {
+    const remaining = this.getRemaining();
+    // End-of-track timers stop with the track; playback has already ended if it's gone quiet
+    const trackOver = !this.timer.endsAt && !this.player.isPlaying && !this.player.stopAfterCurrent;
+
+    if (remaining <= 0 || trackOver) {
+      this.expire();
+      return;
+    }
+
+    if (remaining <= this.fadeSeconds && this.player.isPlaying) {
+      if (this.timer.volume === null) this.timer.volume = this.player.volume;
+      this.player.setVolume(this.timer.volume * (remaining / this.fadeSeconds));
+    }
+    this.emit('onTick', this.getState());
+  }
+
+  /**
+   * @private
+   */
+  expire() {
+    const { lightsOff, preset } = this.timer;
+    this.player.stop();
+    this.end();
+    console.log(`[SleepTimer] Time's up (${preset.label.toLowerCase()})`);
+    this.emit('onExpire', { preset: preset.key, lightsOff });
+  }
+
+  /**
+   * Clear the timer and undo its changes to the player
+   * @private
+   */
+  end() {
+    const { interval, volume, endsAt } = this.timer;
+    clearInterval(interval);
+    this.timer = null;
+    if (volume !== null) this.player.setVolume(volume);
+    if (!endsAt) this.player.setStopAfterCurrent(false);
+  }
+
+  /**
+   * Register event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  on(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].push(callback);
+    }
+  }
+
+  /**
+   * Remove event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  off(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter((cb) => cb !== callback);
+    }
+  }
+
+  /**
+   * Emit event
+   * @private
+   */
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach((callback) => callback(data));
+    }
+  }
+}
+
+// ES6 Export
+export { SleepTimer, SLEEP_PRESETS, FADE_SECONDS };
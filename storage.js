@@ -0,0 +1,168 @@
+/**
+ * App Storage
+ * Versioned persistence of HomeHarmony state in localStorage.
+ *
+ * The whole app state lives in one JSON document:
+ * {
+ *   version: SCHEMA_VERSION,
+ *   settings: { hubUrl, realtime, homeAssistant: { url, token }, hue: { url, appKey, api }, temperatureUnit, location,
+ *               energyRate, currency, sleepLightsOff, musicSources: { [providerId]: { key, enabled } }, musicMockUrl },
+ *   devices: { [deviceId]: state },
+ *   deviceList: [device],  // devices as last loaded, without their state
+ *   selectedThermostatId,
+ *   player: { playlist, currentIndex, currentTrackId, currentTime, volume, shuffle, repeat, crossfade },
+ *   scenes: [scene],       // see scenes.js
+ *   playlists: [playlist], // see playlists.js
+ *   schedules: [schedule], // see automation-scheduler.js
+ *   rules: [rule],         // see rules-engine.js
+ *   ruleLog: [entry],      // most recent rule firings, newest first
+ *   energy: { lastSample, hours, days }, // see energy-tracker.js
+ *   audio: { preset, eq, normalize, limiter, nightMode }, // see audio-effects.js
+ *   loudness: { [trackId]: measurement }, // see loudness.js
+ *   pinned: { [trackId]: track }, // tracks saved for offline, see offline-audio.js
+ * }
+ *
+ * When the schema changes, bump SCHEMA_VERSION and add a migration that
+ * upgrades documents saved by the previous version.
+ */
+
+const STORAGE_KEY = 'homeharmony.state';
+const SCHEMA_VERSION = 2;
+
+/**
+ * Migrations keyed by the version they upgrade FROM.
+ * Each receives the old document and returns the next version's document.
+ */
+const migrations = {
+  // Before the schema existed, only the hub URL was stored, under its own key
+  0: (data, backend) => {
+    const hubUrl = backend.getItem('homeharmony.hubUrl');
+    backend.removeItem('homeharmony.hubUrl');
+    return { ...data, settings: { hubUrl: hubUrl || null } };
+  },
+
+  // Thermostats gained separate current/target temperatures and a display unit
+  1: (data) => {
+    const devices = {};
+    Object.entries(data.devices || {}).forEach(([deviceId, state]) => {
+      if (state && 'temperature' in state) {
+        const { temperature, ...rest } = state;
+        devices[deviceId] = { ...rest, targetTemperature: temperature };
+      } else {
+        devices[deviceId] = state;
+      }
+    });
+    return { ...data, devices, settings: { temperatureUnit: 'F', ...data.settings } };
+  },
+};
+
+/**
+ * Bring a stored document up to the current schema version
+ * @param {Object} data - Stored document
+ * @param {Storage} backend - Storage backend (for migrations that read legacy keys)
+ * @returns {Object} Migrated document
+ */
+function migrate(data, backend) {
+  let migrated = { ...data };
+  let version = Number.isInteger(migrated.version) ? migrated.version : 0;
+
+  if (version > SCHEMA_VERSION) {
+    console.warn(`[Storage] Saved state is from a newer version (${version}), ignoring it`);
+    return { version: SCHEMA_VERSION };
+  }
+
+  while (version < SCHEMA_VERSION) {
+    const upgrade = migrations[version];
+    if (!upgrade) throw new Error(`No storage migration from version ${version}`);
+    migrated = upgrade(migrated, backend);
+    version++;
+    migrated.version = version;
+  }
+  return migrated;
+}
+
+class AppStorage {
+  /**
+   * @param {Object} options
+   * @param {string} options.key - localStorage key
+   * @param {Storage} options.backend - Storage implementation (defaults to localStorage)
+   * @param {number} options.saveDelay - Debounce for writes in ms
+   */
+  constructor({ key = STORAGE_KEY, backend = globalThis.localStorage, saveDelay = 500 } = {}) {
+    this.key = key;
+    this.backend = backend;
+    this.saveDelay = saveDelay;
+    this.saveTimer = null;
+    this.data = { version: SCHEMA_VERSION };
+  }
+
+  /**
+   * Read and migrate the stored document
+   * @returns {Object} Current state document
+   */
+  load() {
+    try {
+      const raw = this.backend.getItem(this.key);
+      this.data = migrate(raw ? JSON.parse(raw) : {}, this.backend);
+      if (!raw || JSON.parse(raw).version !== this.data.version) {
+        this.flush();
+      }
+    } catch (error) {
+      console.error('[Storage] Could not load saved state, starting fresh:', error);
+      this.data = { version: SCHEMA_VERSION };
+    }
+    return this.data;
+  }
+
+  /**
+   * Get a top-level section of the state
+   * @param {string} section - Section name
+   * @param {*} fallback - Value returned when the section is missing
+   */
+  get(section, fallback = null) {
+    return this.data[section] ?? fallback;
+  }
+
+  /**
+   * Replace a top-level section and schedule a save
+   * @param {string} section - Section name
+   * @param {*} value - New value
+   */
+  set(section, value) {
+    this.data[section] = value;
+    this.scheduleSave();
+  }
+
+  /**
+   * Merge into a top-level object section and schedule a save
+   * @param {string} section - Section name
+   * @param {Object} patch - Properties to merge
+   */
+  update(section, patch) {
+    this.set(section, { ...(this.data[section] || {}), ...patch });
+  }
+
+  /**
+   * Write pending changes immediately
+   */
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    try {
+      this.backend.setItem(this.key, JSON.stringify(this.data));
+    } catch (error) {
+      console.error('[Storage] Could not save state:', error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.flush(), this.saveDelay);
+  }
+}
+
+// ES6 Export
+export { AppStorage, SCHEMA_VERSION, STORAGE_KEY, migrate, migrations };
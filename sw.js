@@ -1,104 +1,244 @@
 // Service Worker for HomeHarmony PWA
-const CACHE_NAME = 'homeharmony-v3';
-const ASSETS = [
-    '/',
-    '/index.html',
-    '/styles.css',
-    '/script.js',
-    '/manifest.json',
-    'https://cdnjs.cloudflare.com/ajax/libs/normalize/8.0.1/normalize.min.css',
-    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
-];
-
-// Install event - cache assets
+//
+// Caches:
+// - Precache: the app shell, listed at build time by vite-plugin-precache.js
+//   (self.__PRECACHE_MANIFEST). A new build gets a new version, installs
+//   alongside the old one, and waits until the page asks it to take over.
+// - Runtime: icons, fonts, and styles from the CDN and anything else the app
+//   loads, served stale-while-revalidate.
+// - Audio: tracks the user saved for offline (see offline-audio.js), served
+//   with Range support so seeking works without a network.
+//
+// Background Sync: device commands queued while the hub was unreachable (see
+// command-queue.js) are replayed here once the browser is back online, even
+// if the app has been closed.
+
+const MANIFEST = self.__PRECACHE_MANIFEST || { version: 'dev', urls: [] };
+const CACHE_PREFIX = 'homeharmony-';
+const PRECACHE = `${CACHE_PREFIX}precache-${MANIFEST.version}`;
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime`;
+const AUDIO_CACHE = `${CACHE_PREFIX}audio`; // Shared with offline-audio.js
+const RUNTIME_MAX_ENTRIES = 80;
+
+// Cross-origin hosts whose responses are safe to reuse (styles and fonts)
+const RUNTIME_HOSTS = ['cdnjs.cloudflare.com', 'fonts.googleapis.com', 'fonts.gstatic.com', 'images.unsplash.com'];
+
+const COMMANDS_DB = `${CACHE_PREFIX}commands`; // Shared with command-queue.js
+const COMMANDS_STORE = 'commands';
+const SYNC_TAG = `${CACHE_PREFIX}commands`; // Shared with command-queue.js
+
+const AUDIO_PATTERN = /\.(mp3|wav|ogg|oga|opus|flac|m4a|aac|webm)(\?|$)/i;
+
+const scopeUrl = (path) => new URL(path, self.registration.scope).href;
+const PRECACHE_URLS = new Set(MANIFEST.urls.map(scopeUrl));
+
+// Install event - cache the app shell
 self.addEventListener('install', (event) => {
-    console.log('[SW] Installing service worker');
+    console.log('[SW] Installing version', MANIFEST.version);
     event.waitUntil(
-        caches.open(CACHE_NAME).then((cache) => {
-            return cache.addAll(ASSETS).catch((err) => {
-                console.log('Cache addAll error:', err);
-                // Continue even if some assets fail to cache
-            });
-        })
+        caches.open(PRECACHE).then((cache) => cache.addAll([...PRECACHE_URLS]))
     );
-    self.skipWaiting();
+    // The first install takes over right away; updates wait for the page to say so
 });
 
-// Message event - handle SKIP_WAITING message
+// Message event - the page's "Reload" button sends SKIP_WAITING
 self.addEventListener('message', (event) => {
     if (event.data && event.data.type === 'SKIP_WAITING') {
-        console.log('[SW] Received SKIP_WAITING message, activating immediately');
+        console.log('[SW] Received SKIP_WAITING message, activating');
         self.skipWaiting();
     }
 });
 
-// Activate event - clean up old caches
+// Activate event - drop caches from older versions, keeping saved audio
 self.addEventListener('activate', (event) => {
     event.waitUntil(
-        caches.keys().then((cacheNames) => {
-            return Promise.all(
-                cacheNames.map((cacheName) => {
-                    if (cacheName !== CACHE_NAME) {
-                        return caches.delete(cacheName);
-                    }
-                })
-            );
-        })
+        caches.keys()
+            .then((cacheNames) => Promise.all(
+                cacheNames
+                    .filter((name) => ![PRECACHE, RUNTIME_CACHE, AUDIO_CACHE].includes(name))
+                    .filter((name) => name.startsWith(CACHE_PREFIX))
+                    .map((name) => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
     );
-    self.clients.claim();
 });
 
-// Fetch event - serve from cache, fallback to network
+// Sync event - replay queued device commands; the browser retries if the hub is still unreachable
+self.addEventListener('sync', (event) => {
+    if (event.tag === SYNC_TAG) {
+        event.waitUntil(withLock(replayCommands));
+    }
+});
+
+// Fetch event - pick a strategy by what is being asked for
 self.addEventListener('fetch', (event) => {
-    // Skip non-GET requests
-    if (event.request.method !== 'GET') {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (isAudio(request, url)) {
+        event.respondWith(fromAudioCache(request));
         return;
     }
 
-    // Skip audio/media files - let them go directly to network for CORS
-    if (event.request.url.includes('.mp3') || 
-        event.request.url.includes('.wav') ||
-        event.request.url.includes('.ogg') ||
-        event.request.url.includes('.flac') ||
-        event.request.url.includes('.m4a') ||
-        event.request.url.includes('bensound.com') ||
-        event.request.url.includes('pixabay.com') ||
-        event.request.url.includes('/audio/')) {
-        // Let media requests bypass the service worker
-        console.log('[SW] Bypassing SW for media request:', event.request.url);
+    if (request.mode === 'navigate' && url.href.startsWith(self.registration.scope)) {
+        // Every page is the app shell; fall back to the network before the first install finishes
+        event.respondWith(
+            caches.match(scopeUrl('./'), { cacheName: PRECACHE }).then((cached) => cached || fetch(request))
+        );
         return;
     }
 
-    event.respondWith(
-        caches.match(event.request).then((response) => {
-            // Return cached response if found
-            if (response) {
-                return response;
-            }
+    if (PRECACHE_URLS.has(url.href)) {
+        event.respondWith(
+            caches.match(url.href, { cacheName: PRECACHE }).then((cached) => cached || fetch(request))
+        );
+        return;
+    }
 
-            // Otherwise, fetch from network
-            return fetch(event.request)
-                .then((response) => {
-                    // Don't cache non-successful responses
-                    if (!response || response.status !== 200) {
-                        return response;
-                    }
-
-                    // Clone the response
-                    const responseToCache = response.clone();
-
-                    // Cache successful responses
-                    caches.open(CACHE_NAME).then((cache) => {
-                        cache.put(event.request, responseToCache);
-                    });
-
-                    return response;
-                })
-                .catch((error) => {
-                    console.log('[SW] Fetch error for', event.request.url, error);
-                    // Network request failed, try to return a cached response
-                    return caches.match(event.request);
-                });
-        })
-    );
+    // Same-origin files under the app, and CDN styles and fonts; hubs and music APIs always go to the network
+    const sameApp = url.href.startsWith(self.registration.scope);
+    if (sameApp || RUNTIME_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(event, request));
+    }
 });
+
+function isAudio(request, url) {
+    return request.destination === 'audio' || request.headers.has('Range') || AUDIO_PATTERN.test(url.pathname);
+}
+
+/**
+ * Answer from the cache at once and refresh the entry in the background
+ */
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    const cached = await cache.match(request);
+
+    const refresh = fetch(request)
+        .then(async (response) => {
+            // Opaque responses (status 0) come from CDN requests without CORS and are still usable
+            if (response.ok || response.type === 'opaque') {
+                await cache.put(request, response.clone());
+                await trimCache(cache, RUNTIME_MAX_ENTRIES);
+            }
+            return response;
+        })
+        .catch((error) => {
+            console.log('[SW] Fetch error for', request.url, error);
+            return cached || Response.error();
+        });
+
+    if (cached) {
+        event.waitUntil(refresh);
+        return cached;
+    }
+    return refresh;
+}
+
+/**
+ * Delete the oldest entries until the cache holds at most maxEntries
+ */
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map((key) => cache.delete(key)));
+}
+
+/**
+ * Serve saved audio, slicing it for Range requests; anything not saved goes to the network
+ */
+async function fromAudioCache(request) {
+    const cache = await caches.open(AUDIO_CACHE);
+    const cached = await cache.match(request.url, { ignoreVary: true });
+    if (!cached) return fetch(request);
+
+    const range = request.headers.get('Range');
+    if (!range) return cached;
+
+    const blob = await cached.blob();
+    const size = blob.size;
+    const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+    let start;
+    let end;
+    if (match && match[1]) {
+        start = Number(match[1]);
+        end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+    } else if (match && match[2]) {
+        // bytes=-500 is the last 500 bytes
+        start = Math.max(0, size - Number(match[2]));
+        end = size - 1;
+    }
+
+    if (start === undefined || start >= size || start > end) {
+        return new Response(null, {
+            status: 416,
+            statusText: 'Range Not Satisfiable',
+            headers: { 'Content-Range': `bytes */${size}` },
+        });
+    }
+
+    return new Response(blob.slice(start, end + 1), {
+        status: 206,
+        statusText: 'Partial Content',
+        headers: {
+            'Content-Type': cached.headers.get('Content-Type') || blob.type || 'audio/mpeg',
+            'Content-Range': `bytes ${start}-${end}/${size}`,
+            'Content-Length': String(end - start + 1),
+            'Accept-Ranges': 'bytes',
+        },
+    });
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Hold the lock the page replays under, so no command is sent twice
+ */
+function withLock(callback) {
+    return self.navigator.locks ? self.navigator.locks.request(SYNC_TAG, callback) : callback();
+}
+
+/**
+ * Send the queued commands in order, then tell open pages what was sent.
+ * Any answer from the hub settles a command (the page fetches the device's
+ * state afterwards); a network error stops here and rejects so the browser
+ * tries again later.
+ */
+async function replayCommands() {
+    const open = self.indexedDB.open(COMMANDS_DB);
+    // The page creates the store; nothing has been queued if it isn't there
+    open.onupgradeneeded = () => open.transaction.abort();
+    const db = await promisify(open).catch(() => null);
+    if (!db) return;
+
+    const store = (mode) => db.transaction(COMMANDS_STORE, mode).objectStore(COMMANDS_STORE);
+    const commands = await promisify(store('readonly').getAll());
+    const settled = [];
+    try {
+        for (const command of commands) {
+            const response = await fetch(`${command.hubUrl}/devices/${encodeURIComponent(command.deviceId)}/state`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Command-Issued-At': command.issuedAt,
+                },
+                body: JSON.stringify(command.patch),
+            });
+            await promisify(store('readwrite').delete(command.id));
+            settled.push({ deviceId: command.deviceId, status: response.status });
+        }
+    } finally {
+        db.close();
+        if (settled.length > 0) {
+            const clients = await self.clients.matchAll({ type: 'window' });
+            clients.forEach((client) => client.postMessage({ type: 'COMMANDS_REPLAYED', settled }));
+        }
+    }
+}
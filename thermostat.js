@@ -0,0 +1,197 @@
+/**
+ * Thermostat Model
+ * Setpoints, modes, limits, and °F/°C conversion for thermostat devices.
+ *
+ * Thermostat state is always stored in °F; the unit only affects display
+ * and the size of a +/- step.
+ * {
+ *   currentTemperature,   // measured room temperature
+ *   targetTemperature,    // setpoint for heat and cool modes
+ *   targetLow, targetHigh, // heat-cool range for auto mode
+ *   mode,                 // 'heat' | 'cool' | 'auto' | 'off'
+ *   minTemperature, maxTemperature,
+ *   hvacAction,           // 'heating' | 'cooling' | 'idle' | 'off' (reported, read-only)
+ * }
+ */
+
+const THERMOSTAT_MODES = ['heat', 'cool', 'auto', 'off'];
+const TEMPERATURE_UNITS = ['F', 'C'];
+
+// Smallest allowed gap between the auto mode heat and cool setpoints, in °F
+const MIN_RANGE_GAP = 3;
+
+// How far from the setpoint the room may drift before the HVAC kicks in, in °F
+const HYSTERESIS = 0.5;
+
+const THERMOSTAT_DEFAULTS = {
+  currentTemperature: 72,
+  targetTemperature: 72,
+  targetLow: 68,
+  targetHigh: 76,
+  mode: 'auto',
+  minTemperature: 50,
+  maxTemperature: 90,
+};
+
+/**
+ * Convert °F to °C
+ * @param {number} fahrenheit - Temperature in °F
+ * @returns {number} Temperature in °C
+ */
+function toCelsius(fahrenheit) {
+  return ((fahrenheit - 32) * 5) / 9;
+}
+
+/**
+ * Convert °C to °F
+ * @param {number} celsius - Temperature in °C
+ * @returns {number} Temperature in °F
+ */
+function toFahrenheit(celsius) {
+  return (celsius * 9) / 5 + 32;
+}
+
+/**
+ * Convert a stored °F value to the display unit, rounded to the unit's step
+ * @param {number} fahrenheit - Temperature in °F
+ * @param {string} unit - 'F' or 'C'
+ * @returns {number} Converted temperature
+ */
+function convertTemperature(fahrenheit, unit = 'F') {
+  if (unit === 'C') {
+    return Math.round(toCelsius(fahrenheit) * 2) / 2;
+  }
+  return Math.round(fahrenheit);
+}
+
+/**
+ * Format a stored °F value for display, e.g. "78°F" or "25.5°C"
+ * @param {number} fahrenheit - Temperature in °F
+ * @param {string} unit - 'F' or 'C'
+ * @returns {string} Formatted temperature
+ */
+function formatTemperature(fahrenheit, unit = 'F') {
+  if (!Number.isFinite(fahrenheit)) return `--°${unit}`;
+  return `${convertTemperature(fahrenheit, unit)}°${unit}`;
+}
+
+/**
+ * Fill in missing thermostat fields with defaults
+ * @param {Object} state - Thermostat state
+ * @returns {Object} Complete thermostat state
+ */
+function normalizeThermostatState(state = {}) {
+  const normalized = { ...THERMOSTAT_DEFAULTS, ...state };
+  normalized.hvacAction = getHvacAction(normalized);
+  return normalized;
+}
+
+/**
+ * Work out what the HVAC should be doing for a state
+ * @param {Object} state - Thermostat state
+ * @returns {string} 'heating', 'cooling', 'idle', or 'off'
+ */
+function getHvacAction(state) {
+  const { mode, currentTemperature: current } = state;
+  if (mode === 'off') return 'off';
+
+  const heatTo = mode === 'auto' ? state.targetLow : state.targetTemperature;
+  const coolTo = mode === 'auto' ? state.targetHigh : state.targetTemperature;
+
+  if ((mode === 'heat' || mode === 'auto') && current < heatTo - HYSTERESIS) return 'heating';
+  if ((mode === 'cool' || mode === 'auto') && current > coolTo + HYSTERESIS) return 'cooling';
+  return 'idle';
+}
+
+/**
+ * Clamp a temperature to the thermostat's limits
+ * @param {number} value - Temperature in °F
+ * @param {Object} state - Thermostat state
+ * @returns {number} Clamped temperature
+ */
+function clampTemperature(value, state) {
+  const { minTemperature, maxTemperature } = normalizeThermostatState(state);
+  return Math.min(maxTemperature, Math.max(minTemperature, value));
+}
+
+/**
+ * Build the patch for one +/- step of the setpoint.
+ * In auto mode the whole heat-cool range moves together.
+ * @param {Object} state - Thermostat state
+ * @param {number} direction - 1 to raise, -1 to lower
+ * @param {string} unit - Display unit; a step is 1°F or 0.5°C
+ * @param {string} setpoint - Which setpoint to move in auto mode: 'range', 'low', or 'high'
+ * @returns {Object|null} State patch, or null when nothing can change
+ */
+function stepSetpoint(state, direction, unit = 'F', setpoint = 'range') {
+  const current = normalizeThermostatState(state);
+  if (current.mode === 'off') return null;
+
+  // Step in the display unit so °C users see clean half-degree values
+  const step = (fahrenheit) => {
+    if (unit === 'C') {
+      return Math.round(toFahrenheit(convertTemperature(fahrenheit, 'C') + direction * 0.5) * 10) / 10;
+    }
+    return Math.round(fahrenheit) + direction;
+  };
+
+  if (current.mode !== 'auto') {
+    const targetTemperature = clampTemperature(step(current.targetTemperature), current);
+    return targetTemperature === current.targetTemperature ? null : { targetTemperature };
+  }
+
+  const targetLow = setpoint === 'high' ? current.targetLow : step(current.targetLow);
+  const targetHigh = setpoint === 'low' ? current.targetHigh : step(current.targetHigh);
+
+  // Moving the range stops at the limits instead of squeezing it
+  if (targetLow < current.minTemperature || targetHigh > current.maxTemperature) return null;
+  if (targetHigh - targetLow < MIN_RANGE_GAP) return null;
+  return { targetLow, targetHigh };
+}
+
+/**
+ * Check a thermostat patch against its current state
+ * @param {Object} state - Current thermostat state
+ * @param {Object} patch - Partial state
+ * @returns {string|null} Error message, or null if the patch is valid
+ */
+function validateThermostatPatch(state, patch) {
+  const next = normalizeThermostatState({ ...state, ...patch });
+  const temperatureFields = ['currentTemperature', 'targetTemperature', 'targetLow', 'targetHigh'];
+
+  for (const field of [...temperatureFields, 'minTemperature', 'maxTemperature']) {
+    if (field in patch && !Number.isFinite(patch[field])) return `Thermostat ${field} must be a number`;
+  }
+  if ('mode' in patch && !THERMOSTAT_MODES.includes(patch.mode)) {
+    return `Thermostat mode must be one of ${THERMOSTAT_MODES.join(', ')}`;
+  }
+  if (next.minTemperature >= next.maxTemperature) {
+    return 'Thermostat minimum must be below its maximum';
+  }
+  for (const field of ['targetTemperature', 'targetLow', 'targetHigh']) {
+    if (field in patch && (next[field] < next.minTemperature || next[field] > next.maxTemperature)) {
+      return `Setpoint must be between ${next.minTemperature}°F and ${next.maxTemperature}°F`;
+    }
+  }
+  if (next.targetHigh - next.targetLow < MIN_RANGE_GAP) {
+    return `Heat and cool setpoints must be at least ${MIN_RANGE_GAP}°F apart`;
+  }
+  return null;
+}
+
+// ES6 Export
+export {
+  THERMOSTAT_MODES,
+  TEMPERATURE_UNITS,
+  THERMOSTAT_DEFAULTS,
+  MIN_RANGE_GAP,
+  toCelsius,
+  toFahrenheit,
+  convertTemperature,
+  formatTemperature,
+  normalizeThermostatState,
+  getHvacAction,
+  clampTemperature,
+  stepSetpoint,
+  validateThermostatPatch,
+};
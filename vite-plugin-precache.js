@@ -0,0 +1,62 @@
+/**
+ * Precache Manifest Plugin
+ * Adds sw.js to the build with the list of files it should precache, so the
+ * list never goes stale. The service worker receives it as
+ * self.__PRECACHE_MANIFEST = { version, urls }, where urls are relative to
+ * the service worker (and so to Vite's base) and version is a hash of every
+ * file, which changes whenever anything in the build does.
+ *
+ * Files copied from public/ are not precached. Audio among them (the sample
+ * tracks) bypasses the runtime cache and always comes from the network unless
+ * saved for offline (see offline-audio.js); anything else there is cached at
+ * runtime when used.
+ */
+
+import { createHash } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const SKIP = [/\.map$/];
+
+/**
+ * @param {Object} options
+ * @param {string} options.serviceWorker - Service worker source, relative to the project root
+ * @returns {import('vite').Plugin}
+ */
+export default function precacheManifest({ serviceWorker = 'sw.js' } = {}) {
+  let root = process.cwd();
+
+  return {
+    name: 'homeharmony-precache-manifest',
+    apply: 'build',
+    enforce: 'post',
+
+    configResolved(config) {
+      root = config.root;
+    },
+
+    async generateBundle(_options, bundle) {
+      const source = await readFile(path.resolve(root, serviceWorker), 'utf8');
+      const files = Object.values(bundle)
+        .filter((file) => !SKIP.some((pattern) => pattern.test(file.fileName)))
+        .sort((a, b) => a.fileName.localeCompare(b.fileName));
+
+      const hash = createHash('sha256').update(source);
+      files.forEach((file) => {
+        hash.update(file.fileName);
+        hash.update(file.type === 'chunk' ? file.code : file.source);
+      });
+
+      const manifest = {
+        version: hash.digest('hex').slice(0, 12),
+        // './' is the page itself, which the browser asks for by directory
+        urls: ['./', ...files.map((file) => file.fileName)],
+      };
+      this.emitFile({
+        type: 'asset',
+        fileName: path.basename(serviceWorker),
+        source: `self.__PRECACHE_MANIFEST = ${JSON.stringify(manifest)};\n\n${source}`,
+      });
+    },
+  };
+}
@@ -1,6 +1,7 @@
 import {defineConfig} from 'vite'
+import precacheManifest from './vite-plugin-precache.js'
 
 export default defineConfig({
 	base: '/SmartHomeMobileInterfaceProject/',
-	plugins: []	
-})
\ No newline at end of file
+	plugins: [precacheManifest()]
+})